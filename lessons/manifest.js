@@ -0,0 +1,71 @@
+/**
+ * Course Manifest - Interview Prep Course
+ * Lesson Builder System
+ *
+ * Lists every lesson by module, in course order. Lessons with a folder are
+ * summarized from their config.js (duration, sections, scripts, audio);
+ * planned lessons only have what's written here.
+ *
+ * status: 'ready' | 'draft' | 'planned'
+ */
+
+export const courseManifest = {
+    id: 'interview-prep',
+    title: 'Senior Java Interview Preparation',
+
+    modules: [
+        {
+            id: 'introduction',
+            title: 'Module 1: Introduction',
+            icon: '📚',
+            lessons: [
+                {
+                    id: 'video-01',
+                    label: 'Video 01',
+                    path: 'video-01',
+                    status: 'ready',
+                    description: 'Introduction & Problem Awareness - The gap between LeetCode and real interviews.'
+                },
+                {
+                    id: 'video-02',
+                    label: 'Video 02',
+                    status: 'planned',
+                    title: 'The SPIDER Framework Deep Dive',
+                    description: 'Complete walkthrough of the SPIDER methodology for acing technical interviews.',
+                    plannedDuration: 720
+                }
+            ]
+        },
+        {
+            id: 'core-skills',
+            title: 'Module 2: Core Skills (Tasks)',
+            icon: '🎯',
+            lessons: [
+                {
+                    id: 'task-01',
+                    label: 'Task 01',
+                    status: 'planned',
+                    title: 'Morris Traversal Deep Dive',
+                    description: 'Master in-order traversal without recursion or stack. Theory + Implementation.',
+                    plannedDuration: 900
+                },
+                {
+                    id: 'task-02',
+                    label: 'Task 02',
+                    status: 'planned',
+                    title: 'Rate Limiter Production System',
+                    description: 'Build a production-ready rate limiter with multiple algorithms.',
+                    plannedDuration: 1200
+                },
+                {
+                    id: 'task-03',
+                    label: 'Task 03',
+                    status: 'planned',
+                    title: 'Payment Gateway with Saga Pattern',
+                    description: 'Implement distributed transactions for a payment system.',
+                    plannedDuration: 1500
+                }
+            ]
+        }
+    ]
+};
@@ -9,6 +9,9 @@ export const lessonConfig = {
     type: 'introduction',
     duration: 420, // 7 minutes in seconds
 
+    // Sections without a recording play a scratch track of their script (meSpeak)
+    narration: { provider: 'mespeak' },
+
     sections: [
         {
             id: 'hook',
@@ -65,7 +68,7 @@ I'm Vladyslav, and I've been on BOTH sides of this exact scenario - as a candida
             visual: {
                 id: 'pie-chart',
                 title: 'The 30/70 Split',
-                steps: 3
+                steps: 2
             },
 
             audio: {
@@ -164,7 +167,7 @@ At Visa, I saw candidates with perfect algorithmic solutions fail this 80% of th
             visual: {
                 id: 'killer2-animation',
                 title: 'Theory Under Pressure',
-                steps: 2
+                steps: 3
             },
 
             audio: {
@@ -210,7 +213,7 @@ This is where most senior candidates stumble. They KNOW the answer, but can't ar
             visual: {
                 id: 'killer3-animation',
                 title: 'Beyond Boxes and Arrows',
-                steps: 2
+                steps: 3
             },
 
             audio: {
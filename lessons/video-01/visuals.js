@@ -984,10 +984,11 @@ export const spiderFrameworkScene = {
     background: COLORS.bg.dark,
 
     steps: [
-        // Step 1: Title Only
+        // Step 1: Title Only (subtitle follows the title)
         {
             id: 'step1',
             duration: 600,
+            stagger: 200,
             objects: [
                 {
                     id: 'main-title',
@@ -1,15 +1,40 @@
 /**
  * AudioPlayer Component - Collapsible Script with Audio Playback
  * Lesson Builder System
+ *
+ * Sections without a recording can play a scratch track rendered from
+ * their script by a narration provider (see setNarrationProvider); a live
+ * provider (browser speech) speaks the script instead, on the same clock.
+ * A take recorded in the browser (TakesPanel) replaces both (see useTake).
  */
 
 import { EventBus, Events } from '../core/EventBus.js';
+import { NarrationService, NarrationCache } from '../services/NarrationService.js';
+import { renderTake } from '../services/RecordingService.js';
 
 /**
  * AudioPlayer manager - handles multiple audio players
  */
 const audioPlayers = new Map();
 
+/**
+ * Scratch narration (null until a provider is set)
+ */
+const narrationCache = new NarrationCache();
+let narration = null;
+let autoGenerateNarration = true;
+
+/**
+ * Live narration (a provider with `live: true`) - one section speaks at a time
+ */
+let liveNarration = null;
+let speaking = null; // { instance, handle }
+
+/**
+ * Speaking rate used for the time of spoken words (as sync points assume)
+ */
+const SPEECH_WORDS_PER_MINUTE = 150;
+
 export const AudioPlayer = {
     /**
      * Initialize an AudioPlayer instance
@@ -26,10 +51,18 @@ export const AudioPlayer = {
         const instance = {
             container: config.container,
             sectionId: config.sectionId,
+            script: config.scriptText || '',
+            audioFile: config.audioFile || '',
             state: {
                 scriptCollapsed: false,
                 audioLoaded: false,
-                duration: 0
+                duration: 0,
+                missing: !config.audioFile, // no recording (or it failed to load)
+                scratch: false,
+                scratchUrl: null,
+                speechWord: 0, // where live narration resumes
+                take: null, // chosen take in use: { take, blob, url }
+                takeRequest: 0 // bumped by each useTake, so a slower render can't win
             },
             elements: {}
         };
@@ -57,9 +90,172 @@ export const AudioPlayer = {
         // Store instance
         audioPlayers.set(config.sectionId, instance);
 
+        if (instance.state.missing) {
+            this._onAudioMissing(instance);
+        }
+
         return instance;
     },
 
+    /**
+     * Use a narration provider for sections without a recording
+     * Their scripts are rendered (or taken from the cache) and played as
+     * scratch tracks, or spoken by a live provider; a recording that loads
+     * always wins.
+     * @param {Object|null} provider - From NarrationService (createNarrationProvider etc.), null to turn off
+     * @param {Object} [options]
+     * @param {boolean} [options.autoGenerate=true] - Render missing tracks right away
+     *   (otherwise on the player's Generate button)
+     */
+    setNarrationProvider(provider, options = {}) {
+        this._stopSpeech();
+        audioPlayers.forEach(instance => this._removeNarrationControls(instance));
+
+        liveNarration = provider?.live ? provider : null;
+        narration = provider && !provider.live ? new NarrationService(provider, { cache: narrationCache }) : null;
+        autoGenerateNarration = options.autoGenerate ?? true;
+        if (!provider) return;
+
+        audioPlayers.forEach(instance => {
+            if (instance.state.missing) {
+                this._onAudioMissing(instance);
+            }
+        });
+    },
+
+    /**
+     * Render a section's script with the narration provider and load it
+     * @param {string} sectionId
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Render again instead of using the cache
+     * @returns {Promise<boolean>} Whether a scratch track was loaded
+     */
+    async generateNarration(sectionId, options = {}) {
+        const instance = audioPlayers.get(sectionId);
+        if (!instance?.elements.audio || !narration) return false;
+
+        const { audio } = instance.elements;
+        this._setNarrationStatus(instance, 'Generating scratch track...');
+
+        try {
+            const { blob, cached } = await narration.getNarration(instance.script, {
+                sectionId,
+                force: options.force
+            });
+
+            // The player may have been destroyed (or given a take) meanwhile
+            if (audioPlayers.get(sectionId) !== instance || instance.state.take) return false;
+
+            if (instance.state.scratchUrl) {
+                URL.revokeObjectURL(instance.state.scratchUrl);
+            }
+            instance.state.scratchUrl = URL.createObjectURL(blob);
+            instance.state.scratch = true;
+            instance.state.duration = 0;
+
+            audio.src = instance.state.scratchUrl;
+            audio.load();
+
+            this._setNarrationStatus(instance, `Scratch track: ${narration.provider.label}${cached ? ' (cached)' : ''}`);
+            EventBus.emit(Events.AUDIO_NARRATION_GENERATED, {
+                sectionId,
+                provider: narration.provider.id,
+                cached
+            });
+            return true;
+        } catch (error) {
+            console.warn(`AudioPlayer: Scratch narration for "${sectionId}" failed:`, error);
+            this._setNarrationStatus(instance, `Scratch track failed: ${error.message}`);
+            return false;
+        }
+    },
+
+    /**
+     * Play a recorded take instead of `audio.file` (or go back to it)
+     * The take is rendered (trim applied, WAV) and replaces the player's
+     * <source>; it also wins over a scratch track.
+     * @param {string} sectionId
+     * @param {Object|null} take - From TakesPanel / RecordingService.TakeStore, null for audio.file
+     * @returns {Promise<boolean>} Whether the take is loaded
+     */
+    async useTake(sectionId, take) {
+        const instance = audioPlayers.get(sectionId);
+        const audio = instance?.elements.audio;
+        if (!audio) return false;
+
+        const source = audio.querySelector('source');
+        const request = ++instance.state.takeRequest;
+
+        if (!take) {
+            if (!instance.state.take) return false;
+            this._releaseTake(instance);
+
+            source.src = instance.audioFile;
+            source.type = 'audio/mpeg';
+            instance.state.missing = !instance.audioFile;
+            instance.state.duration = 0;
+            audio.load();
+
+            if (instance.state.missing) {
+                this._onAudioMissing(instance);
+            }
+            return false;
+        }
+
+        let blob;
+        try {
+            blob = await renderTake(take);
+        } catch (error) {
+            console.warn(`AudioPlayer: Take ${take.number} of "${sectionId}" can't be used:`, error);
+            return false;
+        }
+
+        // Destroyed, or another take (or none) was chosen while this one rendered
+        if (audioPlayers.get(sectionId) !== instance || instance.state.takeRequest !== request) return false;
+
+        if (speaking?.instance === instance) this._stopSpeech();
+        this._releaseTake(instance);
+        instance.state.take = { take, blob, url: URL.createObjectURL(blob) };
+
+        // Scratch tracks play through audio.src, which would win over <source>
+        if (instance.state.scratch) {
+            URL.revokeObjectURL(instance.state.scratchUrl);
+            instance.state.scratch = false;
+            instance.state.scratchUrl = null;
+            audio.removeAttribute('src');
+            this._setNarrationStatus(instance, '');
+        }
+
+        source.src = instance.state.take.url;
+        source.type = 'audio/wav';
+        instance.state.missing = false;
+        instance.state.duration = 0;
+        audio.load();
+
+        console.log(`AudioPlayer: "${sectionId}" plays take ${take.number}`);
+        return true;
+    },
+
+    /**
+     * Get the take a section plays
+     * @param {string} sectionId
+     * @returns {{take: Object, blob: Blob}|null} The take and its rendered audio (WAV)
+     */
+    getTake(sectionId) {
+        const current = audioPlayers.get(sectionId)?.state.take;
+        return current ? { take: current.take, blob: current.blob } : null;
+    },
+
+    /**
+     * @private
+     */
+    _releaseTake(instance) {
+        if (instance.state.take) {
+            URL.revokeObjectURL(instance.state.take.url);
+            instance.state.take = null;
+        }
+    },
+
     /**
      * Render audio player HTML
      * @private
@@ -146,18 +342,244 @@ export const AudioPlayer = {
                 EventBus.emit(Events.AUDIO_PLAYING, { sectionId });
             });
 
+            // Audio paused
+            elements.audio.addEventListener('pause', () => {
+                EventBus.emit(Events.AUDIO_PAUSED, {
+                    sectionId,
+                    currentTime: elements.audio.currentTime
+                });
+            });
+
+            // Playback position (drives synced visuals)
+            elements.audio.addEventListener('timeupdate', () => {
+                EventBus.emit(Events.AUDIO_TIME_UPDATE, {
+                    sectionId,
+                    currentTime: elements.audio.currentTime,
+                    duration: elements.audio.duration
+                });
+            });
+
+            // User or code moved the playhead
+            elements.audio.addEventListener('seeked', () => {
+                EventBus.emit(Events.AUDIO_SEEKED, {
+                    sectionId,
+                    currentTime: elements.audio.currentTime
+                });
+            });
+
             // Audio ended
             elements.audio.addEventListener('ended', () => {
                 EventBus.emit(Events.AUDIO_ENDED, { sectionId });
             });
 
-            // Audio error
-            elements.audio.addEventListener('error', () => {
-                console.log(`AudioPlayer: Audio file not found for "${sectionId}". Generate using ElevenLabs.`);
+            // Audio error (a failing <source> reports on itself, not the element)
+            const onError = () => {
+                if (instance.state.scratch || instance.state.take) return;
+                if (!instance.state.missing) {
+                    instance.state.missing = true;
+                    this._onAudioMissing(instance);
+                }
+            };
+            elements.audio.addEventListener('error', onError);
+            elements.audio.querySelector('source')?.addEventListener('error', onError);
+        }
+    },
+
+    /**
+     * A section has no playable recording - offer (or make) a scratch track
+     * @private
+     */
+    _onAudioMissing(instance) {
+        if (liveNarration) {
+            this._renderNarrationControls(instance);
+            return;
+        }
+
+        if (!narration) {
+            console.log(`AudioPlayer: Audio file not found for "${instance.sectionId}". Generate using ElevenLabs, or set a narration provider for a scratch track.`);
+            return;
+        }
+
+        this._renderNarrationControls(instance);
+
+        if (autoGenerateNarration && !instance.state.scratch && !instance.state.take && instance.script.trim()) {
+            this.generateNarration(instance.sectionId);
+        }
+    },
+
+    /**
+     * Add the Generate (or Speak) button and status line to the player
+     * @private
+     */
+    _renderNarrationControls(instance) {
+        const info = instance.container.querySelector('.audio-info');
+        if (!info || info.querySelector('[data-narration-status]')) return;
+
+        const status = document.createElement('span');
+        status.className = 'narration-status';
+        status.dataset.narrationStatus = '';
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary';
+
+        if (liveNarration) {
+            button.dataset.action = 'speak-script';
+            button.textContent = '🗣 Speak Script';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (speaking?.instance === instance) {
+                    this.pause(instance.sectionId);
+                } else {
+                    this.play(instance.sectionId).catch(() => {}); // reported in the status line
+                }
+            });
+        } else {
+            button.dataset.action = 'generate-narration';
+            button.textContent = '🗣 Generate Scratch Track';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.generateNarration(instance.sectionId, { force: instance.state.scratch });
+            });
+        }
+
+        info.append(status, button);
+    },
+
+    /**
+     * @private
+     */
+    _removeNarrationControls(instance) {
+        instance.container
+            .querySelectorAll('[data-narration-status], [data-action="generate-narration"], [data-action="speak-script"]')
+            .forEach(element => element.remove());
+    },
+
+    /**
+     * @private
+     */
+    _setNarrationStatus(instance, text) {
+        const status = instance.container.querySelector('[data-narration-status]');
+        if (status) status.textContent = text;
+
+        const button = instance.container.querySelector('[data-action="generate-narration"]');
+        if (button) {
+            button.textContent = instance.state.scratch ? '🗣 Regenerate Scratch Track' : '🗣 Generate Scratch Track';
+        }
+
+        const speakButton = instance.container.querySelector('[data-action="speak-script"]');
+        if (speakButton) {
+            speakButton.textContent = speaking?.instance === instance ? '⏸ Pause Speaking' : '🗣 Speak Script';
+        }
+    },
+
+    /**
+     * Whether a section plays by speaking its script (no recording, take or scratch track)
+     * @private
+     */
+    _speaks(instance) {
+        return !!liveNarration && instance.state.missing && !instance.state.scratch && !instance.state.take;
+    },
+
+    /**
+     * Speak a section's script from where it was left
+     * Resolves once speech starts; only one section speaks at a time.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _speak(instance) {
+        if (speaking?.instance === instance) return Promise.resolve();
+        this._stopSpeech();
+
+        const { sectionId, state } = instance;
+        const words = instance.script.trim().split(/\s+/).filter(word => word.length > 0);
+        if (words.length === 0) {
+            return Promise.reject(new Error(`Nothing to speak for "${sectionId}" (empty script)`));
+        }
+
+        if (state.speechWord >= words.length) state.speechWord = 0;
+        const from = state.speechWord;
+        const duration = this._speechTime(words.length);
+        const provider = liveNarration;
+
+        return new Promise((resolve, reject) => {
+            let started = false;
+
+            const emitTime = () => EventBus.emit(Events.AUDIO_TIME_UPDATE, {
+                sectionId,
+                currentTime: this._speechTime(state.speechWord),
+                duration
             });
+
+            const handlers = {
+                onStart: () => {
+                    started = true;
+                    this._setNarrationStatus(instance, `Speaking: ${provider.label}`);
+                    EventBus.emit(Events.AUDIO_PLAYING, { sectionId });
+                    emitTime();
+                    resolve();
+                },
+                onWord: (index) => {
+                    state.speechWord = from + index;
+                    emitTime();
+                },
+                onEnd: () => {
+                    speaking = null;
+                    state.speechWord = words.length;
+                    this._setNarrationStatus(instance, '');
+                    emitTime();
+                    EventBus.emit(Events.AUDIO_ENDED, { sectionId });
+                },
+                onError: (error) => {
+                    speaking = null;
+                    console.warn(`AudioPlayer: Speaking "${sectionId}" failed:`, error);
+                    this._setNarrationStatus(instance, error.message);
+                    if (started) {
+                        EventBus.emit(Events.AUDIO_PAUSED, { sectionId, currentTime: this._speechTime(state.speechWord) });
+                    } else {
+                        reject(error);
+                    }
+                }
+            };
+
+            try {
+                speaking = { instance, handle: provider.speak(words.slice(from).join(' '), handlers) };
+            } catch (error) {
+                handlers.onError(error);
+            }
+        });
+    },
+
+    /**
+     * Stop live narration (it resumes from the current word)
+     * @private
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - Don't emit AUDIO_PAUSED
+     */
+    _stopSpeech(options = {}) {
+        if (!speaking) return;
+
+        const { instance, handle } = speaking;
+        speaking = null;
+        handle.cancel();
+        this._setNarrationStatus(instance, '');
+
+        if (!options.silent) {
+            // Deferred like a media element's pause event, so callers finish switching first
+            queueMicrotask(() => EventBus.emit(Events.AUDIO_PAUSED, {
+                sectionId: instance.sectionId,
+                currentTime: this._speechTime(instance.state.speechWord)
+            }));
         }
     },
 
+    /**
+     * Time at which a word is spoken
+     * @private
+     */
+    _speechTime(word) {
+        return (word / SPEECH_WORDS_PER_MINUTE) * 60;
+    },
+
     /**
      * Update duration display
      * @private
@@ -207,12 +629,17 @@ export const AudioPlayer = {
     /**
      * Play audio
      * @param {string} sectionId
+     * @returns {Promise<void>} Rejects when the audio can't play
      */
     play(sectionId) {
         const instance = audioPlayers.get(sectionId);
-        if (instance?.elements.audio) {
-            instance.elements.audio.play();
+        if (!instance?.elements.audio) {
+            return Promise.reject(new Error(`No audio player for "${sectionId}"`));
+        }
+        if (this._speaks(instance)) {
+            return this._speak(instance);
         }
+        return instance.elements.audio.play();
     },
 
     /**
@@ -221,11 +648,109 @@ export const AudioPlayer = {
      */
     pause(sectionId) {
         const instance = audioPlayers.get(sectionId);
-        if (instance?.elements.audio) {
+        if (instance && speaking?.instance === instance) {
+            this._stopSpeech();
+        } else if (instance?.elements.audio) {
             instance.elements.audio.pause();
         }
     },
 
+    /**
+     * Move the playhead
+     * @param {string} sectionId
+     * @param {number} seconds - Time in seconds
+     */
+    seek(sectionId, seconds) {
+        const instance = audioPlayers.get(sectionId);
+        if (!instance?.elements.audio) return;
+
+        if (this._speaks(instance)) {
+            instance.state.speechWord = Math.max(Math.round((seconds * SPEECH_WORDS_PER_MINUTE) / 60), 0);
+            if (speaking?.instance === instance) {
+                this._stopSpeech({ silent: true });
+                this._speak(instance).catch(() => {});
+            }
+            EventBus.emit(Events.AUDIO_SEEKED, { sectionId, currentTime: this._speechTime(instance.state.speechWord) });
+            return;
+        }
+        instance.elements.audio.currentTime = seconds;
+    },
+
+    /**
+     * Get the playhead position
+     * @param {string} sectionId
+     * @returns {number} Time in seconds
+     */
+    getCurrentTime(sectionId) {
+        const instance = audioPlayers.get(sectionId);
+        if (instance && this._speaks(instance)) {
+            return this._speechTime(instance.state.speechWord);
+        }
+        return instance?.elements.audio?.currentTime || 0;
+    },
+
+    /**
+     * Get the length of what the player plays (0 until metadata has loaded, and for spoken scripts)
+     * @param {string} sectionId
+     * @returns {number} Duration in seconds, scratch tracks included
+     */
+    getDuration(sectionId) {
+        const instance = audioPlayers.get(sectionId);
+        return instance?.state.duration || 0;
+    },
+
+    /**
+     * Get the measured length of the narration itself: the recording or take
+     * Scratch tracks don't count, their pace is the provider's, not the speaker's.
+     * @param {string} sectionId
+     * @returns {number} Duration in seconds (0 when unknown or scratch)
+     */
+    getMeasuredDuration(sectionId) {
+        const instance = audioPlayers.get(sectionId);
+        return instance && !instance.state.scratch ? instance.state.duration : 0;
+    },
+
+    /**
+     * Load the recording's metadata and get its duration
+     * Scratch tracks don't count - this measures the real recording (or take).
+     * @param {string} sectionId
+     * @param {Object} [options]
+     * @param {number} [options.timeout=15000] - Give up after this many ms
+     * @returns {Promise<number>} Duration in seconds (0 if there's no playable recording)
+     */
+    loadMetadata(sectionId, options = {}) {
+        const { timeout = 15000 } = options;
+        const instance = audioPlayers.get(sectionId);
+        const audio = instance?.elements.audio;
+
+        if (!audio || instance.state.missing || instance.state.scratch) return Promise.resolve(0);
+        if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) return Promise.resolve(audio.duration || 0);
+
+        return new Promise(resolve => {
+            const source = audio.querySelector('source');
+            let timer = null;
+
+            const finish = (duration) => {
+                clearTimeout(timer);
+                audio.removeEventListener('loadedmetadata', onLoaded);
+                audio.removeEventListener('error', onError);
+                source?.removeEventListener('error', onError);
+                resolve(duration);
+            };
+            const onLoaded = () => finish(audio.duration || 0);
+            const onError = () => finish(0);
+
+            audio.addEventListener('loadedmetadata', onLoaded);
+            audio.addEventListener('error', onError);
+            source?.addEventListener('error', onError);
+            timer = setTimeout(() => finish(0), timeout);
+
+            if (audio.networkState !== HTMLMediaElement.NETWORK_LOADING) {
+                audio.load();
+            }
+        });
+    },
+
     /**
      * Copy script to clipboard
      * @param {string} sectionId
@@ -277,15 +802,24 @@ export const AudioPlayer = {
         const instance = audioPlayers.get(sectionId);
         if (!instance?.elements.audio) return;
 
+        if (this._speaks(instance)) {
+            console.warn(`AudioPlayer: "${sectionId}" is spoken live, there is no audio to download`);
+            return;
+        }
+
+        const { take, scratch, scratchUrl } = instance.state;
         const source = instance.elements.audio.querySelector('source');
-        if (!source?.src) {
+        const href = scratch ? scratchUrl : source?.src;
+        if (!href) {
             console.warn('AudioPlayer: No audio source available');
             return;
         }
 
         const a = document.createElement('a');
-        a.href = source.src;
-        a.download = `${sectionId}-voiceover.mp3`;
+        a.href = href;
+        a.download = take
+            ? `${sectionId}-take-${take.take.number}.wav`
+            : scratch ? `${sectionId}-scratch.wav` : `${sectionId}-voiceover.mp3`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -320,9 +854,16 @@ export const AudioPlayer = {
     destroy(sectionId) {
         const instance = audioPlayers.get(sectionId);
         if (instance) {
+            if (speaking?.instance === instance) {
+                this._stopSpeech({ silent: true });
+            }
             if (instance.elements.audio) {
                 instance.elements.audio.pause();
             }
+            if (instance.state.scratchUrl) {
+                URL.revokeObjectURL(instance.state.scratchUrl);
+            }
+            this._releaseTake(instance);
             audioPlayers.delete(sectionId);
         }
     },
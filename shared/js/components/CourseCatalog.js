@@ -0,0 +1,121 @@
+/**
+ * CourseCatalog Component - Lesson Cards on the Landing Page
+ * Lesson Builder System
+ */
+
+import { loadCourse } from '../core/CourseManifest.js';
+import { escapeHtml, formatTime } from '../utils/format.js';
+
+const STATUS_LABELS = {
+    ready: 'Ready',
+    draft: 'Draft',
+    planned: 'Planned'
+};
+
+class CourseCatalogClass {
+    constructor() {
+        this.container = null;
+        this.config = null;
+        this.modules = [];
+    }
+
+    /**
+     * Initialize the catalog
+     * @param {Object} config
+     * @param {HTMLElement} config.container - Container element
+     * @param {Object} config.manifest - Course manifest (lessons/manifest.js)
+     * @param {string|URL} config.baseUrl - URL of the lessons folder
+     * @returns {Promise<CourseCatalogClass>}
+     */
+    async init(config) {
+        this.container = config.container;
+        this.config = config;
+
+        this.container.innerHTML = '<p class="catalog-loading">Loading lessons...</p>';
+        await this.refresh();
+
+        // Progress changes in a lesson tab, or when coming back from a lesson
+        window.addEventListener('storage', () => this.refresh());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) this.refresh();
+        });
+
+        return this;
+    }
+
+    /**
+     * Reload lesson summaries and re-render
+     */
+    async refresh() {
+        this.modules = await loadCourse(this.config.manifest, { baseUrl: this.config.baseUrl });
+        this._render();
+    }
+
+    /**
+     * Render all modules
+     * @private
+     */
+    _render() {
+        this.container.innerHTML = this.modules.map((module, index) => `
+            ${index > 0 ? '<hr class="section-divider">' : ''}
+            <section data-module="${escapeHtml(module.id)}">
+                <h2 class="section-title">${escapeHtml(module.icon || '📚')} ${escapeHtml(module.title)}</h2>
+                <div class="lessons-grid">
+                    ${module.lessons.map(lesson => this._renderCard(lesson)).join('')}
+                </div>
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Render a lesson card
+     * @private
+     */
+    _renderCard(lesson) {
+        const status = STATUS_LABELS[lesson.status] ? lesson.status : 'planned';
+        const linked = lesson.href && status !== 'planned' && !lesson.error;
+        const tag = linked ? 'a' : 'div';
+
+        const meta = [`<span>⏱️ ${formatTime(lesson.duration)}</span>`];
+
+        if (lesson.error) {
+            meta.push('<span>⚠️ Config failed to load</span>');
+        } else if (status === 'planned') {
+            meta.push('<span>📝 Planned</span>');
+        } else {
+            meta.push(`<span>📝 ${lesson.sectionCount} sections</span>`);
+            meta.push(lesson.scripts.ready === lesson.scripts.total
+                ? '<span>🎙️ Voice scripts ready</span>'
+                : `<span>🎙️ Scripts ${lesson.scripts.ready}/${lesson.scripts.total}</span>`);
+            if (lesson.audio.total > 0) {
+                meta.push(`<span>🔊 Audio ${lesson.audio.available}/${lesson.audio.total}</span>`);
+            }
+        }
+
+        const progress = lesson.progress.total > 0 ? `
+            <div class="lesson-progress" title="${lesson.progress.completed} of ${lesson.progress.total} sections completed">
+                <div class="lesson-progress-bar" style="width: ${lesson.progress.percent}%"></div>
+            </div>
+            <div class="lesson-progress-label">${lesson.progress.completed}/${lesson.progress.total} sections completed</div>
+        ` : '';
+
+        return `
+            <${tag} ${linked ? `href="${escapeHtml(lesson.href)}"` : ''} class="lesson-card${linked ? '' : ' lesson-card-disabled'}" data-lesson-id="${escapeHtml(lesson.id)}">
+                <span class="lesson-number">${escapeHtml(lesson.label || lesson.id)}</span>
+                <span class="status-badge status-${status}">${STATUS_LABELS[status]}</span>
+                <h2>${escapeHtml(lesson.title || lesson.id)}</h2>
+                ${lesson.description ? `<p>${escapeHtml(lesson.description)}</p>` : ''}
+                <div class="lesson-meta">
+                    ${meta.join('')}
+                </div>
+                ${progress}
+            </${tag}>
+        `;
+    }
+}
+
+// Create singleton instance
+export const CourseCatalog = new CourseCatalogClass();
+
+// Also export the class
+export { CourseCatalogClass };
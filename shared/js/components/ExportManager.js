@@ -5,19 +5,39 @@
 
 import { EventBus, Events } from '../core/EventBus.js';
 import { AudioPlayer } from './AudioPlayer.js';
+import { TimingReconcileView } from './TimingReconcileView.js';
+import { LessonRenderService } from '../services/LessonRenderService.js';
+import { FrameRenderService, planVisualFrames } from '../services/FrameRenderService.js';
+import { buildEditTimeline, toEDL, toFCPXML, toPremiereXML } from '../services/TimelineExportService.js';
+import { buildCaptions, toSRT, toWebVTT } from '../services/CaptionService.js';
+import { reconcileTiming, createTimingPatch, updateConfigSource } from '../services/TimingReconcileService.js';
+import { validateLessonConfig, formatValidationResult } from '../utils/validation.js';
+import { lintVisuals } from '../engine/SceneLinter.js';
+import {
+    generateScripts,
+    generateProductionGuide,
+    generateTiming,
+    getAudioEntries,
+    generateReadme
+} from '../utils/exportContent.js';
 
 class ExportManagerClass {
     constructor() {
         this.config = null;
+        this.visuals = null;
+        this.lessonRender = null;
+        this.frameRender = null;
         this.initialized = false;
     }
 
     /**
      * Initialize with lesson configuration
      * @param {Object} config - Lesson configuration
+     * @param {Object} [visuals] - Scene definitions by visual id (for video renders)
      */
-    init(config) {
+    init(config, visuals = null) {
         this.config = config;
+        this.visuals = visuals;
         this._setupEventListeners();
         this.initialized = true;
     }
@@ -42,6 +62,36 @@ class ExportManagerClass {
                 case 'all':
                     this.exportAll();
                     break;
+                case 'edl':
+                    this.exportEDL();
+                    break;
+                case 'fcpxml':
+                    this.exportFCPXML();
+                    break;
+                case 'premiere-xml':
+                    this.exportPremiereXML();
+                    break;
+                case 'srt':
+                    this.exportSRT();
+                    break;
+                case 'vtt':
+                    this.exportWebVTT();
+                    break;
+                case 'lesson-video':
+                    this.renderLessonVideo();
+                    break;
+                case 'lesson-video-captioned':
+                    this.renderLessonVideo({ captions: true });
+                    break;
+                case 'visual-frames':
+                    this.exportVisualFrames();
+                    break;
+                case 'reconcile-timing':
+                    this.reconcileTiming();
+                    break;
+                case 'validate':
+                    this.exportValidation();
+                    break;
                 default:
                     console.warn(`ExportManager: Unknown export type "${type}"`);
             }
@@ -57,156 +107,350 @@ class ExportManagerClass {
             return;
         }
 
-        let content = `# Voice Scripts: ${this.config.title}\n`;
-        content += `# Generated: ${new Date().toISOString()}\n`;
-        content += `# Lesson ID: ${this.config.id}\n`;
-        content += `${'='.repeat(60)}\n\n`;
+        this._downloadFile(
+            generateScripts(this.config),
+            `${this.config.id}-scripts.txt`,
+            'text/plain'
+        );
+    }
 
-        this.config.sections.forEach((section, index) => {
-            content += `[${section.timing || 'N/A'}] ${section.title}\n`;
-            content += `${'-'.repeat(40)}\n`;
+    /**
+     * Export production guide as Markdown
+     */
+    exportProduction() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
 
-            if (section.audio?.script) {
-                content += `${section.audio.script}\n`;
-                content += `\nWord count: ~${section.audio.wordCount || this._countWords(section.audio.script)}`;
-                content += ` | Duration: ${section.audio.estimatedDuration || 30}s\n`;
-            } else {
-                content += '(No script available)\n';
-            }
+        this._downloadFile(
+            generateProductionGuide(this.config),
+            `${this.config.id}-production.md`,
+            'text/markdown'
+        );
+    }
 
-            content += `\n${'='.repeat(60)}\n\n`;
-        });
+    /**
+     * Export timing data as JSON
+     */
+    exportTiming() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
 
         this._downloadFile(
-            content,
-            `${this.config.id}-scripts.txt`,
+            generateTiming(this.config),
+            `${this.config.id}-timing.json`,
+            'application/json'
+        );
+    }
+
+    /**
+     * Export the timeline as a CMX3600 EDL
+     */
+    exportEDL() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
+
+        this._downloadFile(
+            toEDL(buildEditTimeline(this.config)),
+            `${this.config.id}.edl`,
             'text/plain'
         );
     }
 
     /**
-     * Export production guide as Markdown
+     * Export the timeline as FCPXML 1.10 (DaVinci Resolve, Final Cut Pro)
      */
-    exportProduction() {
+    exportFCPXML() {
         if (!this.config) {
             console.error('ExportManager: Not initialized');
             return;
         }
 
-        let content = `# Production Guide: ${this.config.title}\n\n`;
-        content += `**Lesson ID:** ${this.config.id}\n`;
-        content += `**Type:** ${this.config.type || 'Standard'}\n`;
-        content += `**Total Duration:** ${this._formatDuration(this.config.duration || 0)}\n`;
-        content += `**Generated:** ${new Date().toLocaleString()}\n\n`;
-        content += `---\n\n`;
-
-        // Table of contents
-        content += `## Table of Contents\n\n`;
-        this.config.sections.forEach((section, index) => {
-            content += `${index + 1}. [${section.title}](#section-${section.id})\n`;
-        });
-        content += `\n---\n\n`;
+        this._downloadFile(
+            toFCPXML(buildEditTimeline(this.config)),
+            `${this.config.id}.fcpxml`,
+            'application/xml'
+        );
+    }
 
-        // Sections
-        this.config.sections.forEach((section, index) => {
-            content += `## Section: ${section.title} (${section.timing || 'N/A'})\n\n`;
-            content += `<a name="section-${section.id}"></a>\n\n`;
+    /**
+     * Export the timeline as Premiere XML
+     */
+    exportPremiereXML() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
 
-            if (section.description) {
-                content += `**Purpose:** ${section.description}\n\n`;
-            }
+        this._downloadFile(
+            toPremiereXML(buildEditTimeline(this.config)),
+            `${this.config.id}-premiere.xml`,
+            'application/xml'
+        );
+    }
 
-            if (section.production) {
-                const p = section.production;
+    /**
+     * Export captions as SubRip (.srt)
+     */
+    exportSRT() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
 
-                if (p.pacing) {
-                    content += `**Pacing:** ${p.pacing}\n\n`;
-                }
+        this._downloadFile(
+            toSRT(this._buildCaptions()),
+            `${this.config.id}.srt`,
+            'application/x-subrip'
+        );
+    }
 
-                if (p.music) {
-                    content += `**Music:** ${p.music}\n\n`;
-                }
+    /**
+     * Export captions as WebVTT (.vtt)
+     */
+    exportWebVTT() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
 
-                if (p.broll && p.broll.length > 0) {
-                    content += `**B-Roll:**\n`;
-                    p.broll.forEach(item => {
-                        content += `- ${item}\n`;
-                    });
-                    content += `\n`;
-                }
+        this._downloadFile(
+            toWebVTT(this._buildCaptions(), { title: this.config.title }),
+            `${this.config.id}.vtt`,
+            'text/vtt'
+        );
+    }
 
-                if (p.transitions) {
-                    content += `**Transition:** ${p.transitions.type}`;
-                    if (p.transitions.duration) {
-                        content += ` (${p.transitions.duration}s)`;
-                    }
-                    content += `\n\n`;
-                }
-            }
+    /**
+     * Measure every section's recording and show how far the timing drifted
+     * From the view, the re-flowed timing downloads as config.js or a JSON Patch.
+     * @returns {Promise<Object|null>} Reconciliation (from reconcileTiming())
+     */
+    async reconcileTiming() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return null;
+        }
 
-            // Script preview
-            if (section.audio?.script) {
-                content += `### Script\n\n`;
-                content += `\`\`\`\n${section.audio.script}\n\`\`\`\n\n`;
+        const sections = this.config.sections.filter(section => section.audio?.file || AudioPlayer.getTake(section.id));
+        let cancelled = false;
+        const progress = this._showProgress('Measuring Audio...', () => { cancelled = true; });
+
+        const durations = {};
+        try {
+            for (const [index, section] of sections.entries()) {
+                if (cancelled) return null;
+                progress.sectionText.textContent = section.title;
+                progress.progressText.textContent = `Section ${index + 1} / ${sections.length}`;
+                progress.progressBar.value = Math.round((index / sections.length) * 100);
+
+                const duration = await AudioPlayer.loadMetadata(section.id);
+                if (duration > 0) {
+                    durations[section.id] = duration;
+                } else {
+                    console.warn(`ExportManager: No recording measured for "${section.id}" (${section.audio.file || 'take'})`);
+                }
             }
+        } finally {
+            document.body.removeChild(progress.progressDiv);
+        }
 
-            content += `---\n\n`;
+        const result = reconcileTiming(this.config, durations);
+        TimingReconcileView.open(result, {
+            onExportConfig: () => this._exportReconciledConfig(result),
+            onExportPatch: () => this._downloadFile(
+                JSON.stringify(createTimingPatch(result), null, 2),
+                `${this.config.id}-timing.patch.json`,
+                'application/json-patch+json'
+            )
         });
 
-        // Deliverables checklist
-        content += `## Deliverables Checklist\n\n`;
-        content += `- [ ] All audio files recorded\n`;
-        content += `- [ ] Visual assets exported\n`;
-        content += `- [ ] B-roll footage collected\n`;
-        content += `- [ ] Transitions applied\n`;
-        content += `- [ ] Music synced\n`;
-        content += `- [ ] Final review completed\n`;
+        return result;
+    }
+
+    /**
+     * Validate the lesson config (and visuals, when known)
+     * @returns {{valid: boolean, errors: Array, warnings: Array}|null}
+     */
+    validate() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return null;
+        }
+
+        return validateLessonConfig(this.config, this.visuals);
+    }
+
+    /**
+     * Export the validation report as a text file
+     */
+    exportValidation() {
+        const result = this.validate();
+        if (!result) return;
+
+        let content = `# Config Validation: ${this.config.title}\n`;
+        content += `# Generated: ${new Date().toISOString()}\n`;
+        content += `# Lesson ID: ${this.config.id}\n`;
+        content += `${'='.repeat(60)}\n\n`;
+        content += `## Config\n\n${formatValidationResult(result)}\n`;
+
+        console.log(`ExportManager: Validation ${result.valid ? 'passed' : 'failed'}:\n${formatValidationResult(result)}`);
+
+        if (this.visuals) {
+            const lint = lintVisuals(this.visuals);
+            content += `\n## Scenes\n\n${formatValidationResult(lint)}\n`;
+            console.log(`ExportManager: Scene lint:\n${formatValidationResult(lint)}`);
+        }
 
         this._downloadFile(
             content,
-            `${this.config.id}-production.md`,
-            'text/markdown'
+            `${this.config.id}-validation.txt`,
+            'text/plain'
         );
     }
 
     /**
-     * Export timing data as JSON
+     * Render the whole lesson (every section, title cards, transitions) to WebM
+     * Streams to a file picked by the user where the browser supports it,
+     * so long lessons don't have to fit in memory.
+     * @param {Object} [options]
+     * @param {boolean} [options.captions=false] - Burn in captions from the scripts
      */
-    exportTiming() {
+    async renderLessonVideo(options = {}) {
         if (!this.config) {
             console.error('ExportManager: Not initialized');
             return;
         }
 
-        const timingData = {
-            lessonId: this.config.id,
-            title: this.config.title,
-            type: this.config.type || 'standard',
-            totalDuration: this.config.duration || 0,
-            generatedAt: new Date().toISOString(),
-            sections: this.config.sections.map(section => ({
-                id: section.id,
-                title: section.title,
-                timing: section.timing || null,
-                start: this._parseTimingStart(section.timing),
-                end: this._parseTimingEnd(section.timing),
-                duration: section.audio?.estimatedDuration || 0,
-                audioFile: section.audio?.file || null,
-                hasVisual: !!section.visual,
-                visualSteps: section.visual?.steps || 0
-            }))
-        };
+        if (this.lessonRender) {
+            console.warn('ExportManager: Lesson render already in progress');
+            return;
+        }
 
-        this._downloadFile(
-            JSON.stringify(timingData, null, 2),
-            `${this.config.id}-timing.json`,
-            'application/json'
+        const validation = this.validate();
+        if (!validation.valid) {
+            console.error(`ExportManager: Fix the lesson config before rendering:\n${formatValidationResult(validation)}`);
+            alert(`Lesson config has ${validation.errors.length} error(s) - see the console`);
+            return;
+        }
+
+        const filename = `${this.config.id}-lesson${options.captions ? '-captioned' : ''}.webm`;
+
+        // Pick the output file up front (the picker needs the click's user activation)
+        let fileStream = null;
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'WebM video', accept: { 'video/webm': ['.webm'] } }]
+                });
+                fileStream = await handle.createWritable();
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('ExportManager: File picker unavailable, rendering in memory', error);
+            }
+        }
+
+        this.lessonRender = new LessonRenderService({ width: 3840, height: 2400, fps: 30 });
+        EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'lesson-video', count: 1 });
+
+        const { progressDiv, sectionText, progressText, progressBar } = this._showProgress(
+            'Rendering Full Lesson...',
+            () => this.lessonRender?.cancel()
         );
+
+        try {
+            const blob = await this.lessonRender.render(this.config, this.visuals || {}, {
+                fileStream,
+                captions: options.captions ? this._buildCaptions() : null,
+                onProgress: (current, total, sectionTitle) => {
+                    const percent = Math.round((current / total) * 100);
+                    sectionText.textContent = sectionTitle;
+                    progressText.textContent = `Frame ${current} / ${total} (${percent}%)`;
+                    progressBar.value = percent;
+                }
+            });
+
+            if (blob) {
+                this._downloadBlob(blob, filename);
+            }
+
+            if (blob || (fileStream && !this.lessonRender.cancelled)) {
+                EventBus.emit(Events.VISUAL_EXPORT_COMPLETE, { format: 'lesson-video', files: 1 });
+            }
+
+        } catch (error) {
+            console.error('ExportManager: Lesson render failed:', error);
+            alert(`Lesson render failed: ${error.message}`);
+        } finally {
+            this.lessonRender = null;
+            document.body.removeChild(progressDiv);
+        }
+    }
+
+    /**
+     * Export every step of every visual as PNG frames in a ZIP
+     * Frames are the settled end of each step at 3840x2400, in a folder per
+     * visual, with a manifest.json listing the files.
+     */
+    async exportVisualFrames() {
+        if (!this.config) {
+            console.error('ExportManager: Not initialized');
+            return;
+        }
+
+        if (typeof JSZip === 'undefined') {
+            console.error('ExportManager: JSZip is required for the frame export');
+            alert('JSZip is not loaded - add it to index.html to export frames');
+            return;
+        }
+
+        if (!this.visuals || Object.keys(this.visuals).length === 0) {
+            console.warn('ExportManager: No visuals to export');
+            return;
+        }
+
+        if (this.frameRender) {
+            console.warn('ExportManager: Frame export already in progress');
+            return;
+        }
+
+        const frameCount = planVisualFrames(this.config, this.visuals)
+            .reduce((sum, visual) => sum + visual.steps.length, 0);
+        EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'frames', count: frameCount });
+
+        const progress = this._showProgress('Rendering Visual Frames...', () => this.frameRender?.cancel());
+
+        try {
+            const zip = new JSZip();
+            const result = await this._addVisualFrames(zip, '', progress);
+            if (!result) return;
+
+            progress.sectionText.textContent = 'Packaging...';
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            this._downloadBlob(blob, `${this.config.id}-frames.zip`);
+
+            EventBus.emit(Events.VISUAL_EXPORT_COMPLETE, { format: 'frames', files: result.files.length });
+
+        } catch (error) {
+            console.error('ExportManager: Frame export failed:', error);
+            alert(`Frame export failed: ${error.message}`);
+        } finally {
+            document.body.removeChild(progress.progressDiv);
+        }
     }
 
     /**
-     * Export all assets as a ZIP file
-     * Note: Requires JSZip library for full functionality
+     * Export the full lesson package as a ZIP file
+     * Scripts, production guide, timing JSON, the narration audio named in
+     * the config (or the chosen recorded take), rendered visual frames and
+     * a README listing everything.
+     * Note: Requires JSZip library (falls back to the text exports)
      */
     async exportAll() {
         if (!this.config) {
@@ -224,138 +468,287 @@ class ExportManagerClass {
             return;
         }
 
+        if (this.frameRender) {
+            console.warn('ExportManager: Frame export already in progress');
+            return;
+        }
+
+        let cancelled = false;
+        const progress = this._showProgress('Building Lesson Package...', () => {
+            cancelled = true;
+            this.frameRender?.cancel();
+        });
+
+        EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'package', count: 1 });
+
         try {
+            const generatedAt = new Date();
             const zip = new JSZip();
+            const files = [];
+            const missing = [];
+
+            const add = (path, data, description, options) => {
+                zip.file(path, data, options);
+                files.push({ path, description });
+            };
+
+            // Chosen takes stand in for audio.file in every generated file
+            const { config: packageConfig, takes } = this._withTakes();
+
+            add('scripts.txt', generateScripts(packageConfig, { generatedAt }), 'Voice scripts for every section');
+            add('production.md', generateProductionGuide(packageConfig, { generatedAt }), 'Production guide: pacing, music, B-roll, transitions, scripts');
+            add('timing.json', generateTiming(packageConfig, { generatedAt }), 'Section timing data');
+
+            const captions = this._buildCaptions(packageConfig);
+            add('captions.srt', toSRT(captions), 'Captions (SubRip)');
+            add('captions.vtt', toWebVTT(captions, { title: packageConfig.title }), 'Captions (WebVTT)');
+
+            // Editing timelines point at the packaged audio (and renders/ for video)
+            const audioEntries = getAudioEntries(packageConfig);
+            const audioPaths = new Map(audioEntries.map(entry => [entry.source, `../${entry.path}`]));
+            const timeline = buildEditTimeline(packageConfig, {
+                audioPath: file => audioPaths.get(file) ?? file,
+                videoPath: visualId => `../renders/${visualId}.webm`
+            });
+            const videoNote = 'video from `renders/` (tools/render-lesson.mjs --video)';
+            add('timeline/lesson.edl', toEDL(timeline), `CMX3600 EDL; ${videoNote}`);
+            add('timeline/lesson.fcpxml', toFCPXML(timeline), `FCPXML 1.10 for DaVinci Resolve / Final Cut Pro; ${videoNote}`);
+            add('timeline/lesson-premiere.xml', toPremiereXML(timeline), `Premiere XML; ${videoNote}`);
+
+            // Narration audio (paths in the config are relative to the lesson page)
+            for (const [index, entry] of audioEntries.entries()) {
+                if (cancelled) return;
+                progress.sectionText.textContent = `Audio: ${entry.title}`;
+                progress.progressText.textContent = `File ${index + 1} / ${audioEntries.length}`;
+
+                const take = takes.get(entry.source);
+                if (take) {
+                    // WAV still compresses, unlike MP3
+                    add(entry.path, take.blob, `Narration: ${entry.title} (take ${take.take.number}, recorded in the browser)`);
+                    continue;
+                }
+
+                try {
+                    const blob = await this._fetchBlob(entry.source);
+                    add(entry.path, blob, `Narration: ${entry.title}`, { compression: 'STORE' });
+                } catch (error) {
+                    console.warn(`ExportManager: Audio "${entry.source}" not included:`, error.message);
+                    missing.push({ path: entry.path, reason: `${entry.source} could not be loaded (${error.message})` });
+                }
+            }
 
-            // Add scripts
-            const scriptsContent = this._generateScriptsContent();
-            zip.file('scripts.txt', scriptsContent);
+            // Rendered visuals
+            if (this.visuals && Object.keys(this.visuals).length > 0) {
+                const result = await this._addVisualFrames(zip, 'visuals/', progress);
+                if (!result) return;
 
-            // Add production guide
-            const productionContent = this._generateProductionContent();
-            zip.file('production.md', productionContent);
+                files.push({ path: 'visuals/manifest.json', description: 'Index of the visual frames' });
+                result.manifest.visuals.forEach(visual => {
+                    files.push({
+                        path: `visuals/${visual.folder}/`,
+                        description: `${visual.steps.length} frame(s) of ${visual.id}${visual.sectionTitle ? ` (${visual.sectionTitle})` : ''}, 3840x2400 PNG`
+                    });
+                });
+            }
 
-            // Add timing JSON
-            const timingContent = this._generateTimingContent();
-            zip.file('timing.json', timingContent);
+            if (cancelled) return;
 
-            // Generate and download ZIP
-            const blob = await zip.generateAsync({ type: 'blob' });
+            zip.file('README.md', generateReadme(packageConfig, { files, missing, generatedAt }));
+
+            progress.sectionText.textContent = 'Packaging...';
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
             this._downloadBlob(blob, `${this.config.id}-assets.zip`);
 
+            EventBus.emit(Events.VISUAL_EXPORT_COMPLETE, { format: 'package', files: files.length + 1 });
+
         } catch (error) {
             console.error('ExportManager: Failed to create ZIP:', error);
             // Fallback to individual exports
             this.exportScripts();
             this.exportProduction();
             this.exportTiming();
+        } finally {
+            document.body.removeChild(progress.progressDiv);
         }
     }
 
     /**
-     * Generate scripts content (for ZIP)
+     * Render every visual step into a ZIP (PNGs + manifest.json under `folder`)
      * @private
+     * @param {JSZip} zip
+     * @param {string} folder - Path prefix ('' or 'visuals/')
+     * @param {Object} progress - From _showProgress()
+     * @returns {Promise<{files: Array, manifest: Object}|null>} Null when cancelled
      */
-    _generateScriptsContent() {
-        let content = `Voice Scripts: ${this.config.title}\n`;
-        content += `Generated: ${new Date().toISOString()}\n\n`;
+    async _addVisualFrames(zip, folder, progress) {
+        this.frameRender = new FrameRenderService({ width: 3840, height: 2400 });
 
-        this.config.sections.forEach(section => {
-            content += `[${section.timing || 'N/A'}] ${section.title}\n`;
-            content += `${section.audio?.script || '(No script)'}\n\n`;
-        });
+        try {
+            const result = await this.frameRender.render(this.config, this.visuals, {
+                onProgress: (current, total, visualId) => {
+                    const percent = Math.round((current / total) * 100);
+                    progress.sectionText.textContent = visualId;
+                    progress.progressText.textContent = `Frame ${current} / ${total} (${percent}%)`;
+                    progress.progressBar.value = percent;
+                }
+            });
+            if (!result) return null;
+
+            // PNGs are already compressed
+            result.files.forEach(({ path, blob }) => zip.file(`${folder}${path}`, blob, { compression: 'STORE' }));
+            zip.file(`${folder}manifest.json`, JSON.stringify(result.manifest, null, 2));
 
-        return content;
+            return result;
+        } finally {
+            this.frameRender = null;
+        }
     }
 
     /**
-     * Generate production content (for ZIP)
+     * Fetch a file as a Blob
      * @private
      */
-    _generateProductionContent() {
-        // Reuse exportProduction logic but return string
-        let content = `# Production Guide: ${this.config.title}\n\n`;
-        // ... (similar to exportProduction)
-        return content;
+    async _fetchBlob(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
     }
 
     /**
-     * Generate timing content (for ZIP)
+     * Show a progress overlay with a cancel button
      * @private
+     * @param {string} title - Heading
+     * @param {Function} onCancel - Called when Cancel is clicked
+     * @returns {{progressDiv: HTMLElement, sectionText: HTMLElement, progressText: HTMLElement, progressBar: HTMLProgressElement}}
      */
-    _generateTimingContent() {
-        const data = {
-            lessonId: this.config.id,
-            sections: this.config.sections.map(s => ({
-                id: s.id,
-                title: s.title,
-                timing: s.timing
-            }))
+    _showProgress(title, onCancel) {
+        const progressDiv = document.createElement('div');
+        progressDiv.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.95);
+            color: white;
+            padding: 2rem 3rem;
+            border-radius: 12px;
+            z-index: 10000;
+            text-align: center;
+            min-width: 400px;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.8);
+        `;
+        progressDiv.innerHTML = `
+            <h3 style="margin-top: 0; font-size: 1.5rem;">${title}</h3>
+            <p data-render-section style="color: #94a3b8; margin: 0.5rem 0;">Preparing...</p>
+            <div data-render-text style="margin: 1.5rem 0; font-size: 1.1rem; font-weight: 600;">Frame 0</div>
+            <progress data-render-bar style="width: 100%; height: 8px;" value="0" max="100"></progress>
+            <button class="btn btn-primary" data-render-cancel style="margin-top: 1.5rem;">Cancel</button>
+        `;
+        document.body.appendChild(progressDiv);
+
+        const cancelBtn = progressDiv.querySelector('[data-render-cancel]');
+        cancelBtn.addEventListener('click', () => {
+            onCancel();
+            cancelBtn.disabled = true;
+            cancelBtn.textContent = 'Cancelling...';
+        });
+
+        return {
+            progressDiv,
+            sectionText: progressDiv.querySelector('[data-render-section]'),
+            progressText: progressDiv.querySelector('[data-render-text]'),
+            progressBar: progressDiv.querySelector('[data-render-bar]')
         };
-        return JSON.stringify(data, null, 2);
     }
 
     /**
-     * Download a file with content
+     * Download config.js with reconciled timing written in
      * @private
      */
-    _downloadFile(content, filename, mimeType) {
-        const blob = new Blob([content], { type: mimeType });
-        this._downloadBlob(blob, filename);
-    }
+    async _exportReconciledConfig(result) {
+        let source;
+        try {
+            source = await (await this._fetchBlob('config.js')).text();
+        } catch (error) {
+            console.error('ExportManager: Could not load config.js:', error);
+            alert('config.js could not be loaded from the lesson folder - download the JSON Patch instead');
+            return;
+        }
 
-    /**
-     * Download a blob
-     * @private
-     */
-    _downloadBlob(blob, filename) {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const updated = updateConfigSource(source, result);
+        if (updated.missed.length > 0) {
+            console.warn(`ExportManager: Not found in config.js, left unchanged: ${updated.missed.join(', ')}`);
+            alert(`Some values couldn't be found in config.js (${updated.missed.join(', ')}) - see the console`);
+        }
+
+        this._downloadFile(updated.source, 'config.js', 'text/javascript');
     }
 
     /**
-     * Count words in text
+     * The config with each chosen take in place of its section's audio.file
+     * A take is packaged as WAV next to where the file would be
+     * (`audio/<section id>.wav` for sections without one).
      * @private
+     * @returns {{config: Object, takes: Map<string, {take: Object, blob: Blob}>}} Takes by their file
      */
-    _countWords(text) {
-        if (!text) return 0;
-        return text.trim().split(/\s+/).filter(w => w.length > 0).length;
+    _withTakes() {
+        const takes = new Map();
+
+        const sections = this.config.sections.map(section => {
+            const current = section.audio ? AudioPlayer.getTake(section.id) : null;
+            if (!current) return section;
+
+            const base = section.audio.file
+                ? section.audio.file.split(/[?#]/)[0].replace(/\.[^./]+$/, '')
+                : `audio/${section.id}`;
+            const file = takes.has(`${base}.wav`) ? `${base}-${section.id}.wav` : `${base}.wav`;
+            takes.set(file, current);
+
+            return { ...section, audio: { ...section.audio, file } };
+        });
+
+        return { config: { ...this.config, sections }, takes };
     }
 
     /**
-     * Format duration in seconds to MM:SS
+     * Caption cues, timed to the recording or take where it has loaded
      * @private
+     * @param {Object} [config=this.config]
      */
-    _formatDuration(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    _buildCaptions(config = this.config) {
+        const durations = {};
+        config.sections.forEach(section => {
+            const measured = AudioPlayer.getMeasuredDuration(section.id);
+            if (measured) durations[section.id] = measured;
+        });
+
+        return buildCaptions(config, { durations });
     }
 
     /**
-     * Parse timing string start (e.g., "00:30 - 01:30" -> "00:30")
+     * Download a file with content
      * @private
      */
-    _parseTimingStart(timing) {
-        if (!timing) return null;
-        const match = timing.match(/^(\d{2}:\d{2})/);
-        return match ? match[1] : null;
+    _downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        this._downloadBlob(blob, filename);
     }
 
     /**
-     * Parse timing string end (e.g., "00:30 - 01:30" -> "01:30")
+     * Download a blob
      * @private
      */
-    _parseTimingEnd(timing) {
-        if (!timing) return null;
-        const match = timing.match(/(\d{2}:\d{2})$/);
-        return match ? match[1] : null;
+    _downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
 }
 
@@ -0,0 +1,687 @@
+/**
+ * SceneEditor Component - In-Browser Scene Authoring for VisualBlock
+ * Lesson Builder System
+ *
+ * Edits a scene on its live Konva stage:
+ * - Click an object (or pick it from the list) to select it
+ * - Drag, resize and rotate with Konva.Transformer
+ * - Edit props of the selected object in the inspector
+ * - Add, duplicate and delete steps
+ * - Copy or download the scene JSON for visuals.js
+ * - Undo/redo every edit (a drag or resize is one entry)
+ *
+ * Changes are written into the scene at the current step (SceneDocument),
+ * in the same percent-based props SceneBuilder.createObject reads, and the
+ * stage is rebuilt from the JSON after each change, undo and redo.
+ */
+
+import { EventBus, Events } from '../core/EventBus.js';
+import { CommandHistory, createSnapshotCommand } from '../core/CommandHistory.js';
+import { OBJECT_PROPS, UPDATE_PROPS, NUMERIC_PROPS } from '../engine/ObjectProps.js';
+import { lintScene } from '../engine/SceneLinter.js';
+import {
+    resolveStep,
+    setObjectProps,
+    addStep,
+    duplicateStep,
+    deleteStep,
+    serializeScene,
+    flattenStep
+} from '../engine/SceneDocument.js';
+import { escapeHtml } from '../utils/format.js';
+
+/**
+ * SceneEditor manager - one editor per visual
+ */
+const editors = new Map();
+
+/**
+ * Decimals kept for percent coordinates and other edited numbers
+ */
+const PRECISION = 2;
+
+/**
+ * Props the inspector doesn't edit (nested objects)
+ */
+const HIDDEN_PROPS = ['shadow'];
+
+export const SceneEditor = {
+    /**
+     * Open the editor for a visual
+     * @param {Object} config
+     * @param {string} config.visualId - Visual identifier
+     * @param {HTMLElement} config.container - Visual block container (inspector goes here)
+     * @param {import('../engine/StageManager.js').StageManager} config.stageManager
+     * @param {import('../engine/SceneBuilder.js').SceneBuilder} config.sceneBuilder
+     * @param {Object} config.scene - Scene definition (edited in place)
+     * @param {number} [config.stepIndex=0] - Step to start on (0-based)
+     * @param {Function} [config.onStepChange] - Called with the step index shown
+     * @param {Function} [config.onChange] - Called with the scene after every edit
+     * @returns {Object} SceneEditor instance
+     */
+    open(config) {
+        if (editors.has(config.visualId)) {
+            return editors.get(config.visualId);
+        }
+
+        const instance = {
+            visualId: config.visualId,
+            container: config.container,
+            stageManager: config.stageManager,
+            sceneBuilder: config.sceneBuilder,
+            scene: config.scene,
+            stepIndex: config.stepIndex ?? 0,
+            initialStepCount: config.scene.steps.length,
+            selectedId: null,
+            onStepChange: config.onStepChange,
+            onChange: config.onChange,
+            layer: null,
+            transformer: null,
+            elements: {},
+            unsubscribeHistory: null
+        };
+
+        // Transformer lives on its own layer above the scene
+        instance.layer = new Konva.Layer();
+        instance.transformer = new Konva.Transformer({
+            rotateEnabled: true,
+            ignoreStroke: true,
+            anchorSize: 10,
+            borderStroke: '#38bdf8',
+            anchorStroke: '#38bdf8'
+        });
+        instance.layer.add(instance.transformer);
+        instance.stageManager.getStage().add(instance.layer);
+
+        this._render(instance);
+        this._bindStageEvents(instance);
+        instance.unsubscribeHistory = EventBus.on(Events.HISTORY_CHANGED, (state) => {
+            this._renderHistory(instance, state);
+        });
+        this._renderHistory(instance, CommandHistory.getState());
+
+        editors.set(config.visualId, instance);
+        this._showStep(instance, instance.stepIndex);
+
+        console.log(`[SceneEditor] Editing "${config.visualId}"`);
+
+        return instance;
+    },
+
+    /**
+     * Close the editor (the edited scene stays in place)
+     * @param {string} visualId
+     */
+    close(visualId) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        // A drag still in progress ends here
+        CommandHistory.endGroup();
+
+        this._setDraggable(instance, null);
+        instance.stageManager.getStage().off('.sceneEditor');
+        instance.unsubscribeHistory?.();
+        instance.transformer.destroy();
+        instance.layer.destroy();
+        instance.elements.panel?.remove();
+
+        editors.delete(visualId);
+        console.log(`[SceneEditor] Closed "${visualId}"`);
+    },
+
+    /**
+     * Check whether a visual is being edited
+     * @param {string} visualId
+     * @returns {boolean}
+     */
+    isOpen(visualId) {
+        return editors.has(visualId);
+    },
+
+    /**
+     * Get an editor instance
+     * @param {string} visualId
+     * @returns {Object|null}
+     */
+    get(visualId) {
+        return editors.get(visualId) || null;
+    },
+
+    /**
+     * Select an object by id (null clears the selection)
+     * @param {string} visualId
+     * @param {string|null} objectId
+     */
+    select(visualId, objectId) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        const node = objectId ? instance.sceneBuilder.objects.get(objectId) : null;
+        instance.selectedId = node ? objectId : null;
+
+        this._setDraggable(instance, node);
+
+        const type = node?.getAttr('objectType');
+        if (node && type !== 'connectionArrow') {
+            const uniform = type === 'text' || type === 'circle';
+            instance.transformer.keepRatio(uniform);
+            instance.transformer.enabledAnchors(uniform
+                ? ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+                : ['top-left', 'top-center', 'top-right', 'middle-right', 'middle-left', 'bottom-left', 'bottom-center', 'bottom-right']);
+            instance.transformer.nodes([node]);
+        } else {
+            instance.transformer.nodes([]);
+        }
+
+        instance.layer.batchDraw();
+        this._renderInspector(instance);
+    },
+
+    /**
+     * Show a step (0-based)
+     * @param {string} visualId
+     * @param {number} stepIndex
+     */
+    goToStep(visualId, stepIndex) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        this._showStep(instance, stepIndex);
+    },
+
+    /**
+     * Set props of an object at the current step
+     * @param {string} visualId
+     * @param {string} objectId
+     * @param {Object} props - Props to set (undefined removes them from the step)
+     */
+    setProps(visualId, objectId, props) {
+        const instance = editors.get(visualId);
+        if (!instance || !resolveStep(instance.scene, instance.stepIndex).has(objectId)) return;
+
+        this._edit(instance, `Edit ${objectId}`, () => {
+            setObjectProps(instance.scene, instance.stepIndex, objectId, props);
+        });
+    },
+
+    /**
+     * Insert an empty step (holding every object) after the current one
+     * @param {string} visualId
+     */
+    addStep(visualId) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        this._edit(instance, 'Add step', () => addStep(instance.scene, instance.stepIndex));
+    },
+
+    /**
+     * Insert a copy of the current step after it
+     * @param {string} visualId
+     */
+    duplicateStep(visualId) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        this._edit(instance, 'Duplicate step', () => duplicateStep(instance.scene, instance.stepIndex));
+    },
+
+    /**
+     * Delete the current step (a scene keeps at least one)
+     * @param {string} visualId
+     */
+    deleteStep(visualId) {
+        const instance = editors.get(visualId);
+        if (!instance) return;
+
+        if (instance.scene.steps.length <= 1) {
+            console.warn('[SceneEditor] A scene needs at least one step');
+            return;
+        }
+
+        this._edit(instance, 'Delete step', () => {
+            deleteStep(instance.scene, instance.stepIndex);
+            return Math.min(instance.stepIndex, instance.scene.steps.length - 1);
+        });
+    },
+
+    /**
+     * Get the edited scene as JSON
+     * @param {string} visualId
+     * @returns {string}
+     */
+    toJSON(visualId) {
+        const instance = editors.get(visualId);
+        return instance ? serializeScene(instance.scene) : '';
+    },
+
+    // ==========================================================================
+    // PRIVATE
+    // ==========================================================================
+
+    /**
+     * Make an edit through CommandHistory
+     * `mutate` edits the scene and may return the step to show afterwards;
+     * undo goes back to the step the edit was made on.
+     * @private
+     */
+    _edit(instance, label, mutate) {
+        const { visualId, scene, sceneBuilder, onChange, onStepChange } = instance;
+        const stepBefore = instance.stepIndex;
+
+        // Keep what's needed to re-sync the stage after the editor is closed
+        const context = { visualId, scene, sceneBuilder, onChange, onStepChange };
+
+        CommandHistory.execute(createSnapshotCommand({
+            label: `${label} (${visualId})`,
+            target: scene,
+            apply: () => mutate() ?? stepBefore,
+            onApply: (direction, stepAfter) => {
+                this._resync(context, direction === 'undo' ? stepBefore : stepAfter);
+            }
+        }));
+    },
+
+    /**
+     * Re-render a scene at a step after an edit, undo or redo
+     * @private
+     */
+    _resync(context, stepIndex) {
+        const instance = editors.get(context.visualId);
+
+        if (instance?.scene === context.scene) {
+            instance.stepIndex = stepIndex;
+            this._changed(instance);
+            return;
+        }
+
+        const step = Math.min(stepIndex, context.scene.steps.length - 1);
+        context.onChange?.(context.scene);
+        context.sceneBuilder.refresh(step);
+        context.onStepChange?.(step);
+
+        EventBus.emit(Events.VISUAL_SCENE_EDITED, {
+            visualId: context.visualId,
+            step: step + 1,
+            totalSteps: context.scene.steps.length
+        });
+    },
+
+    /**
+     * Rebuild the stage after an edit and notify listeners
+     * @private
+     */
+    _changed(instance) {
+        instance.onChange?.(instance.scene);
+        this._showStep(instance, instance.stepIndex);
+
+        EventBus.emit(Events.VISUAL_SCENE_EDITED, {
+            visualId: instance.visualId,
+            step: instance.stepIndex + 1,
+            totalSteps: instance.scene.steps.length
+        });
+    },
+
+    /**
+     * Rebuild the stage at a step and restore the selection
+     * @private
+     */
+    _showStep(instance, stepIndex) {
+        instance.stepIndex = Math.min(Math.max(stepIndex, 0), instance.scene.steps.length - 1);
+
+        // Nodes are recreated, so drop references to the old ones first
+        instance.transformer.nodes([]);
+        instance.sceneBuilder.refresh(instance.stepIndex);
+        instance.onStepChange?.(instance.stepIndex);
+
+        // Objects fading out of this step are invisible - don't let them catch clicks
+        for (const node of instance.sceneBuilder.fadingOut) {
+            node.listening(false);
+        }
+
+        const alive = resolveStep(instance.scene, instance.stepIndex);
+        this.select(instance.visualId, alive.has(instance.selectedId) ? instance.selectedId : null);
+    },
+
+    /**
+     * Make only the selected node draggable
+     * @private
+     */
+    _setDraggable(instance, node) {
+        for (const candidate of instance.sceneBuilder.objects.values()) {
+            candidate?.draggable(false);
+        }
+
+        if (node && node.getAttr('objectType') !== 'connectionArrow') {
+            node.draggable(true);
+        }
+    },
+
+    /**
+     * Select on click, write back on drag/transform end
+     * @private
+     */
+    _bindStageEvents(instance) {
+        const stage = instance.stageManager.getStage();
+
+        stage.on('click.sceneEditor tap.sceneEditor', (e) => {
+            if (e.target.getParent()?.className === 'Transformer') return;
+            this.select(instance.visualId, this._findObjectId(instance, e.target));
+        });
+
+        // A gesture is one history entry, however many props it writes
+        stage.on('dragstart.sceneEditor', (e) => {
+            CommandHistory.beginGroup(`Move ${this._findObjectId(instance, e.target)}`);
+        });
+
+        instance.transformer.on('transformstart', () => {
+            CommandHistory.beginGroup(`Transform ${instance.selectedId}`);
+        });
+
+        // Arrows follow their targets while dragging
+        stage.on('dragmove.sceneEditor transform.sceneEditor', () => {
+            instance.sceneBuilder.updateConnections();
+        });
+
+        stage.on('dragend.sceneEditor', (e) => {
+            const id = this._findObjectId(instance, e.target);
+            if (id) this._commitNode(instance, id, e.target, false);
+            CommandHistory.endGroup();
+        });
+
+        instance.transformer.on('transformend', () => {
+            const node = instance.transformer.nodes()[0];
+            const id = node && this._findObjectId(instance, node);
+            if (id) this._commitNode(instance, id, node, true);
+            CommandHistory.endGroup();
+        });
+    },
+
+    /**
+     * Find the scene object id of a clicked node (nearest registered ancestor)
+     * @private
+     */
+    _findObjectId(instance, target) {
+        const ids = new Map();
+        for (const [id, node] of instance.sceneBuilder.objects) {
+            if (id !== undefined && !instance.sceneBuilder.fadingOut.has(node)) ids.set(node, id);
+        }
+
+        for (let node = target; node && node !== instance.stageManager.getLayer(); node = node.getParent()) {
+            if (ids.has(node)) return ids.get(node);
+        }
+
+        return null;
+    },
+
+    /**
+     * Convert a dragged/transformed node back to scene props
+     * @private
+     */
+    _commitNode(instance, id, node, transformed) {
+        const { stageManager } = instance;
+        const object = resolveStep(instance.scene, instance.stepIndex).get(id);
+        if (!object) return;
+
+        // Percent of the stage, relative to the parent (group children)
+        const props = {
+            x: round(stageManager.toPercent(node.x(), 'x')),
+            y: round(stageManager.toPercent(node.y(), 'y'))
+        };
+
+        if (transformed) {
+            const authoredX = object.props.scaleX ?? object.props.scale ?? 1;
+            const authoredY = object.props.scaleY ?? object.props.scale ?? 1;
+            const factorX = node.scaleX() / authoredX;
+            const factorY = node.scaleY() / authoredY;
+
+            if (round(node.rotation()) !== (object.props.rotation ?? 0)) {
+                props.rotation = round(node.rotation());
+            }
+
+            // Bake the resize into size props where the type has them
+            switch (object.type) {
+                case 'rect':
+                    props.width = round(stageManager.toPercent(node.width() * factorX, 'x'));
+                    props.height = round(stageManager.toPercent(node.height() * factorY, 'y'));
+                    break;
+                case 'circle':
+                    props.radius = round(stageManager.toPercent(node.radius() * factorX, 'x'));
+                    break;
+                case 'text':
+                    props.fontSize = round((object.props.fontSize ?? 16) * factorY);
+                    break;
+                default:
+                    if (Math.abs(node.scaleX() - node.scaleY()) < 0.001) {
+                        Object.assign(props, { scale: round(node.scaleX()), scaleX: undefined, scaleY: undefined });
+                    } else {
+                        Object.assign(props, { scale: undefined, scaleX: round(node.scaleX()), scaleY: round(node.scaleY()) });
+                    }
+            }
+        }
+
+        this.setProps(instance.visualId, id, props);
+    },
+
+    /**
+     * Render the editor panel
+     * @private
+     */
+    _render(instance) {
+        const panel = document.createElement('div');
+        panel.className = 'scene-editor';
+        panel.dataset.sceneEditor = instance.visualId;
+        panel.innerHTML = `
+            <div class="scene-editor-toolbar">
+                <button class="btn btn-ghost" data-editor-action="prev-step" aria-label="Previous step">◀</button>
+                <span class="scene-editor-step" data-editor-step></span>
+                <button class="btn btn-ghost" data-editor-action="next-step" aria-label="Next step">▶</button>
+                <button class="btn btn-secondary" data-editor-action="add-step">➕ Add Step</button>
+                <button class="btn btn-secondary" data-editor-action="duplicate-step">⧉ Duplicate Step</button>
+                <button class="btn btn-danger" data-editor-action="delete-step">🗑 Delete Step</button>
+                <button class="btn btn-ghost" data-editor-action="undo" aria-label="Undo" disabled>↶ Undo</button>
+                <button class="btn btn-ghost" data-editor-action="redo" aria-label="Redo" disabled>↷ Redo</button>
+            </div>
+            <div class="scene-editor-body">
+                <label class="scene-editor-field">
+                    <span>Object</span>
+                    <select data-editor-object></select>
+                </label>
+                <div class="scene-editor-props" data-editor-props></div>
+            </div>
+            <div class="scene-editor-footer">
+                <span class="scene-editor-status" data-editor-status></span>
+                <button class="btn btn-primary" data-editor-action="copy-json">📋 Copy JSON</button>
+                <button class="btn btn-success" data-editor-action="download-json">⬇ Download JSON</button>
+            </div>
+        `;
+
+        const anchor = instance.container.querySelector('.step-navigation') ||
+            instance.container.querySelector('.animation-container');
+        if (anchor) {
+            anchor.after(panel);
+        } else {
+            instance.container.appendChild(panel);
+        }
+
+        instance.elements = {
+            panel,
+            step: panel.querySelector('[data-editor-step]'),
+            object: panel.querySelector('[data-editor-object]'),
+            props: panel.querySelector('[data-editor-props]'),
+            status: panel.querySelector('[data-editor-status]')
+        };
+
+        const { visualId } = instance;
+        const actions = {
+            'prev-step': () => this.goToStep(visualId, instance.stepIndex - 1),
+            'next-step': () => this.goToStep(visualId, instance.stepIndex + 1),
+            'add-step': () => this.addStep(visualId),
+            'duplicate-step': () => this.duplicateStep(visualId),
+            'delete-step': () => this.deleteStep(visualId),
+            'undo': () => CommandHistory.undo(),
+            'redo': () => CommandHistory.redo(),
+            'copy-json': () => this._copyJSON(instance),
+            'download-json': () => this._downloadJSON(instance)
+        };
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (button) actions[button.dataset.editorAction]?.();
+        });
+
+        instance.elements.object.addEventListener('change', () => {
+            this.select(visualId, instance.elements.object.value || null);
+        });
+
+        instance.elements.props.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-prop]');
+            if (!input || !instance.selectedId) return;
+
+            const prop = input.dataset.prop;
+            const raw = input.value.trim();
+            let value = raw === '' ? undefined : raw;
+
+            if (value !== undefined && NUMERIC_PROPS.includes(prop)) {
+                value = Number(raw);
+                if (!Number.isFinite(value)) {
+                    input.classList.add('invalid');
+                    return;
+                }
+            }
+
+            this.setProps(visualId, instance.selectedId, { [prop]: value });
+        });
+    },
+
+    /**
+     * Update step label, object list and props form
+     * @private
+     */
+    _renderInspector(instance) {
+        const { elements, scene, stepIndex, selectedId } = instance;
+        const alive = resolveStep(scene, stepIndex);
+        const step = scene.steps[stepIndex];
+
+        elements.step.textContent = `Step ${stepIndex + 1}/${scene.steps.length}${step.id ? ` (${step.id})` : ''}`;
+        elements.panel.querySelector('[data-editor-action="prev-step"]').disabled = stepIndex === 0;
+        elements.panel.querySelector('[data-editor-action="next-step"]').disabled = stepIndex >= scene.steps.length - 1;
+        elements.panel.querySelector('[data-editor-action="delete-step"]').disabled = scene.steps.length <= 1;
+
+        elements.object.innerHTML = `
+            <option value="">- none -</option>
+            ${[...alive.values()].map(object => `
+                <option value="${escapeHtml(object.id)}" ${object.id === selectedId ? 'selected' : ''}>
+                    ${object.parentId ? '&nbsp;&nbsp;↳ ' : ''}${escapeHtml(object.id)} (${object.type})
+                </option>
+            `).join('')}
+        `;
+
+        const object = alive.get(selectedId);
+        if (!object) {
+            elements.props.innerHTML = '<p class="scene-editor-hint">Click an object on the stage to edit it.</p>';
+        } else {
+            // Later steps only apply the props SceneBuilder can update
+            const created = object.createdStep === stepIndex;
+            const editable = (created ? OBJECT_PROPS : UPDATE_PROPS)[object.type] || [];
+            const own = this._ownProps(instance, selectedId);
+
+            elements.props.innerHTML = `
+                <p class="scene-editor-hint">${created ? 'Created in this step' : 'Changes in this step'} - empty fields keep the earlier value</p>
+                ${editable.filter(prop => !HIDDEN_PROPS.includes(prop)).map(prop => `
+                    <label class="scene-editor-field">
+                        <span>${prop}</span>
+                        <input type="${NUMERIC_PROPS.includes(prop) ? 'number' : 'text'}" step="any" data-prop="${prop}"
+                               value="${own[prop] !== undefined ? escapeHtml(String(own[prop])) : ''}"
+                               placeholder="${object.props[prop] !== undefined ? escapeHtml(String(object.props[prop])) : ''}">
+                    </label>
+                `).join('')}
+            `;
+        }
+
+        this._renderStatus(instance);
+    },
+
+    /**
+     * Enable undo/redo buttons from the history state
+     * @private
+     */
+    _renderHistory(instance, { canUndo, canRedo, undoLabel, redoLabel }) {
+        const undo = instance.elements.panel.querySelector('[data-editor-action="undo"]');
+        const redo = instance.elements.panel.querySelector('[data-editor-action="redo"]');
+
+        undo.disabled = !canUndo;
+        undo.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        redo.disabled = !canRedo;
+        redo.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    },
+
+    /**
+     * Props the current step sets explicitly for an object
+     * @private
+     */
+    _ownProps(instance, id) {
+        const object = resolveStep(instance.scene, instance.stepIndex).get(id);
+        if (!object) return {};
+        if (object.createdStep === instance.stepIndex) return object.props;
+
+        // Props this step changes (or re-states)
+        const own = {};
+        const step = instance.scene.steps[instance.stepIndex];
+        for (const { entry } of flattenStep(step)) {
+            if (entry.id === id) Object.assign(own, entry.props || {});
+        }
+        return own;
+    },
+
+    /**
+     * Lint summary and step-count reminder
+     * @private
+     */
+    _renderStatus(instance) {
+        const result = lintScene(instance.scene);
+        const parts = [`Lint: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`];
+
+        if (instance.scene.steps.length !== instance.initialStepCount) {
+            parts.push(`Steps changed to ${instance.scene.steps.length} - update visual.steps in config.js`);
+        }
+
+        instance.elements.status.textContent = parts.join(' | ');
+        instance.elements.status.title = result.errors.concat(result.warnings)
+            .map(({ path, message }) => `${path}: ${message}`).join('\n');
+    },
+
+    /**
+     * @private
+     */
+    async _copyJSON(instance) {
+        try {
+            await navigator.clipboard.writeText(serializeScene(instance.scene));
+            instance.elements.status.textContent = 'Scene JSON copied';
+        } catch (error) {
+            console.error('[SceneEditor] Copy failed:', error);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _downloadJSON(instance) {
+        const blob = new Blob([serializeScene(instance.scene)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${instance.scene.id || instance.visualId}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * @private
+ */
+function round(value) {
+    const factor = 10 ** PRECISION;
+    return Math.round(value * factor) / factor;
+}
@@ -53,7 +53,10 @@ export const Section = {
                         <h3>📊 Visual: ${config.visual.title || config.title}</h3>
                         <div class="visual-controls">
                             <button class="btn btn-success" data-export-visual="png">⬇ Export PNG</button>
+                            <button class="btn btn-success" data-export-visual="svg">⬇ Export SVG</button>
                             <button class="btn btn-primary" data-export-visual="video">🎬 Export Video</button>
+                            ${config.audio?.file ? `<button class="btn btn-primary" data-export-visual="video-narrated">🎙️ Export with Narration</button>` : ''}
+                            <button class="btn btn-ghost" data-action="edit-scene">✏️ Edit Scene</button>
                         </div>
                     </div>
                     <div class="animation-container" id="${config.visual.id}-container">
@@ -151,7 +154,8 @@ export const Section = {
         let processedScript = script;
 
         // Sort syncPoints by highlight length (longest first) to avoid partial replacements
-        const sortedPoints = [...syncPoints].sort((a, b) =>
+        // (points placed only by time or word offset have nothing to highlight)
+        const sortedPoints = syncPoints.filter(point => point.highlight).sort((a, b) =>
             b.highlight.length - a.highlight.length
         );
 
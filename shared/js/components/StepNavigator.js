@@ -19,6 +19,8 @@ export const StepNavigator = {
      * @param {number} config.totalSteps - Total number of steps
      * @param {number} [config.initialStep=1] - Starting step (1-indexed)
      * @param {Function} [config.onStepChange] - Callback when step changes
+     * @param {Function} [config.onScrub] - Callback with timeline progress (0-1);
+     *   adds a scrubber when provided
      * @returns {Object} StepNavigator instance
      */
     init(config) {
@@ -30,6 +32,7 @@ export const StepNavigator = {
                 totalSteps: config.totalSteps
             },
             onStepChange: config.onStepChange,
+            onScrub: config.onScrub,
             elements: {}
         };
 
@@ -62,13 +65,18 @@ export const StepNavigator = {
             <button class="step-nav-btn" data-direction="next" aria-label="Next step">
                 ▶
             </button>
+            ${instance.onScrub ? `
+            <input type="range" class="step-scrubber" data-step-scrubber
+                   min="0" max="1000" value="0" aria-label="Scrub animation">
+            ` : ''}
         `;
 
         // Cache elements
         instance.elements = {
             prevBtn: instance.container.querySelector('[data-direction="prev"]'),
             nextBtn: instance.container.querySelector('[data-direction="next"]'),
-            indicator: instance.container.querySelector('[data-step-indicator]')
+            indicator: instance.container.querySelector('[data-step-indicator]'),
+            scrubber: instance.container.querySelector('[data-step-scrubber]')
         };
     },
 
@@ -93,8 +101,17 @@ export const StepNavigator = {
             });
         }
 
+        // Scrubber
+        if (elements.scrubber) {
+            elements.scrubber.addEventListener('input', () => {
+                instance.onScrub(elements.scrubber.value / 1000);
+            });
+        }
+
         // Keyboard navigation
         instance.container.addEventListener('keydown', (e) => {
+            if (e.target === elements.scrubber) return; // Arrows move the scrubber
+
             if (e.key === 'ArrowLeft') {
                 this.prevStep(visualId);
             } else if (e.key === 'ArrowRight') {
@@ -161,6 +178,32 @@ export const StepNavigator = {
         }
     },
 
+    /**
+     * Show a step without emitting events or calling onStepChange
+     * (for when the visual moved on its own, e.g. while scrubbing)
+     * @param {string} visualId
+     * @param {number} stepNumber - 1-indexed step number
+     */
+    setCurrentStep(visualId, stepNumber) {
+        const instance = navigators.get(visualId);
+        if (!instance) return;
+
+        instance.state.currentStep = Math.max(1, Math.min(stepNumber, instance.state.totalSteps));
+        this._updateButtons(instance);
+    },
+
+    /**
+     * Move the scrubber without calling onScrub
+     * @param {string} visualId
+     * @param {number} progress - Timeline progress (0-1)
+     */
+    setScrubPosition(visualId, progress) {
+        const scrubber = navigators.get(visualId)?.elements.scrubber;
+        if (scrubber) {
+            scrubber.value = Math.round(Math.max(0, Math.min(progress, 1)) * 1000);
+        }
+    },
+
     /**
      * Go to next step
      * @param {string} visualId
@@ -0,0 +1,503 @@
+/**
+ * TakesPanel Component - Record and Manage Narration Takes
+ * Lesson Builder System
+ *
+ * Sits under a section's audio player: records takes from the microphone,
+ * lists them, previews one with its waveform and trim handles, and marks
+ * one as chosen. Takes live in IndexedDB (RecordingService.TakeStore), so
+ * they survive reloads; the chosen one is announced with AUDIO_TAKE_CHOSEN
+ * (LessonCore gives it to the AudioPlayer, ExportManager packages it).
+ */
+
+import { EventBus, Events } from '../core/EventBus.js';
+import {
+    TakeStore,
+    VoiceRecorder,
+    computePeaks,
+    decodeAudio,
+    isTrimmed
+} from '../services/RecordingService.js';
+import { formatTime } from '../utils/format.js';
+
+/**
+ * TakesPanel manager - one panel per section
+ */
+const panels = new Map();
+
+/**
+ * Shared by every panel (one microphone, one recording at a time)
+ */
+const takeStore = new TakeStore();
+const recorder = new VoiceRecorder();
+let recordingSection = null;
+
+export const TakesPanel = {
+    /**
+     * Initialize a TakesPanel instance
+     * @param {Object} config
+     * @param {HTMLElement} config.container - Element the panel is appended to
+     * @param {string} config.sectionId - Section identifier
+     * @param {string} config.lessonId - Lesson identifier (takes are stored per lesson)
+     * @returns {Object} TakesPanel instance
+     */
+    init(config) {
+        const instance = {
+            container: config.container,
+            sectionId: config.sectionId,
+            lessonId: config.lessonId,
+            takes: [],
+            state: {
+                selected: null, // take id in the editor
+                buffer: null, // decoded audio of the selected take
+                trim: null,
+                peaks: null,
+                previewUrl: null,
+                timer: null
+            },
+            elements: {}
+        };
+
+        this._render(instance);
+        this._bindEvents(instance);
+        panels.set(config.sectionId, instance);
+
+        this._load(instance, { announce: true });
+
+        return instance;
+    },
+
+    /**
+     * Start recording a take, or stop and keep it
+     * @param {string} sectionId
+     */
+    async toggleRecording(sectionId) {
+        const instance = panels.get(sectionId);
+        if (!instance) return;
+
+        if (recordingSection === sectionId) {
+            await this._finishRecording(instance);
+            return;
+        }
+
+        if (recordingSection) {
+            this._setStatus(instance, `Already recording "${recordingSection}"`);
+            return;
+        }
+
+        try {
+            await recorder.start();
+        } catch (error) {
+            console.warn('TakesPanel: Could not start recording:', error);
+            this._setStatus(instance, `Microphone unavailable: ${error.message}`);
+            return;
+        }
+
+        recordingSection = sectionId;
+        instance.elements.recordBtn.textContent = '⏹ Stop';
+        instance.container.classList.add('recording');
+        instance.state.timer = setInterval(() => {
+            this._setStatus(instance, `● Recording ${formatTime(recorder.getElapsed())}`);
+        }, 250);
+        this._setStatus(instance, '● Recording 00:00');
+    },
+
+    /**
+     * Make a take the section's narration (null to go back to audio.file)
+     * @param {string} sectionId
+     * @param {string|null} takeId
+     */
+    async choose(sectionId, takeId) {
+        const instance = panels.get(sectionId);
+        if (!instance) return;
+
+        let take;
+        try {
+            take = await takeStore.choose(instance.lessonId, sectionId, takeId);
+        } catch (error) {
+            console.warn('TakesPanel: Could not choose the take:', error);
+            this._setStatus(instance, `Could not choose the take: ${error.message}`);
+            return;
+        }
+        await this._load(instance);
+
+        EventBus.emit(Events.AUDIO_TAKE_CHOSEN, { sectionId, take });
+    },
+
+    /**
+     * Delete a take
+     * @param {string} sectionId
+     * @param {string} takeId
+     */
+    async remove(sectionId, takeId) {
+        const instance = panels.get(sectionId);
+        const take = instance?.takes.find(item => item.id === takeId);
+        if (!take || !confirm(`Delete take ${take.number}?`)) return;
+
+        try {
+            await takeStore.delete(takeId);
+        } catch (error) {
+            console.warn(`TakesPanel: Could not delete take ${take.number}:`, error);
+            this._setStatus(instance, `Could not delete take ${take.number}: ${error.message}`);
+            return;
+        }
+        if (instance.state.selected === takeId) this._closeEditor(instance);
+        await this._load(instance);
+
+        if (take.chosen) {
+            EventBus.emit(Events.AUDIO_TAKE_CHOSEN, { sectionId, take: null });
+        }
+    },
+
+    /**
+     * Open a take in the editor (waveform, trim, preview)
+     * @param {string} sectionId
+     * @param {string} takeId
+     */
+    async select(sectionId, takeId) {
+        const instance = panels.get(sectionId);
+        const take = instance?.takes.find(item => item.id === takeId);
+        if (!take) return;
+
+        this._closeEditor(instance);
+        instance.state.selected = takeId;
+        this._renderList(instance);
+
+        try {
+            instance.state.buffer = await decodeAudio(take.blob);
+        } catch (error) {
+            console.warn(`TakesPanel: Could not decode take ${take.number}:`, error);
+            this._setStatus(instance, `Take ${take.number} can't be decoded`);
+            return;
+        }
+
+        const duration = instance.state.buffer.duration;
+        instance.state.trim = take.trim ? { ...take.trim } : { start: 0, end: duration };
+        instance.state.previewUrl = URL.createObjectURL(take.blob);
+        instance.elements.preview.src = instance.state.previewUrl;
+
+        const { trimStart, trimEnd } = instance.elements;
+        [trimStart, trimEnd].forEach(input => {
+            input.max = duration.toFixed(2);
+        });
+        trimStart.value = instance.state.trim.start;
+        trimEnd.value = instance.state.trim.end;
+
+        instance.elements.editor.hidden = false;
+        this._drawWaveform(instance);
+    },
+
+    /**
+     * Keep the editor's trim with the take
+     * @param {string} sectionId
+     */
+    async saveTrim(sectionId) {
+        const instance = panels.get(sectionId);
+        const take = instance?.takes.find(item => item.id === instance.state.selected);
+        if (!take || !instance.state.trim) return;
+
+        const updated = { ...take, trim: { ...instance.state.trim } };
+        try {
+            await takeStore.put(updated);
+        } catch (error) {
+            console.warn(`TakesPanel: Could not save the trim of take ${take.number}:`, error);
+            this._setStatus(instance, `Could not save the trim: ${error.message}`);
+            return;
+        }
+        await this._load(instance);
+        this._setStatus(instance, isTrimmed(updated)
+            ? `Take ${take.number} trimmed to ${formatTime(updated.trim.end - updated.trim.start)}`
+            : `Take ${take.number} untrimmed`);
+
+        // The narration in use changed
+        if (take.chosen) {
+            EventBus.emit(Events.AUDIO_TAKE_CHOSEN, { sectionId, take: updated });
+        }
+    },
+
+    /**
+     * Destroy a TakesPanel instance
+     * @param {string} sectionId
+     */
+    destroy(sectionId) {
+        const instance = panels.get(sectionId);
+        if (!instance) return;
+
+        if (recordingSection === sectionId) {
+            clearInterval(instance.state.timer);
+            recorder.cancel();
+            recordingSection = null;
+        }
+        this._closeEditor(instance);
+        instance.elements.panel?.remove();
+        panels.delete(sectionId);
+    },
+
+    /**
+     * Destroy all TakesPanel instances
+     */
+    destroyAll() {
+        panels.forEach((_, sectionId) => {
+            this.destroy(sectionId);
+        });
+    },
+
+    /**
+     * Render panel HTML
+     * @private
+     */
+    _render(instance) {
+        const panel = document.createElement('div');
+        panel.className = 'takes-panel';
+        panel.innerHTML = `
+            <div class="takes-header">
+                <button class="btn btn-danger" data-action="record" ${VoiceRecorder.isSupported() ? '' : 'disabled title="Recording is not supported in this browser"'}>⏺ Record Take</button>
+                <span class="takes-status" data-takes-status></span>
+            </div>
+            <ul class="takes-list" data-takes-list></ul>
+            <div class="take-editor" data-take-editor hidden>
+                <canvas class="take-waveform" width="800" height="96"></canvas>
+                <div class="take-trim">
+                    <label>Start <input type="range" data-trim="start" min="0" step="0.05" value="0"></label>
+                    <label>End <input type="range" data-trim="end" min="0" step="0.05" value="0"></label>
+                    <span data-trim-label></span>
+                </div>
+                <div class="take-editor-actions">
+                    <button class="btn btn-secondary" data-action="preview">▶ Preview</button>
+                    <button class="btn btn-primary" data-action="save-trim">✂ Save Trim</button>
+                    <button class="btn btn-ghost" data-action="close-editor">Close</button>
+                </div>
+                <audio class="take-preview" preload="auto"></audio>
+            </div>
+        `;
+        instance.container.appendChild(panel);
+
+        instance.elements = {
+            panel,
+            recordBtn: panel.querySelector('[data-action="record"]'),
+            status: panel.querySelector('[data-takes-status]'),
+            list: panel.querySelector('[data-takes-list]'),
+            editor: panel.querySelector('[data-take-editor]'),
+            waveform: panel.querySelector('.take-waveform'),
+            trimStart: panel.querySelector('[data-trim="start"]'),
+            trimEnd: panel.querySelector('[data-trim="end"]'),
+            trimLabel: panel.querySelector('[data-trim-label]'),
+            preview: panel.querySelector('.take-preview'),
+            previewBtn: panel.querySelector('[data-action="preview"]')
+        };
+    },
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents(instance) {
+        const { elements, sectionId } = instance;
+
+        elements.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            e.stopPropagation();
+
+            const takeId = button.closest('[data-take]')?.dataset.take;
+            switch (button.dataset.action) {
+                case 'record': this.toggleRecording(sectionId); break;
+                case 'choose': this.choose(sectionId, takeId); break;
+                case 'unchoose': this.choose(sectionId, null); break;
+                case 'edit': this.select(sectionId, takeId); break;
+                case 'delete': this.remove(sectionId, takeId); break;
+                case 'preview': this._togglePreview(instance); break;
+                case 'save-trim': this.saveTrim(sectionId); break;
+                case 'close-editor': this._closeEditor(instance); this._renderList(instance); break;
+            }
+        });
+
+        // Trim handles (start stays before end)
+        elements.editor.addEventListener('input', (e) => {
+            const handle = e.target.dataset.trim;
+            if (!handle || !instance.state.trim) return;
+
+            const value = Number(e.target.value);
+            if (handle === 'start') {
+                instance.state.trim.start = Math.min(value, instance.state.trim.end - 0.1);
+                elements.trimStart.value = instance.state.trim.start;
+            } else {
+                instance.state.trim.end = Math.max(value, instance.state.trim.start + 0.1);
+                elements.trimEnd.value = instance.state.trim.end;
+            }
+            this._drawWaveform(instance);
+        });
+
+        // Preview plays only the trimmed part
+        elements.preview.addEventListener('timeupdate', () => {
+            if (instance.state.trim && elements.preview.currentTime >= instance.state.trim.end) {
+                elements.preview.pause();
+            }
+            this._drawWaveform(instance);
+        });
+        elements.preview.addEventListener('pause', () => {
+            elements.previewBtn.textContent = '▶ Preview';
+        });
+        elements.preview.addEventListener('play', () => {
+            elements.previewBtn.textContent = '⏸ Stop';
+        });
+    },
+
+    /**
+     * Load the section's takes and list them
+     * @private
+     * @param {Object} instance
+     * @param {Object} [options]
+     * @param {boolean} [options.announce=false] - Emit the chosen take (first load)
+     */
+    async _load(instance, options = {}) {
+        try {
+            instance.takes = await takeStore.list(instance.lessonId, instance.sectionId);
+        } catch (error) {
+            console.warn(`TakesPanel: Could not load takes for "${instance.sectionId}":`, error);
+            instance.takes = [];
+        }
+
+        if (panels.get(instance.sectionId) !== instance) return;
+        this._renderList(instance);
+
+        const chosen = instance.takes.find(take => take.chosen);
+        if (options.announce && chosen) {
+            EventBus.emit(Events.AUDIO_TAKE_CHOSEN, { sectionId: instance.sectionId, take: chosen, restored: true });
+        }
+    },
+
+    /**
+     * @private
+     */
+    _renderList(instance) {
+        instance.elements.list.innerHTML = instance.takes.map(take => `
+            <li class="take-item ${take.chosen ? 'chosen' : ''} ${take.id === instance.state.selected ? 'selected' : ''}" data-take="${take.id}">
+                <span class="take-name">Take ${take.number}</span>
+                <span class="take-meta">
+                    ${formatTime(isTrimmed(take) ? take.trim.end - take.trim.start : take.duration)}${isTrimmed(take) ? ' ✂' : ''}
+                    · ${new Date(take.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                ${take.chosen
+                    ? '<button class="btn btn-success" data-action="unchoose" title="Use audio.file again">✓ In use</button>'
+                    : '<button class="btn btn-secondary" data-action="choose">Use</button>'}
+                <button class="btn btn-ghost" data-action="edit">Trim</button>
+                <button class="btn btn-ghost" data-action="delete" aria-label="Delete take ${take.number}">🗑</button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * @private
+     */
+    async _finishRecording(instance) {
+        clearInterval(instance.state.timer);
+        instance.state.timer = null;
+        recordingSection = null;
+        instance.elements.recordBtn.textContent = '⏺ Record Take';
+        instance.container.classList.remove('recording');
+
+        try {
+            const { blob, mimeType } = await recorder.stop();
+
+            // MediaRecorder files don't carry a usable duration - decode for it
+            let duration = 0;
+            try {
+                duration = (await decodeAudio(blob)).duration;
+            } catch (error) {
+                console.warn('TakesPanel: Could not measure the take:', error);
+            }
+
+            const take = await takeStore.add({
+                lessonId: instance.lessonId,
+                sectionId: instance.sectionId,
+                blob,
+                mimeType,
+                duration
+            });
+            await this._load(instance);
+            this._setStatus(instance, `Take ${take.number} saved (${formatTime(duration)})`);
+
+            EventBus.emit(Events.AUDIO_TAKE_RECORDED, { sectionId: instance.sectionId, take });
+        } catch (error) {
+            console.error('TakesPanel: Recording failed:', error);
+            this._setStatus(instance, `Recording failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _togglePreview(instance) {
+        const { preview } = instance.elements;
+        if (!instance.state.trim) return;
+
+        if (!preview.paused) {
+            preview.pause();
+            return;
+        }
+
+        const { start, end } = instance.state.trim;
+        if (preview.currentTime < start || preview.currentTime >= end - 0.05) {
+            preview.currentTime = start;
+        }
+        preview.play().catch(error => console.warn('TakesPanel: Preview failed:', error));
+    },
+
+    /**
+     * Waveform with the trimmed-off parts shaded and the preview playhead
+     * @private
+     */
+    _drawWaveform(instance) {
+        const { waveform, preview, trimLabel } = instance.elements;
+        const { buffer, trim } = instance.state;
+        if (!buffer || !trim) return;
+
+        const ctx = waveform.getContext('2d');
+        const { width, height } = waveform;
+        const peaks = instance.state.peaks?.length === width
+            ? instance.state.peaks
+            : (instance.state.peaks = computePeaks(buffer.getChannelData(0), width));
+        const toX = time => (time / buffer.duration) * width;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#60a5fa';
+        peaks.forEach((peak, x) => {
+            const barHeight = Math.max(peak * height, 1);
+            ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+        });
+
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.7)';
+        ctx.fillRect(0, 0, toX(trim.start), height);
+        ctx.fillRect(toX(trim.end), 0, width - toX(trim.end), height);
+
+        if (!preview.paused) {
+            ctx.fillStyle = '#f1f5f9';
+            ctx.fillRect(toX(preview.currentTime), 0, 2, height);
+        }
+
+        trimLabel.textContent = `${trim.start.toFixed(2)}s – ${trim.end.toFixed(2)}s (${(trim.end - trim.start).toFixed(1)}s)`;
+    },
+
+    /**
+     * @private
+     */
+    _closeEditor(instance) {
+        const { preview, editor } = instance.elements;
+        preview?.pause();
+        if (instance.state.previewUrl) {
+            URL.revokeObjectURL(instance.state.previewUrl);
+        }
+        if (editor) editor.hidden = true;
+
+        Object.assign(instance.state, { selected: null, buffer: null, trim: null, peaks: null, previewUrl: null });
+    },
+
+    /**
+     * @private
+     */
+    _setStatus(instance, text) {
+        if (instance.elements.status) {
+            instance.elements.status.textContent = text;
+        }
+    }
+};
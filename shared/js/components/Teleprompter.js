@@ -0,0 +1,496 @@
+/**
+ * Teleprompter Component - Fullscreen Script Prompter for Recording
+ * Lesson Builder System
+ *
+ * Scrolls the lesson's voice scripts past a reading line at a words-per-
+ * minute rate (TeleprompterService). Sync points show as step markers in
+ * the text, and the next one is announced above it. Text can be mirrored
+ * for beam-splitter glass. With "Drive visuals" on, cues go to lesson
+ * windows opened with `?follow` (PrompterChannel), which show the visual.
+ *
+ * Keys (foot pedals usually send one of the first ones):
+ * Space / PageDown / B pause and resume, PageUp restarts the section,
+ * ↑ / ↓ nudge 2 seconds, + / - change the rate, M mirrors, Esc closes.
+ */
+
+import { Storage } from '../core/Storage.js';
+import {
+    PROMPTER_DEFAULTS,
+    buildPrompterScript,
+    getPrompterCue,
+    getPrompterWordTime,
+    PrompterChannel
+} from '../services/TeleprompterService.js';
+import { formatTime, escapeHtml } from '../utils/format.js';
+
+/**
+ * Storage key of the prompter settings
+ */
+const SETTINGS_KEY = 'teleprompter-settings';
+
+/**
+ * Reading line, as a fraction of the screen height from the top
+ */
+const READING_LINE = 0.35;
+
+/**
+ * Seconds moved by ↑ / ↓
+ */
+const NUDGE = 2;
+
+/**
+ * Reading rate limits (words per minute)
+ */
+const MIN_WPM = 80;
+const MAX_WPM = 240;
+
+export const Teleprompter = {
+    element: null,
+    elements: {},
+    config: null,
+    script: null,
+    settings: null,
+    time: 0,
+    playing: false,
+    lines: [],
+    frame: null,
+    lastFrame: 0,
+    lastCue: null,
+    channel: null,
+    unlisten: null,
+    onKeyDown: null,
+    onResize: null,
+
+    /**
+     * Open the prompter
+     * @param {Object} config - Lesson configuration
+     * @param {Object} [options]
+     * @param {string} [options.startSection] - Section id to start at
+     */
+    open(config, options = {}) {
+        this.close();
+
+        this.config = config;
+        this.settings = { ...PROMPTER_DEFAULTS, ...Storage.get(SETTINGS_KEY, {}) };
+        this.script = buildPrompterScript(config, { wordsPerMinute: this.settings.wordsPerMinute });
+
+        if (this.script.sections.length === 0) {
+            alert('No voice scripts to prompt - add audio.script to the sections.');
+            return;
+        }
+
+        const startIndex = this.script.sections.findIndex(section => section.id === options.startSection);
+        this.time = startIndex > 0 ? this.script.sections[startIndex].start : 0;
+        this.playing = false;
+        this.lastCue = null;
+
+        this.channel = new PrompterChannel(config.id);
+        this.unlisten = this.channel.listen((message) => {
+            // A follower window opened - tell it where we are
+            if (message?.type === 'hello') {
+                this.lastCue = null;
+                this._broadcast(getPrompterCue(this.script, this.time));
+            }
+        });
+
+        this._render();
+        this._bindEvents();
+        this._layout();
+
+        // Without fullscreen it stays a full-window overlay
+        this.element.requestFullscreen?.()?.catch(() => {});
+
+        this._loop();
+        console.log(`Teleprompter: Opened at ${this.script.wordsPerMinute} wpm (${formatTime(this.script.duration)})`);
+    },
+
+    /**
+     * Close the prompter
+     */
+    close() {
+        if (!this.element) return;
+
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+
+        document.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('resize', this.onResize);
+        this.onKeyDown = null;
+        this.onResize = null;
+
+        this.unlisten?.();
+        this.unlisten = null;
+        this.channel?.close();
+        this.channel = null;
+
+        if (document.fullscreenElement === this.element) {
+            document.exitFullscreen?.().catch(() => {});
+        }
+
+        this.element.remove();
+        this.element = null;
+        this.elements = {};
+        this.playing = false;
+    },
+
+    /**
+     * Whether the prompter is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.element !== null;
+    },
+
+    /**
+     * Pause or resume scrolling
+     */
+    toggle() {
+        this.playing = !this.playing;
+        this._update();
+    },
+
+    /**
+     * Move to a time
+     * @param {number} time - Seconds from the start of the prompter
+     */
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.script.duration);
+        this._update();
+    },
+
+    /**
+     * Change the reading rate, keeping the place in the text
+     * @param {number} wordsPerMinute
+     */
+    setRate(wordsPerMinute) {
+        const rate = Math.min(Math.max(Math.round(wordsPerMinute), MIN_WPM), MAX_WPM);
+        const cue = getPrompterCue(this.script, this.time);
+
+        this.script = buildPrompterScript(this.config, { wordsPerMinute: rate });
+        this.time = getPrompterWordTime(this.script, cue.sectionIndex, cue.word);
+        this._saveSettings({ wordsPerMinute: rate });
+        this._layout();
+    },
+
+    /**
+     * @private
+     */
+    _render() {
+        const { sections } = this.script;
+        const settings = this.settings;
+
+        const element = document.createElement('div');
+        element.className = 'teleprompter';
+        element.innerHTML = `
+            <div class="teleprompter-viewport">
+                <div class="teleprompter-text">
+                    ${sections.map(section => this._renderSection(section)).join('')}
+                    <div class="teleprompter-end">— End —</div>
+                </div>
+                <div class="teleprompter-reading-line"></div>
+            </div>
+            <div class="teleprompter-hud">
+                <span data-prompter="section"></span>
+                <span class="teleprompter-next" data-prompter="next"></span>
+                <span data-prompter="clock"></span>
+            </div>
+            <div class="teleprompter-controls">
+                <button class="btn btn-primary" data-action="toggle">▶ Start</button>
+                <label>
+                    Rate <input type="range" data-setting="wordsPerMinute" min="${MIN_WPM}" max="${MAX_WPM}" step="5" value="${settings.wordsPerMinute}">
+                    <output data-prompter="rate">${settings.wordsPerMinute} wpm</output>
+                </label>
+                <label>
+                    Size <input type="range" data-setting="fontSize" min="28" max="120" step="4" value="${settings.fontSize}">
+                </label>
+                <label><input type="checkbox" data-setting="mirror" ${settings.mirror ? 'checked' : ''}> Mirror</label>
+                <label title="${this.channel.isSupported() ? 'Send visual steps to lesson windows opened with ?follow' : 'BroadcastChannel is not supported in this browser'}">
+                    <input type="checkbox" data-setting="broadcast" ${settings.broadcast ? 'checked' : ''} ${this.channel.isSupported() ? '' : 'disabled'}> Drive visuals
+                </label>
+                <button class="btn btn-secondary" data-action="open-follower" ${this.channel.isSupported() ? '' : 'disabled'}>🖥️ Open Visual Window</button>
+                <button class="btn btn-secondary" data-action="close">✕ Close</button>
+            </div>
+        `;
+
+        document.body.appendChild(element);
+        this.element = element;
+        this.elements = {
+            viewport: element.querySelector('.teleprompter-viewport'),
+            text: element.querySelector('.teleprompter-text'),
+            toggle: element.querySelector('[data-action="toggle"]'),
+            section: element.querySelector('[data-prompter="section"]'),
+            next: element.querySelector('[data-prompter="next"]'),
+            clock: element.querySelector('[data-prompter="clock"]'),
+            rate: element.querySelector('[data-prompter="rate"]')
+        };
+
+        this._applySettings();
+    },
+
+    /**
+     * @private
+     */
+    _renderSection(section) {
+        const markers = new Map(section.markers.map(marker => [marker.word, marker]));
+        const words = section.words.map((word, index) => {
+            const marker = markers.get(index);
+            const markerHtml = marker
+                ? `<span class="teleprompter-marker" data-step="${marker.step}">▸ Step ${marker.step}</span> `
+                : '';
+            return `${markerHtml}<span class="teleprompter-word" data-word="${index}">${escapeHtml(word)}</span>`;
+        });
+
+        return `
+            <section class="teleprompter-section" data-section="${escapeHtml(section.id)}">
+                <h2>${escapeHtml(section.title || section.id)}</h2>
+                <p>${words.join(' ')}</p>
+            </section>
+        `;
+    },
+
+    /**
+     * @private
+     */
+    _bindEvents() {
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'toggle') this.toggle();
+            if (action === 'close') this.close();
+            if (action === 'open-follower') this._openFollower();
+            // Keep keys (and pedals) for the prompter, not the last control used
+            e.target.closest('button')?.blur();
+        });
+
+        this.element.addEventListener('change', (e) => e.target.blur());
+
+        this.element.addEventListener('input', (e) => {
+            const setting = e.target.dataset.setting;
+            if (setting === 'wordsPerMinute') {
+                this.setRate(Number(e.target.value));
+            } else if (setting === 'fontSize') {
+                this._saveSettings({ fontSize: Number(e.target.value) });
+                this._applySettings();
+                this._layout();
+            } else if (setting === 'mirror' || setting === 'broadcast') {
+                this._saveSettings({ [setting]: e.target.checked });
+                this._applySettings();
+                this.lastCue = null;
+                this._update();
+            }
+        });
+
+        // Scroll wheel / touchpad moves through the text
+        this.elements.viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.seek(this.time + e.deltaY / 40);
+        }, { passive: false });
+
+        this.onKeyDown = (e) => {
+            switch (e.key) {
+                case ' ':
+                case 'PageDown':
+                case 'b':
+                case 'B':
+                    this.toggle();
+                    break;
+                case 'PageUp': {
+                    const cue = getPrompterCue(this.script, this.time);
+                    // Near its start, go to the previous section
+                    const index = this.time - cue.section.start < NUDGE && cue.sectionIndex > 0
+                        ? cue.sectionIndex - 1
+                        : cue.sectionIndex;
+                    this.seek(this.script.sections[index].start);
+                    break;
+                }
+                case 'ArrowUp':
+                    this.seek(this.time - NUDGE);
+                    break;
+                case 'ArrowDown':
+                    this.seek(this.time + NUDGE);
+                    break;
+                case '+':
+                case '=':
+                    this.setRate(this.script.wordsPerMinute + 10);
+                    break;
+                case '-':
+                    this.setRate(this.script.wordsPerMinute - 10);
+                    break;
+                case 'm':
+                case 'M':
+                    this._saveSettings({ mirror: !this.settings.mirror });
+                    this._applySettings();
+                    break;
+                case 'Escape':
+                    this.close();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        };
+        document.addEventListener('keydown', this.onKeyDown);
+
+        this.onResize = () => this._layout();
+        window.addEventListener('resize', this.onResize);
+    },
+
+    /**
+     * Apply settings to the view
+     * @private
+     */
+    _applySettings() {
+        const { fontSize, mirror, broadcast } = this.settings;
+        this.elements.text.style.fontSize = `${fontSize}px`;
+        this.element.classList.toggle('mirrored', mirror);
+        this.element.classList.toggle('broadcasting', broadcast);
+        this.element.querySelector('[data-setting="mirror"]').checked = mirror;
+    },
+
+    /**
+     * @private
+     */
+    _saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        Storage.set(SETTINGS_KEY, this.settings);
+    },
+
+    /**
+     * Measure where each line of text starts, so scrolling is smooth
+     * between lines and reaches each one when its first word is due
+     * @private
+     */
+    _layout() {
+        this.elements.rate.textContent = `${this.script.wordsPerMinute} wpm`;
+
+        const lines = [];
+        this.script.sections.forEach((section, sectionIndex) => {
+            const words = this.elements.text.querySelectorAll(
+                `.teleprompter-section[data-section="${cssEscape(section.id)}"] .teleprompter-word`
+            );
+            let lastTop = null;
+            words.forEach((word, index) => {
+                if (word.offsetTop !== lastTop) {
+                    lastTop = word.offsetTop;
+                    lines.push({ time: getPrompterWordTime(this.script, sectionIndex, index), y: lastTop });
+                }
+            });
+        });
+
+        const end = this.elements.text.querySelector('.teleprompter-end');
+        lines.push({ time: this.script.duration, y: end.offsetTop });
+
+        this.lines = lines;
+        this.time = Math.min(this.time, this.script.duration);
+        this._update();
+    },
+
+    /**
+     * Scroll position for a time
+     * @private
+     */
+    _getOffset(time) {
+        const { lines } = this;
+        if (lines.length === 0) return 0;
+
+        let index = 0;
+        while (index < lines.length - 1 && lines[index + 1].time <= time) index++;
+
+        const line = lines[index];
+        const next = lines[index + 1];
+        if (!next || next.time <= line.time) return line.y;
+
+        return line.y + ((time - line.time) / (next.time - line.time)) * (next.y - line.y);
+    },
+
+    /**
+     * @private
+     */
+    _loop() {
+        this.lastFrame = performance.now();
+
+        const tick = (now) => {
+            if (!this.element) return;
+
+            if (this.playing) {
+                this.time += (now - this.lastFrame) / 1000;
+                if (this.time >= this.script.duration) {
+                    this.time = this.script.duration;
+                    this.playing = false;
+                }
+                this._update();
+            }
+            this.lastFrame = now;
+            this.frame = requestAnimationFrame(tick);
+        };
+
+        this.frame = requestAnimationFrame(tick);
+    },
+
+    /**
+     * Position the text and refresh the HUD
+     * @private
+     */
+    _update() {
+        if (!this.element) return;
+
+        const readingLine = this.elements.viewport.clientHeight * READING_LINE;
+        this.elements.text.style.transform = `translateY(${readingLine - this._getOffset(this.time)}px)`;
+        this.elements.toggle.textContent = this.playing ? '⏸ Pause' : '▶ Start';
+        this.element.classList.toggle('paused', !this.playing);
+
+        const cue = getPrompterCue(this.script, this.time);
+        const { sections } = this.script;
+        this.elements.section.textContent = `${cue.sectionIndex + 1}/${sections.length} · ${cue.section.title || cue.section.id} · Step ${cue.step}`;
+        this.elements.next.textContent = cue.next
+            ? `Next: Step ${cue.next.step}${cue.next.highlight ? ` - ${cue.next.highlight}` : ''} (${Math.ceil(cue.next.in)}s)`
+            : '';
+        this.elements.clock.textContent = `${formatTime(this.time)} / ${formatTime(this.script.duration)}`;
+
+        this._broadcast(cue);
+    },
+
+    /**
+     * Send the visual step to follower windows when it changes
+     * @private
+     */
+    _broadcast(cue) {
+        if (!cue || !this.settings.broadcast || !this.channel) return;
+
+        const key = `${cue.section.id}:${cue.step}`;
+        if (key === this.lastCue) return;
+        this.lastCue = key;
+
+        this.channel.send({
+            type: 'cue',
+            sectionId: cue.section.id,
+            visualId: cue.section.visualId,
+            step: cue.step
+        });
+    },
+
+    /**
+     * Open the lesson in a window that follows the prompter
+     * @private
+     */
+    _openFollower() {
+        const cue = getPrompterCue(this.script, this.time);
+        const url = new URL(window.location.href);
+        url.searchParams.set('follow', 'prompter');
+        url.hash = `section-${cue.section.id}`;
+
+        window.open(url.toString(), `lesson-follow-${this.config.id}`);
+
+        if (!this.settings.broadcast) {
+            this._saveSettings({ broadcast: true });
+            this.element.querySelector('[data-setting="broadcast"]').checked = true;
+            this._applySettings();
+        }
+    }
+};
+
+/**
+ * @private
+ */
+function cssEscape(text) {
+    return typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(text) : String(text).replace(/"/g, '\\"');
+}
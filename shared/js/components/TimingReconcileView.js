@@ -0,0 +1,120 @@
+/**
+ * TimingReconcileView Component - Drift Between Planned and Recorded Timing
+ * Lesson Builder System
+ *
+ * Modal table of a timing reconciliation (TimingReconcileService): each
+ * section's planned and re-flowed range, its recording's length and the
+ * drift, with buttons to download the updated config.js or a JSON Patch.
+ */
+
+import { formatTime, escapeHtml } from '../utils/format.js';
+
+/**
+ * Drift (seconds) shown as a warning
+ */
+const DRIFT_WARNING = 5;
+
+export const TimingReconcileView = {
+    element: null,
+    onKeyDown: null,
+
+    /**
+     * Show a reconciliation
+     * @param {Object} result - From reconcileTiming()
+     * @param {Object} actions
+     * @param {Function} actions.onExportConfig - "Download config.js" clicked
+     * @param {Function} actions.onExportPatch - "Download JSON Patch" clicked
+     */
+    open(result, { onExportConfig, onExportPatch }) {
+        this.close();
+
+        const measuredCount = result.sections.filter(section => section.measured !== null).length;
+
+        const element = document.createElement('div');
+        element.className = 'timing-reconcile-overlay';
+        element.innerHTML = `
+            <div class="timing-reconcile" role="dialog" aria-modal="true" aria-labelledby="timingReconcileTitle">
+                <h3 id="timingReconcileTitle">⏱️ Timing vs. Recorded Audio</h3>
+                <p class="timing-reconcile-summary">
+                    ${measuredCount} of ${result.sections.length} sections measured ·
+                    Lesson ${formatTime(result.duration.before)} → ${formatTime(result.duration.after)}
+                    (${formatDrift(result.duration.after - result.duration.before)})
+                </p>
+                <table class="timing-reconcile-table">
+                    <thead>
+                        <tr>
+                            <th>Section</th>
+                            <th>Planned</th>
+                            <th>Recorded</th>
+                            <th>Drift</th>
+                            <th>New timing</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.sections.map(section => this._renderRow(section)).join('')}
+                    </tbody>
+                </table>
+                <div class="timing-reconcile-actions">
+                    <button class="btn btn-primary" data-action="export-config" ${result.changed ? '' : 'disabled'}>⬇ Download config.js</button>
+                    <button class="btn btn-secondary" data-action="export-patch" ${result.changed ? '' : 'disabled'}>⬇ Download JSON Patch</button>
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+
+        element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'export-config') onExportConfig();
+            if (action === 'export-patch') onExportPatch();
+            if (action === 'close' || e.target === element) this.close();
+        });
+
+        this.onKeyDown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+        document.addEventListener('keydown', this.onKeyDown);
+
+        document.body.appendChild(element);
+        this.element = element;
+    },
+
+    /**
+     * Close the view
+     */
+    close() {
+        if (this.onKeyDown) {
+            document.removeEventListener('keydown', this.onKeyDown);
+            this.onKeyDown = null;
+        }
+        this.element?.remove();
+        this.element = null;
+    },
+
+    /**
+     * @private
+     */
+    _renderRow(section) {
+        const changed = section.before.timing !== section.after.timing;
+        const driftClass = section.drift === null
+            ? ''
+            : Math.abs(section.drift) >= DRIFT_WARNING ? 'drift-warning' : 'drift-ok';
+
+        return `
+            <tr class="${changed ? 'changed' : ''}">
+                <td>${escapeHtml(section.title || section.id)}</td>
+                <td>${escapeHtml(section.before.timing || '-')}<small>${section.before.duration}s</small></td>
+                <td>${section.measured !== null ? `${section.measured.toFixed(1)}s` : '<span class="muted">not loaded</span>'}</td>
+                <td class="${driftClass}">${section.drift !== null ? formatDrift(section.drift) : '-'}</td>
+                <td>${escapeHtml(section.after.timing)}${section.shift ? `<small>starts ${formatDrift(section.shift)}</small>` : ''}</td>
+            </tr>
+        `;
+    }
+};
+
+/**
+ * @private
+ */
+function formatDrift(seconds) {
+    const rounded = Math.round(seconds * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${rounded}s`;
+}
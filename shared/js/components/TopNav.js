@@ -50,6 +50,13 @@ class TopNavClass {
                     <div class="nav-title" id="navTitle">${this.config.title}</div>
                 </div>
                 <div class="nav-right">
+                    <button class="prompter-btn" id="prompterBtn" title="Teleprompter for recording narration">🎙️ Prompter</button>
+                    <div class="lesson-player-controls" id="playerControls">
+                        <button data-player="previous" aria-label="Previous section" title="Previous section">⏮</button>
+                        <button data-player="toggle" id="playerToggle" aria-label="Play whole lesson" title="Play whole lesson">▶</button>
+                        <button data-player="next" aria-label="Next section" title="Next section">⏭</button>
+                        <span class="lesson-player-status" id="playerStatus"></span>
+                    </div>
                     <div class="export-dropdown">
                         <button class="export-btn" id="exportBtn">
                             📦 Export
@@ -68,9 +75,39 @@ class TopNavClass {
                             <button data-export="timing">
                                 <span>⏱️</span> Timing JSON
                             </button>
+                            <button data-export="edl">
+                                <span>🎞️</span> EDL (CMX3600)
+                            </button>
+                            <button data-export="fcpxml">
+                                <span>🎞️</span> FCPXML (Resolve / FCP)
+                            </button>
+                            <button data-export="premiere-xml">
+                                <span>🎞️</span> Premiere XML
+                            </button>
+                            <button data-export="srt">
+                                <span>💬</span> Captions (SRT)
+                            </button>
+                            <button data-export="vtt">
+                                <span>💬</span> Captions (WebVTT)
+                            </button>
                             <button data-export="assets">
                                 <span>🎨</span> All Assets (ZIP)
                             </button>
+                            <button data-export="visual-frames">
+                                <span>🖼️</span> All Visual Frames (ZIP)
+                            </button>
+                            <button data-export="lesson-video">
+                                <span>🎬</span> Render Full Lesson
+                            </button>
+                            <button data-export="lesson-video-captioned">
+                                <span>🎬</span> Render Full Lesson (Captioned)
+                            </button>
+                            <button data-export="reconcile-timing">
+                                <span>⏱️</span> Reconcile Timing With Audio
+                            </button>
+                            <button data-export="validate">
+                                <span>✅</span> Validate Config
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -83,7 +120,11 @@ class TopNavClass {
             burgerMenu: this.container.querySelector('#burgerMenu'),
             navTitle: this.container.querySelector('#navTitle'),
             exportBtn: this.container.querySelector('#exportBtn'),
-            exportMenu: this.container.querySelector('#exportMenu')
+            exportMenu: this.container.querySelector('#exportMenu'),
+            prompterBtn: this.container.querySelector('#prompterBtn'),
+            playerControls: this.container.querySelector('#playerControls'),
+            playerToggle: this.container.querySelector('#playerToggle'),
+            playerStatus: this.container.querySelector('#playerStatus')
         };
     }
 
@@ -113,6 +154,19 @@ class TopNavClass {
             }
         });
 
+        // Teleprompter button
+        this.elements.prompterBtn.addEventListener('click', () => {
+            EventBus.emit(Events.TELEPROMPTER_OPEN, { lessonId: this.config.lessonId });
+        });
+
+        // Lesson player buttons
+        this.elements.playerControls.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-player]');
+            if (button) {
+                EventBus.emit(Events.PLAYER_CONTROL, { action: button.dataset.player });
+            }
+        });
+
         // Close export menu when clicking outside
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.export-dropdown')) {
@@ -182,6 +236,23 @@ class TopNavClass {
         EventBus.emit(Events.EXPORT_SELECTED, { type, lessonId: this.config.lessonId });
     }
 
+    /**
+     * Show the lesson player state
+     * @param {Object} state - From LessonPlayer.getState()
+     */
+    setPlayerState(state) {
+        if (!this.elements.playerToggle) return;
+
+        const label = state.playing ? 'Pause lesson' : 'Play whole lesson';
+        this.elements.playerToggle.textContent = state.playing ? '⏸' : '▶';
+        this.elements.playerToggle.setAttribute('aria-label', label);
+        this.elements.playerToggle.title = label;
+        this.elements.playerControls.classList.toggle('playing', state.playing);
+        this.elements.playerStatus.textContent = state.index === -1
+            ? ''
+            : `${state.index + 1}/${state.total} · ${state.title || state.sectionId}`;
+    }
+
     /**
      * Update the displayed title
      * @param {string} newTitle
@@ -6,12 +6,14 @@
  * - StageManager (Konva.Stage wrapper)
  * - SceneBuilder (JSON to Konva converter)
  * - VideoService (professional video export)
+ * - SceneEditor (editor mode: drag, resize, inspector, steps)
  * 
  * No more custom rendering math - Konva handles everything.
  */
 
 import { EventBus, Events } from '../core/EventBus.js';
 import { StepNavigator } from './StepNavigator.js';
+import { SceneEditor } from './SceneEditor.js';
 import { StageManager } from '../engine/StageManager.js';
 import { SceneBuilder } from '../engine/SceneBuilder.js';
 import { VideoService } from '../services/VideoService.js';
@@ -36,6 +38,8 @@ export const VisualBlock = {
      * @param {HTMLElement} config.container - Container element
      * @param {string} config.visualId - Visual identifier
      * @param {Object} config.scene - Scene definition
+     * @param {Object} [config.narration] - Section narration for narrated export
+     *   ({ file, script, syncPoints })
      * @returns {Object} VisualBlock instance
      */
     init(config) {
@@ -46,6 +50,7 @@ export const VisualBlock = {
             container: config.container,
             visualId: config.visualId,
             scene: scene,
+            narration: config.narration || null,
             state: {
                 currentStep: 1,
                 totalSteps: totalSteps,
@@ -115,8 +120,10 @@ export const VisualBlock = {
             scale: RESOLUTION.PREVIEW
         });
 
-        // Create SceneBuilder
-        instance.sceneBuilder = new SceneBuilder(instance.stageManager);
+        // Create SceneBuilder (timeline uses the same default duration as gotoStep)
+        instance.sceneBuilder = new SceneBuilder(instance.stageManager, {
+            stepDuration: instance.scene?.duration ?? 1000
+        });
 
         // Build scene
         if (instance.scene) {
@@ -140,6 +147,9 @@ export const VisualBlock = {
                 initialStep: 1,
                 onStepChange: (step) => {
                     this.gotoStep(instance.visualId, step);
+                },
+                onScrub: (progress) => {
+                    this.seek(instance.visualId, progress * this.getDuration(instance.visualId));
                 }
             });
         }
@@ -158,6 +168,14 @@ export const VisualBlock = {
             });
         });
 
+        // SVG export
+        const svgButtons = instance.container.querySelectorAll('[data-export-visual="svg"]');
+        svgButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.exportSVG(instance.visualId);
+            });
+        });
+
         // Video export
         const videoButtons = instance.container.querySelectorAll('[data-export-visual="video"]');
         videoButtons.forEach(btn => {
@@ -165,6 +183,22 @@ export const VisualBlock = {
                 this.exportVideo(instance.visualId);
             });
         });
+
+        // Video export with the section's narration muxed in
+        const narratedButtons = instance.container.querySelectorAll('[data-export-visual="video-narrated"]');
+        narratedButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.exportVideo(instance.visualId, { narrated: true });
+            });
+        });
+
+        // Editor mode
+        const editButtons = instance.container.querySelectorAll('[data-action="edit-scene"]');
+        editButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.toggleEditor(instance.visualId);
+            });
+        });
     },
 
     // ==========================================================================
@@ -184,8 +218,43 @@ export const VisualBlock = {
         const stepIndex = stepNumber - 1;
         const transitionDuration = duration ?? instance.scene?.duration ?? 1000;
 
+        // The editor shows steps settled and keeps its selection
+        if (SceneEditor.isOpen(visualId)) {
+            SceneEditor.goToStep(visualId, stepIndex);
+            return;
+        }
+
         instance.sceneBuilder.goToStep(stepIndex, transitionDuration);
         instance.state.currentStep = stepNumber;
+        StepNavigator.setCurrentStep(visualId, stepNumber);
+
+        // Scrubber shows where this step settles on the timeline
+        const timelineDuration = instance.sceneBuilder.getDuration();
+        const stepEnd = instance.sceneBuilder.timeline[stepIndex]?.end ?? 0;
+        StepNavigator.setScrubPosition(visualId, timelineDuration > 0 ? stepEnd / timelineDuration : 0);
+
+        EventBus.emit(Events.VISUAL_STEP_RENDERED, {
+            visualId: visualId,
+            step: stepNumber
+        });
+
+        this._updateSyncHighlights(visualId, stepNumber);
+    },
+
+    /**
+     * Show the animation at a point on the scene timeline (scrubbing)
+     * @param {string} visualId
+     * @param {number} timeMs - Time from the start of the scene (ms)
+     */
+    seek(visualId, timeMs) {
+        const instance = visualBlocks.get(visualId);
+        if (!instance?.sceneBuilder || SceneEditor.isOpen(visualId)) return;
+
+        const stepNumber = instance.sceneBuilder.seek(timeMs) + 1;
+        if (stepNumber === instance.state.currentStep) return;
+
+        instance.state.currentStep = stepNumber;
+        StepNavigator.setCurrentStep(visualId, stepNumber);
 
         EventBus.emit(Events.VISUAL_STEP_RENDERED, {
             visualId: visualId,
@@ -195,6 +264,16 @@ export const VisualBlock = {
         this._updateSyncHighlights(visualId, stepNumber);
     },
 
+    /**
+     * Get the length of the scene timeline
+     * @param {string} visualId
+     * @returns {number} Duration in ms
+     */
+    getDuration(visualId) {
+        const instance = visualBlocks.get(visualId);
+        return instance?.sceneBuilder?.getDuration() ?? 0;
+    },
+
     /**
      * Go to next step
      * @param {string} visualId
@@ -238,6 +317,9 @@ export const VisualBlock = {
         const instance = visualBlocks.get(visualId);
         if (!instance) return;
 
+        // No selection handles in the output
+        this.closeEditor(visualId);
+
         EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'png', count: 1 });
 
         try {
@@ -261,22 +343,62 @@ export const VisualBlock = {
         }
     },
 
+    /**
+     * Export current step as a standalone SVG (vector, 4K document size)
+     * @param {string} visualId
+     */
+    exportSVG(visualId) {
+        const instance = visualBlocks.get(visualId);
+        if (!instance) return;
+
+        EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'svg', count: 1 });
+
+        try {
+            const svg = instance.stageManager.toSVG({
+                scale: RESOLUTION.EXPORT,
+                title: `${visualId} - step ${instance.state.currentStep}`
+            });
+
+            const blob = new Blob([svg], { type: 'image/svg+xml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${visualId}-step-${instance.state.currentStep}.svg`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            EventBus.emit(Events.VISUAL_EXPORT_COMPLETE, { format: 'svg', files: 1 });
+        } catch (error) {
+            console.error('SVG export failed:', error);
+        }
+    },
+
     /**
      * Export full animation as video
      * @param {string} visualId
+     * @param {Object} [options]
+     * @param {boolean} [options.narrated=false] - Include the narration track,
+     *   with steps placed at their sync points
      */
-    async exportVideo(visualId) {
+    async exportVideo(visualId, options = {}) {
         const instance = visualBlocks.get(visualId);
         if (!instance?.scene) {
             console.warn('No scene loaded for video export');
             return;
         }
 
+        if (options.narrated && !instance.narration) {
+            console.warn(`[VisualBlock] No narration for "${visualId}"`);
+            return;
+        }
+
         if (instance.state.isExporting) {
             console.warn('Export already in progress');
             return;
         }
 
+        this.closeEditor(visualId);
+
         instance.state.isExporting = true;
         EventBus.emit(Events.VISUAL_EXPORT_STARTED, { format: 'video', count: 1 });
 
@@ -322,11 +444,13 @@ export const VisualBlock = {
                     progressText.textContent = `Frame ${current} / ${total} (${percent}%)`;
                     progressBar.value = percent;
                 },
-                holdFrames: 30
+                holdFrames: 30,
+                narration: options.narrated ? instance.narration : undefined
             });
 
             // Download
-            videoService.downloadVideo(blob, `${visualId}-animation.webm`);
+            const suffix = options.narrated ? 'narrated' : 'animation';
+            videoService.downloadVideo(blob, `${visualId}-${suffix}.webm`);
 
             EventBus.emit(Events.VISUAL_EXPORT_COMPLETE, { format: 'video', files: 1 });
 
@@ -339,6 +463,66 @@ export const VisualBlock = {
         }
     },
 
+    /**
+     * Open the scene editor on the current step
+     * @param {string} visualId
+     */
+    openEditor(visualId) {
+        const instance = visualBlocks.get(visualId);
+        if (!instance?.scene || SceneEditor.isOpen(visualId)) return;
+
+        SceneEditor.open({
+            visualId,
+            container: instance.container,
+            stageManager: instance.stageManager,
+            sceneBuilder: instance.sceneBuilder,
+            scene: instance.scene,
+            stepIndex: instance.state.currentStep - 1,
+            onStepChange: (stepIndex) => {
+                instance.state.currentStep = stepIndex + 1;
+                StepNavigator.setCurrentStep(visualId, stepIndex + 1);
+                this._updateSyncHighlights(visualId, stepIndex + 1);
+            },
+            onChange: (scene) => {
+                instance.state.totalSteps = scene.steps.length;
+                StepNavigator.setTotalSteps(visualId, scene.steps.length);
+            }
+        });
+
+        instance.container.querySelectorAll('[data-action="edit-scene"]').forEach(btn => {
+            btn.classList.add('active');
+            btn.textContent = '✔ Done Editing';
+        });
+    },
+
+    /**
+     * Close the scene editor (edits stay in the scene)
+     * @param {string} visualId
+     */
+    closeEditor(visualId) {
+        const instance = visualBlocks.get(visualId);
+        if (!instance || !SceneEditor.isOpen(visualId)) return;
+
+        SceneEditor.close(visualId);
+
+        instance.container.querySelectorAll('[data-action="edit-scene"]').forEach(btn => {
+            btn.classList.remove('active');
+            btn.textContent = '✏️ Edit Scene';
+        });
+    },
+
+    /**
+     * Toggle the scene editor
+     * @param {string} visualId
+     */
+    toggleEditor(visualId) {
+        if (SceneEditor.isOpen(visualId)) {
+            this.closeEditor(visualId);
+        } else {
+            this.openEditor(visualId);
+        }
+    },
+
     /**
      * Update sync highlights in script section
      * @private
@@ -397,6 +581,7 @@ export const VisualBlock = {
         if (!instance) return;
 
         // Clean up resources
+        this.closeEditor(visualId);
         if (instance.sceneBuilder) {
             instance.sceneBuilder.destroy();
         }
@@ -0,0 +1,371 @@
+/**
+ * CommandHistory - Undo/Redo for Scene and Lesson Editing
+ * Lesson Builder System
+ *
+ * A command stack of reversible edits:
+ * - Commands are { label, execute(), undo() }; redo runs execute() again
+ * - createSnapshotCommand() wraps an in-place edit of a JSON object (a scene)
+ * - createPathCommand() sets one value by path (e.g. a section's timing)
+ * - beginGroup()/endGroup() fold a gesture (a drag) into one entry
+ * - Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) once bindKeyboard() is called
+ *
+ * Emits HISTORY_CHANGED after every change to the stacks, and HISTORY_UNDO /
+ * HISTORY_REDO with the command that was undone or redone.
+ */
+
+import { EventBus, Events } from './EventBus.js';
+
+/**
+ * Entries kept on the undo stack
+ */
+const DEFAULT_LIMIT = 100;
+
+class CommandHistoryClass {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Maximum undo entries
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? DEFAULT_LIMIT;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null; // { label, commands } while a gesture is open
+        this.groupDepth = 0;
+        this.unbindKeyboard = null;
+    }
+
+    /**
+     * Run a command and record it
+     * @param {{label: string, execute: Function, undo: Function}} command
+     * @returns {*} Result of command.execute()
+     */
+    execute(command) {
+        const result = command.execute();
+        this.record(command);
+        return result;
+    }
+
+    /**
+     * Record a command whose edit has already been applied
+     * @param {{label: string, execute: Function, undo: Function}} command
+     */
+    record(command) {
+        if (this.group) {
+            this.group.commands.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this._emitChanged();
+    }
+
+    /**
+     * Start collecting commands into one entry (nested calls join the outer group)
+     * @param {string} label - Label of the combined entry
+     */
+    beginGroup(label) {
+        this.groupDepth++;
+        if (!this.group) {
+            this.group = { label, commands: [] };
+        }
+    }
+
+    /**
+     * Close the group opened by beginGroup() and record it (if anything happened)
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const { label, commands } = this.group;
+        this.group = null;
+
+        if (commands.length === 1) {
+            this.record(commands[0]);
+        } else if (commands.length > 1) {
+            this.record(createCompositeCommand(label, commands));
+        }
+    }
+
+    /**
+     * Undo the last entry
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        if (this.group) this._closeGroups();
+
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.undo();
+        } catch (error) {
+            console.error(`CommandHistory: Undo of "${command.label}" failed:`, error);
+            this.clear();
+            return false;
+        }
+
+        this.redoStack.push(command);
+        EventBus.emit(Events.HISTORY_UNDO, { label: command.label, command });
+        this._emitChanged();
+        return true;
+    }
+
+    /**
+     * Redo the last undone entry
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.execute();
+        } catch (error) {
+            console.error(`CommandHistory: Redo of "${command.label}" failed:`, error);
+            this.clear();
+            return false;
+        }
+
+        this.undoStack.push(command);
+        EventBus.emit(Events.HISTORY_REDO, { label: command.label, command });
+        this._emitChanged();
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the history state (as sent with HISTORY_CHANGED)
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null, size: number}}
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null,
+            size: this.undoStack.length
+        };
+    }
+
+    /**
+     * Forget all entries
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.groupDepth = 0;
+        this._emitChanged();
+    }
+
+    /**
+     * Handle Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS)
+     * Text fields keep their own undo.
+     * @param {Document|HTMLElement} [target=document]
+     * @returns {Function} Unbind function
+     */
+    bindKeyboard(target = document) {
+        this.unbindKeyboard?.();
+
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (isTextField(e.target)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        };
+
+        target.addEventListener('keydown', onKeyDown);
+        this.unbindKeyboard = () => {
+            target.removeEventListener('keydown', onKeyDown);
+            this.unbindKeyboard = null;
+        };
+
+        return this.unbindKeyboard;
+    }
+
+    /**
+     * Close an unfinished gesture before undoing
+     * @private
+     */
+    _closeGroups() {
+        this.groupDepth = 1;
+        this.endGroup();
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged() {
+        EventBus.emit(Events.HISTORY_CHANGED, this.getState());
+    }
+}
+
+/**
+ * Command for an in-place edit of a JSON object
+ * The first execute() runs `apply` and snapshots the object before and
+ * after; undo/redo restore those snapshots into the same object, so
+ * holders of the reference (SceneBuilder) see the change.
+ * @param {Object} options
+ * @param {string} options.label - History label
+ * @param {Object} options.target - Object edited in place (e.g. a scene)
+ * @param {Function} options.apply - Makes the edit (called once)
+ * @param {Function} [options.onApply] - Called after every execute/undo with
+ *   ('execute' | 'undo', result of apply) to re-sync views
+ * @returns {{label: string, execute: Function, undo: Function}}
+ */
+export function createSnapshotCommand({ label, target, apply, onApply }) {
+    let before = null;
+    let after = null;
+    let result;
+
+    return {
+        label,
+        execute() {
+            if (after === null) {
+                before = structuredClone(target);
+                result = apply(target);
+                after = structuredClone(target);
+            } else {
+                restore(target, after);
+            }
+            onApply?.('execute', result);
+            return result;
+        },
+        undo() {
+            restore(target, before);
+            onApply?.('undo', result);
+        }
+    };
+}
+
+/**
+ * Command that sets one value of a JSON object by path
+ * @example
+ * createPathCommand({ label: 'Edit timing', root: lessonConfig,
+ *     path: ['sections', 2, 'timing'], value: '01:30 - 02:10' })
+ * @param {Object} options
+ * @param {string} options.label - History label
+ * @param {Object} options.root - Object to edit
+ * @param {Array<string|number>} options.path - Keys from root to the value
+ * @param {*} options.value - New value (undefined deletes it)
+ * @param {Function} [options.onApply] - Called after every execute/undo with ('execute' | 'undo')
+ * @returns {{label: string, execute: Function, undo: Function}}
+ */
+export function createPathCommand({ label, root, path, value, onApply }) {
+    const parentPath = path.slice(0, -1);
+    const key = path[path.length - 1];
+    let previous;
+    let existed;
+
+    const parent = () => parentPath.reduce((node, part) => {
+        if (node?.[part] === undefined) {
+            throw new Error(`CommandHistory: No "${part}" in path ${path.join('.')}`);
+        }
+        return node[part];
+    }, root);
+
+    const set = (node, present, newValue) => {
+        if (present) {
+            node[key] = structuredClone(newValue);
+        } else {
+            delete node[key];
+        }
+    };
+
+    return {
+        label,
+        execute() {
+            const node = parent();
+            existed = Object.prototype.hasOwnProperty.call(node, key);
+            previous = structuredClone(node[key]);
+            set(node, value !== undefined, value);
+            onApply?.('execute');
+        },
+        undo() {
+            set(parent(), existed, previous);
+            onApply?.('undo');
+        }
+    };
+}
+
+/**
+ * Command running several commands as one entry
+ * @param {string} label - History label
+ * @param {Array} commands - Commands (already executed)
+ * @returns {{label: string, execute: Function, undo: Function, commands: Array}}
+ */
+export function createCompositeCommand(label, commands) {
+    return {
+        label,
+        commands,
+        execute() {
+            commands.forEach(command => command.execute());
+        },
+        undo() {
+            [...commands].reverse().forEach(command => command.undo());
+        }
+    };
+}
+
+/**
+ * Replace an object's contents, keeping its identity
+ * @private
+ */
+function restore(target, snapshot) {
+    const copy = structuredClone(snapshot);
+
+    if (Array.isArray(target)) {
+        target.splice(0, target.length, ...copy);
+        return;
+    }
+
+    for (const key of Object.keys(target)) {
+        if (!(key in copy)) delete target[key];
+    }
+    Object.assign(target, copy);
+}
+
+/**
+ * @private
+ */
+function isTextField(element) {
+    if (!element) return false;
+    if (element.isContentEditable) return true;
+
+    const tag = element.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    return tag === 'INPUT' && !['button', 'checkbox', 'radio', 'range', 'submit'].includes(element.type);
+}
+
+// Create singleton instance
+export const CommandHistory = new CommandHistoryClass();
+
+// Also export the class
+export { CommandHistoryClass };
@@ -0,0 +1,106 @@
+/**
+ * CourseManifest - Lesson Summaries for the Course Catalog
+ * Lesson Builder System
+ *
+ * Turns the course manifest (lessons/manifest.js) into card data:
+ * - Loads each lesson's config.js for real duration and section count
+ * - Script readiness (sections with a voice script)
+ * - Audio availability (files that actually exist)
+ * - Stored progress from LessonStorage
+ */
+
+import { LessonStorage } from './Storage.js';
+import { parseTimingRange } from '../utils/format.js';
+
+/**
+ * Summarize one manifest entry
+ * @param {Object} entry - Lesson entry from the manifest
+ * @param {Object} options
+ * @param {string|URL} options.baseUrl - URL of the lessons folder
+ * @param {boolean} [options.checkAudio=true] - Probe audio files with HEAD requests
+ * @returns {Promise<Object>} Entry plus title, duration, sectionCount, scripts, audio, progress
+ *   (and error if the config failed to load)
+ */
+export async function loadLessonSummary(entry, options) {
+    const { baseUrl, checkAudio = true } = options;
+
+    const summary = {
+        ...entry,
+        href: entry.path ? new URL(`${entry.path}/index.html`, baseUrl).href : null,
+        duration: entry.plannedDuration ?? 0,
+        sectionCount: 0,
+        scripts: { ready: 0, total: 0 },
+        audio: { available: 0, total: 0 },
+        progress: { completed: 0, total: 0, percent: 0 },
+        error: null
+    };
+
+    // Planned lessons have no folder yet
+    if (!entry.path) return summary;
+
+    try {
+        const lessonUrl = new URL(`${entry.path}/`, baseUrl);
+        const { lessonConfig } = await import(new URL('config.js', lessonUrl).href);
+        const sections = lessonConfig.sections || [];
+
+        summary.title = entry.title ?? lessonConfig.title;
+        summary.duration = lessonConfig.duration ??
+            sections.reduce((sum, section) => sum + parseTimingRange(section.timing).duration, 0);
+        summary.sectionCount = sections.length;
+
+        summary.scripts = {
+            ready: sections.filter(section => section.audio?.script?.trim()).length,
+            total: sections.length
+        };
+
+        const audioFiles = sections.map(section => section.audio?.file).filter(Boolean);
+        summary.audio = {
+            available: checkAudio ? await countAvailable(audioFiles, lessonUrl) : 0,
+            total: audioFiles.length
+        };
+
+        // Ignore stored ids of sections that no longer exist
+        const sectionIds = new Set(sections.map(section => section.id));
+        const completed = LessonStorage.getProgress(lessonConfig.id).filter(id => sectionIds.has(id)).length;
+        summary.progress = {
+            completed,
+            total: sections.length,
+            percent: sections.length > 0 ? Math.round((completed / sections.length) * 100) : 0
+        };
+    } catch (error) {
+        console.error(`CourseManifest: Failed to load lesson "${entry.id}":`, error);
+        summary.error = error.message;
+    }
+
+    return summary;
+}
+
+/**
+ * Summarize every lesson of a course manifest
+ * @param {Object} manifest - Course manifest
+ * @param {Object} options - See loadLessonSummary()
+ * @returns {Promise<Array<{id: string, title: string, icon: string, lessons: Array}>>} Modules in order
+ */
+export async function loadCourse(manifest, options) {
+    return Promise.all((manifest.modules || []).map(async module => ({
+        ...module,
+        lessons: await Promise.all((module.lessons || []).map(entry => loadLessonSummary(entry, options)))
+    })));
+}
+
+/**
+ * Count audio files that exist
+ * @private
+ */
+async function countAvailable(files, lessonUrl) {
+    const results = await Promise.all(files.map(async file => {
+        try {
+            const response = await fetch(new URL(file, lessonUrl), { method: 'HEAD' });
+            return response.ok;
+        } catch {
+            return false;
+        }
+    }));
+
+    return results.filter(Boolean).length;
+}
@@ -127,12 +127,19 @@ export const Events = {
     // Section events
     SECTION_VISIBLE: 'section:visible',
     SECTION_DESCRIPTION_TOGGLED: 'section:description-toggled',
+    SECTION_CONFIG_CHANGED: 'section:config-changed',
     
     // Audio events
     AUDIO_SCRIPT_TOGGLED: 'audio:script-toggled',
     AUDIO_PLAYING: 'audio:playing',
+    AUDIO_PAUSED: 'audio:paused',
     AUDIO_ENDED: 'audio:ended',
     AUDIO_METADATA_LOADED: 'audio:metadata-loaded',
+    AUDIO_TIME_UPDATE: 'audio:time-update',
+    AUDIO_SEEKED: 'audio:seeked',
+    AUDIO_NARRATION_GENERATED: 'audio:narration-generated',
+    AUDIO_TAKE_RECORDED: 'audio:take-recorded',
+    AUDIO_TAKE_CHOSEN: 'audio:take-chosen',
     
     // Step Navigator events
     STEP_CHANGED: 'step:changed',
@@ -142,6 +149,20 @@ export const Events = {
     VISUAL_EXPORT_STARTED: 'visual:export-started',
     VISUAL_EXPORT_PROGRESS: 'visual:export-progress',
     VISUAL_EXPORT_COMPLETE: 'visual:export-complete',
+    VISUAL_SCENE_EDITED: 'visual:scene-edited',
+    
+    // History events (CommandHistory)
+    HISTORY_CHANGED: 'history:changed',
+    HISTORY_UNDO: 'history:undo',
+    HISTORY_REDO: 'history:redo',
+    
+    // Lesson player events
+    PLAYER_CONTROL: 'player:control',
+    PLAYER_STATE_CHANGED: 'player:state-changed',
+    PLAYER_SECTION_ENDED: 'player:section-ended',
+    
+    // Teleprompter events
+    TELEPROMPTER_OPEN: 'teleprompter:open',
     
     // Lesson core events
     LESSON_INITIALIZED: 'lesson:initialized',
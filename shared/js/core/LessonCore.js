@@ -7,6 +7,7 @@
  */
 
 import { EventBus, Events } from './EventBus.js';
+import { CommandHistory, createPathCommand } from './CommandHistory.js';
 import { LessonStorage } from './Storage.js';
 import { TopNav } from '../components/TopNav.js';
 import { Timeline } from '../components/Timeline.js';
@@ -15,6 +16,13 @@ import { AudioPlayer } from '../components/AudioPlayer.js';
 import { StepNavigator } from '../components/StepNavigator.js';
 import { VisualBlock } from '../components/VisualBlock.js';
 import { ExportManager } from '../components/ExportManager.js';
+import { TakesPanel } from '../components/TakesPanel.js';
+import { LessonPlayer } from './LessonPlayer.js';
+import { Teleprompter } from '../components/Teleprompter.js';
+import { PrompterChannel } from '../services/TeleprompterService.js';
+import { createNarrationProvider } from '../services/NarrationService.js';
+import { resolveSyncPoints, getStepAtTime } from '../utils/sync.js';
+import { validateLessonConfig, formatValidationResult } from '../utils/validation.js';
 
 class LessonCoreClass {
     constructor() {
@@ -30,7 +38,10 @@ class LessonCoreClass {
             stepNavigators: new Map(),
             visualBlocks: new Map()
         };
+        this.audioSync = new Map(); // sectionId -> { visualId, syncPoints, script, points }
+        this.prompterChannel = null; // Set when following a teleprompter
         this.intersectionObserver = null;
+        this.unbindHistoryKeys = null;
     }
 
     /**
@@ -44,6 +55,18 @@ class LessonCoreClass {
             return;
         }
 
+        // Catch config mistakes here rather than deep inside a component
+        const validation = validateLessonConfig(config, visuals);
+        if (validation.errors.length > 0 || validation.warnings.length > 0) {
+            const report = formatValidationResult(validation);
+            if (validation.valid) {
+                console.warn(`LessonCore: Lesson config has warnings:\n${report}`);
+            } else {
+                console.error(`LessonCore: Invalid lesson config:\n${report}`);
+                throw new Error(`LessonCore: Invalid lesson config (${validation.errors.length} error(s), see console)`);
+            }
+        }
+
         this.config = config;
         this.visuals = visuals;
 
@@ -54,7 +77,8 @@ class LessonCoreClass {
             // 2. Initialize Timeline
             this._initTimeline();
 
-            // 3. Initialize sections
+            // 3. Initialize sections (scratch narration first, for players without audio)
+            this._initNarration();
             this._initSections();
 
             // 4. Setup EventBus listeners
@@ -63,13 +87,25 @@ class LessonCoreClass {
             // 5. Setup Intersection Observer for section visibility
             this._setupIntersectionObserver();
 
-            // 6. Initialize ExportManager
-            ExportManager.init(this.config);
+            // 6. Undo/redo shortcuts for scene and config edits
+            this.unbindHistoryKeys = CommandHistory.bindKeyboard();
+
+            // 7. Initialize ExportManager
+            ExportManager.init(this.config, this.visuals);
+
+            // 8. Continuous lesson player (TopNav play/pause/next/previous)
+            LessonPlayer.init(this.config, {
+                goToSection: (sectionId) => this.goToSection(sectionId),
+                getStartSection: () => this.currentSection
+            });
+
+            // 9. Follow a teleprompter in another window (?follow=prompter)
+            this._initPrompterFollow();
 
-            // 7. Handle initial URL hash
+            // 10. Handle initial URL hash
             this._handleUrlHash();
 
-            // 8. Mark as initialized
+            // 11. Mark as initialized
             this.initialized = true;
             EventBus.emit(Events.LESSON_INITIALIZED, { lessonId: config.id });
 
@@ -151,6 +187,22 @@ class LessonCoreClass {
         });
     }
 
+    /**
+     * Set up the scratch narration provider from `config.narration`
+     * @private
+     */
+    _initNarration() {
+        if (!this.config.narration) return;
+
+        try {
+            AudioPlayer.setNarrationProvider(createNarrationProvider(this.config.narration), {
+                autoGenerate: this.config.narration.autoGenerate ?? true
+            });
+        } catch (error) {
+            console.warn('LessonCore: Scratch narration disabled:', error.message);
+        }
+    }
+
     /**
      * Initialize audio players and visual blocks within a section
      * @private
@@ -171,6 +223,13 @@ class LessonCoreClass {
                     estimatedDuration: sectionConfig.audio.estimatedDuration
                 });
                 this.components.audioPlayers.set(sectionConfig.id, audioPlayer);
+
+                // Recorded takes (the chosen one replaces audio.file)
+                TakesPanel.init({
+                    container: audioContainer.querySelector('.audio-player-container') || audioContainer,
+                    sectionId: sectionConfig.id,
+                    lessonId: this.config.id
+                });
             }
         }
 
@@ -186,11 +245,43 @@ class LessonCoreClass {
                     container: visualContainer,
                     visualId: sectionConfig.visual.id,
                     composition: composition,
-                    totalSteps: sectionConfig.visual.steps || 1
+                    totalSteps: sectionConfig.visual.steps || 1,
+                    narration: sectionConfig.audio?.file ? {
+                        file: sectionConfig.audio.file,
+                        script: sectionConfig.audio.script,
+                        syncPoints: sectionConfig.visual.syncPoints
+                    } : null
                 });
                 this.components.visualBlocks.set(sectionConfig.visual.id, visualBlock);
             }
         }
+
+        // Narration drives the visual when sync points are defined
+        this._updateAudioSync(sectionConfig);
+    }
+
+    /**
+     * Track (or stop tracking) a section whose narration drives its visual
+     * Sync points are spread over the measured duration once it is known.
+     * @private
+     */
+    _updateAudioSync(sectionConfig) {
+        const syncPoints = sectionConfig.visual?.syncPoints || [];
+        if (!sectionConfig.audio || syncPoints.length === 0) {
+            this.audioSync.delete(sectionConfig.id);
+            return;
+        }
+
+        const script = sectionConfig.audio.script || '';
+        this.audioSync.set(sectionConfig.id, {
+            visualId: sectionConfig.visual.id,
+            syncPoints,
+            script,
+            points: resolveSyncPoints(syncPoints, {
+                script,
+                duration: AudioPlayer.getMeasuredDuration(sectionConfig.id) || undefined
+            })
+        });
     }
 
     /**
@@ -242,16 +333,81 @@ class LessonCoreClass {
             }
         });
 
-        // Audio ended -> Could auto-advance (optional)
-        EventBus.on(Events.AUDIO_ENDED, ({ sectionId }) => {
-            // Optional: Auto-mark section as completed
-            // LessonStorage.markCompleted(this.config.id, sectionId);
+        // Audio metadata -> Spread word-based sync points over the recording (estimated for scratch tracks)
+        EventBus.on(Events.AUDIO_METADATA_LOADED, ({ sectionId }) => {
+            const sync = this.audioSync.get(sectionId);
+            if (sync) {
+                sync.points = resolveSyncPoints(sync.syncPoints, {
+                    script: sync.script,
+                    duration: AudioPlayer.getMeasuredDuration(sectionId) || undefined
+                });
+            }
+        });
+
+        // Audio playing -> Advance the visual at each sync point
+        EventBus.on(Events.AUDIO_TIME_UPDATE, ({ sectionId, currentTime }) => {
+            this._syncVisualToAudio(sectionId, currentTime, false);
+        });
+
+        // Audio seeked -> Jump the visual to the matching step
+        EventBus.on(Events.AUDIO_SEEKED, ({ sectionId, currentTime }) => {
+            this._syncVisualToAudio(sectionId, currentTime, true);
+        });
+
+        // Take chosen (or restored on load) -> Play it instead of audio.file
+        EventBus.on(Events.AUDIO_TAKE_CHOSEN, ({ sectionId, take }) => {
+            AudioPlayer.useTake(sectionId, take);
+        });
+
+        // Lesson player finished a section's narration -> Mark it completed
+        EventBus.on(Events.PLAYER_SECTION_ENDED, ({ sectionId, audioEnded }) => {
+            if (!audioEnded) return;
+            if (this.components.timeline) {
+                // Goes through TIMELINE_CHECKBOX_CHANGED (storage + progress)
+                Timeline.setCompleted(sectionId, true);
+            } else {
+                LessonStorage.markCompleted(this.config.id, sectionId);
+                EventBus.emit(Events.PROGRESS_UPDATED, {
+                    lessonId: this.config.id,
+                    progress: LessonStorage.getProgress(this.config.id)
+                });
+            }
+        });
+
+        // Prompter button -> Open the teleprompter at the visible section
+        EventBus.on(Events.TELEPROMPTER_OPEN, () => {
+            LessonPlayer.pause();
+            Teleprompter.open(this.config, { startSection: this.currentSection });
+        });
+
+        // Lesson player state -> TopNav controls
+        EventBus.on(Events.PLAYER_STATE_CHANGED, (state) => {
+            if (this.components.topNav) {
+                TopNav.setPlayerState(state);
+            }
         });
 
         // Hash change handler
         window.addEventListener('hashchange', () => this._handleUrlHash());
     }
 
+    /**
+     * Put a section's visual on the step matching the narration time
+     * @private
+     * @param {string} sectionId
+     * @param {number} time - Narration time in seconds
+     * @param {boolean} instant - Jump without a transition (seeking)
+     */
+    _syncVisualToAudio(sectionId, time, instant) {
+        const sync = this.audioSync.get(sectionId);
+        if (!sync) return;
+
+        const step = getStepAtTime(sync.points, time);
+        if (step !== VisualBlock.getCurrentStep(sync.visualId)) {
+            VisualBlock.gotoStep(sync.visualId, step, instant ? 0 : undefined);
+        }
+    }
+
     /**
      * Setup Intersection Observer for section visibility tracking
      * @private
@@ -281,6 +437,39 @@ class LessonCoreClass {
         });
     }
 
+    /**
+     * Show the section and visual step a teleprompter in another window is at
+     * @private
+     */
+    _initPrompterFollow() {
+        if (new URLSearchParams(window.location.search).get('follow') !== 'prompter') return;
+
+        this.prompterChannel = new PrompterChannel(this.config.id);
+        if (!this.prompterChannel.isSupported()) {
+            console.warn('LessonCore: BroadcastChannel not supported, can\'t follow the teleprompter');
+            return;
+        }
+
+        document.body.classList.add('prompter-follow');
+
+        let followedSection = null;
+        this.prompterChannel.listen((message) => {
+            if (message?.type !== 'cue') return;
+
+            if (message.sectionId !== followedSection) {
+                followedSection = message.sectionId;
+                this.goToSection(message.sectionId, 'auto');
+            }
+            if (message.visualId && this.components.visualBlocks.has(message.visualId)) {
+                VisualBlock.gotoStep(message.visualId, message.step);
+            }
+        });
+
+        // Ask the prompter where it is
+        this.prompterChannel.send({ type: 'hello' });
+        console.log('LessonCore: Following the teleprompter');
+    }
+
     /**
      * Handle URL hash for deep linking
      * @private
@@ -346,6 +535,50 @@ class LessonCoreClass {
         return this.visuals;
     }
 
+    /**
+     * Change a value in a section's config (undoable with Ctrl+Z)
+     * @example
+     * LessonCore.updateSectionConfig('hook', 'timing', '00:00 - 00:45');
+     * LessonCore.updateSectionConfig('hook', ['audio', 'script'], newScript);
+     * @param {string} sectionId - Section identifier
+     * @param {string|Array<string|number>} path - Key (or key path) inside the section config
+     * @param {*} value - New value (undefined removes it)
+     * @returns {boolean} Whether the section exists
+     */
+    updateSectionConfig(sectionId, path, value) {
+        const index = this.config?.sections.findIndex(section => section.id === sectionId) ?? -1;
+        if (index === -1) {
+            console.warn(`LessonCore: Section "${sectionId}" not found`);
+            return false;
+        }
+
+        const keys = Array.isArray(path) ? path : [path];
+
+        CommandHistory.execute(createPathCommand({
+            label: `Edit ${sectionId}.${keys.join('.')}`,
+            root: this.config.sections[index],
+            path: keys,
+            value,
+            onApply: () => this._applySectionConfig(sectionId, keys)
+        }));
+
+        return true;
+    }
+
+    /**
+     * Bring components in line with an edited section config
+     * @private
+     */
+    _applySectionConfig(sectionId, path) {
+        const sectionConfig = this.config?.sections.find(section => section.id === sectionId);
+        if (!sectionConfig) return;
+
+        // Sync points and script feed the narration sync (a section can gain or lose it)
+        this._updateAudioSync(sectionConfig);
+
+        EventBus.emit(Events.SECTION_CONFIG_CHANGED, { sectionId, path, config: sectionConfig });
+    }
+
     /**
      * Destroy the lesson and clean up
      */
@@ -356,6 +589,21 @@ class LessonCoreClass {
             this.intersectionObserver = null;
         }
 
+        // Edits of this lesson can't be undone anymore
+        this.unbindHistoryKeys?.();
+        this.unbindHistoryKeys = null;
+        CommandHistory.clear();
+
+        // Stop the lesson player before its sections go away
+        LessonPlayer.destroy();
+        TakesPanel.destroyAll();
+        Teleprompter.close();
+        this.prompterChannel?.close();
+        this.prompterChannel = null;
+
+        // Scratch narration belongs to this lesson's config
+        AudioPlayer.setNarrationProvider(null);
+
         // Clear EventBus listeners
         EventBus.clear();
 
@@ -372,6 +620,7 @@ class LessonCoreClass {
         this.components.audioPlayers.clear();
         this.components.stepNavigators.clear();
         this.components.visualBlocks.clear();
+        this.audioSync.clear();
 
         // Reset state
         this.config = null;
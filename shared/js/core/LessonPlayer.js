@@ -0,0 +1,374 @@
+/**
+ * LessonPlayer - Play the Whole Lesson Back to Back
+ * Lesson Builder System
+ *
+ * A rough-cut player over the section players:
+ * - Plays each section's narration in order, scrolling to it first
+ * - Visuals follow sync points (LessonCore), or step evenly through the
+ *   narration when the section has none
+ * - Sections without playable audio are held for their `timing` length
+ * - Play/pause/next/previous via PLAYER_CONTROL (TopNav buttons)
+ *
+ * Emits PLAYER_STATE_CHANGED on every change and PLAYER_SECTION_ENDED
+ * when a section finishes (LessonCore marks it completed).
+ */
+
+import { EventBus, Events } from './EventBus.js';
+import { AudioPlayer } from '../components/AudioPlayer.js';
+import { VisualBlock } from '../components/VisualBlock.js';
+import { parseTimingRange } from '../utils/format.js';
+
+/**
+ * Hold length (seconds) for a section with neither audio nor timing
+ */
+const DEFAULT_HOLD = 10;
+
+/**
+ * "Previous" restarts the section when this far in (seconds)
+ */
+const RESTART_THRESHOLD = 3;
+
+/**
+ * Ignore a pause this close to the end (it's the audio ending)
+ */
+const END_TOLERANCE = 0.25;
+
+class LessonPlayerClass {
+    constructor() {
+        this.sections = [];
+        this.index = -1;
+        this.playing = false;
+        this.hold = null; // { duration, elapsed, lastTick, timer } while holding a section
+        this.goToSection = null;
+        this.getStartSection = null;
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Initialize with the lesson
+     * @param {Object} config - Lesson configuration
+     * @param {Object} [options]
+     * @param {Function} [options.goToSection] - Scroll to a section (sectionId)
+     * @param {Function} [options.getStartSection] - Section id to start from when stopped
+     * @returns {LessonPlayerClass}
+     */
+    init(config, options = {}) {
+        this.destroy();
+
+        this.sections = config.sections || [];
+        this.goToSection = options.goToSection ?? null;
+        this.getStartSection = options.getStartSection ?? null;
+
+        this.unsubscribers = [
+            EventBus.on(Events.PLAYER_CONTROL, ({ action, sectionId }) => {
+                switch (action) {
+                    case 'play': this.play(sectionId); break;
+                    case 'pause': this.pause(); break;
+                    case 'toggle': this.toggle(); break;
+                    case 'next': this.next(); break;
+                    case 'previous': this.previous(); break;
+                    case 'stop': this.stop(); break;
+                    default: console.warn(`LessonPlayer: Unknown action "${action}"`);
+                }
+            }),
+            EventBus.on(Events.AUDIO_ENDED, ({ sectionId }) => {
+                if (this.playing && sectionId === this._currentId()) {
+                    this._endSection(true);
+                }
+            }),
+            EventBus.on(Events.AUDIO_PAUSED, ({ sectionId, currentTime }) => {
+                // Paused from the section's own controls (spoken scripts have no duration)
+                if (!this.playing || this.hold || sectionId !== this._currentId()) return;
+                const duration = AudioPlayer.getDuration(sectionId);
+                if (!duration || currentTime < duration - END_TOLERANCE) {
+                    this.playing = false;
+                    this._emitState();
+                }
+            }),
+            EventBus.on(Events.AUDIO_TIME_UPDATE, ({ sectionId, currentTime, duration }) => {
+                if (this.playing && sectionId === this._currentId()) {
+                    const section = this.sections[this.index];
+                    this._stepEvenly(section, currentTime, duration || section.audio?.estimatedDuration);
+                }
+            })
+        ];
+
+        return this;
+    }
+
+    /**
+     * Play from a section, or resume
+     * @param {string} [sectionId] - Section to start at (default: resume, or the visible section)
+     */
+    play(sectionId) {
+        if (this.sections.length === 0) return;
+
+        if (sectionId) {
+            const index = this.sections.findIndex(section => section.id === sectionId);
+            if (index === -1) {
+                console.warn(`LessonPlayer: No section "${sectionId}"`);
+                return;
+            }
+            this._startSection(index);
+            return;
+        }
+
+        if (this.index === -1) {
+            const start = this.sections.findIndex(section => section.id === this.getStartSection?.());
+            this._startSection(Math.max(start, 0));
+            return;
+        }
+
+        this.playing = true;
+        if (this.hold) {
+            this._runHold();
+        } else {
+            this._playAudio(this._currentId());
+        }
+        this._emitState();
+    }
+
+    /**
+     * Pause where it is
+     */
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        if (this.hold) {
+            this._stopHoldTimer();
+        } else {
+            AudioPlayer.pause(this._currentId());
+        }
+        this._emitState();
+    }
+
+    /**
+     * Play or pause
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Skip to the next section
+     */
+    next() {
+        if (this.index < this.sections.length - 1) {
+            this._startSection(this.index + 1);
+        }
+    }
+
+    /**
+     * Restart the section, or go to the previous one near its start
+     */
+    previous() {
+        if (this.index === -1) return;
+
+        const elapsed = this.hold ? this.hold.elapsed : AudioPlayer.getCurrentTime(this._currentId());
+        const index = elapsed > RESTART_THRESHOLD || this.index === 0 ? this.index : this.index - 1;
+        this._startSection(index);
+    }
+
+    /**
+     * Stop and forget the position
+     */
+    stop() {
+        this._leaveSection();
+        this.playing = false;
+        this.index = -1;
+        this._emitState();
+    }
+
+    /**
+     * Whether the lesson is playing
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Get the player state (as sent with PLAYER_STATE_CHANGED)
+     * @returns {{playing: boolean, index: number, total: number, sectionId: string|null, title: string|null}}
+     */
+    getState() {
+        const section = this.sections[this.index] ?? null;
+        return {
+            playing: this.playing,
+            index: this.index,
+            total: this.sections.length,
+            sectionId: section?.id ?? null,
+            title: section?.title ?? null
+        };
+    }
+
+    /**
+     * Stop and drop listeners
+     */
+    destroy() {
+        if (this.index !== -1) {
+            this._leaveSection();
+        }
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.playing = false;
+        this.index = -1;
+    }
+
+    /**
+     * @private
+     */
+    _currentId() {
+        return this.sections[this.index]?.id ?? null;
+    }
+
+    /**
+     * Show a section from its start and play it
+     * @private
+     */
+    _startSection(index) {
+        this._leaveSection(index);
+
+        this.index = index;
+        this.playing = true;
+        const section = this.sections[index];
+
+        this.goToSection?.(section.id);
+
+        if (section.visual) {
+            VisualBlock.gotoStep(section.visual.id, 1, 0);
+        }
+
+        if (section.audio) {
+            AudioPlayer.seek(section.id, 0);
+            this._playAudio(section.id);
+        } else {
+            this._startHold(section);
+        }
+
+        this._emitState();
+    }
+
+    /**
+     * Stop whatever the current section is doing
+     * @private
+     * @param {number} [nextIndex] - Section about to start
+     */
+    _leaveSection(nextIndex = -1) {
+        if (this.hold) {
+            this._stopHoldTimer();
+            this.hold = null;
+        } else if (this.index !== -1 && nextIndex !== this.index) {
+            // (Restarting the same audio only seeks - a pause event would read as the user's)
+            AudioPlayer.pause(this._currentId());
+        }
+    }
+
+    /**
+     * Play a section's audio, holding the section instead if it won't play
+     * @private
+     */
+    _playAudio(sectionId) {
+        AudioPlayer.play(sectionId).catch(error => {
+            if (!this.playing || this._currentId() !== sectionId) return;
+            console.warn(`LessonPlayer: "${sectionId}" audio won't play (${error.message}), holding for its timing`);
+            this._startHold(this.sections[this.index]);
+        });
+    }
+
+    /**
+     * Hold a section without playable audio for its planned length
+     * @private
+     */
+    _startHold(section) {
+        this.hold = {
+            duration: parseTimingRange(section.timing).duration || section.audio?.estimatedDuration || DEFAULT_HOLD,
+            elapsed: 0,
+            lastTick: 0,
+            timer: null
+        };
+        if (this.playing) this._runHold();
+    }
+
+    /**
+     * @private
+     */
+    _runHold() {
+        this._stopHoldTimer();
+        this.hold.lastTick = performance.now();
+
+        this.hold.timer = setInterval(() => {
+            const now = performance.now();
+            this.hold.elapsed += (now - this.hold.lastTick) / 1000;
+            this.hold.lastTick = now;
+
+            this._stepEvenly(this.sections[this.index], this.hold.elapsed, this.hold.duration);
+
+            if (this.hold.elapsed >= this.hold.duration) {
+                this._endSection(false);
+            }
+        }, 250);
+    }
+
+    /**
+     * @private
+     */
+    _stopHoldTimer() {
+        if (this.hold?.timer) {
+            clearInterval(this.hold.timer);
+            this.hold.timer = null;
+        }
+    }
+
+    /**
+     * Spread the visual's steps over the section when it has no sync points
+     * @private
+     */
+    _stepEvenly(section, time, duration) {
+        if (!section?.visual || section.visual.syncPoints?.length || !(duration > 0)) return;
+
+        const steps = section.visual.steps || 1;
+        const step = Math.min(steps, Math.floor((time / duration) * steps) + 1);
+        if (step !== VisualBlock.getCurrentStep(section.visual.id)) {
+            VisualBlock.gotoStep(section.visual.id, step);
+        }
+    }
+
+    /**
+     * A section finished - report it and move on
+     * @private
+     */
+    _endSection(audioEnded) {
+        const sectionId = this._currentId();
+        this._stopHoldTimer();
+        this.hold = null;
+
+        EventBus.emit(Events.PLAYER_SECTION_ENDED, { sectionId, audioEnded });
+
+        if (this.index < this.sections.length - 1) {
+            this._startSection(this.index + 1);
+        } else {
+            this.playing = false;
+            this._emitState();
+            console.log('LessonPlayer: Reached the end of the lesson');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitState() {
+        EventBus.emit(Events.PLAYER_STATE_CHANGED, this.getState());
+    }
+}
+
+// Create singleton instance
+export const LessonPlayer = new LessonPlayerClass();
+
+// Also export the class
+export { LessonPlayerClass };
@@ -0,0 +1,100 @@
+/**
+ * ConnectionRouter - Geometry for connectionArrow objects
+ * Lesson Builder System
+ *
+ * Computes the route of an arrow between two boxes:
+ * - Anchor points (top/right/bottom/left/center, or auto)
+ * - Cubic Bezier control points for curved paths
+ *
+ * Works on plain {x, y, width, height} boxes, so it doesn't depend on Konva.
+ */
+
+/**
+ * Anchor positions as fractions of the box size
+ */
+const ANCHORS = {
+    top: { x: 0.5, y: 0 },
+    right: { x: 1, y: 0.5 },
+    bottom: { x: 0.5, y: 1 },
+    left: { x: 0, y: 0.5 },
+    center: { x: 0.5, y: 0.5 }
+};
+
+/**
+ * Get the center of a box
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {{x: number, y: number}}
+ */
+function center(box) {
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+/**
+ * Pick the side of a box facing another box
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {{x: number, y: number, width: number, height: number}} other
+ * @returns {string} Anchor name
+ */
+export function autoAnchor(box, other) {
+    const from = center(box);
+    const to = center(other);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+        return dx >= 0 ? 'right' : 'left';
+    }
+    return dy >= 0 ? 'bottom' : 'top';
+}
+
+/**
+ * Get an anchor point on a box
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {string} anchor - 'top' | 'right' | 'bottom' | 'left' | 'center'
+ * @returns {{x: number, y: number}}
+ */
+export function getAnchorPoint(box, anchor) {
+    const fraction = ANCHORS[anchor] ?? ANCHORS.center;
+    return {
+        x: box.x + box.width * fraction.x,
+        y: box.y + box.height * fraction.y
+    };
+}
+
+/**
+ * Route a connection between two boxes as a cubic Bezier
+ * @param {{x: number, y: number, width: number, height: number}} startBox
+ * @param {{x: number, y: number, width: number, height: number}} endBox
+ * @param {Object} [options]
+ * @param {string} [options.startAnchor='auto'] - Anchor on the start box
+ * @param {string} [options.endAnchor='auto'] - Anchor on the end box
+ * @param {number} [options.curve=0] - Bend as a fraction of the arrow length
+ *   (positive bends to the left of the direction of travel)
+ * @returns {number[]} [x1, y1, c1x, c1y, c2x, c2y, x2, y2]
+ */
+export function routeConnection(startBox, endBox, options = {}) {
+    const startAnchor = !options.startAnchor || options.startAnchor === 'auto'
+        ? autoAnchor(startBox, endBox)
+        : options.startAnchor;
+    const endAnchor = !options.endAnchor || options.endAnchor === 'auto'
+        ? autoAnchor(endBox, startBox)
+        : options.endAnchor;
+
+    const start = getAnchorPoint(startBox, startAnchor);
+    const end = getAnchorPoint(endBox, endAnchor);
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const curve = options.curve ?? 0;
+
+    // Perpendicular offset (normal rotated 90° counter-clockwise, scaled by length)
+    const offsetX = dy * curve;
+    const offsetY = -dx * curve;
+
+    return [
+        start.x, start.y,
+        start.x + dx / 3 + offsetX, start.y + dy / 3 + offsetY,
+        start.x + (dx * 2) / 3 + offsetX, start.y + (dy * 2) / 3 + offsetY,
+        end.x, end.y
+    ];
+}
@@ -0,0 +1,305 @@
+/**
+ * ObjectProps - Scene JSON to Node Attributes
+ * Lesson Builder System
+ *
+ * Single definition of how object `props` (percent-based scene JSON) map to
+ * pixel attributes, shared by SceneBuilder (Konva) and StateBasedEngine
+ * (headless). Attribute names follow Konva so both sides read the same.
+ */
+
+/**
+ * Supported object types
+ */
+export const OBJECT_TYPES = ['rect', 'circle', 'text', 'line', 'path', 'group', 'connectionArrow'];
+
+/**
+ * Props read by getCreateAttrs(), per type
+ * (`z` and `zIndex` are documented scene props kept for authoring)
+ */
+const TRANSFORM_PROPS = ['x', 'y', 'opacity', 'rotation', 'scale', 'scaleX', 'scaleY', 'shadow', 'z', 'zIndex'];
+
+export const OBJECT_PROPS = {
+    rect: [...TRANSFORM_PROPS, 'width', 'height', 'fill', 'color', 'stroke', 'borderColor', 'strokeWidth', 'borderWidth', 'cornerRadius', 'rx', 'borderRadius'],
+    circle: [...TRANSFORM_PROPS, 'radius', 'fill', 'color', 'stroke', 'borderColor', 'strokeWidth', 'borderWidth'],
+    text: [...TRANSFORM_PROPS, 'text', 'fontSize', 'fontFamily', 'fontWeight', 'fill', 'color', 'align', 'maxWidth', 'wrap'],
+    line: [...TRANSFORM_PROPS, 'x1', 'y1', 'x2', 'y2', 'stroke', 'color', 'strokeWidth', 'width'],
+    path: [...TRANSFORM_PROPS, 'd', 'fill', 'color', 'stroke', 'strokeWidth', 'width', 'height'],
+    group: TRANSFORM_PROPS,
+    connectionArrow: ['opacity', 'zIndex', 'stroke', 'color', 'fill', 'strokeWidth', 'arrowSize', 'dash', 'startTarget', 'endTarget', 'startAnchor', 'endAnchor', 'curve']
+};
+
+/**
+ * Props that getUpdateAttrs() applies in later steps, per type
+ * (anything else only takes effect when the object is created)
+ */
+const TRANSFORM_UPDATE_PROPS = ['x', 'y', 'opacity', 'rotation', 'scale', 'scaleX', 'scaleY'];
+
+export const UPDATE_PROPS = {
+    rect: [...TRANSFORM_UPDATE_PROPS, 'width', 'height', 'fill', 'color', 'cornerRadius'],
+    circle: [...TRANSFORM_UPDATE_PROPS, 'radius', 'fill', 'color'],
+    text: [...TRANSFORM_UPDATE_PROPS, 'text', 'fontSize', 'fill', 'color'],
+    line: TRANSFORM_UPDATE_PROPS,
+    path: [...TRANSFORM_UPDATE_PROPS, 'd', 'fill', 'color', 'stroke'],
+    group: TRANSFORM_UPDATE_PROPS,
+    connectionArrow: ['opacity', 'startTarget', 'endTarget', 'startAnchor', 'endAnchor', 'curve', 'strokeWidth', 'arrowSize', 'stroke', 'color', 'fill']
+};
+
+/**
+ * Props that must be numbers
+ */
+export const NUMERIC_PROPS = [
+    'x', 'y', 'x1', 'y1', 'x2', 'y2', 'width', 'height', 'radius', 'maxWidth',
+    'opacity', 'rotation', 'scale', 'scaleX', 'scaleY', 'z', 'zIndex',
+    'fontSize', 'strokeWidth', 'borderWidth', 'cornerRadius', 'rx', 'borderRadius',
+    'arrowSize', 'curve'
+];
+
+/**
+ * Easings used when the scene JSON doesn't specify one
+ * (match the Konva EaseInOut / EaseIn / EaseOut curves)
+ */
+export const DEFAULT_EASING = {
+    update: 'easeInOutQuad',
+    fadeIn: 'easeInQuad',
+    fadeOut: 'easeOutQuad'
+};
+
+/**
+ * Scene prop names to check when resolving easing for an attribute
+ */
+export const EASING_PROP_ALIASES = {
+    scaleX: ['scaleX', 'scale'],
+    scaleY: ['scaleY', 'scale'],
+    offsetX: ['width'],
+    offsetY: ['height'],
+    data: ['d'],
+    pointerLength: ['arrowSize'],
+    pointerWidth: ['arrowSize']
+};
+
+/**
+ * Text font size multiplier for 4K output (font sizes are authored for web)
+ */
+export const FONT_SCALE = 2.5;
+
+/**
+ * Unit conversion context
+ * @typedef {Object} Units
+ * @property {Function} toPixels - (percent, axis) => pixels
+ * @property {number} scale - Output scale (0.5 preview, 1.0 export)
+ */
+
+/**
+ * Get attributes for a new object
+ * Group children are not included - create them from objDef.children.
+ * @param {Object} objDef - Object definition
+ * @param {Units} units - Unit conversion
+ * @returns {Object|null} Attributes, or null for an unknown type
+ */
+export function getCreateAttrs(objDef, units) {
+    const props = objDef.props || {};
+    const { toPixels } = units;
+
+    // Convert percentage positions to pixels
+    const x = props.x !== undefined ? toPixels(props.x, 'x') : 0;
+    const y = props.y !== undefined ? toPixels(props.y, 'y') : 0;
+
+    // Common properties
+    const common = {
+        x: x,
+        y: y,
+        opacity: props.opacity ?? 1,
+        rotation: props.rotation ?? 0,
+        scaleX: props.scaleX ?? props.scale ?? 1,
+        scaleY: props.scaleY ?? props.scale ?? 1
+    };
+
+    // Apply shadow if specified
+    if (props.shadow) {
+        common.shadowColor = props.shadow.color ?? 'rgba(0, 0, 0, 0.3)';
+        common.shadowBlur = props.shadow.blur ?? 10;
+        common.shadowOffsetX = props.shadow.offset?.x ?? 0;
+        common.shadowOffsetY = props.shadow.offset?.y ?? 5;
+    }
+
+    switch (objDef.type) {
+        case 'rect': {
+            const width = props.width ? toPixels(props.width, 'x') : 100;
+            const height = props.height ? toPixels(props.height, 'y') : 100;
+
+            return {
+                ...common,
+                width: width,
+                height: height,
+                offsetX: width / 2,
+                offsetY: height / 2,
+                fill: props.fill ?? props.color ?? '#ffffff',
+                stroke: props.stroke ?? props.borderColor,
+                strokeWidth: props.strokeWidth ?? props.borderWidth ?? 0,
+                cornerRadius: props.cornerRadius ?? props.rx ?? props.borderRadius ?? 0
+            };
+        }
+
+        case 'circle':
+            return {
+                ...common,
+                radius: props.radius ? toPixels(props.radius, 'x') : 50,
+                fill: props.fill ?? props.color ?? '#ffffff',
+                stroke: props.stroke ?? props.borderColor,
+                strokeWidth: props.strokeWidth ?? props.borderWidth ?? 0
+            };
+
+        case 'text':
+            // Offsets (centering) depend on measured size - set by the renderer
+            return {
+                ...common,
+                text: props.text ?? '',
+                fontSize: (props.fontSize ?? 16) * FONT_SCALE * (units.scale ?? 1),
+                fontFamily: props.fontFamily ?? 'Inter, sans-serif',
+                fontStyle: props.fontWeight ? `${props.fontWeight}` : 'normal',
+                fill: props.fill ?? props.color ?? '#ffffff',
+                align: props.align ?? 'center',
+                verticalAlign: 'middle',
+                width: props.maxWidth ? toPixels(props.maxWidth, 'x') : undefined,
+                wrap: props.wrap ?? 'none'
+            };
+
+        case 'line': {
+            const x1 = props.x1 ? toPixels(props.x1, 'x') : 0;
+            const y1 = props.y1 ? toPixels(props.y1, 'y') : 0;
+            const x2 = props.x2 ? toPixels(props.x2, 'x') : 100;
+            const y2 = props.y2 ? toPixels(props.y2, 'y') : 100;
+
+            return {
+                ...common,
+                points: [x1, y1, x2, y2],
+                stroke: props.stroke ?? props.color ?? '#ffffff',
+                strokeWidth: props.strokeWidth ?? props.width ?? 2,
+                lineCap: 'round',
+                lineJoin: 'round'
+            };
+        }
+
+        case 'path': {
+            const width = props.width ? toPixels(props.width, 'x') : undefined;
+            const height = props.height ? toPixels(props.height, 'y') : undefined;
+
+            return {
+                ...common,
+                data: props.d ?? '',
+                fill: props.fill ?? props.color ?? 'transparent',
+                stroke: props.stroke ?? props.color,
+                strokeWidth: props.strokeWidth ?? props.width ?? 2,
+                width: width,
+                height: height,
+                offsetX: width ? width / 2 : 0,
+                offsetY: height ? height / 2 : 0
+            };
+        }
+
+        case 'group':
+            return common;
+
+        case 'connectionArrow': {
+            const arrowSize = props.arrowSize ?? 10;
+
+            // Points are routed between the targets at render time
+            return {
+                opacity: common.opacity,
+                points: [],
+                bezier: true,
+                stroke: props.stroke ?? props.color ?? '#ffffff',
+                fill: props.fill ?? props.stroke ?? props.color ?? '#ffffff',
+                strokeWidth: props.strokeWidth ?? 2,
+                pointerLength: arrowSize,
+                pointerWidth: arrowSize,
+                dash: props.dash,
+                lineCap: 'round',
+                lineJoin: 'round',
+                startTarget: props.startTarget,
+                endTarget: props.endTarget,
+                startAnchor: props.startAnchor ?? 'auto',
+                endAnchor: props.endAnchor ?? 'auto',
+                curve: props.curve ?? 0
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get attribute changes for an update step
+ * @param {Object} objDef - Object definition (type resolved)
+ * @param {Units} units - Unit conversion
+ * @returns {{tween: Object, instant: Object}} Animated and instantly applied attributes
+ */
+export function getUpdateAttrs(objDef, units) {
+    const props = objDef.props || {};
+    const { toPixels } = units;
+
+    // Calculate target properties
+    const tween = {};
+    const instant = {};
+
+    if (props.x !== undefined) tween.x = toPixels(props.x, 'x');
+    if (props.y !== undefined) tween.y = toPixels(props.y, 'y');
+    if (props.opacity !== undefined) tween.opacity = props.opacity;
+    if (props.rotation !== undefined) tween.rotation = props.rotation;
+    if (props.scale !== undefined) {
+        tween.scaleX = props.scale;
+        tween.scaleY = props.scale;
+    }
+    if (props.scaleX !== undefined) tween.scaleX = props.scaleX;
+    if (props.scaleY !== undefined) tween.scaleY = props.scaleY;
+
+    // Type-specific properties
+    if (objDef.type === 'rect') {
+        if (props.width !== undefined) {
+            const width = toPixels(props.width, 'x');
+            tween.width = width;
+            tween.offsetX = width / 2;
+        }
+        if (props.height !== undefined) {
+            const height = toPixels(props.height, 'y');
+            tween.height = height;
+            tween.offsetY = height / 2;
+        }
+        if (props.fill || props.color) tween.fill = props.fill ?? props.color;
+        if (props.cornerRadius !== undefined) tween.cornerRadius = props.cornerRadius;
+    } else if (objDef.type === 'circle') {
+        if (props.radius !== undefined) {
+            tween.radius = toPixels(props.radius, 'x');
+        }
+        if (props.fill || props.color) tween.fill = props.fill ?? props.color;
+    } else if (objDef.type === 'text') {
+        if (props.text !== undefined) instant.text = props.text; // Instant text change
+        if (props.fontSize !== undefined) {
+            tween.fontSize = props.fontSize * FONT_SCALE * (units.scale ?? 1);
+        }
+        if (props.fill || props.color) tween.fill = props.fill ?? props.color;
+    } else if (objDef.type === 'path') {
+        if (props.d !== undefined) instant.data = props.d; // Path data can't be interpolated
+        if (props.fill || props.color) tween.fill = props.fill ?? props.color;
+        if (props.stroke) tween.stroke = props.stroke;
+    } else if (objDef.type === 'connectionArrow') {
+        // Re-targeting is instant; the route follows on the next update
+        if (props.startTarget !== undefined) instant.startTarget = props.startTarget;
+        if (props.endTarget !== undefined) instant.endTarget = props.endTarget;
+        if (props.startAnchor !== undefined) instant.startAnchor = props.startAnchor;
+        if (props.endAnchor !== undefined) instant.endAnchor = props.endAnchor;
+        if (props.curve !== undefined) tween.curve = props.curve;
+        if (props.strokeWidth !== undefined) tween.strokeWidth = props.strokeWidth;
+        if (props.arrowSize !== undefined) {
+            tween.pointerLength = props.arrowSize;
+            tween.pointerWidth = props.arrowSize;
+        }
+        if (props.stroke || props.color) {
+            tween.stroke = props.stroke ?? props.color;
+            tween.fill = props.fill ?? props.stroke ?? props.color;
+        }
+    }
+
+    return { tween, instant };
+}
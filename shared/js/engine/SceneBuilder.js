@@ -5,11 +5,30 @@
  * Converts scene definitions (JSON format) to Konva objects.
  * Handles:
  * - Multi-step animations with state transitions
- * - Object creation from type definitions (rect, circle, text, group)
+ * - Object creation from type definitions (rect, circle, text, group, connectionArrow)
  * - Property interpolation between steps
  * - Konva.Tween for smooth animations
+ * - Named easings (utils/animation.js) at scene, step and object level
+ * - Per-object delay/duration, step stagger and sequence blocks
+ * - A scene timeline (getDuration/seek/renderAt) shared by preview and export
  */
 
+import { getEasing, resolveEasingName } from '../utils/animation.js';
+import { scheduleStep, getScheduleEndTime, collectScheduleIds } from './StepSchedule.js';
+import { routeConnection } from './ConnectionRouter.js';
+import { getCreateAttrs, getUpdateAttrs, DEFAULT_EASING, EASING_PROP_ALIASES } from './ObjectProps.js';
+import { getSyncPositionAtTime } from '../utils/sync.js';
+
+/**
+ * Adapt a 0-1 easing function to Konva's (t, b, c, d) signature
+ * @param {string} name - Easing name
+ * @returns {Function}
+ */
+function toKonvaEasing(name) {
+    const easing = getEasing(name);
+    return (t, b, c, d) => b + c * easing(d > 0 ? t / d : 1);
+}
+
 /**
  * SceneBuilder - Builds Konva scenes from JSON definitions
  */
@@ -17,14 +36,34 @@ export class SceneBuilder {
     /**
      * Create a SceneBuilder
      * @param {import('./StageManager.js').StageManager} stageManager - Stage manager instance
+     * @param {Object} [options]
+     * @param {boolean} [options.autoplay=true] - Drive transitions with Konva.Animation
+     *   (false for export, where the timeline is seeked per frame)
+     * @param {number} [options.stepDuration] - Default transition duration used by the
+     *   timeline (as passed to goToStep); per-step durations if omitted
      */
-    constructor(stageManager) {
+    constructor(stageManager, options = {}) {
         this.stageManager = stageManager;
         this.layer = stageManager.getLayer();
+        this.autoplay = options.autoplay ?? true;
+        this.stepDuration = options.stepDuration;
         this.scene = null;
         this.currentStepIndex = 0;
+        this.activeStep = null;
+        this.schedule = []; // Timed entries of the active step
+        this.stepEndTime = 0;
+        this.clock = null; // Konva.Animation driving the active step
+        this.timeline = []; // { start, end } per step (ms)
+        this.seekPosition = null; // { stepIndex, time } while driven by seek()
         this.objects = new Map(); // id -> Konva.Node
-        this.tweens = new Map(); // id -> Konva.Tween
+        this.tweens = new Map(); // key -> { tween, delay, duration }
+        this.fadingOut = new Set(); // Nodes removed when the next step starts
+        
+        // Unit conversion for ObjectProps (percent -> stage pixels)
+        this.units = {
+            toPixels: (percent, axis) => this.stageManager.toPixels(percent, axis),
+            scale: this.stageManager.scale ?? 1
+        };
     }
     
     /**
@@ -34,9 +73,11 @@ export class SceneBuilder {
      * @param {Array} sceneConfig.steps - Animation steps
      * @param {string} [sceneConfig.background] - Background color
      * @param {number} [sceneConfig.duration=1000] - Default transition duration (ms)
+     * @param {string|Object} [sceneConfig.easing] - Default easing name, or map of prop -> easing name
      */
     build(sceneConfig) {
         this.scene = sceneConfig;
+        this.timeline = this.buildTimeline();
         
         // Set background
         if (sceneConfig.background) {
@@ -62,46 +103,240 @@ export class SceneBuilder {
             return;
         }
         
-        const step = this.scene.steps[stepIndex];
-        const transitionDuration = duration ?? step.duration ?? this.scene.duration ?? 1000;
+        const transitionDuration = this.getTransitionDuration(stepIndex, duration);
         
         console.log(`[SceneBuilder] Going to step ${stepIndex} (duration: ${transitionDuration}ms)`);
         
+        this.seekPosition = null;
+        this.enterStep(stepIndex, transitionDuration, this.autoplay);
+        this.stageManager.draw();
+    }
+    
+    /**
+     * Get the transition duration a step runs with
+     * @param {number} stepIndex - Step index (0-based)
+     * @param {number} [duration] - Explicit duration, as passed to goToStep()
+     * @returns {number} Duration in ms
+     */
+    getTransitionDuration(stepIndex, duration) {
+        const step = this.scene?.steps?.[stepIndex];
+        return duration ?? this.stepDuration ?? step?.duration ?? this.scene?.duration ?? 1000;
+    }
+    
+    /**
+     * Get the time (ms) at which a step's transition has fully finished
+     * @param {number} stepIndex - Step index (0-based)
+     * @param {number} [duration] - Default duration, as passed to goToStep()
+     * @returns {number}
+     */
+    getStepEndTime(stepIndex, duration) {
+        const step = this.scene?.steps?.[stepIndex];
+        if (!step) return 0;
+        
+        const transitionDuration = this.getTransitionDuration(stepIndex, duration);
+        if (transitionDuration === 0) return 0;
+        
+        return getScheduleEndTime(scheduleStep(step, transitionDuration), transitionDuration);
+    }
+    
+    // ======================================================================
+    // TIMELINE
+    // ======================================================================
+    
+    /**
+     * Lay the steps out back to back (the first step is an instant jump)
+     * @returns {Array<{start: number, end: number}>} Step times in ms
+     */
+    buildTimeline() {
+        const timeline = [];
+        let time = 0;
+        
+        (this.scene?.steps || []).forEach((_, index) => {
+            const end = index === 0 ? time : time + this.getStepEndTime(index);
+            timeline.push({ start: time, end });
+            time = end;
+        });
+        
+        return timeline;
+    }
+    
+    /**
+     * Get the total duration of the scene timeline
+     * @returns {number} Duration in ms
+     */
+    getDuration() {
+        return this.timeline.length > 0 ? this.timeline[this.timeline.length - 1].end : 0;
+    }
+    
+    /**
+     * Show the scene at a point on the timeline
+     * Seeking forward within a step continues from the current state;
+     * anything else replays earlier steps instantly first, so the result
+     * only depends on the time.
+     * @param {number} timeMs - Time from the start of the scene (ms)
+     * @returns {number} Step index shown
+     */
+    seek(timeMs) {
+        if (this.timeline.length === 0) return 0;
+        
+        const time = Math.min(Math.max(timeMs, 0), this.getDuration());
+        
+        // The step whose transition covers this time (the last one at the end)
+        let stepIndex = this.timeline.findIndex((entry, index) => index > 0 && time < entry.end);
+        if (stepIndex === -1) {
+            stepIndex = this.timeline.length - 1;
+        }
+        
+        this.seekStep(stepIndex, time - this.timeline[stepIndex].start);
+        return stepIndex;
+    }
+    
+    /**
+     * Show a step at a fraction of its transition
+     * @param {number} stepIndex - Step index (0-based)
+     * @param {number} progress - 0 (start of the transition) to 1 (settled)
+     */
+    renderAt(stepIndex, progress) {
+        const entry = this.timeline[stepIndex];
+        if (!entry) {
+            console.warn(`[SceneBuilder] Invalid step index: ${stepIndex}`);
+            return;
+        }
+        
+        const clamped = Math.min(Math.max(progress, 0), 1);
+        this.seekStep(stepIndex, clamped * (entry.end - entry.start));
+    }
+    
+    /**
+     * Show the scene with each step's transition starting at its sync point
+     * (narration-driven timing instead of steps back to back)
+     * @param {Array<{step: number, time: number}>} syncTimes - Resolved sync points (seconds)
+     * @param {number} timeMs - Narration time (ms)
+     * @returns {number} Step index shown
+     */
+    seekSynced(syncTimes, timeMs) {
+        const { step, start } = getSyncPositionAtTime(syncTimes, timeMs / 1000);
+        const stepIndex = Math.min(Math.max(step - 1, 0), this.timeline.length - 1);
+        
+        const entry = this.timeline[stepIndex];
+        if (!entry) return 0;
+        
+        const length = entry.end - entry.start;
+        this.renderAt(stepIndex, length > 0 ? (timeMs - start * 1000) / length : 1);
+        
+        return stepIndex;
+    }
+    
+    /**
+     * Get when the last synced transition has finished
+     * @param {Array<{step: number, time: number}>} syncTimes - Resolved sync points (seconds)
+     * @returns {number} Time in ms
+     */
+    getSyncedEndTime(syncTimes) {
+        let end = 0;
+        
+        for (const { step, time } of syncTimes) {
+            const entry = this.timeline[step - 1];
+            if (entry) {
+                end = Math.max(end, time * 1000 + (entry.end - entry.start));
+            }
+        }
+        
+        return end;
+    }
+    
+    /**
+     * Re-read the scene after its definition changed (scene editor)
+     * Rebuilds the timeline and shows a step settled.
+     * @param {number} stepIndex - Step index (0-based) to show
+     */
+    refresh(stepIndex) {
+        if (!this.scene) return;
+        
+        if (this.scene.background) {
+            this.stageManager.setBackground(this.scene.background);
+        }
+        
+        this.timeline = this.buildTimeline();
+        this.seekPosition = null;
+        this.renderAt(Math.min(Math.max(stepIndex, 0), this.timeline.length - 1), 1);
+    }
+    
+    /**
+     * Position the scene at a time within a step
+     * @param {number} stepIndex - Step index (0-based)
+     * @param {number} time - Time since the step started (ms)
+     * @private
+     */
+    seekStep(stepIndex, time) {
+        const resume = this.seekPosition?.stepIndex === stepIndex && time >= this.seekPosition.time;
+        
+        if (!resume) {
+            this.clearObjects();
+            for (let i = 0; i < stepIndex; i++) {
+                this.enterStep(i, 0, false);
+            }
+            this.enterStep(stepIndex, stepIndex === 0 ? 0 : this.getTransitionDuration(stepIndex), false);
+        }
+        
+        this.advanceTo(time);
+        this.seekPosition = { stepIndex, time };
+        this.stageManager.draw();
+    }
+    
+    /**
+     * Start a step's transition
+     * @param {number} stepIndex - Step index (0-based)
+     * @param {number} duration - Transition duration (ms)
+     * @param {boolean} autoplay - Drive the transition with the clock
+     * @private
+     */
+    enterStep(stepIndex, duration, autoplay) {
+        // Make sure the previous step has fully settled before moving on
+        this.flushPending();
+        
         // Stop all active tweens
         this.stopAllTweens();
         
+        const step = this.scene.steps[stepIndex];
+        this.activeStep = step;
+        this.schedule = scheduleStep(step, duration);
+        this.stepEndTime = duration > 0 ? getScheduleEndTime(this.schedule, duration) : 0;
+        
         // Process objects in this step
-        this.processStepObjects(step.objects || [], transitionDuration);
+        this.processStepObjects(this.schedule, duration);
+        if (duration > 0 && autoplay) {
+            this.startClock();
+        }
         
         this.currentStepIndex = stepIndex;
-        this.stageManager.draw();
+        this.updateConnections();
     }
     
     /**
-     * Process objects for a step
-     * @param {Array} objects - Object definitions
-     * @param {number} duration - Animation duration
+     * Process the scheduled objects of a step
+     * @param {Array<{objDef: Object, delay: number, duration: number}>} schedule - Timed entries
+     * @param {number} duration - Default animation duration
      */
-    processStepObjects(objects, duration) {
-        const processedIds = new Set();
+    processStepObjects(schedule, duration) {
+        const processedIds = collectScheduleIds(schedule);
         
-        // Create or update objects
-        for (const objDef of objects) {
-            this.processObject(objDef, duration);
-            processedIds.add(objDef.id);
-            
-            // Process children if group
-            if (objDef.children) {
-                for (const child of objDef.children) {
-                    processedIds.add(child.id);
-                }
+        if (duration > 0) {
+            // Start entries due at t=0; the clock (or seek) starts the rest
+            this.advanceTo(0);
+        } else {
+            // Instant jump: apply every entry in order
+            for (const entry of schedule) {
+                entry.started = true;
+                this.processObject(entry.objDef, 0);
             }
         }
         
         // Fade out objects not in this step
+        // (group children live and die with their group)
         for (const [id, node] of this.objects) {
-            if (!processedIds.has(id)) {
-                this.fadeOut(node, duration);
+            if (!processedIds.has(id) && node.getParent() === this.layer) {
+                this.fadeOut(node, duration, this.resolveEasing('opacity', null, DEFAULT_EASING.fadeOut));
             }
         }
     }
@@ -110,18 +345,16 @@ export class SceneBuilder {
      * Process a single object definition
      * @param {Object} objDef - Object definition
      * @param {number} duration - Animation duration
+     * @param {number} [delay=0] - Start time within the step (ms)
      */
-    processObject(objDef, duration) {
+    processObject(objDef, duration, delay = 0) {
         const existingNode = this.objects.get(objDef.id);
-
-        // If type is omitted (update step), infer from existing node metadata
-        if (!objDef.type && existingNode) {
-            objDef.type = existingNode.getAttr('objectType');
-        }
         
         if (existingNode) {
-            // Update existing object
-            this.updateObject(existingNode, objDef, duration);
+            // If type is omitted (update step), infer from existing node metadata
+            // (on a copy - the scene JSON stays as authored)
+            const updateDef = objDef.type ? objDef : { ...objDef, type: existingNode.getAttr('objectType') };
+            this.updateObject(existingNode, updateDef, duration, delay);
         } else {
             // Create new object
             const node = this.createObject(objDef);
@@ -132,8 +365,9 @@ export class SceneBuilder {
                 
                 // Fade in if duration > 0
                 if (duration > 0) {
+                    const opacity = node.opacity();
                     node.opacity(0);
-                    this.fadeIn(node, duration);
+                    this.fadeIn(node, duration, this.resolveEasing('opacity', objDef, DEFAULT_EASING.fadeIn), delay, opacity);
                 }
             }
         }
@@ -145,123 +379,38 @@ export class SceneBuilder {
      * @returns {Konva.Node|null}
      */
     createObject(objDef) {
-        const props = objDef.props || {};
-        
-        // Convert percentage positions to pixels
-        const x = props.x !== undefined ? this.stageManager.toPixels(props.x, 'x') : 0;
-        const y = props.y !== undefined ? this.stageManager.toPixels(props.y, 'y') : 0;
-        
-        // Common properties
-        const commonProps = {
-            x: x,
-            y: y,
-            opacity: props.opacity ?? 1,
-            rotation: props.rotation ?? 0,
-            scaleX: props.scaleX ?? props.scale ?? 1,
-            scaleY: props.scaleY ?? props.scale ?? 1
-        };
-        
-        // Apply shadow if specified
-        if (props.shadow) {
-            commonProps.shadowColor = props.shadow.color ?? 'rgba(0, 0, 0, 0.3)';
-            commonProps.shadowBlur = props.shadow.blur ?? 10;
-            commonProps.shadowOffsetX = props.shadow.offset?.x ?? 0;
-            commonProps.shadowOffsetY = props.shadow.offset?.y ?? 5;
+        const attrs = getCreateAttrs(objDef, this.units);
+        if (!attrs) {
+            console.warn(`[SceneBuilder] Unknown object type: ${objDef.type}`);
+            return null;
         }
         
         let node = null;
         
         switch (objDef.type) {
-            case 'rect': {
-                const width = props.width ? this.stageManager.toPixels(props.width, 'x') : 100;
-                const height = props.height ? this.stageManager.toPixels(props.height, 'y') : 100;
-                
-                node = new Konva.Rect({
-                    ...commonProps,
-                    width: width,
-                    height: height,
-                    offsetX: width / 2,
-                    offsetY: height / 2,
-                    fill: props.fill ?? props.color ?? '#ffffff',
-                    stroke: props.stroke ?? props.borderColor,
-                    strokeWidth: props.strokeWidth ?? props.borderWidth ?? 0,
-                    cornerRadius: props.cornerRadius ?? props.rx ?? props.borderRadius ?? 0
-                });
+            case 'rect':
+                node = new Konva.Rect(attrs);
                 break;
-            }
             
-            case 'circle': {
-                const radius = props.radius ? this.stageManager.toPixels(props.radius, 'x') : 50;
-                
-                node = new Konva.Circle({
-                    ...commonProps,
-                    radius: radius,
-                    fill: props.fill ?? props.color ?? '#ffffff',
-                    stroke: props.stroke ?? props.borderColor,
-                    strokeWidth: props.strokeWidth ?? props.borderWidth ?? 0
-                });
+            case 'circle':
+                node = new Konva.Circle(attrs);
                 break;
-            }
             
-            case 'text': {
-                const fontSize = (props.fontSize ?? 16) * 2.5 * (this.stageManager.scale ?? 1); // Scale down for preview
-                
-                node = new Konva.Text({
-                    ...commonProps,
-                    text: props.text ?? '',
-                    fontSize: fontSize,
-                    fontFamily: props.fontFamily ?? 'Inter, sans-serif',
-                    fontStyle: props.fontWeight ? `${props.fontWeight}` : 'normal',
-                    fill: props.fill ?? props.color ?? '#ffffff',
-                    align: props.align ?? 'center',
-                    verticalAlign: 'middle',
-                    width: props.maxWidth ? this.stageManager.toPixels(props.maxWidth, 'x') : undefined,
-                    wrap: props.wrap ?? 'none'
-                });
-                
-                // Center text
-                node.offsetX(node.width() / 2);
-                node.offsetY(node.height() / 2);
+            case 'text':
+                node = new Konva.Text(attrs);
+                this.centerText(node);
                 break;
-            }
             
-            case 'line': {
-                const x1 = props.x1 ? this.stageManager.toPixels(props.x1, 'x') : 0;
-                const y1 = props.y1 ? this.stageManager.toPixels(props.y1, 'y') : 0;
-                const x2 = props.x2 ? this.stageManager.toPixels(props.x2, 'x') : 100;
-                const y2 = props.y2 ? this.stageManager.toPixels(props.y2, 'y') : 100;
-                
-                node = new Konva.Line({
-                    ...commonProps,
-                    points: [x1, y1, x2, y2],
-                    stroke: props.stroke ?? props.color ?? '#ffffff',
-                    strokeWidth: props.strokeWidth ?? props.width ?? 2,
-                    lineCap: 'round',
-                    lineJoin: 'round'
-                });
+            case 'line':
+                node = new Konva.Line(attrs);
                 break;
-            }
             
-            case 'path': {
-                const width = props.width ? this.stageManager.toPixels(props.width, 'x') : undefined;
-                const height = props.height ? this.stageManager.toPixels(props.height, 'y') : undefined;
-
-                node = new Konva.Path({
-                    ...commonProps,
-                    data: props.d ?? '',
-                    fill: props.fill ?? props.color ?? 'transparent',
-                    stroke: props.stroke ?? props.color,
-                    strokeWidth: props.strokeWidth ?? props.width ?? 2,
-                    width: width,
-                    height: height,
-                    offsetX: width ? width / 2 : 0,
-                    offsetY: height ? height / 2 : 0
-                });
+            case 'path':
+                node = new Konva.Path(attrs);
                 break;
-            }
 
             case 'group': {
-                node = new Konva.Group(commonProps);
+                node = new Konva.Group(attrs);
                 
                 // Add children
                 if (objDef.children) {
@@ -276,14 +425,13 @@ export class SceneBuilder {
                 break;
             }
             
-            default:
-                console.warn(`[SceneBuilder] Unknown object type: ${objDef.type}`);
-                return null;
+            case 'connectionArrow':
+                // Points are routed by updateConnections() once both targets exist
+                node = new Konva.Arrow(attrs);
+                break;
         }
         
-        if (node) {
-            node.setAttr('objectType', objDef.type);
-        }
+        node.setAttr('objectType', objDef.type);
 
         return node;
     }
@@ -293,100 +441,137 @@ export class SceneBuilder {
      * @param {Konva.Node} node - Konva node to update
      * @param {Object} objDef - New object definition
      * @param {number} duration - Animation duration
+     * @param {number} [delay=0] - Start time within the step (ms)
      */
-    updateObject(node, objDef, duration) {
-        const props = objDef.props || {};
+    updateObject(node, objDef, duration, delay = 0) {
+        const { tween: targetProps, instant } = getUpdateAttrs(objDef, this.units);
         
-        // Calculate target properties
-        const targetProps = {};
-        
-        if (props.x !== undefined) targetProps.x = this.stageManager.toPixels(props.x, 'x');
-        if (props.y !== undefined) targetProps.y = this.stageManager.toPixels(props.y, 'y');
-        if (props.opacity !== undefined) targetProps.opacity = props.opacity;
-        if (props.rotation !== undefined) targetProps.rotation = props.rotation;
-        if (props.scale !== undefined) {
-            targetProps.scaleX = props.scale;
-            targetProps.scaleY = props.scale;
-        }
-        if (props.scaleX !== undefined) targetProps.scaleX = props.scaleX;
-        if (props.scaleY !== undefined) targetProps.scaleY = props.scaleY;
-        
-        // Type-specific properties
-        if (objDef.type === 'rect') {
-            if (props.width !== undefined) {
-                const width = this.stageManager.toPixels(props.width, 'x');
-                targetProps.width = width;
-                targetProps.offsetX = width / 2;
-            }
-            if (props.height !== undefined) {
-                const height = this.stageManager.toPixels(props.height, 'y');
-                targetProps.height = height;
-                targetProps.offsetY = height / 2;
-            }
-            if (props.fill || props.color) targetProps.fill = props.fill ?? props.color;
-            if (props.cornerRadius !== undefined) targetProps.cornerRadius = props.cornerRadius;
-        } else if (objDef.type === 'circle') {
-            if (props.radius !== undefined) {
-                targetProps.radius = this.stageManager.toPixels(props.radius, 'x');
-            }
-            if (props.fill || props.color) targetProps.fill = props.fill ?? props.color;
-        } else if (objDef.type === 'text') {
-            if (props.text !== undefined) node.text(props.text); // Instant text change
-            if (props.fontSize !== undefined) {
-                targetProps.fontSize = props.fontSize * 2.5;
-            }
-            if (props.fill || props.color) targetProps.fill = props.fill ?? props.color;
-        } else if (objDef.type === 'path') {
-            if (props.d !== undefined) targetProps.data = props.d;
-            if (props.fill || props.color) targetProps.fill = props.fill ?? props.color;
-            if (props.stroke) targetProps.stroke = props.stroke;
+        // Text and re-targeting changes are instant
+        node.setAttrs(instant);
+        if (instant.text !== undefined) {
+            this.centerText(node);
         }
         
-        // Animate to target properties
+        // Animate to target properties (one tween per distinct easing)
         if (duration > 0 && Object.keys(targetProps).length > 0) {
-            const tween = new Konva.Tween({
-                node: node,
-                duration: duration / 1000, // Convert to seconds
-                easing: Konva.Easings.EaseInOut,
-                ...targetProps
-            });
+            const groups = this.groupByEasing(targetProps, objDef);
+            const multiple = groups.size > 1;
             
-            this.tweens.set(objDef.id, tween);
-            tween.play();
+            for (const [easingName, groupProps] of groups) {
+                const tween = new Konva.Tween({
+                    node: node,
+                    duration: duration / 1000, // Convert to seconds
+                    easing: toKonvaEasing(easingName),
+                    ...groupProps
+                });
+                
+                const key = multiple ? `${objDef.id}@${delay}:${easingName}` : `${objDef.id}@${delay}`;
+                this.addTween(key, tween, delay, duration);
+            }
         } else {
             // Instant update
             node.setAttrs(targetProps);
         }
     }
     
+    /**
+     * Center a text node on its position
+     * @param {Konva.Text} node
+     */
+    centerText(node) {
+        node.offsetX(node.width() / 2);
+        node.offsetY(node.height() / 2);
+    }
+    
+    /**
+     * Re-route every connectionArrow between its targets' current bounds
+     * Called after each clock tick so arrows follow their endpoints mid-tween.
+     */
+    updateConnections() {
+        for (const node of this.objects.values()) {
+            if (node.getAttr('objectType') !== 'connectionArrow' || !node.getParent()) continue;
+            
+            const startNode = this.objects.get(node.getAttr('startTarget'));
+            const endNode = this.objects.get(node.getAttr('endTarget'));
+            if (!startNode?.getParent() || !endNode?.getParent()) continue;
+            
+            const relativeTo = node.getParent();
+            const points = routeConnection(
+                startNode.getClientRect({ relativeTo, skipShadow: true }),
+                endNode.getClientRect({ relativeTo, skipShadow: true }),
+                {
+                    startAnchor: node.getAttr('startAnchor'),
+                    endAnchor: node.getAttr('endAnchor'),
+                    curve: node.getAttr('curve')
+                }
+            );
+            
+            node.points(points);
+        }
+    }
+    
+    /**
+     * Resolve the easing name for a property (object > step > scene > fallback)
+     * @param {string} attr - Konva attribute name
+     * @param {Object|null} objDef - Object definition (null for step-level animations)
+     * @param {string} fallback - Easing name used when nothing is specified
+     * @returns {string}
+     */
+    resolveEasing(attr, objDef, fallback) {
+        const specs = [objDef?.easing, this.activeStep?.easing, this.scene?.easing];
+        return resolveEasingName(specs, EASING_PROP_ALIASES[attr] ?? attr, fallback);
+    }
+    
+    /**
+     * Split target properties into groups sharing the same easing
+     * @param {Object} targetProps - Konva attributes to animate
+     * @param {Object} objDef - Object definition
+     * @returns {Map<string, Object>} easing name -> attributes
+     */
+    groupByEasing(targetProps, objDef) {
+        const groups = new Map();
+        
+        for (const [attr, value] of Object.entries(targetProps)) {
+            const easingName = this.resolveEasing(attr, objDef, DEFAULT_EASING.update);
+            if (!groups.has(easingName)) {
+                groups.set(easingName, {});
+            }
+            groups.get(easingName)[attr] = value;
+        }
+        
+        return groups;
+    }
+    
     /**
      * Fade in a node
      * @param {Konva.Node} node - Node to fade in
      * @param {number} duration - Duration in ms
+     * @param {string} [easingName] - Easing name
+     * @param {number} [delay=0] - Start time within the step (ms)
+     * @param {number} [opacity=1] - Target opacity (the object's own opacity)
      */
-    fadeIn(node, duration) {
+    fadeIn(node, duration, easingName = DEFAULT_EASING.fadeIn, delay = 0, opacity = 1) {
         const tween = new Konva.Tween({
             node: node,
             duration: duration / 1000,
-            opacity: 1,
-            easing: Konva.Easings.EaseIn
+            opacity: opacity,
+            easing: toKonvaEasing(easingName)
         });
-        tween.play();
+        this.addTween(`${node.getAttr('objectId')}@${delay}:fadeIn`, tween, delay, duration);
     }
     
     /**
      * Fade out a node
+     * The node stays (at opacity 0) until the next step starts, so the
+     * fade can be seeked like any other tween.
      * @param {Konva.Node} node - Node to fade out
      * @param {number} duration - Duration in ms
+     * @param {string} [easingName] - Easing name
      */
-    fadeOut(node, duration) {
-        // If node is already destroyed or not in a layer, skip tween
-        if (!node.getLayer()) {
-            const id = node.getAttr('objectId');
-            node.destroy();
-            if (id) {
-                this.objects.delete(id);
-            }
+    fadeOut(node, duration, easingName = DEFAULT_EASING.fadeOut) {
+        // Instant jump, or node not in a layer: remove right away
+        if (duration <= 0 || !node.getLayer()) {
+            this.removeObject(node);
             return;
         }
 
@@ -394,23 +579,141 @@ export class SceneBuilder {
             node: node,
             duration: duration / 1000,
             opacity: 0,
-            easing: Konva.Easings.EaseOut,
-            onFinish: () => {
-                node.destroy();
-                const id = node.getAttr('objectId');
-                if (id) {
-                    this.objects.delete(id);
-                }
-            }
+            easing: toKonvaEasing(easingName)
         });
-        tween.play();
+        this.addTween(`${node.getAttr('objectId')}:fadeOut`, tween, 0, duration);
+        this.fadingOut.add(node);
+    }
+    
+    /**
+     * Destroy a node and forget it (and its children)
+     * @param {Konva.Node} node
+     */
+    removeObject(node) {
+        const nodes = [node, ...(node.find?.(() => true) ?? [])];
+        for (const [id, candidate] of this.objects) {
+            if (nodes.includes(candidate)) {
+                this.objects.delete(id);
+                this.stageManager.unregisterObject(id);
+            }
+        }
+        this.fadingOut.delete(node);
+        node.destroy();
+    }
+    
+    /**
+     * Remove every scene object (the background stays)
+     */
+    clearObjects() {
+        this.stopAllTweens();
+        for (const node of [...this.objects.values()]) {
+            if (node.getParent() === this.layer) {
+                this.removeObject(node);
+            }
+        }
+        this.schedule = [];
+        this.fadingOut.clear();
+    }
+    
+    /**
+     * Register a scheduled tween (positioned by advanceTo, never played directly)
+     * @param {string} key - Tween key
+     * @param {Konva.Tween} tween - Tween
+     * @param {number} delay - Start time within the step (ms)
+     * @param {number} duration - Duration (ms)
+     */
+    addTween(key, tween, delay, duration) {
+        this.tweens.get(key)?.tween.destroy();
+        this.tweens.set(key, { tween, delay, duration });
+        tween.seek(0);
+    }
+    
+    /**
+     * Advance the active step to a point in time
+     * Starts every entry due by then (seeking earlier tweens to each entry's
+     * start first, so chained animations begin from the right values),
+     * then seeks all tweens to the given time.
+     * @param {number} time - Time since the step started (ms)
+     */
+    advanceTo(time) {
+        for (const entry of this.schedule) {
+            if (entry.started) continue;
+            if (entry.delay > time) break;
+            
+            this.seekTweens(entry.delay);
+            entry.started = true;
+            this.processObject(entry.objDef, entry.duration, entry.delay);
+        }
+        
+        this.seekTweens(time);
+        this.updateConnections();
+    }
+    
+    /**
+     * Seek all scheduled tweens to a point in time
+     * @param {number} time - Time since the step started (ms)
+     * @private
+     */
+    seekTweens(time) {
+        for (const { tween, delay, duration } of this.tweens.values()) {
+            const local = Math.min(Math.max(time - delay, 0), duration);
+            tween.seek(local / 1000); // Konva.Tween.seek takes seconds
+        }
+    }
+    
+    /**
+     * Settle the active step instantly: finish running tweens, start entries
+     * that haven't started and remove nodes that were fading out
+     * @private
+     */
+    flushPending() {
+        this.seekTweens(Infinity);
+        
+        for (const entry of this.schedule) {
+            if (!entry.started) {
+                entry.started = true;
+                this.processObject(entry.objDef, 0);
+            }
+        }
+        
+        for (const node of [...this.fadingOut]) {
+            this.removeObject(node);
+        }
+    }
+    
+    /**
+     * Drive the active step with a Konva.Animation
+     * @private
+     */
+    startClock() {
+        this.stopClock();
+        
+        this.clock = new Konva.Animation((frame) => {
+            this.advanceTo(frame.time);
+            if (frame.time >= this.stepEndTime) {
+                this.stopClock();
+            }
+        }, this.layer);
+        this.clock.start();
+    }
+    
+    /**
+     * Stop the step clock
+     * @private
+     */
+    stopClock() {
+        if (this.clock) {
+            this.clock.stop();
+            this.clock = null;
+        }
     }
     
     /**
      * Stop all active tweens
      */
     stopAllTweens() {
-        for (const tween of this.tweens.values()) {
+        this.stopClock();
+        for (const { tween } of this.tweens.values()) {
             tween.destroy();
         }
         this.tweens.clear();
@@ -437,7 +740,11 @@ export class SceneBuilder {
      */
     destroy() {
         this.stopAllTweens();
+        this.schedule = [];
         this.objects.clear();
+        this.fadingOut.clear();
+        this.timeline = [];
+        this.seekPosition = null;
         this.scene = null;
     }
 }
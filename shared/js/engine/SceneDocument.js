@@ -0,0 +1,245 @@
+/**
+ * SceneDocument - Editing Operations on Scene JSON
+ * Lesson Builder System
+ *
+ * Pure data (no Konva), used by the scene editor:
+ * - Resolve which objects exist at a step, with their accumulated props
+ * - Find (or add) the entry a step's edits are written to
+ * - Add, duplicate and delete steps without breaking later steps
+ *
+ * Scenes are edited in place, so SceneBuilder keeps reading the same object.
+ * Edits at a step carry over to later steps, like authored updates do.
+ */
+
+/**
+ * Resolve the objects alive at the end of a step
+ * @param {Object} scene - Scene definition
+ * @param {number} stepIndex - Step index (0-based)
+ * @returns {Map<string, {id: string, type: string, props: Object, createdStep: number, parentId: string|null}>}
+ *   Alive objects in creation order
+ */
+export function resolveStep(scene, stepIndex) {
+    const alive = new Map();
+    const steps = scene?.steps || [];
+
+    for (let index = 0; index <= stepIndex && index < steps.length; index++) {
+        const touched = new Set();
+
+        for (const { entry, parentId } of flattenStep(steps[index])) {
+            // Children without an id can't be addressed; they follow their group
+            if (entry.id === undefined) continue;
+
+            touched.add(entry.id);
+            const existing = alive.get(entry.id);
+
+            if (existing && !parentId) {
+                // Update
+                Object.assign(existing.props, entry.props || {});
+            } else if (!existing) {
+                alive.set(entry.id, {
+                    id: entry.id,
+                    type: entry.type,
+                    props: { ...(entry.props || {}) },
+                    createdStep: index,
+                    parentId
+                });
+            }
+        }
+
+        // Top-level objects missing from a step fade out (children with their group)
+        for (const object of [...alive.values()]) {
+            if (!object.parentId && !touched.has(object.id)) {
+                removeWithChildren(alive, object.id);
+            }
+        }
+    }
+
+    return alive;
+}
+
+/**
+ * Get the step entry that edits of an object at a step are written to
+ * The last entry for the object in the step (the settled value); group
+ * children not listed in a later step get an update entry appended.
+ * @param {Object} scene - Scene definition
+ * @param {number} stepIndex - Step index (0-based)
+ * @param {string} id - Object id
+ * @returns {Object|null} Entry (with a props object), or null if the object isn't on stage
+ */
+export function getEditEntry(scene, stepIndex, id) {
+    const step = scene?.steps?.[stepIndex];
+    if (!step || !resolveStep(scene, stepIndex).has(id)) return null;
+
+    const entries = flattenStep(step).filter(({ entry }) => entry.id === id);
+    let entry = entries[entries.length - 1]?.entry;
+
+    if (!entry) {
+        entry = { id, props: {} };
+        step.objects = [...(step.objects || []), entry];
+    }
+
+    entry.props = entry.props || {};
+    return entry;
+}
+
+/**
+ * Write props of an object at a step
+ * @param {Object} scene - Scene definition
+ * @param {number} stepIndex - Step index (0-based)
+ * @param {string} id - Object id
+ * @param {Object} props - Props to set (undefined removes the prop from the step)
+ * @returns {boolean} Whether the object was found
+ */
+export function setObjectProps(scene, stepIndex, id, props) {
+    const entry = getEditEntry(scene, stepIndex, id);
+    if (!entry) return false;
+
+    for (const [key, value] of Object.entries(props)) {
+        if (value === undefined) {
+            delete entry.props[key];
+        } else {
+            entry.props[key] = value;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Insert a step that holds every object of the step before it
+ * @param {Object} scene - Scene definition
+ * @param {number} afterIndex - Index of the step to insert after
+ * @returns {number} Index of the new step
+ */
+export function addStep(scene, afterIndex) {
+    const alive = resolveStep(scene, afterIndex);
+    const step = {
+        id: uniqueStepId(scene, 'step'),
+        objects: [...alive.values()]
+            .filter(object => !object.parentId)
+            .map(object => ({ id: object.id, props: {} }))
+    };
+
+    scene.steps.splice(afterIndex + 1, 0, step);
+    return afterIndex + 1;
+}
+
+/**
+ * Insert a copy of a step right after it
+ * Objects the step creates are already on stage in the copy, so their
+ * entries become updates to the same props.
+ * @param {Object} scene - Scene definition
+ * @param {number} stepIndex - Index of the step to copy
+ * @returns {number} Index of the copy
+ */
+export function duplicateStep(scene, stepIndex) {
+    const source = scene.steps[stepIndex];
+    const copy = structuredClone(source);
+    copy.id = uniqueStepId(scene, source.id || 'step');
+
+    for (const { entry, parentId } of flattenStep(copy)) {
+        if (!parentId) {
+            delete entry.type;
+            delete entry.children;
+        }
+    }
+
+    scene.steps.splice(stepIndex + 1, 0, copy);
+    return stepIndex + 1;
+}
+
+/**
+ * Delete a step
+ * Objects it created that the next step keeps are created by the next step
+ * instead (with their props at the end of the deleted step).
+ * @param {Object} scene - Scene definition
+ * @param {number} stepIndex - Index of the step to delete
+ * @returns {boolean} False if it is the only step
+ */
+export function deleteStep(scene, stepIndex) {
+    if (!scene.steps[stepIndex] || scene.steps.length <= 1) return false;
+
+    const next = scene.steps[stepIndex + 1];
+
+    if (next) {
+        const alive = resolveStep(scene, stepIndex);
+        const previous = stepIndex > 0 ? resolveStep(scene, stepIndex - 1) : new Map();
+        const deleted = scene.steps[stepIndex];
+        const handled = new Set();
+
+        for (const { entry, parentId } of flattenStep(next)) {
+            if (parentId || handled.has(entry.id)) continue;
+            handled.add(entry.id);
+
+            const object = alive.get(entry.id);
+            if (!object || object.parentId || entry.type || previous.has(entry.id)) continue;
+
+            // First entry for the object in the next step now creates it
+            const created = flattenStep(deleted).find(item => item.entry.id === entry.id && !item.parentId).entry;
+            entry.type = object.type;
+            entry.props = { ...object.props, ...(entry.props || {}) };
+
+            if (created.children) {
+                entry.children = created.children.map(child => alive.has(child.id)
+                    ? { ...structuredClone(child), props: { ...alive.get(child.id).props } }
+                    : structuredClone(child));
+            }
+        }
+    }
+
+    scene.steps.splice(stepIndex, 1);
+    return true;
+}
+
+/**
+ * Scene JSON as pasted into visuals.js
+ * @param {Object} scene - Scene definition
+ * @returns {string}
+ */
+export function serializeScene(scene) {
+    return JSON.stringify(scene, null, 4);
+}
+
+/**
+ * Every object entry of a step in schedule order (sequence items and group
+ * children included)
+ * @param {Object} step - Step definition
+ * @returns {Array<{entry: Object, parentId: string|null}>}
+ */
+export function flattenStep(step) {
+    const result = [];
+
+    const visit = (item, parentId) => {
+        if (item.sequence) {
+            item.sequence.forEach(child => visit(child, parentId));
+            return;
+        }
+
+        result.push({ entry: item, parentId });
+        (item.children || []).forEach(child => visit(child, item.id));
+    };
+
+    (step?.objects || []).forEach(item => visit(item, null));
+    return result;
+}
+
+/**
+ * @private
+ */
+function removeWithChildren(alive, id) {
+    alive.delete(id);
+    for (const object of [...alive.values()]) {
+        if (object.parentId === id) removeWithChildren(alive, object.id);
+    }
+}
+
+/**
+ * @private
+ */
+function uniqueStepId(scene, base) {
+    const used = new Set(scene.steps.map(step => step.id));
+    const stem = base.replace(/-\d+$/, '');
+    let n = 2;
+    while (used.has(`${stem}-${n}`)) n++;
+    return `${stem}-${n}`;
+}
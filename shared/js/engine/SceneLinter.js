@@ -0,0 +1,488 @@
+/**
+ * SceneLinter - Scene JSON Checks
+ * Lesson Builder System
+ *
+ * Walks a scene step by step the way SceneBuilder plays it and reports:
+ * - Unknown object types, and unknown or misspelled props per type
+ * - Duplicate ids (including group children)
+ * - Updates of ids that were never created (or already faded out)
+ * - Prop changes in later steps that SceneBuilder doesn't apply
+ * - Positions outside the SAFE area
+ *
+ * Pure data (no Konva), so it runs in the browser console and in Node:
+ *
+ *   const { lintScene } = await import('/shared/js/engine/SceneLinter.js');
+ *   lintScene(myScene);
+ *
+ * Results use the same shape as validateLessonConfig() (errors/warnings with
+ * a path), so formatValidationResult() prints them.
+ */
+
+import { OBJECT_TYPES, OBJECT_PROPS, UPDATE_PROPS, NUMERIC_PROPS } from './ObjectProps.js';
+import { EASING_NAMES } from '../utils/animation.js';
+
+/**
+ * Safe zone in percent (matches SAFE in the lesson visuals files)
+ */
+export const DEFAULT_SAFE_AREA = { left: 10, right: 90, top: 10, bottom: 90 };
+
+/**
+ * Keys allowed at each level of a scene
+ */
+const SCENE_KEYS = ['id', 'duration', 'background', 'easing', 'steps'];
+const STEP_KEYS = ['id', 'duration', 'easing', 'stagger', 'objects'];
+const OBJECT_KEYS = ['id', 'type', 'props', 'children', 'easing', 'delay', 'duration'];
+const SEQUENCE_KEYS = ['sequence', 'delay', 'duration'];
+
+const ANCHORS = ['auto', 'top', 'right', 'bottom', 'left', 'center'];
+
+/**
+ * Lint a scene definition
+ * @param {Object} scene - Scene definition
+ * @param {Object} [options]
+ * @param {{left: number, right: number, top: number, bottom: number}} [options.safeArea] - Safe zone in percent
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function lintScene(scene, options = {}) {
+    const linter = new Linter(options.safeArea ?? DEFAULT_SAFE_AREA);
+    linter.lintScene(scene);
+
+    return {
+        valid: linter.errors.length === 0,
+        errors: linter.errors,
+        warnings: linter.warnings
+    };
+}
+
+/**
+ * Lint every scene of a visuals map (e.g. createVisuals())
+ * @param {Object} visuals - Scene definitions by visual id
+ * @param {Object} [options] - See lintScene()
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} Paths are prefixed with the visual id
+ */
+export function lintVisuals(visuals, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const prefix = (id) => (problem) => ({ ...problem, path: `${id}.${problem.path}` });
+
+    for (const [id, scene] of Object.entries(visuals || {})) {
+        const result = lintScene(scene, options);
+        errors.push(...result.errors.map(prefix(id)));
+        warnings.push(...result.warnings.map(prefix(id)));
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Scene walker (one per lintScene call)
+ * @private
+ */
+class Linter {
+    constructor(safeArea) {
+        this.safeArea = safeArea;
+        this.errors = [];
+        this.warnings = [];
+
+        // id -> { type, props, parent, createdAt } for objects on stage
+        this.alive = new Map();
+        // id -> step index where it faded out
+        this.removed = new Map();
+        // id -> path, for objects created in the current step
+        this.createdInStep = new Map();
+    }
+
+    error(path, message) {
+        this.errors.push({ path, message });
+    }
+
+    warn(path, message) {
+        this.warnings.push({ path, message });
+    }
+
+    lintScene(scene) {
+        if (!isObject(scene)) {
+            this.error('scene', 'Scene must be an object');
+            return;
+        }
+
+        this.checkKeys(scene, SCENE_KEYS, 'scene');
+        this.checkEasing(scene.easing, 'easing');
+
+        if (!Array.isArray(scene.steps) || scene.steps.length === 0) {
+            this.error('steps', 'Scene needs a non-empty steps array');
+            return;
+        }
+
+        scene.steps.forEach((step, index) => this.lintStep(step, index));
+    }
+
+    lintStep(step, stepIndex) {
+        const path = `steps[${stepIndex}]`;
+
+        if (!isObject(step)) {
+            this.error(path, 'Step must be an object');
+            return;
+        }
+
+        this.checkKeys(step, STEP_KEYS, path);
+        this.checkEasing(step.easing, `${path}.easing`);
+        this.checkDuration(step, 'duration', path);
+        this.checkDuration(step, 'stagger', path);
+
+        if (!Array.isArray(step.objects)) {
+            this.error(`${path}.objects`, 'Step needs an objects array');
+            return;
+        }
+
+        const entries = [];
+        step.objects.forEach((item, index) => this.collectEntries(item, `${path}.objects[${index}]`, entries));
+
+        const touched = new Set();
+        this.createdInStep.clear();
+
+        for (const { objDef, path: entryPath } of entries) {
+            this.lintEntry(objDef, entryPath, stepIndex, touched);
+        }
+
+        // Everything not listed fades out (group children go with their group)
+        for (const [id, record] of [...this.alive]) {
+            if (record.parent === null && !touched.has(id)) {
+                this.removeObject(id, stepIndex);
+            }
+        }
+
+        // Arrows need their targets on stage in this step
+        const arrows = new Set();
+        for (const { objDef, path: entryPath } of entries) {
+            const record = this.alive.get(objDef.id);
+            if (record?.type !== 'connectionArrow' || arrows.has(objDef.id)) continue;
+            arrows.add(objDef.id);
+
+            for (const key of ['startTarget', 'endTarget']) {
+                const target = record.props[key];
+                if (typeof target === 'string' && !this.alive.has(target)) {
+                    this.warn(`${entryPath}.props.${key}`, `Target "${target}" is not on stage in this step`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Flatten sequence blocks into object entries
+     */
+    collectEntries(item, path, entries) {
+        if (!isObject(item)) {
+            this.error(path, 'Must be an object definition or a { sequence: [...] } block');
+            return;
+        }
+
+        if (item.sequence !== undefined) {
+            this.checkKeys(item, SEQUENCE_KEYS, path);
+            this.checkDuration(item, 'delay', path);
+            this.checkDuration(item, 'duration', path);
+
+            if (!Array.isArray(item.sequence)) {
+                this.error(`${path}.sequence`, 'Must be an array');
+                return;
+            }
+
+            item.sequence.forEach((child, index) => this.collectEntries(child, `${path}.sequence[${index}]`, entries));
+            return;
+        }
+
+        entries.push({ objDef: item, path });
+    }
+
+    lintEntry(objDef, path, stepIndex, touched) {
+        this.checkKeys(objDef, OBJECT_KEYS, path, objDef.type);
+        this.checkEasing(objDef.easing, `${path}.easing`);
+        this.checkDuration(objDef, 'delay', path);
+        this.checkDuration(objDef, 'duration', path);
+
+        if (typeof objDef.id !== 'string' || objDef.id === '') {
+            this.error(`${path}.id`, 'Top-level objects need an id');
+            return;
+        }
+
+        if (objDef.props !== undefined && !isObject(objDef.props)) {
+            this.error(`${path}.props`, 'Must be an object');
+            return;
+        }
+
+        touched.add(objDef.id);
+        const existing = this.alive.get(objDef.id);
+
+        if (!existing) {
+            if (!objDef.type) {
+                const removedAt = this.removed.get(objDef.id);
+                this.error(path, removedAt === undefined
+                    ? `Updates "${objDef.id}", which was never created (add a type to create it)`
+                    : `Updates "${objDef.id}", which faded out at steps[${removedAt}] (not listed there)`);
+                return;
+            }
+
+            this.createObject(objDef, path, stepIndex, null);
+            this.collectChildIds(objDef, touched);
+            return;
+        }
+
+        if (objDef.type && this.createdInStep.has(objDef.id)) {
+            this.error(`${path}.id`, `Duplicate id "${objDef.id}" (already created at ${this.createdInStep.get(objDef.id)})`);
+            return;
+        }
+
+        if (objDef.type && objDef.type !== existing.type) {
+            this.warn(`${path}.type`, `"${objDef.id}" is a ${existing.type}; type "${objDef.type}" is ignored in an update`);
+        }
+
+        if (objDef.children !== undefined && existing.parent === null) {
+            // Children are only read when the group is created
+            this.collectChildIds(objDef, touched);
+        }
+
+        this.updateObject(objDef, path, existing);
+    }
+
+    createObject(objDef, path, stepIndex, parent) {
+        if (!OBJECT_TYPES.includes(objDef.type)) {
+            this.error(`${path}.type`, `Unknown type "${objDef.type}"${suggest(objDef.type, OBJECT_TYPES)} (expected one of: ${OBJECT_TYPES.join(', ')})`);
+            return;
+        }
+
+        const props = objDef.props || {};
+        this.checkProps(props, OBJECT_PROPS[objDef.type], objDef.type, path);
+
+        const record = { type: objDef.type, props: { ...props }, parent, createdAt: stepIndex };
+        this.alive.set(objDef.id, record);
+        this.createdInStep.set(objDef.id, path);
+        this.checkSafeArea(objDef.id, record, path);
+
+        if (objDef.type === 'connectionArrow') {
+            if (!props.startTarget || !props.endTarget) {
+                this.error(`${path}.props`, 'connectionArrow needs startTarget and endTarget');
+            }
+        }
+
+        if (objDef.children !== undefined) {
+            if (objDef.type !== 'group') {
+                this.warn(`${path}.children`, `Only groups have children (this is a ${objDef.type})`);
+            } else if (!Array.isArray(objDef.children)) {
+                this.error(`${path}.children`, 'Must be an array');
+            } else {
+                objDef.children.forEach((child, index) => this.createChild(child, `${path}.children[${index}]`, stepIndex, objDef.id));
+            }
+        }
+    }
+
+    createChild(child, path, stepIndex, parent) {
+        if (!isObject(child)) {
+            this.error(path, 'Must be an object definition');
+            return;
+        }
+
+        this.checkKeys(child, OBJECT_KEYS, path, child.type);
+
+        // Children without an id can't be targeted later, but are fine
+        if (child.id === undefined) {
+            if (!OBJECT_TYPES.includes(child.type)) {
+                this.error(`${path}.type`, `Unknown type "${child.type}"${suggest(child.type, OBJECT_TYPES)}`);
+            } else {
+                this.checkProps(child.props || {}, OBJECT_PROPS[child.type], child.type, path);
+                child.children?.forEach((grandchild, index) => this.createChild(grandchild, `${path}.children[${index}]`, stepIndex, parent));
+            }
+            return;
+        }
+
+        if (this.alive.has(child.id)) {
+            const where = this.createdInStep.get(child.id) ?? `steps[${this.alive.get(child.id).createdAt}]`;
+            this.error(`${path}.id`, `Duplicate id "${child.id}" (already created at ${where})`);
+            return;
+        }
+
+        this.createObject(child, path, stepIndex, parent);
+    }
+
+    updateObject(objDef, path, record) {
+        const props = objDef.props || {};
+        const known = OBJECT_PROPS[record.type] ?? [];
+        const updatable = UPDATE_PROPS[record.type] ?? [];
+
+        this.checkProps(props, known, record.type, path);
+
+        for (const [key, value] of Object.entries(props)) {
+            if (!known.includes(key) || updatable.includes(key)) continue;
+
+            // Restating the same value is fine; changing it does nothing
+            if (JSON.stringify(value) !== JSON.stringify(record.props[key])) {
+                this.warn(`${path}.props.${key}`, `Changing "${key}" after a ${record.type} is created has no effect`);
+            }
+        }
+
+        Object.assign(record.props, props);
+        this.checkSafeArea(objDef.id, record, path);
+    }
+
+    removeObject(id, stepIndex) {
+        this.alive.delete(id);
+        this.removed.set(id, stepIndex);
+
+        for (const [childId, record] of [...this.alive]) {
+            if (record.parent === id) {
+                this.removeObject(childId, stepIndex);
+            }
+        }
+    }
+
+    collectChildIds(objDef, ids) {
+        for (const child of objDef.children || []) {
+            if (child?.id !== undefined) ids.add(child.id);
+            if (child?.children) this.collectChildIds(child, ids);
+        }
+    }
+
+    checkProps(props, known, type, path) {
+        for (const [key, value] of Object.entries(props)) {
+            if (!known.includes(key)) {
+                this.warn(`${path}.props.${key}`, `Unknown prop for ${type}${suggest(key, known)} - it is ignored`);
+                continue;
+            }
+
+            if (NUMERIC_PROPS.includes(key) && (typeof value !== 'number' || !Number.isFinite(value))) {
+                this.error(`${path}.props.${key}`, `Must be a number (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        if (typeof props.opacity === 'number' && (props.opacity < 0 || props.opacity > 1)) {
+            this.warn(`${path}.props.opacity`, `Opacity ${props.opacity} is outside 0-1`);
+        }
+
+        for (const key of ['startAnchor', 'endAnchor']) {
+            if (props[key] !== undefined && !ANCHORS.includes(props[key])) {
+                this.error(`${path}.props.${key}`, `Unknown anchor "${props[key]}"${suggest(props[key], ANCHORS)}`);
+            }
+        }
+    }
+
+    checkSafeArea(id, record, path) {
+        const { left, right, top, bottom } = this.safeArea;
+        const { props } = record;
+
+        // Children are positioned relative to their group
+        let offsetX = 0;
+        let offsetY = 0;
+        for (let parent = this.alive.get(record.parent); parent; parent = this.alive.get(parent.parent)) {
+            offsetX += typeof parent.props.x === 'number' ? parent.props.x : 0;
+            offsetY += typeof parent.props.y === 'number' ? parent.props.y : 0;
+        }
+
+        const check = (key, offset, min, max) => {
+            if (typeof props[key] !== 'number') return;
+            const value = props[key] + offset;
+            if (value < min || value > max) {
+                this.warn(`${path}.props.${key}`, `"${id}" ${key} at ${round(value)}% is outside the safe area (${min}-${max}%)`);
+            }
+        };
+
+        for (const key of ['x', 'x1', 'x2']) check(key, offsetX, left, right);
+        for (const key of ['y', 'y1', 'y2']) check(key, offsetY, top, bottom);
+    }
+
+    checkKeys(object, allowed, path, type) {
+        for (const key of Object.keys(object)) {
+            if (allowed.includes(key)) continue;
+
+            // A prop written next to `props` instead of inside it
+            const props = OBJECT_PROPS[type];
+            const hint = props?.includes(key) ? ` (did you mean props.${key}?)` : suggest(key, allowed);
+            this.warn(`${path}.${key}`, `Unknown key${hint} - it is ignored`);
+        }
+    }
+
+    checkEasing(easing, path) {
+        if (easing === undefined) return;
+
+        const check = (name, namePath) => {
+            if (!EASING_NAMES.includes(name)) {
+                this.warn(namePath, `Unknown easing "${name}"${suggest(name, EASING_NAMES)} - falls back to linear`);
+            }
+        };
+
+        if (typeof easing === 'string') {
+            check(easing, path);
+        } else if (isObject(easing)) {
+            for (const [key, name] of Object.entries(easing)) {
+                check(name, `${path}.${key}`);
+            }
+        } else {
+            this.error(path, 'Must be an easing name or a map of prop -> easing name');
+        }
+    }
+
+    checkDuration(object, key, path) {
+        const value = object[key];
+        if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+            this.error(`${path}.${key}`, `Must be milliseconds >= 0 (got ${JSON.stringify(value)})`);
+        }
+    }
+}
+
+/**
+ * " (did you mean x?)" for the closest known name, or ""
+ * @private
+ */
+function suggest(name, candidates) {
+    if (typeof name !== 'string') return '';
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const distance = candidate.toLowerCase() === name.toLowerCase()
+            ? 0
+            : editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    const maxDistance = name.length <= 4 ? 1 : 2;
+    return best !== null && bestDistance <= maxDistance ? ` (did you mean "${best}"?)` : '';
+}
+
+/**
+ * Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
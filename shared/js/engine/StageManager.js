@@ -7,8 +7,11 @@
  * - Resolution scaling (preview vs export)
  * - Container management
  * - Layer access
+ * - PNG/canvas/SVG export
  */
 
+import { renderSVG } from './SvgExporter.js';
+
 /**
  * StageManager - Wrapper for Konva.Stage
  */
@@ -85,6 +88,14 @@ export class StageManager {
         node.setAttr('objectId', id);
     }
     
+    /**
+     * Forget a registered object (the node itself is not destroyed)
+     * @param {string} id - Object ID
+     */
+    unregisterObject(id) {
+        this.objects.delete(id);
+    }
+    
     /**
      * Get object by ID
      * @param {string} id - Object ID
@@ -189,6 +200,26 @@ export class StageManager {
         });
     }
     
+    /**
+     * Export the scene layer as an SVG document
+     * @param {Object} [options]
+     * @param {number} [options.scale=1.0] - Export scale (sets the document size;
+     *   coordinates stay in stage pixels via viewBox)
+     * @param {string} [options.title] - Document title
+     * @returns {string} SVG markup
+     */
+    toSVG(options = {}) {
+        const scale = options.scale ?? 1.0;
+
+        return renderSVG(this.layer, {
+            width: this.width,
+            height: this.height,
+            outputWidth: Math.round(this.width * scale / this.scale),
+            outputHeight: Math.round(this.height * scale / this.scale),
+            title: options.title
+        });
+    }
+    
     /**
      * Resize stage
      * @param {number} width - New width
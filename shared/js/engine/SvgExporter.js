@@ -0,0 +1,362 @@
+/**
+ * SvgExporter - Konva Node Tree to SVG
+ * Lesson Builder System
+ *
+ * Writes what SceneBuilder put on the stage as a standalone SVG document:
+ * - Rect (corner radius), Circle, Text (wrapped lines), Line, Path, Arrow, Group
+ * - Node transforms (position, rotation, scale, offset) as matrix()
+ * - Opacity, dashes, line caps/joins
+ * - Shadows as SVG filters
+ *
+ * Reads nodes through Konva's getters only, so it has no Konva import.
+ */
+
+/**
+ * Decimals kept for coordinates
+ */
+const PRECISION = 3;
+
+/**
+ * Render a layer's nodes as an SVG document
+ * @param {Konva.Container} root - Layer (or group) whose children are exported
+ * @param {Object} options
+ * @param {number} options.width - Stage width in px (viewBox)
+ * @param {number} options.height - Stage height in px (viewBox)
+ * @param {number} [options.outputWidth] - Document width (defaults to width)
+ * @param {number} [options.outputHeight] - Document height (defaults to height)
+ * @param {string} [options.title] - Document title
+ * @returns {string} SVG markup
+ */
+export function renderSVG(root, options) {
+    const { width, height } = options;
+    const context = { defs: [], filters: new Map() };
+
+    const body = root.getChildren()
+        .map(node => renderNode(node, context, 1))
+        .filter(Boolean)
+        .join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(options.outputWidth ?? width)}" height="${num(options.outputHeight ?? height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+        options.title ? `  <title>${escapeXml(options.title)}</title>` : null,
+        context.defs.length ? `  <defs>\n${context.defs.join('\n')}\n  </defs>` : null,
+        body,
+        '</svg>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Render one node (and its children)
+ * @private
+ */
+function renderNode(node, context, depth) {
+    if (!node.visible() || node.opacity() <= 0) return '';
+
+    const indent = '  '.repeat(depth);
+    const className = node.getClassName();
+    const common = {
+        transform: transformAttr(node),
+        opacity: node.opacity() < 1 ? num(node.opacity()) : undefined
+    };
+
+    if (className === 'Group') {
+        const children = node.getChildren()
+            .map(child => renderNode(child, context, depth + 1))
+            .filter(Boolean);
+        if (children.length === 0) return '';
+
+        return `${indent}<g${attrs(common)}>\n${children.join('\n')}\n${indent}</g>`;
+    }
+
+    const shape = renderShape(node, className, common, indent);
+    if (shape === null) {
+        console.warn(`[SvgExporter] Skipping unsupported node type: ${className}`);
+        return '';
+    }
+    if (!shape) return '';
+
+    // Konva draws shadows in stage space (offsets aren't rotated with the
+    // shape), so the filter goes on a wrapper in the parent's space
+    const filterId = shadowFilter(node, context);
+    return filterId
+        ? `${indent}<g filter="url(#${filterId})">\n${indentLines(shape, '  ')}\n${indent}</g>`
+        : shape;
+}
+
+/**
+ * Markup for a shape node: '' when there's nothing to draw, null when unsupported
+ * @private
+ */
+function renderShape(node, className, common, indent) {
+    switch (className) {
+        case 'Rect':
+            return `${indent}${rectElement(node, { ...common, ...paintAttrs(node) })}`;
+
+        case 'Circle':
+            return `${indent}<circle${attrs({ ...common, r: num(node.radius()), ...paintAttrs(node) })}/>`;
+
+        case 'Path':
+            if (!node.data()) return '';
+            return `${indent}<path${attrs({ ...common, d: node.data(), ...paintAttrs(node) })}/>`;
+
+        case 'Line':
+            return lineElement(node, common, indent);
+
+        case 'Arrow': {
+            const shaft = lineElement(node, {}, `${indent}  `);
+            if (!shaft) return '';
+
+            // Konva draws the head without the dash
+            const head = { d: arrowPointer(node), ...paintAttrs(node), 'stroke-dasharray': undefined };
+            const pointer = `${indent}  <path${attrs(head)}/>`;
+            return `${indent}<g${attrs(common)}>\n${shaft}\n${pointer}\n${indent}</g>`;
+        }
+
+        case 'Text':
+            return textElement(node, common, indent);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Rect, as a path when corners differ
+ * @private
+ */
+function rectElement(node, base) {
+    const width = node.width();
+    const height = node.height();
+    const radius = node.cornerRadius() || 0;
+
+    if (Array.isArray(radius)) {
+        const [tl = 0, tr = 0, br = 0, bl = 0] = radius.map(r => Math.min(r, width / 2, height / 2));
+        const d = `M ${num(tl)} 0 H ${num(width - tr)} A ${num(tr)} ${num(tr)} 0 0 1 ${num(width)} ${num(tr)}` +
+            ` V ${num(height - br)} A ${num(br)} ${num(br)} 0 0 1 ${num(width - br)} ${num(height)}` +
+            ` H ${num(bl)} A ${num(bl)} ${num(bl)} 0 0 1 0 ${num(height - bl)}` +
+            ` V ${num(tl)} A ${num(tl)} ${num(tl)} 0 0 1 ${num(tl)} 0 Z`;
+        return `<path${attrs({ ...base, d })}/>`;
+    }
+
+    const r = Math.min(radius, width / 2, height / 2);
+    return `<rect${attrs({
+        ...base,
+        width: num(width),
+        height: num(height),
+        rx: r > 0 ? num(r) : undefined
+    })}/>`;
+}
+
+/**
+ * Line or arrow shaft (bezier points are [start, c1, c2, end, ...])
+ * @private
+ */
+function lineElement(node, common, indent) {
+    const points = node.points() || [];
+    if (points.length < 4) return '';
+
+    const pairs = [];
+    for (let i = 0; i + 1 < points.length; i += 2) {
+        pairs.push(`${num(points[i])} ${num(points[i + 1])}`);
+    }
+
+    const paint = { ...paintAttrs(node), fill: node.closed() ? paintAttrs(node).fill : 'none' };
+
+    if (node.bezier() && pairs.length >= 4) {
+        let d = `M ${pairs[0]}`;
+        for (let i = 1; i + 2 < pairs.length; i += 3) {
+            d += ` C ${pairs[i]} ${pairs[i + 1]} ${pairs[i + 2]}`;
+        }
+        return `${indent}<path${attrs({ ...common, d, ...paint })}/>`;
+    }
+
+    const tag = node.closed() ? 'polygon' : 'polyline';
+    return `${indent}<${tag}${attrs({ ...common, points: pairs.join(' '), ...paint })}/>`;
+}
+
+/**
+ * Arrow head at the last point, pointing along the last segment (as Konva.Arrow)
+ * @private
+ */
+function arrowPointer(node) {
+    const points = node.points();
+    const n = points.length;
+    const angle = Math.atan2(points[n - 1] - points[n - 3], points[n - 2] - points[n - 4]);
+    const length = node.pointerLength();
+    const halfWidth = node.pointerWidth() / 2;
+
+    const corner = (dx, dy) => {
+        const x = points[n - 2] + dx * Math.cos(angle) - dy * Math.sin(angle);
+        const y = points[n - 1] + dx * Math.sin(angle) + dy * Math.cos(angle);
+        return `${num(x)} ${num(y)}`;
+    };
+
+    return `M ${corner(0, 0)} L ${corner(-length, halfWidth)} L ${corner(-length, -halfWidth)} Z`;
+}
+
+/**
+ * Text, one tspan per wrapped line (laid out like Konva.Text)
+ * @private
+ */
+function textElement(node, common, indent) {
+    const lines = node.textArr?.length ? node.textArr : [{ text: node.text() }];
+    if (!node.text()) return '';
+
+    const fontSize = node.fontSize();
+    const lineHeight = node.lineHeight() * fontSize;
+    const padding = node.padding();
+    const width = node.width();
+    const height = node.height();
+
+    let alignY = 0;
+    if (node.verticalAlign() === 'middle') {
+        alignY = (height - lines.length * lineHeight - padding * 2) / 2;
+    } else if (node.verticalAlign() === 'bottom') {
+        alignY = height - lines.length * lineHeight - padding * 2;
+    }
+
+    const align = node.align();
+    const anchor = { center: 'middle', right: 'end' }[align] || 'start';
+    const x = align === 'center' ? width / 2 : align === 'right' ? width - padding : padding;
+
+    const { fontStyle, fontWeight } = parseFontStyle(node.fontStyle());
+
+    const tspans = lines.map((line, index) => {
+        const y = padding + alignY + lineHeight / 2 + index * lineHeight;
+        return `${indent}  <tspan x="${num(x)}" y="${num(y)}">${escapeXml(line.text)}</tspan>`;
+    });
+
+    return `${indent}<text${attrs({
+        ...common,
+        'font-family': node.fontFamily(),
+        'font-size': num(fontSize),
+        'font-style': fontStyle,
+        'font-weight': fontWeight,
+        'text-anchor': anchor,
+        'dominant-baseline': 'central',
+        'xml:space': 'preserve',
+        ...paintAttrs(node)
+    })}>\n${tspans.join('\n')}\n${indent}</text>`;
+}
+
+/**
+ * Fill and stroke attributes
+ * @private
+ */
+function paintAttrs(node) {
+    const fill = node.fillEnabled() ? node.fill() : null;
+    const stroke = node.strokeEnabled() && node.strokeWidth() > 0 ? node.stroke() : null;
+    const dash = node.dashEnabled() ? node.dash() : null;
+
+    return {
+        fill: !fill || fill === 'transparent' ? 'none' : fill,
+        stroke: stroke && stroke !== 'transparent' ? stroke : undefined,
+        'stroke-width': stroke ? num(node.strokeWidth()) : undefined,
+        'stroke-dasharray': stroke && dash?.length ? dash.map(num).join(' ') : undefined,
+        'stroke-linecap': stroke && node.lineCap() ? node.lineCap() : undefined,
+        'stroke-linejoin': stroke && node.lineJoin() ? node.lineJoin() : undefined
+    };
+}
+
+/**
+ * Define (or reuse) a drop-shadow filter for a node
+ * @private
+ * @returns {string|null} Filter id
+ */
+function shadowFilter(node, context) {
+    const color = node.shadowColor();
+    if (!node.shadowEnabled() || !color || node.shadowOpacity() <= 0) return null;
+
+    // Konva scales shadow offset and blur with the shape
+    const scaleX = Math.abs(node.scaleX());
+    const scaleY = Math.abs(node.scaleY());
+    const dx = node.shadowOffsetX() * node.scaleX();
+    const dy = node.shadowOffsetY() * node.scaleY();
+    const blur = node.shadowBlur() * Math.min(scaleX, scaleY);
+
+    const key = [color, node.shadowOpacity(), num(dx), num(dy), num(blur)].join('|');
+    if (context.filters.has(key)) return context.filters.get(key);
+
+    const id = `shadow-${context.filters.size + 1}`;
+    context.filters.set(key, id);
+
+    // Canvas shadowBlur is about twice the Gaussian standard deviation
+    context.defs.push([
+        `    <filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">`,
+        `      <feGaussianBlur in="SourceAlpha" stdDeviation="${num(blur / 2)}"/>`,
+        `      <feOffset dx="${num(dx)}" dy="${num(dy)}" result="offsetBlur"/>`,
+        `      <feFlood flood-color="${escapeXml(color)}" flood-opacity="${num(node.shadowOpacity())}"/>`,
+        '      <feComposite in2="offsetBlur" operator="in"/>',
+        '      <feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>',
+        '    </filter>'
+    ].join('\n'));
+
+    return id;
+}
+
+/**
+ * Local transform of a node (omitted when it is the identity)
+ * @private
+ */
+function transformAttr(node) {
+    const [a, b, c, d, e, f] = node.getTransform().getMatrix();
+    if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return undefined;
+
+    if (a === 1 && b === 0 && c === 0 && d === 1) {
+        return `translate(${num(e)} ${num(f)})`;
+    }
+    return `matrix(${[a, b, c, d, e, f].map(value => num(value, 6)).join(' ')})`;
+}
+
+/**
+ * Split Konva's fontStyle ('normal', 'bold', 'italic bold', '600') into SVG attributes
+ * @private
+ */
+function parseFontStyle(style = 'normal') {
+    const parts = String(style).split(/\s+/);
+
+    return {
+        fontStyle: parts.includes('italic') ? 'italic' : undefined,
+        fontWeight: parts.find(part => part === 'bold' || /^\d+$/.test(part))
+    };
+}
+
+/**
+ * Serialize attributes, skipping undefined values
+ * @private
+ */
+function attrs(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`)
+        .join('');
+}
+
+/**
+ * @private
+ */
+function indentLines(text, prefix) {
+    return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+/**
+ * @private
+ */
+function num(value, precision = PRECISION) {
+    const factor = 10 ** precision;
+    const rounded = Math.round(value * factor) / factor;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * @private
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,231 @@
+/**
+ * CaptionService - Subtitles From Voice Scripts
+ * Lesson Builder System
+ *
+ * Builds caption cues for the whole lesson from `audio.script`:
+ * - Scripts split at sentences (and clauses) into cues of at most
+ *   `maxLines` lines of `maxLineLength` characters
+ * - Cues spread over the narration by character count, starting at the
+ *   section's place in the lesson (as laid out by planLessonRender)
+ * - Narration length is the measured audio duration when known
+ *   (AudioPlayer metadata), otherwise `audio.estimatedDuration`
+ * - Cues stay up long enough to read (`maxCharsPerSecond`, `minDuration`)
+ *   without overlapping the next one
+ *
+ * Exports SRT and WebVTT; LessonRenderService burns the same cues into video.
+ */
+
+import { planLessonRender } from './LessonRenderService.js';
+
+/**
+ * Caption defaults (common broadcast / streaming guidelines)
+ */
+export const CAPTION_DEFAULTS = {
+    maxLineLength: 42,
+    maxLines: 2,
+    maxCharsPerSecond: 17,
+    minDuration: 1,
+    maxDuration: 7
+};
+
+/**
+ * Punctuation a cue may end on before it is full
+ */
+const CLAUSE_END = /[,;:—]$/;
+
+/**
+ * Split a script into caption texts
+ * @param {string} text - Voice script
+ * @param {Object} [options]
+ * @param {number} [options.maxLineLength=42] - Characters per line
+ * @param {number} [options.maxLines=2] - Lines per cue
+ * @returns {Array<string>} Cue texts, lines joined with "\n"
+ */
+export function splitCaptionText(text, options = {}) {
+    const { maxLineLength, maxLines } = { ...CAPTION_DEFAULTS, ...options };
+    const capacity = maxLineLength * maxLines;
+
+    const sentences = String(text || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(/(?<=[.!?…]["'”)\]]?)\s+/)
+        .filter(Boolean);
+
+    const cues = [];
+
+    for (const sentence of sentences) {
+        let words = [];
+
+        for (const word of sentence.split(' ')) {
+            const candidate = [...words, word];
+            if (words.length > 0 && wrapLines(candidate, maxLineLength).length > maxLines) {
+                cues.push(words);
+                words = [word];
+            } else {
+                words = candidate;
+            }
+
+            // Break at a clause once the cue is reasonably full
+            if (CLAUSE_END.test(word) && words.join(' ').length >= capacity * 0.6) {
+                cues.push(words);
+                words = [];
+            }
+        }
+
+        if (words.length > 0) cues.push(words);
+    }
+
+    return cues.map(words => wrapLines(words, maxLineLength).join('\n'));
+}
+
+/**
+ * Build the lesson's caption cues
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options] - Limits (see CAPTION_DEFAULTS), plus:
+ * @param {Object<string, number>} [options.durations] - Measured narration
+ *   length in seconds by section id (missing or 0: use the estimate)
+ * @returns {Array<{sectionId: string, start: number, end: number, text: string, charsPerSecond: number}>}
+ *   Times in seconds from the start of the lesson
+ */
+export function buildCaptions(config, options = {}) {
+    const limits = { ...CAPTION_DEFAULTS, ...options };
+    const durations = options.durations || {};
+    const { segments } = planLessonRender(config);
+    const cues = [];
+    let tooFast = 0;
+
+    for (const { section, start, duration } of segments) {
+        const texts = splitCaptionText(section.audio?.script, limits);
+        if (texts.length === 0) continue;
+
+        const sectionEnd = start + duration;
+        const speech = Math.min(
+            durations[section.id] || section.audio.estimatedDuration || duration,
+            duration
+        );
+
+        // Spread over the narration by length (a stand-in for speaking time)
+        const lengths = texts.map(text => text.length);
+        const total = lengths.reduce((sum, length) => sum + length, 0);
+        let offset = 0;
+        const starts = lengths.map(length => {
+            const cueStart = start + (offset / total) * speech;
+            offset += length;
+            return cueStart;
+        });
+
+        texts.forEach((text, i) => {
+            const cueStart = starts[i];
+            const slot = (i < texts.length - 1 ? starts[i + 1] : start + speech) - cueStart;
+            const limit = i < texts.length - 1 ? starts[i + 1] : sectionEnd;
+
+            // Long enough to read, but not up forever and never over the next cue
+            const readingTime = Math.max(limits.minDuration, text.length / limits.maxCharsPerSecond);
+            const end = Math.min(cueStart + Math.min(Math.max(slot, readingTime), limits.maxDuration), limit);
+            const charsPerSecond = text.length / Math.max(end - cueStart, 0.001);
+
+            if (charsPerSecond > limits.maxCharsPerSecond) tooFast++;
+
+            cues.push({ sectionId: section.id, start: cueStart, end, text, charsPerSecond });
+        });
+    }
+
+    if (tooFast > 0) {
+        console.warn(`[CaptionService] ${tooFast} cue(s) faster than ${limits.maxCharsPerSecond} chars/s - the narration is too fast for its time slot`);
+    }
+
+    return cues;
+}
+
+/**
+ * Get the cue showing at a time
+ * @param {Array} cues - From buildCaptions()
+ * @param {number} time - Seconds from the start of the lesson
+ * @returns {Object|null}
+ */
+export function getCaptionAtTime(cues, time) {
+    return cues.find(cue => time >= cue.start && time < cue.end) || null;
+}
+
+/**
+ * SubRip (.srt)
+ * @param {Array} cues - From buildCaptions()
+ * @returns {string}
+ */
+export function toSRT(cues) {
+    return cues.map((cue, index) =>
+        `${index + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.text}\n`
+    ).join('\n');
+}
+
+/**
+ * WebVTT (.vtt)
+ * @param {Array} cues - From buildCaptions()
+ * @param {Object} [options]
+ * @param {string} [options.title] - Written as a NOTE block
+ * @returns {string}
+ */
+export function toWebVTT(cues, options = {}) {
+    let content = 'WEBVTT\n\n';
+
+    if (options.title) {
+        content += `NOTE ${options.title.replace(/-->/g, '->')}\n\n`;
+    }
+
+    const counts = new Map();
+    content += cues.map(cue => {
+        const n = (counts.get(cue.sectionId) || 0) + 1;
+        counts.set(cue.sectionId, n);
+        const text = cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `${cue.sectionId}-${n}\n${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${text}\n`;
+    }).join('\n');
+
+    return content;
+}
+
+/**
+ * Wrap words into lines (two lines are balanced, not filled greedily)
+ * @private
+ */
+function wrapLines(words, maxLineLength) {
+    const lines = [];
+    let line = '';
+
+    for (const word of words) {
+        if (line && `${line} ${word}`.length > maxLineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length === 2) {
+        let best = lines;
+        for (let i = 1; i < words.length; i++) {
+            const first = words.slice(0, i).join(' ');
+            const second = words.slice(i).join(' ');
+            if (first.length > maxLineLength || second.length > maxLineLength) continue;
+            if (Math.abs(first.length - second.length) < Math.abs(best[0].length - best[1].length)) {
+                best = [first, second];
+            }
+        }
+        return best;
+    }
+
+    return lines;
+}
+
+/**
+ * Seconds to HH:MM:SS,mmm (separator "," for SRT, "." for WebVTT)
+ * @private
+ */
+function timestamp(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const hh = Math.floor(ms / 3_600_000);
+    const mm = Math.floor(ms / 60_000) % 60;
+    const ss = Math.floor(ms / 1000) % 60;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hh)}:${pad(mm)}:${pad(ss)}${separator}${pad(ms % 1000, 3)}`;
+}
@@ -0,0 +1,195 @@
+/**
+ * FrameRenderService - Still Frames of Every Visual Step
+ * Lesson Builder System
+ *
+ * Renders the settled end of each step of every scene in a lesson as PNG:
+ * - Deterministic: StateBasedEngine state at the step's end, not the live stage
+ *   (nothing depends on which tween is mid-flight)
+ * - Full resolution (3840x2400 by default)
+ * - One folder per visual, plus a manifest naming every file
+ *
+ * Uses the same engine and renderer as tools/render-lesson.mjs, so browser
+ * and headless frames match.
+ */
+
+import { StateBasedEngine } from '../visual/VisualEngine.js';
+import { CanvasRenderer } from '../visual/CanvasRenderer.js';
+
+/**
+ * Plan the frames of a lesson
+ * Visuals come in section order, then any the sections don't use.
+ * @param {Object} config - Lesson configuration
+ * @param {Object} visuals - Scene definitions by visual id
+ * @returns {Array<{visualId: string, section: Object|null, folder: string, steps: Array<{index: number, id: string|null, file: string}>}>}
+ */
+export function planVisualFrames(config, visuals) {
+    const sectionsByVisual = new Map();
+    for (const section of config.sections || []) {
+        if (section.visual?.id && !sectionsByVisual.has(section.visual.id)) {
+            sectionsByVisual.set(section.visual.id, section);
+        }
+    }
+
+    const ids = [...new Set([...sectionsByVisual.keys(), ...Object.keys(visuals || {})])];
+    const missing = ids.filter(id => !visuals?.[id]);
+    if (missing.length > 0) {
+        console.warn(`[FrameRenderService] No scene for visual(s): ${missing.join(', ')}`);
+    }
+
+    return ids.filter(id => visuals?.[id]).map(visualId => ({
+        visualId,
+        section: sectionsByVisual.get(visualId) || null,
+        folder: visualId,
+        steps: (visuals[visualId].steps || []).map((step, index) => ({
+            index,
+            id: step.id ?? null,
+            file: `${visualId}/step-${String(index + 1).padStart(2, '0')}.png`
+        }))
+    }));
+}
+
+/**
+ * Build the manifest.json content for rendered frames
+ * @param {Object} config - Lesson configuration
+ * @param {Array} plan - From planVisualFrames()
+ * @param {{width: number, height: number}} size - Frame size in pixels
+ * @returns {Object}
+ */
+export function createFramesManifest(config, plan, size) {
+    return {
+        lessonId: config.id,
+        title: config.title,
+        width: size.width,
+        height: size.height,
+        generatedAt: new Date().toISOString(),
+        visuals: plan.map(({ visualId, section, folder, steps }) => ({
+            id: visualId,
+            sectionId: section?.id ?? null,
+            sectionTitle: section?.title ?? null,
+            folder,
+            steps: steps.map(step => ({
+                step: step.index + 1,
+                id: step.id,
+                file: step.file
+            }))
+        }))
+    };
+}
+
+/**
+ * FrameRenderService - Render every step of every visual to PNG
+ */
+export class FrameRenderService {
+    /**
+     * Create a FrameRenderService
+     * @param {Object} [options]
+     * @param {number} [options.width=3840] - Frame width
+     * @param {number} [options.height=2400] - Frame height
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 3840;
+        this.height = options.height ?? 2400;
+
+        this.isRendering = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Stop a running render (render() resolves with null)
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Render the frames
+     * @param {Object} config - Lesson configuration
+     * @param {Object} visuals - Scene definitions by visual id
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Progress callback (frame, totalFrames, visualId)
+     * @returns {Promise<{files: Array<{path: string, blob: Blob}>, manifest: Object}|null>}
+     *   PNG files by archive path, and the manifest (null when cancelled)
+     */
+    async render(config, visuals, options = {}) {
+        const { onProgress } = options;
+
+        if (this.isRendering) {
+            throw new Error('A frame render is already running');
+        }
+
+        const plan = planVisualFrames(config, visuals);
+        const totalFrames = plan.reduce((sum, visual) => sum + visual.steps.length, 0);
+
+        console.log(`[FrameRenderService] Rendering ${totalFrames} frames of ${plan.length} visuals at ${this.width}x${this.height}`);
+
+        this.isRendering = true;
+        this.cancelled = false;
+
+        try {
+            const canvas = this._createCanvas();
+            const renderer = new CanvasRenderer(canvas, { scale: 1.0 });
+            const files = [];
+            let frame = 0;
+
+            for (const { visualId, steps } of plan) {
+                const scene = visuals[visualId];
+
+                // Same per-step duration as the preview (only the step ends are used)
+                const engine = new StateBasedEngine({
+                    width: this.width,
+                    height: this.height,
+                    stepDuration: scene.duration ?? 1000
+                });
+                engine.loadScene(scene);
+                renderer.setEngine(engine);
+
+                for (const step of steps) {
+                    if (this.cancelled) {
+                        console.log('[FrameRenderService] Cancelled');
+                        return null;
+                    }
+
+                    renderer.render(engine.getStateAtStep(step.index));
+                    files.push({ path: step.file, blob: await this._toPNG(canvas) });
+
+                    frame++;
+                    onProgress?.(frame, totalFrames, visualId);
+                }
+            }
+
+            return {
+                files,
+                manifest: createFramesManifest(config, plan, { width: this.width, height: this.height })
+            };
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createCanvas() {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(this.width, this.height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        return canvas;
+    }
+
+    /**
+     * @private
+     */
+    _toPNG(canvas) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+}
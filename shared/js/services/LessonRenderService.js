@@ -0,0 +1,496 @@
+/**
+ * LessonRenderService - Whole-Lesson Video Render
+ * Lesson Builder System
+ *
+ * Renders every section of a lesson into one WebM:
+ * - Section visual, or a generated title card when there is none
+ * - Section length from `timing` (or `audio.estimatedDuration`)
+ * - Steps placed at sync points, or spread evenly over the section
+ * - `production.transitions` composited between sections
+ * - Total length matches `lessonConfig.duration`
+ * - Optional burned-in captions (cues from CaptionService)
+ *
+ * Uses the same SceneBuilder timeline and encoder setup as VideoService.
+ */
+
+import { parseTimingRange } from '../utils/format.js';
+import { easeInOutQuad } from '../utils/animation.js';
+import { resolveSyncPoints } from '../utils/sync.js';
+
+/**
+ * Section length (seconds) when neither timing nor audio gives one
+ */
+const DEFAULT_SECTION_DURATION = 10;
+
+/**
+ * Lay out the lesson's sections on one timeline
+ * Sections play back to back; the last one is stretched or trimmed so the
+ * total matches lessonConfig.duration.
+ * @param {Object} config - Lesson configuration
+ * @returns {{segments: Array<{section: Object, start: number, duration: number, transition: Object|null}>, duration: number}}
+ *   Times in seconds
+ */
+export function planLessonRender(config) {
+    const segments = (config.sections || []).map(section => ({
+        section,
+        start: 0,
+        duration: parseTimingRange(section.timing).duration ||
+            section.audio?.estimatedDuration ||
+            DEFAULT_SECTION_DURATION,
+        transition: section.production?.transitions ?? null
+    }));
+
+    const planned = segments.reduce((sum, segment) => sum + segment.duration, 0);
+    const duration = config.duration ?? planned;
+
+    if (segments.length > 0 && planned !== duration) {
+        console.warn(`[LessonRenderService] Sections add up to ${planned}s, lesson is ${duration}s - adjusting the end`);
+
+        let excess = planned - duration;
+        if (excess < 0) {
+            segments[segments.length - 1].duration -= excess;
+        }
+        for (let i = segments.length - 1; i >= 0 && excess > 0; i--) {
+            const cut = Math.min(excess, segments[i].duration);
+            segments[i].duration -= cut;
+            excess -= cut;
+        }
+    }
+
+    let start = 0;
+    for (const segment of segments) {
+        segment.start = start;
+        start += segment.duration;
+    }
+
+    return { segments, duration };
+}
+
+/**
+ * Build a title card scene for a section without a visual
+ * @param {Object} section - Section configuration
+ * @param {Object} config - Lesson configuration
+ * @returns {Object} Scene definition
+ */
+export function createTitleCardScene(section, config) {
+    const label = (section.type || 'section').replace(/-/g, ' ').toUpperCase();
+
+    return {
+        id: `title-card-${section.id}`,
+        duration: 800,
+        background: '#1e293b',
+        steps: [
+            // Start empty so the card fades in
+            { objects: [] },
+            {
+                stagger: 150,
+                objects: [
+                    { id: 'label', type: 'text', props: { x: 50, y: 38, text: label, fontSize: 18, fontWeight: '600', fill: '#94a3b8' } },
+                    { id: 'title', type: 'text', props: { x: 50, y: 50, text: section.title, fontSize: 48, fontWeight: 'bold', fill: '#f1f5f9' } },
+                    { id: 'rule', type: 'rect', props: { x: 50, y: 58, width: 12, height: 0.6, fill: '#2563eb', cornerRadius: 4 } },
+                    { id: 'lesson', type: 'text', props: { x: 50, y: 66, text: config.title || '', fontSize: 20, fill: '#cbd5e1' } }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * LessonRenderService - Render a whole lesson to WebM video
+ */
+export class LessonRenderService {
+    /**
+     * Create a LessonRenderService
+     * @param {Object} [options]
+     * @param {number} [options.width=3840] - Video width
+     * @param {number} [options.height=2400] - Video height
+     * @param {number} [options.fps=30] - Frames per second
+     * @param {number} [options.bitrate=20000000] - Video bitrate
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 3840;
+        this.height = options.height ?? 2400;
+        this.fps = options.fps ?? 30;
+        this.bitrate = options.bitrate ?? 20_000_000;
+
+        this.isRendering = false;
+        this.cancelled = false;
+        this.warnedTransitions = new Set();
+    }
+
+    /**
+     * Stop a running render (render() resolves with null)
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Render the lesson
+     * @param {Object} config - Lesson configuration
+     * @param {Object} visuals - Scene definitions by visual id
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Progress callback (frame, totalFrames, sectionTitle)
+     * @param {FileSystemWritableFileStream} [options.fileStream] - Stream the WebM to disk
+     *   instead of keeping it in memory
+     * @param {Array} [options.captions] - Cues to burn in (from buildCaptions())
+     * @returns {Promise<Blob|null>} WebM blob (null when streamed to disk or cancelled)
+     */
+    async render(config, visuals, options = {}) {
+        const { onProgress, fileStream, captions } = options;
+
+        if (!window.WebmMuxer) {
+            throw new Error('webm-muxer not loaded! Add it to index.html');
+        }
+        if (!window.VideoEncoder) {
+            throw new Error('VideoEncoder API not supported in this browser');
+        }
+        if (this.isRendering) {
+            throw new Error('A lesson render is already running');
+        }
+
+        const { segments, duration } = planLessonRender(config);
+        const totalFrames = Math.round(duration * this.fps);
+
+        console.log(`[LessonRenderService] Rendering "${config.title}": ${segments.length} sections, ${duration}s, ${totalFrames} frames`);
+
+        this.isRendering = true;
+        this.cancelled = false;
+
+        const renderers = new Map(); // segment index -> section renderer
+        let encoder = null;
+
+        try {
+            const { StageManager } = await import('../engine/StageManager.js');
+            const { SceneBuilder } = await import('../engine/SceneBuilder.js');
+
+            const getRenderer = (index) => {
+                if (!renderers.has(index)) {
+                    renderers.set(index, this._createRenderer(segments[index], config, visuals, StageManager, SceneBuilder));
+                }
+                return renderers.get(index);
+            };
+
+            // Output canvas (sections are composited onto it)
+            const canvas = new OffscreenCanvas(this.width, this.height);
+            const ctx = canvas.getContext('2d');
+
+            const { Muxer, ArrayBufferTarget, FileSystemWritableFileStreamTarget } = window.WebmMuxer;
+            const target = fileStream && FileSystemWritableFileStreamTarget
+                ? new FileSystemWritableFileStreamTarget(fileStream)
+                : new ArrayBufferTarget();
+
+            const muxer = new Muxer({
+                target,
+                video: {
+                    codec: 'V_VP9',
+                    width: this.width,
+                    height: this.height,
+                    frameRate: this.fps
+                },
+                fastStart: false
+            });
+
+            encoder = new VideoEncoder({
+                output: (chunk, meta) => {
+                    muxer.addVideoChunk(chunk, meta);
+                },
+                error: (e) => {
+                    console.error('[VideoEncoder] Error:', e);
+                    throw e;
+                }
+            });
+
+            encoder.configure({
+                codec: 'vp09.00.10.08', // VP9 Profile 0
+                width: this.width,
+                height: this.height,
+                bitrate: this.bitrate,
+                framerate: this.fps,
+                latencyMode: 'quality',
+                bitrateMode: 'constant'
+            });
+
+            let segmentIndex = 0;
+
+            for (let frame = 0; frame < totalFrames; frame++) {
+                if (this.cancelled) break;
+
+                const time = frame / this.fps;
+
+                // Advance to the segment covering this frame; drop finished ones
+                while (segmentIndex < segments.length - 1 &&
+                       time >= segments[segmentIndex].start + segments[segmentIndex].duration) {
+                    this._destroyRenderer(renderers.get(segmentIndex));
+                    renderers.delete(segmentIndex);
+                    segmentIndex++;
+                }
+
+                const segment = segments[segmentIndex];
+                const local = time - segment.start;
+                const current = this._drawSection(getRenderer(segmentIndex), local);
+
+                // Transition out of this section (into the next one, or to black)
+                const transitionLength = Math.min(segment.transition?.duration ?? 0, segment.duration);
+                const transitionStart = segment.duration - transitionLength;
+
+                if (transitionLength > 0 && local >= transitionStart) {
+                    const next = segmentIndex < segments.length - 1
+                        ? this._drawSection(getRenderer(segmentIndex + 1), 0)
+                        : null;
+                    const progress = (local - transitionStart) / transitionLength;
+                    this._drawTransition(ctx, current, next, segment.transition.type, progress);
+                } else {
+                    ctx.globalAlpha = 1;
+                    ctx.drawImage(current, 0, 0, this.width, this.height);
+                }
+
+                const caption = captions?.find(cue => time >= cue.start && time < cue.end);
+                if (caption) {
+                    this._drawCaption(ctx, caption.text);
+                }
+
+                const videoFrame = new VideoFrame(canvas, {
+                    timestamp: Math.floor((frame * 1_000_000) / this.fps),
+                    duration: Math.floor(1_000_000 / this.fps)
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % (this.fps * 2) === 0 });
+                videoFrame.close();
+
+                if (onProgress) {
+                    onProgress(frame + 1, totalFrames, segment.section.title);
+                }
+
+                // Let the UI (and cancel button) breathe, and don't outrun the encoder
+                while (encoder.encodeQueueSize > 8) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+                if (frame % 10 === 0) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+
+            if (this.cancelled) {
+                console.log('[LessonRenderService] Render cancelled');
+                encoder.close();
+                encoder = null;
+                if (fileStream) {
+                    await fileStream.abort?.();
+                }
+                return null;
+            }
+
+            await encoder.flush();
+            encoder.close();
+            encoder = null;
+            muxer.finalize();
+
+            if (fileStream) {
+                await fileStream.close();
+                console.log('[LessonRenderService] Render complete (written to file)');
+                return null;
+            }
+
+            const blob = new Blob([target.buffer], { type: 'video/webm' });
+            console.log(`[LessonRenderService] Render complete: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+            return blob;
+
+        } finally {
+            if (encoder && encoder.state !== 'closed') {
+                encoder.close();
+            }
+            renderers.forEach(renderer => this._destroyRenderer(renderer));
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Create the stage and scene for a section
+     * @private
+     */
+    _createRenderer(segment, config, visuals, StageManager, SceneBuilder) {
+        const { section } = segment;
+        const visualScene = section.visual ? visuals?.[section.visual.id] : null;
+
+        if (section.visual && !visualScene) {
+            console.warn(`[LessonRenderService] Visual "${section.visual.id}" not found, using a title card`);
+        }
+
+        const scene = visualScene || createTitleCardScene(section, config);
+
+        const container = document.createElement('div');
+        container.style.cssText = 'position: absolute; top: -10000px; left: -10000px;';
+        document.body.appendChild(container);
+
+        const stageManager = new StageManager(container, this.width, this.height, { scale: 1.0 });
+        const sceneBuilder = new SceneBuilder(stageManager, {
+            autoplay: false,
+            stepDuration: scene.duration ?? 1000
+        });
+        sceneBuilder.build(scene);
+
+        return {
+            container,
+            stageManager,
+            sceneBuilder,
+            syncTimes: this._getSyncTimes(segment, scene, visualScene !== scene)
+        };
+    }
+
+    /**
+     * Work out when each step starts within a section (seconds)
+     * @private
+     */
+    _getSyncTimes(segment, scene, isTitleCard) {
+        const { section, duration } = segment;
+
+        // Title cards fade in right away
+        if (isTitleCard) {
+            return [{ step: 2, time: 0 }];
+        }
+
+        const syncPoints = section.visual?.syncPoints;
+        if (syncPoints?.length && section.audio) {
+            return resolveSyncPoints(syncPoints, {
+                script: section.audio.script,
+                duration: section.audio.estimatedDuration
+            });
+        }
+
+        // No sync points: spread the steps evenly over the section
+        const stepCount = scene.steps?.length ?? 0;
+        const times = [];
+        for (let step = 2; step <= stepCount; step++) {
+            times.push({ step, time: ((step - 1) * duration) / stepCount });
+        }
+        return times;
+    }
+
+    /**
+     * Draw a section at a time and return its canvas
+     * @private
+     */
+    _drawSection(renderer, time) {
+        renderer.sceneBuilder.seekSynced(renderer.syncTimes, time * 1000);
+        renderer.stageManager.draw();
+        return renderer.stageManager.toCanvas({ scale: 1.0 });
+    }
+
+    /**
+     * Draw a caption at the bottom of the frame (white on a dark box)
+     * @private
+     * @param {OffscreenCanvasRenderingContext2D} ctx - Output context
+     * @param {string} text - Cue text, lines separated by "\n"
+     */
+    _drawCaption(ctx, text) {
+        const { width, height } = this;
+        const lines = text.split('\n');
+        const fontSize = Math.round(height * 0.042);
+        const lineHeight = fontSize * 1.3;
+        const padding = fontSize * 0.4;
+        const bottom = height * 0.93;
+
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.font = `600 ${fontSize}px Inter, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        lines.forEach((line, i) => {
+            const y = bottom - (lines.length - i - 0.5) * lineHeight;
+            const lineWidth = ctx.measureText(line).width;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillRect(width / 2 - lineWidth / 2 - padding, y - lineHeight / 2, lineWidth + padding * 2, lineHeight);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(line, width / 2, y);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Composite two sections for a transition
+     * @private
+     * @param {OffscreenCanvasRenderingContext2D} ctx - Output context
+     * @param {HTMLCanvasElement} from - Outgoing section
+     * @param {HTMLCanvasElement|null} to - Incoming section (null for black)
+     * @param {string} type - Transition type
+     * @param {number} progress - 0-1
+     */
+    _drawTransition(ctx, from, to, type, progress) {
+        const { width, height } = this;
+        const p = easeInOutQuad(Math.min(Math.max(progress, 0), 1));
+
+        const draw = (source, x = 0, y = 0, w = width, h = height) => {
+            if (source) {
+                ctx.drawImage(source, x, y, w, h);
+            } else {
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(x, y, w, h);
+            }
+        };
+
+        ctx.save();
+        ctx.globalAlpha = 1;
+
+        switch (type) {
+            case 'fade':
+            case 'quick-fade':
+                draw(from);
+                ctx.globalAlpha = p;
+                draw(to);
+                break;
+
+            case 'fade-to-black':
+                // Out to black over the first half, in from black over the second
+                draw(p < 0.5 ? from : to);
+                ctx.globalAlpha = p < 0.5 ? p * 2 : (1 - p) * 2;
+                draw(null);
+                break;
+
+            case 'slide-left':
+                draw(from, -p * width);
+                draw(to, (1 - p) * width);
+                break;
+
+            case 'zoom': {
+                // Outgoing section zooms towards the viewer and fades away
+                const scale = 1 + p * 0.25;
+                draw(to);
+                ctx.globalAlpha = 1 - p;
+                draw(from, (width - width * scale) / 2, (height - height * scale) / 2, width * scale, height * scale);
+                break;
+            }
+
+            case 'reveal':
+                // Wipe from left to right
+                draw(from);
+                ctx.beginPath();
+                ctx.rect(0, 0, p * width, height);
+                ctx.clip();
+                draw(to);
+                break;
+
+            default:
+                if (!this.warnedTransitions.has(type)) {
+                    console.warn(`[LessonRenderService] Unknown transition "${type}", cutting instead`);
+                    this.warnedTransitions.add(type);
+                }
+                draw(from);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Destroy a section's stage
+     * @private
+     */
+    _destroyRenderer(renderer) {
+        if (!renderer) return;
+        renderer.sceneBuilder.destroy();
+        renderer.stageManager.destroy();
+        renderer.container.remove();
+    }
+}
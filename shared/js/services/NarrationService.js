@@ -0,0 +1,470 @@
+/**
+ * NarrationService - Scratch Narration From Voice Scripts
+ * Lesson Builder System
+ *
+ * Renders `audio.script` to audio with a pluggable text-to-speech provider,
+ * so sections can be played (and synced) before the real recording exists:
+ * - Providers: { id, label, synthesize(text, { sectionId }) -> Promise<Blob> }
+ * - Offline: meSpeak (eSpeak compiled to JS), the default. It renders WAV
+ *   in the browser and loads itself on first use
+ * - Browser speech: the Web Speech API. It speaks live (`live: true`,
+ *   speak() instead of synthesize()), so there is no clip to cache or download
+ * - Remote: POSTs the script to an HTTP endpoint (e.g. tools/mock-tts-server.mjs)
+ * - Results cached in IndexedDB by provider and script hash, so each script
+ *   is only rendered once per provider
+ */
+
+import { wordCount } from '../utils/format.js';
+import { openDatabase, requestStore } from '../utils/indexedDb.js';
+
+/**
+ * IndexedDB database and store of the cache
+ */
+const DB_NAME = 'lesson-builder-narration';
+const STORE_NAME = 'clips';
+
+/**
+ * Hash a voice script (whitespace-insensitive)
+ * @param {string} text - Voice script
+ * @returns {string} 16 hex characters
+ */
+export function hashScript(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+
+    // cyrb53 - fast, well-distributed, not cryptographic (cache keys only)
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < normalized.length; i++) {
+        const ch = normalized.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Live provider using the browser's speech synthesis (Web Speech API)
+ * Needs nothing on the page. Speech can't be captured as audio, so the
+ * player speaks the script while it plays instead of loading a clip.
+ * @param {Object} [options]
+ * @param {string} [options.voice] - Voice name (from speechSynthesis.getVoices()), default voice otherwise
+ * @param {string} [options.lang='en-US'] - Language
+ * @param {number} [options.rate=1] - 0.1-10
+ * @param {number} [options.pitch=1] - 0-2
+ * @returns {{id: string, label: string, live: boolean, isAvailable: Function, speak: Function}}
+ */
+export function createSpeechSynthesisProvider(options = {}) {
+    const { voice = null, lang = 'en-US', rate = 1, pitch = 1 } = options;
+
+    return {
+        id: `speech:${voice || lang}:${rate}:${pitch}`,
+        label: 'Browser speech',
+        live: true,
+
+        isAvailable() {
+            return typeof window !== 'undefined' && !!window.speechSynthesis
+                && typeof SpeechSynthesisUtterance !== 'undefined';
+        },
+
+        /**
+         * Speak a script
+         * @param {string} text
+         * @param {Object} [handlers]
+         * @param {Function} [handlers.onStart]
+         * @param {Function} [handlers.onWord] - Called with the index of the word being spoken
+         * @param {Function} [handlers.onEnd]
+         * @param {Function} [handlers.onError] - Called with an Error
+         * @returns {{cancel: Function}} Stops speaking (no handler is called after it)
+         */
+        speak(text, handlers = {}) {
+            if (!this.isAvailable()) {
+                throw new Error('Speech synthesis not supported by this browser');
+            }
+
+            let active = handlers;
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = lang;
+            utterance.rate = rate;
+            utterance.pitch = pitch;
+
+            const match = voice && window.speechSynthesis.getVoices().find(option => option.name === voice);
+            if (match) utterance.voice = match;
+
+            utterance.onstart = () => active.onStart?.();
+            utterance.onboundary = (e) => {
+                if (e.name === 'word') active.onWord?.(wordCount(text.slice(0, e.charIndex)));
+            };
+            utterance.onend = () => active.onEnd?.();
+            utterance.onerror = (e) => active.onError?.(new Error(`Speech synthesis failed (${e.error})`));
+
+            window.speechSynthesis.speak(utterance);
+
+            return {
+                cancel() {
+                    active = {};
+                    window.speechSynthesis.cancel();
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Where meSpeak is loaded from unless a provider is given its own copy
+ */
+const MESPEAK_BASE_URL = 'https://unpkg.com/mespeak@1.9.6';
+
+/**
+ * How long to wait for meSpeak's config data (it has no load callback)
+ */
+const MESPEAK_CONFIG_TIMEOUT = 30000;
+
+/**
+ * mespeak.js loads by URL (the engine is a page global, loaded once)
+ */
+const meSpeakScripts = new Map();
+
+/**
+ * Offline provider using meSpeak (eSpeak compiled to JS, https://www.masswerk.at/mespeak/)
+ * Renders WAV in the browser, no TTS service needed. The engine, its config
+ * and the voice are loaded on first use (from unpkg by default; point the
+ * URLs at a local copy to work without a network).
+ * @param {Object} [options]
+ * @param {string} [options.scriptUrl] - mespeak.js
+ * @param {string} [options.configUrl] - mespeak_config.json
+ * @param {string} [options.voiceUrl] - Voice JSON (default: US English)
+ * @param {number} [options.speed=160] - Words per minute
+ * @param {number} [options.pitch=50] - 0-99
+ * @returns {{id: string, label: string, isAvailable: Function, synthesize: Function}}
+ */
+export function createMeSpeakProvider(options = {}) {
+    const {
+        scriptUrl = `${MESPEAK_BASE_URL}/mespeak.js`,
+        configUrl = `${MESPEAK_BASE_URL}/mespeak_config.json`,
+        voiceUrl = `${MESPEAK_BASE_URL}/voices/en/en-us.json`,
+        speed = 160,
+        pitch = 50
+    } = options;
+    let ready = null;
+
+    const load = async () => {
+        const meSpeak = await loadMeSpeak(scriptUrl);
+
+        if (!meSpeak.isConfigLoaded()) {
+            meSpeak.loadConfig(configUrl);
+            await waitFor(() => meSpeak.isConfigLoaded(), MESPEAK_CONFIG_TIMEOUT,
+                `meSpeak: Could not load config "${configUrl}"`);
+        }
+
+        return new Promise((resolve, reject) => {
+            meSpeak.loadVoice(voiceUrl, (success, result) => {
+                if (success) {
+                    resolve({ meSpeak, voice: result });
+                } else {
+                    reject(new Error(`meSpeak: Could not load voice "${voiceUrl}" (${result})`));
+                }
+            });
+        });
+    };
+
+    return {
+        id: `mespeak:${voiceUrl}:${speed}:${pitch}`,
+        label: 'meSpeak (offline)',
+
+        isAvailable() {
+            return typeof window !== 'undefined' && (!!window.meSpeak || typeof document !== 'undefined');
+        },
+
+        async synthesize(text) {
+            if (!ready) {
+                ready = load().catch(error => {
+                    ready = null;
+                    throw error;
+                });
+            }
+            const { meSpeak, voice } = await ready;
+
+            const wav = meSpeak.speak(text, { rawdata: 'arraybuffer', speed, pitch, voice });
+            if (!wav) {
+                throw new Error('meSpeak: Synthesis failed');
+            }
+
+            return new Blob([wav], { type: 'audio/wav' });
+        }
+    };
+}
+
+/**
+ * Provider calling a text-to-speech HTTP endpoint
+ * Sends `POST { text, voice, sectionId }` as JSON and expects audio back.
+ * @param {Object} options
+ * @param {string} options.endpoint - URL (e.g. 'http://localhost:5005/tts')
+ * @param {string} [options.voice] - Voice name passed to the service
+ * @param {Object} [options.headers] - Extra request headers (e.g. an API key)
+ * @param {string} [options.label] - Name shown in the player
+ * @returns {{id: string, label: string, isAvailable: Function, synthesize: Function}}
+ */
+export function createRemoteProvider(options) {
+    const { endpoint, voice = null, headers = {}, label } = options || {};
+    if (!endpoint) {
+        throw new Error('NarrationService: Remote provider needs an endpoint');
+    }
+
+    return {
+        id: `remote:${endpoint}:${voice || 'default'}`,
+        label: label || `TTS (${endpoint})`,
+
+        isAvailable() {
+            return typeof fetch === 'function';
+        },
+
+        async synthesize(text, { sectionId } = {}) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify({ text, voice, sectionId })
+            });
+
+            if (!response.ok) {
+                throw new Error(`TTS endpoint returned ${response.status} ${response.statusText}`);
+            }
+
+            const blob = await response.blob();
+            if (!blob.type.startsWith('audio/')) {
+                throw new Error(`TTS endpoint returned "${blob.type || 'unknown'}", not audio`);
+            }
+            return blob;
+        }
+    };
+}
+
+/**
+ * Create a provider from a lesson config's `narration` block
+ * @example
+ * narration: { provider: 'mespeak' }
+ * narration: { provider: 'speech' }
+ * narration: { provider: 'remote', endpoint: 'http://localhost:5005/tts', voice: 'en-us' }
+ * @param {Object} options - { provider: 'speech' | 'mespeak' | 'remote', ...provider options }
+ * @returns {Object} Provider
+ */
+export function createNarrationProvider(options) {
+    const { provider, ...providerOptions } = options || {};
+
+    switch (provider) {
+        case 'speech':
+            return createSpeechSynthesisProvider(providerOptions);
+        case 'mespeak':
+            return createMeSpeakProvider(providerOptions);
+        case 'remote':
+            return createRemoteProvider(providerOptions);
+        default:
+            throw new Error(`NarrationService: Unknown provider "${provider}" (expected speech, mespeak or remote)`);
+    }
+}
+
+/**
+ * NarrationCache - Audio blobs in IndexedDB (in memory when unavailable)
+ */
+export class NarrationCache {
+    constructor() {
+        this.db = null;
+        this.memoryStore = new Map();
+    }
+
+    /**
+     * Get a cached clip
+     * @param {string} key
+     * @returns {Promise<Object|null>} { key, blob, provider, sectionId, createdAt }
+     */
+    async get(key) {
+        const db = await this._open();
+        if (!db) return this.memoryStore.get(key) ?? null;
+
+        return this._request(db, 'readonly', store => store.get(key)).then(record => record ?? null);
+    }
+
+    /**
+     * Store a clip
+     * @param {Object} record - { key, blob, provider, sectionId }
+     */
+    async put(record) {
+        const entry = { ...record, createdAt: new Date().toISOString() };
+        const db = await this._open();
+        if (!db) {
+            this.memoryStore.set(entry.key, entry);
+            return;
+        }
+
+        await this._request(db, 'readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove a clip
+     * @param {string} key
+     */
+    async delete(key) {
+        const db = await this._open();
+        if (!db) {
+            this.memoryStore.delete(key);
+            return;
+        }
+
+        await this._request(db, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Remove every clip
+     */
+    async clear() {
+        this.memoryStore.clear();
+        const db = await this._open();
+        if (db) {
+            await this._request(db, 'readwrite', store => store.clear());
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this.db) {
+            this.db = openDatabase(DB_NAME, 1, {
+                owner: 'NarrationCache',
+                upgrade: (db) => db.createObjectStore(STORE_NAME, { keyPath: 'key' })
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * @private
+     */
+    _request(db, mode, operation) {
+        return requestStore(db, STORE_NAME, mode, operation);
+    }
+}
+
+/**
+ * NarrationService - Render scripts with a provider, through the cache
+ */
+export class NarrationService {
+    /**
+     * Create a NarrationService
+     * @param {Object} provider - Narration provider
+     * @param {Object} [options]
+     * @param {NarrationCache} [options.cache] - Shared cache (default: a new one)
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.cache = options.cache ?? new NarrationCache();
+        this.pending = new Map(); // key -> Promise (one render per script at a time)
+    }
+
+    /**
+     * Cache key of a script for this provider
+     * @param {string} script
+     * @returns {string}
+     */
+    getKey(script) {
+        return `${this.provider.id}:${hashScript(script)}`;
+    }
+
+    /**
+     * Get the narration of a script, rendering it on a cache miss
+     * @param {string} script - Voice script
+     * @param {Object} [options]
+     * @param {string} [options.sectionId] - For the provider and the cache record
+     * @param {boolean} [options.force=false] - Render again even if cached
+     * @returns {Promise<{blob: Blob, cached: boolean}>}
+     */
+    async getNarration(script, options = {}) {
+        const { sectionId = null, force = false } = options;
+
+        if (!script?.trim()) {
+            throw new Error('NarrationService: Nothing to narrate (empty script)');
+        }
+
+        const key = this.getKey(script);
+
+        if (!force) {
+            const record = await this.cache.get(key).catch(error => {
+                console.warn('NarrationService: Cache read failed', error);
+                return null;
+            });
+            if (record) return { blob: record.blob, cached: true };
+        }
+
+        if (!this.pending.has(key)) {
+            const render = (async () => {
+                console.log(`NarrationService: Rendering "${sectionId || key}" with ${this.provider.label}`);
+                const blob = await this.provider.synthesize(script, { sectionId });
+                await this.cache.put({ key, blob, provider: this.provider.id, sectionId }).catch(error => {
+                    console.warn('NarrationService: Cache write failed', error);
+                });
+                return blob;
+            })();
+
+            this.pending.set(key, render);
+            render.finally(() => this.pending.delete(key)).catch(() => {});
+        }
+
+        return { blob: await this.pending.get(key), cached: false };
+    }
+}
+
+/**
+ * Load mespeak.js once, unless the page already did
+ * @private
+ * @param {string} url
+ * @returns {Promise<Object>} window.meSpeak
+ */
+function loadMeSpeak(url) {
+    if (typeof window !== 'undefined' && window.meSpeak) {
+        return Promise.resolve(window.meSpeak);
+    }
+
+    if (!meSpeakScripts.has(url)) {
+        meSpeakScripts.set(url, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => window.meSpeak
+                ? resolve(window.meSpeak)
+                : reject(new Error(`meSpeak: "${url}" did not define meSpeak`));
+            script.onerror = () => {
+                meSpeakScripts.delete(url);
+                script.remove();
+                reject(new Error(`meSpeak: Could not load "${url}"`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return meSpeakScripts.get(url);
+}
+
+/**
+ * Poll until a condition holds
+ * @private
+ * @param {Function} condition
+ * @param {number} timeout - Milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<void>}
+ */
+function waitFor(condition, timeout, message) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                reject(new Error(message));
+            } else {
+                setTimeout(check, 50);
+            }
+        };
+        check();
+    });
+}
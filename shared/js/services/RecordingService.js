@@ -0,0 +1,393 @@
+/**
+ * RecordingService - Narration Takes Recorded in the Browser
+ * Lesson Builder System
+ *
+ * Voiceover recorded with MediaRecorder, kept as takes per section:
+ * - TakeStore: takes in IndexedDB (in memory when unavailable), at most one
+ *   chosen per section
+ * - VoiceRecorder: microphone to a compressed Blob (WebM/Ogg Opus, or MP4)
+ * - Trim is kept with the take, the recording stays untouched; renderTake
+ *   applies it and encodes 16-bit WAV, which editors import and which has
+ *   a known duration (MediaRecorder WebM reports Infinity)
+ * - computePeaks reduces samples to bars for the waveform preview
+ */
+
+import { openDatabase, requestStore } from '../utils/indexedDb.js';
+
+/**
+ * IndexedDB database and store of the takes, indexed by lesson and by section
+ */
+const DB_NAME = 'lesson-builder-takes';
+const DB_VERSION = 2;
+const STORE_NAME = 'takes';
+const LESSON_INDEX = 'lessonId';
+const SECTION_INDEX = 'lessonSection';
+
+/**
+ * Recording formats, in order of preference
+ */
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+/**
+ * Whether a take's trim removes anything
+ * @param {Object} take
+ * @returns {boolean}
+ */
+export function isTrimmed(take) {
+    if (!take.trim) return false;
+    return take.trim.start > 0 || (take.duration > 0 && take.trim.end < take.duration);
+}
+
+/**
+ * Reduce samples to peaks for a waveform
+ * @param {Float32Array} samples - One channel
+ * @param {number} buckets - Number of bars
+ * @returns {Array<number>} Peak amplitude (0-1) per bar
+ */
+export function computePeaks(samples, buckets) {
+    const peaks = new Array(buckets).fill(0);
+    if (!samples.length || buckets <= 0) return peaks;
+
+    const size = samples.length / buckets;
+    for (let i = 0; i < buckets; i++) {
+        const start = Math.floor(i * size);
+        const end = Math.min(Math.floor((i + 1) * size), samples.length);
+        let peak = 0;
+        for (let j = start; j < end; j++) {
+            const value = Math.abs(samples[j]);
+            if (value > peak) peak = value;
+        }
+        peaks[i] = Math.min(peak, 1);
+    }
+
+    return peaks;
+}
+
+/**
+ * Encode samples as a 16-bit PCM WAV file
+ * @param {Array<Float32Array>} channels - Samples per channel (same length)
+ * @param {number} sampleRate
+ * @returns {Blob} audio/wav
+ */
+export function encodeWav(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frames = channels[0]?.length ?? 0;
+    const dataSize = frames * channelCount * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * 2, true);
+    view.setUint16(32, channelCount * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Decode a recording
+ * @param {Blob} blob
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudio(blob) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    try {
+        return await context.decodeAudioData(await blob.arrayBuffer());
+    } finally {
+        context.close();
+    }
+}
+
+/**
+ * The audio of a take as it should be used: trimmed, as WAV
+ * @param {Object} take
+ * @returns {Promise<Blob>} audio/wav
+ */
+export async function renderTake(take) {
+    const buffer = await decodeAudio(take.blob);
+    const { start, end } = take.trim ?? { start: 0, end: buffer.duration };
+    const from = Math.floor(Math.max(start, 0) * buffer.sampleRate);
+    const to = Math.max(Math.min(Math.ceil(end * buffer.sampleRate), buffer.length), from);
+
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        channels.push(buffer.getChannelData(channel).slice(from, to));
+    }
+
+    return encodeWav(channels, buffer.sampleRate);
+}
+
+/**
+ * TakeStore - Recorded takes in IndexedDB (in memory when unavailable)
+ * Take: { id, lessonId, sectionId, number, blob, mimeType, duration,
+ * trim: { start, end } | null, chosen, createdAt }
+ */
+export class TakeStore {
+    constructor() {
+        this.db = null;
+        this.memoryStore = new Map();
+    }
+
+    /**
+     * Get a section's takes, oldest first
+     * @param {string} lessonId
+     * @param {string} sectionId
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(lessonId, sectionId) {
+        const takes = await this._query(lessonId, sectionId);
+        return takes.sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Get the chosen take of every section of a lesson
+     * @param {string} lessonId
+     * @returns {Promise<Map<string, Object>>} sectionId -> take
+     */
+    async getChosen(lessonId) {
+        const takes = await this._query(lessonId);
+        return new Map(takes
+            .filter(take => take.chosen)
+            .map(take => [take.sectionId, take]));
+    }
+
+    /**
+     * Add a recording as the section's next take
+     * @param {Object} recording - { lessonId, sectionId, blob, mimeType, duration }
+     * @returns {Promise<Object>} The take
+     */
+    async add(recording) {
+        const takes = await this.list(recording.lessonId, recording.sectionId);
+        const number = takes.reduce((max, take) => Math.max(max, take.number), 0) + 1;
+
+        const take = {
+            ...recording,
+            id: `${recording.lessonId}:${recording.sectionId}:${number}-${Date.now().toString(36)}`,
+            number,
+            trim: null,
+            chosen: false,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.put(take);
+        return take;
+    }
+
+    /**
+     * Store a take (replacing one with the same id)
+     * @param {Object} take
+     */
+    async put(take) {
+        const db = await this._open();
+        if (!db) {
+            this.memoryStore.set(take.id, take);
+            return;
+        }
+
+        await this._request(db, 'readwrite', store => store.put(take));
+    }
+
+    /**
+     * Make a take the section's chosen one (or choose none)
+     * @param {string} lessonId
+     * @param {string} sectionId
+     * @param {string|null} takeId
+     * @returns {Promise<Object|null>} The chosen take
+     */
+    async choose(lessonId, sectionId, takeId) {
+        const takes = await this.list(lessonId, sectionId);
+        let chosen = null;
+
+        for (const take of takes) {
+            const isChosen = take.id === takeId;
+            if (isChosen) chosen = { ...take, chosen: true };
+            if (take.chosen !== isChosen) {
+                await this.put({ ...take, chosen: isChosen });
+            }
+        }
+
+        return chosen;
+    }
+
+    /**
+     * Remove a take
+     * @param {string} takeId
+     */
+    async delete(takeId) {
+        const db = await this._open();
+        if (!db) {
+            this.memoryStore.delete(takeId);
+            return;
+        }
+
+        await this._request(db, 'readwrite', store => store.delete(takeId));
+    }
+
+    /**
+     * Takes of a lesson, or of one of its sections
+     * @private
+     */
+    async _query(lessonId, sectionId = null) {
+        const db = await this._open();
+        if (!db) {
+            return [...this.memoryStore.values()].filter(take =>
+                take.lessonId === lessonId && (sectionId === null || take.sectionId === sectionId));
+        }
+
+        return this._request(db, 'readonly', store => sectionId === null
+            ? store.index(LESSON_INDEX).getAll(IDBKeyRange.only(lessonId))
+            : store.index(SECTION_INDEX).getAll(IDBKeyRange.only([lessonId, sectionId])));
+    }
+
+    /**
+     * @private
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this.db) {
+            this.db = openDatabase(DB_NAME, DB_VERSION, {
+                owner: 'TakeStore',
+                upgrade: (db, transaction, oldVersion) => {
+                    const store = oldVersion < 1
+                        ? db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+                        : transaction.objectStore(STORE_NAME);
+                    if (oldVersion < 2) {
+                        store.createIndex(LESSON_INDEX, 'lessonId');
+                        store.createIndex(SECTION_INDEX, ['lessonId', 'sectionId']);
+                    }
+                }
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * @private
+     */
+    _request(db, mode, operation) {
+        return requestStore(db, STORE_NAME, mode, operation);
+    }
+}
+
+/**
+ * VoiceRecorder - Microphone to a Blob with MediaRecorder
+ */
+export class VoiceRecorder {
+    constructor() {
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.startedAt = 0;
+    }
+
+    /**
+     * Whether the browser can record
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    /**
+     * Start recording (asks for the microphone the first time)
+     * Voice processing is off: it's narration, not a call.
+     */
+    async start() {
+        if (this.recorder) throw new Error('VoiceRecorder: Already recording');
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+
+        // Don't leave the microphone open if the recorder can't start
+        try {
+            const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+            this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+            this.chunks = [];
+            this.recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            });
+
+            this.recorder.start();
+        } catch (error) {
+            this._release();
+            throw error;
+        }
+        this.startedAt = performance.now();
+    }
+
+    /**
+     * Whether recording is in progress
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recorder !== null;
+    }
+
+    /**
+     * Seconds recorded so far
+     * @returns {number}
+     */
+    getElapsed() {
+        return this.recorder ? (performance.now() - this.startedAt) / 1000 : 0;
+    }
+
+    /**
+     * Stop and get the recording
+     * @returns {Promise<{blob: Blob, mimeType: string}>}
+     */
+    stop() {
+        const recorder = this.recorder;
+        if (!recorder) return Promise.reject(new Error('VoiceRecorder: Not recording'));
+
+        return new Promise(resolve => {
+            recorder.addEventListener('stop', () => {
+                const mimeType = recorder.mimeType || this.chunks[0]?.type || 'audio/webm';
+                const blob = new Blob(this.chunks, { type: mimeType });
+                this._release();
+                resolve({ blob, mimeType });
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Stop and throw the recording away
+     */
+    cancel() {
+        if (this.recorder?.state !== 'inactive') this.recorder?.stop();
+        this._release();
+    }
+
+    /**
+     * @private
+     */
+    _release() {
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+    }
+}
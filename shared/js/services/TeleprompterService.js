@@ -0,0 +1,178 @@
+/**
+ * TeleprompterService - Voice Scripts as a Scrolling Prompter
+ * Lesson Builder System
+ *
+ * Lays the lesson's `audio.script`s out on one clock for reading aloud:
+ * - Each section lasts as long as its script takes at the reading rate
+ *   (estimateDuration), and its words are spread evenly over that time
+ * - Sync points become markers at the word where the visual step changes
+ *   (time-based points are placed at the same time at the reading rate)
+ * - A cue (section, word, step, next marker) can be looked up for any time
+ *
+ * PrompterChannel carries cues to other windows of the lesson
+ * (BroadcastChannel), so a second screen can show the visual in step.
+ */
+
+import { estimateDuration } from '../utils/format.js';
+import { resolveSyncPoints } from '../utils/sync.js';
+
+/**
+ * Prompter defaults
+ */
+export const PROMPTER_DEFAULTS = {
+    wordsPerMinute: 150,
+    fontSize: 56,
+    mirror: false,
+    broadcast: false
+};
+
+/**
+ * Lay out the prompter script
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options]
+ * @param {number} [options.wordsPerMinute=150] - Reading rate
+ * @returns {{sections: Array<Object>, duration: number, wordsPerMinute: number}}
+ *   Per section (only those with a script): id, title, index, visualId,
+ *   words, start, duration and markers `{ word, step, highlight }`
+ */
+export function buildPrompterScript(config, options = {}) {
+    const { wordsPerMinute = PROMPTER_DEFAULTS.wordsPerMinute } = options;
+    const sections = [];
+    let cursor = 0;
+
+    (config.sections || []).forEach((section, index) => {
+        const script = section.audio?.script?.trim();
+        if (!script) return;
+
+        const words = script.split(/\s+/);
+        const duration = Math.max(estimateDuration(words.length, wordsPerMinute), 1);
+        const syncPoints = section.visual?.syncPoints || [];
+
+        // Without a measured duration, times come back at the reading rate
+        const markers = resolveSyncPoints(syncPoints, { script, wordsPerMinute })
+            .map(point => ({
+                word: Math.min(Math.round((point.time * wordsPerMinute) / 60), words.length),
+                step: point.step,
+                highlight: syncPoints.find(syncPoint => syncPoint.step === point.step)?.highlight ?? null
+            }));
+
+        sections.push({
+            id: section.id,
+            title: section.title,
+            index,
+            visualId: section.visual?.id ?? null,
+            words,
+            start: cursor,
+            duration,
+            markers
+        });
+
+        cursor += duration;
+    });
+
+    return { sections, duration: cursor, wordsPerMinute };
+}
+
+/**
+ * Get the time a word is read at
+ * @param {Object} script - From buildPrompterScript()
+ * @param {number} sectionIndex - Index in script.sections
+ * @param {number} [word=0] - Word index in the section
+ * @returns {number} Seconds from the start of the prompter
+ */
+export function getPrompterWordTime(script, sectionIndex, word = 0) {
+    const section = script.sections[sectionIndex];
+    if (!section) return 0;
+
+    return section.start + (Math.min(word, section.words.length) / section.words.length) * section.duration;
+}
+
+/**
+ * Get what is being read at a time
+ * @param {Object} script - From buildPrompterScript()
+ * @param {number} time - Seconds from the start of the prompter
+ * @returns {{sectionIndex: number, section: Object, word: number, step: number,
+ *   next: {step: number, highlight: string|null, in: number}|null}|null}
+ *   `next` is the section's upcoming marker (null after the last one)
+ */
+export function getPrompterCue(script, time) {
+    if (script.sections.length === 0) return null;
+
+    let sectionIndex = script.sections.findIndex(section => time < section.start + section.duration);
+    if (sectionIndex === -1) sectionIndex = script.sections.length - 1;
+
+    const section = script.sections[sectionIndex];
+    const progress = Math.min(Math.max((time - section.start) / section.duration, 0), 1);
+    const word = Math.min(Math.floor(progress * section.words.length), section.words.length);
+
+    let step = 1;
+    let next = null;
+    for (const marker of section.markers) {
+        if (marker.word <= word) {
+            step = marker.step;
+        } else {
+            next = {
+                step: marker.step,
+                highlight: marker.highlight,
+                in: Math.max(getPrompterWordTime(script, sectionIndex, marker.word) - time, 0)
+            };
+            break;
+        }
+    }
+
+    return { sectionIndex, section, word, step, next };
+}
+
+/**
+ * Cues between windows of the same lesson
+ * Messages: { type: 'cue', sectionId, visualId, step } from the prompter,
+ * { type: 'hello' } from a window that starts following (answered with a cue).
+ * Without BroadcastChannel support, sending and listening do nothing.
+ */
+export class PrompterChannel {
+    /**
+     * @param {string} lessonId
+     */
+    constructor(lessonId) {
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(`lesson-builder-prompter:${lessonId}`)
+            : null;
+    }
+
+    /**
+     * Whether messages can be sent to other windows
+     * @returns {boolean}
+     */
+    isSupported() {
+        return this.channel !== null;
+    }
+
+    /**
+     * Send a message to the lesson's other windows
+     * @param {Object} message
+     */
+    send(message) {
+        this.channel?.postMessage(message);
+    }
+
+    /**
+     * Listen for messages
+     * @param {Function} handler - Called with each message
+     * @returns {Function} Unsubscribe function
+     */
+    listen(handler) {
+        if (!this.channel) return () => {};
+
+        const listener = (event) => handler(event.data);
+        this.channel.addEventListener('message', listener);
+        return () => this.channel?.removeEventListener('message', listener);
+    }
+
+    /**
+     * Close the channel
+     */
+    close() {
+        this.channel?.close();
+        this.channel = null;
+    }
+}
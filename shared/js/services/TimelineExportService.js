@@ -0,0 +1,473 @@
+/**
+ * TimelineExportService - Edit Decision Lists for NLEs
+ * Lesson Builder System
+ *
+ * Turns the lesson timeline into files DaVinci Resolve, Premiere and
+ * Final Cut can import:
+ * - CMX3600 EDL
+ * - FCPXML 1.10
+ * - Premiere XML (xmeml 4, FCP7 interchange)
+ *
+ * Each section becomes a clip (its visual render on V1, narration on A1)
+ * laid out as in the full-lesson render (planLessonRender), with markers
+ * for visual sync points and B-roll notes. `production.transitions`
+ * between sections become transitions that end at the cut, as rendered.
+ *
+ * Media paths are written as given (relative to the lesson folder by
+ * default); relink in the editor if it asks.
+ */
+
+import { planLessonRender } from './LessonRenderService.js';
+import { resolveSyncPoints } from '../utils/sync.js';
+
+/**
+ * Transition names per format (anything else is a cross dissolve / D)
+ */
+const TRANSITIONS = {
+    edl: { reveal: 'W001', 'slide-left': 'W001' },
+    premiere: {
+        'fade-to-black': { name: 'Dip to Black', category: 'Dissolve' },
+        reveal: { name: 'Wipe', category: 'Wipe' },
+        'slide-left': { name: 'Push', category: 'Slide' }
+    }
+};
+
+/**
+ * FCP's built-in Cross Dissolve
+ */
+const FCP_CROSS_DISSOLVE_UID = 'FxPlug:4731E73A-8DAC-4113-9A30-AE85B1761265';
+
+/**
+ * Record timecode of the first frame (editors start timelines at 1 hour)
+ */
+const RECORD_START_HOURS = 1;
+
+/**
+ * Build the edit timeline shared by every format
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options]
+ * @param {number} [options.fps=30] - Timeline frame rate (whole frames per second)
+ * @param {number} [options.width=3840] - Frame width
+ * @param {number} [options.height=2400] - Frame height
+ * @param {Function} [options.videoPath] - visualId => path of its render
+ *   (default `renders/<id>.webm`, as written by tools/render-lesson.mjs --video)
+ * @param {Function} [options.audioPath] - section.audio.file => path to write (default as is)
+ * @returns {{lessonId: string, title: string, fps: number, width: number, height: number, duration: number, clips: Array}}
+ *   Times in frames; clip markers are relative to the clip start
+ */
+export function buildEditTimeline(config, options = {}) {
+    const fps = Math.round(options.fps ?? 30);
+    const videoPath = options.videoPath ?? (visualId => `renders/${visualId}.webm`);
+    const audioPath = options.audioPath ?? (file => file);
+    const toFrames = (seconds) => Math.round(seconds * fps);
+
+    const { segments, duration } = planLessonRender(config);
+
+    const clips = segments.map((segment, index) => {
+        const { section } = segment;
+        const start = toFrames(segment.start);
+        const end = toFrames(segment.start + segment.duration);
+        const length = end - start;
+        const isLast = index === segments.length - 1;
+
+        const transitionFrames = Math.min(toFrames(segment.transition?.duration ?? 0), length);
+        const hasTransition = transitionFrames > 0 && segment.transition.type !== 'cut';
+
+        const markers = [];
+
+        // Visual steps at their sync points (same resolution as the lesson render)
+        if (section.visual?.syncPoints?.length && section.audio) {
+            const highlights = new Map(section.visual.syncPoints.map(point => [point.step, point.highlight]));
+            resolveSyncPoints(section.visual.syncPoints, {
+                script: section.audio.script,
+                duration: section.audio.estimatedDuration
+            }).forEach(({ step, time }) => {
+                markers.push({
+                    frame: Math.min(toFrames(time), Math.max(length - 1, 0)),
+                    name: `Step ${step}`,
+                    note: highlights.get(step) || '',
+                    color: 'blue'
+                });
+            });
+        }
+
+        // B-roll notes spread over the section
+        const broll = section.production?.broll || [];
+        broll.forEach((item, i) => {
+            markers.push({
+                frame: Math.floor((length * i) / broll.length),
+                name: 'B-roll',
+                note: item,
+                color: 'green'
+            });
+        });
+
+        // Nothing to cut to after the last section - leave the fade as a note
+        if (hasTransition && isLast) {
+            markers.push({
+                frame: length - transitionFrames,
+                name: `Transition: ${segment.transition.type}`,
+                note: `${segment.transition.duration}s to the end`,
+                color: 'red'
+            });
+        }
+
+        markers.sort((a, b) => a.frame - b.frame);
+
+        return {
+            index,
+            sectionId: section.id,
+            title: section.title,
+            start,
+            end,
+            video: section.visual ? media(videoPath(section.visual.id)) : null,
+            audio: section.audio?.file ? media(audioPath(section.audio.file)) : null,
+            transition: hasTransition && !isLast
+                ? { type: segment.transition.type, frames: transitionFrames }
+                : null,
+            markers
+        };
+    });
+
+    return {
+        lessonId: config.id,
+        title: config.title,
+        fps,
+        width: options.width ?? 3840,
+        height: options.height ?? 2400,
+        duration: clips.length ? clips[clips.length - 1].end : toFrames(duration),
+        clips
+    };
+}
+
+/**
+ * CMX3600 EDL (video and audio events; dissolves/wipes for transitions)
+ * A transition starts its frames before the cut, so the outgoing event
+ * ends there and the incoming one starts there.
+ * @param {Object} timeline - From buildEditTimeline()
+ * @returns {string}
+ */
+export function toEDL(timeline) {
+    const { fps } = timeline;
+    const tc = (frames) => timecode(frames, fps);
+    const rec = (frames) => timecode(frames + RECORD_START_HOURS * 3600 * fps, fps);
+
+    const lines = [
+        `TITLE: ${edlText(timeline.title).slice(0, 70)}`,
+        'FCM: NON-DROP FRAME',
+        ''
+    ];
+
+    let event = 0;
+    const eventNumber = () => String(++event).padStart(3, '0');
+    const row = (number, reel, channel, transition, duration, srcIn, srcOut, recIn, recOut) =>
+        `${number}  ${reel.padEnd(8)} ${channel.padEnd(5)} ${transition.padEnd(4)} ${duration.padStart(3)} ${tc(srcIn)} ${tc(srcOut)} ${rec(recIn)} ${rec(recOut)}`;
+
+    timeline.clips.forEach((clip, index) => {
+        const previous = timeline.clips[index - 1];
+        const incoming = previous?.transition ? previous.transition.frames : 0;
+        const outgoing = clip.transition ? clip.transition.frames : 0;
+
+        // Picture
+        if (clip.video) {
+            const recIn = clip.start - (previous?.video ? incoming : 0);
+            const recOut = clip.end - (clip.transition && timeline.clips[index + 1]?.video ? outgoing : 0);
+            const number = eventNumber();
+
+            if (previous?.video && incoming > 0) {
+                const code = TRANSITIONS.edl[previous.transition.type] || 'D';
+                const prevSrcOut = previous.end - previous.start - incoming;
+                lines.push(row(number, 'AX', 'V', 'C', '', prevSrcOut, prevSrcOut, recIn, recIn));
+                lines.push(row(number, 'AX', 'V', code, String(incoming).padStart(3, '0'), 0, recOut - recIn, recIn, recOut));
+                lines.push(`* FROM CLIP NAME: ${edlText(previous.video.name)}`);
+                lines.push(`* TO CLIP NAME: ${edlText(clip.video.name)}`);
+                lines.push(`* TRANSITION: ${previous.transition.type}`);
+            } else {
+                lines.push(row(number, 'AX', 'V', 'C', '', 0, recOut - recIn, recIn, recOut));
+                lines.push(`* FROM CLIP NAME: ${edlText(clip.video.name)}`);
+            }
+
+            lines.push(`* COMMENT: ${edlText(clip.title)}`);
+            clip.markers.forEach(marker => {
+                lines.push(`* LOC: ${rec(clip.start + marker.frame)} ${marker.color.toUpperCase()} ${edlText(marker.name)}${marker.note ? ` - ${edlText(marker.note)}` : ''}`);
+            });
+            lines.push('');
+        }
+
+        // Narration (cuts only)
+        if (clip.audio) {
+            lines.push(row(eventNumber(), 'AX', 'A', 'C', '', 0, clip.end - clip.start, clip.start, clip.end));
+            lines.push(`* FROM CLIP NAME: ${edlText(clip.audio.name)}`);
+            lines.push(`* COMMENT: ${edlText(clip.title)} (narration)`);
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * FCPXML 1.10 (DaVinci Resolve, Final Cut Pro)
+ * Sections sit in the primary storyline (gaps where there's no visual),
+ * narration is connected below, markers sit on the section.
+ * @param {Object} timeline - From buildEditTimeline()
+ * @returns {string}
+ */
+export function toFCPXML(timeline) {
+    const { fps } = timeline;
+    const time = (frames) => frames === 0 ? '0s' : `${frames}/${fps}s`;
+
+    const resources = [
+        `        <format id="r1" frameDuration="1/${fps}s" width="${timeline.width}" height="${timeline.height}"/>`
+    ];
+    let nextId = 2;
+    const assets = new Map();
+    const assetId = (mediaInfo, kind, length) => {
+        const key = `${kind}:${mediaInfo.path}`;
+        const existing = assets.get(key);
+        if (existing) {
+            existing.length = Math.max(existing.length, length);
+            return existing.id;
+        }
+        const id = `r${nextId++}`;
+        assets.set(key, { id, mediaInfo, kind, length });
+        return id;
+    };
+
+    const needsDissolve = timeline.clips.some(clip => clip.transition);
+    const dissolveId = needsDissolve ? `r${nextId++}` : null;
+
+    const spine = [];
+    timeline.clips.forEach(clip => {
+        const length = clip.end - clip.start;
+        const children = [];
+
+        if (clip.audio) {
+            const ref = assetId(clip.audio, 'audio', length);
+            children.push(`                                <asset-clip ref="${ref}" lane="-1" offset="0s" name="${xml(clip.audio.name)}" start="0s" duration="${time(length)}" audioRole="dialogue"/>`);
+        }
+
+        clip.markers.forEach(marker => {
+            children.push(`                                <marker start="${time(marker.frame)}" duration="${time(1)}" value="${xml(marker.name)}"${marker.note ? ` note="${xml(marker.note)}"` : ''}/>`);
+        });
+
+        const body = children.length ? `>\n${children.join('\n')}\n                            ` : '/>';
+
+        if (clip.video) {
+            const ref = assetId(clip.video, 'video', length);
+            spine.push(`                            <asset-clip ref="${ref}" offset="${time(clip.start)}" name="${xml(clip.title)}" start="0s" duration="${time(length)}" format="r1" tcFormat="NDF"${body}${children.length ? '</asset-clip>' : ''}`);
+        } else {
+            spine.push(`                            <gap name="${xml(clip.title)}" offset="${time(clip.start)}" start="0s" duration="${time(length)}"${body}${children.length ? '</gap>' : ''}`);
+        }
+
+        // Ends at the cut, like the lesson render
+        if (clip.transition) {
+            spine.push(`                            <transition name="${xml(clip.transition.type)}" offset="${time(clip.end - clip.transition.frames)}" duration="${time(clip.transition.frames)}">
+                                <filter-video ref="${dissolveId}" name="Cross Dissolve"/>
+                            </transition>`);
+        }
+    });
+
+    for (const { id, mediaInfo, kind, length } of assets.values()) {
+        const sources = kind === 'video'
+            ? `hasVideo="1" format="r1" videoSources="1"`
+            : `hasAudio="1" audioSources="1" audioChannels="2" audioRate="48000"`;
+        resources.push(`        <asset id="${id}" name="${xml(mediaInfo.name)}" start="0s" duration="${time(length)}" ${sources}>
+            <media-rep kind="original-media" src="${xml(encodeURI(mediaInfo.path))}"/>
+        </asset>`);
+    }
+
+    if (dissolveId) {
+        resources.push(`        <effect id="${dissolveId}" name="Cross Dissolve" uid="${FCP_CROSS_DISSOLVE_UID}"/>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.10">
+    <resources>
+${resources.join('\n')}
+    </resources>
+    <library>
+        <event name="${xml(timeline.lessonId)}">
+            <project name="${xml(timeline.title)}">
+                <sequence format="r1" duration="${time(timeline.duration)}" tcStart="${time(RECORD_START_HOURS * 3600 * fps)}" tcFormat="NDF" audioLayout="stereo" audioRate="48k">
+                    <spine>
+${spine.join('\n')}
+                    </spine>
+                </sequence>
+            </project>
+        </event>
+    </library>
+</fcpxml>
+`;
+}
+
+/**
+ * Premiere XML (xmeml version 4)
+ * @param {Object} timeline - From buildEditTimeline()
+ * @returns {string}
+ */
+export function toPremiereXML(timeline) {
+    const { fps } = timeline;
+    const rate = `<rate><timebase>${fps}</timebase><ntsc>FALSE</ntsc></rate>`;
+    const files = new Map(); // path -> id (defined on first use, referenced after)
+
+    const fileElement = (mediaInfo, kind, length, indent) => {
+        if (files.has(mediaInfo.path)) {
+            return `${indent}<file id="${files.get(mediaInfo.path)}"/>`;
+        }
+        const id = `file-${files.size + 1}`;
+        files.set(mediaInfo.path, id);
+
+        const mediaElement = kind === 'video'
+            ? `<video><samplecharacteristics><width>${timeline.width}</width><height>${timeline.height}</height></samplecharacteristics></video>`
+            : '<audio><channelcount>2</channelcount></audio>';
+
+        return `${indent}<file id="${id}">
+${indent}    <name>${xml(mediaInfo.name)}</name>
+${indent}    <pathurl>${xml(encodeURI(mediaInfo.path))}</pathurl>
+${indent}    ${rate}
+${indent}    <duration>${length}</duration>
+${indent}    <media>${mediaElement}</media>
+${indent}</file>`;
+    };
+
+    const clipItem = (clip, mediaInfo, kind, id, withMarkers) => {
+        const length = clip.end - clip.start;
+        const indent = '                        ';
+        const markers = withMarkers ? clip.markers.map(marker => `${indent}    <marker>
+${indent}        <name>${xml(marker.name)}</name>
+${indent}        <comment>${xml(marker.note)}</comment>
+${indent}        <in>${marker.frame}</in>
+${indent}        <out>-1</out>
+${indent}    </marker>`) : [];
+        const sourceTrack = kind === 'audio'
+            ? [`${indent}    <sourcetrack><mediatype>audio</mediatype><trackindex>1</trackindex></sourcetrack>`]
+            : [];
+
+        return [
+            `${indent}<clipitem id="${id}">`,
+            `${indent}    <name>${xml(kind === 'audio' ? mediaInfo.name : clip.title)}</name>`,
+            `${indent}    <enabled>TRUE</enabled>`,
+            `${indent}    <duration>${length}</duration>`,
+            `${indent}    ${rate}`,
+            `${indent}    <start>${clip.start}</start>`,
+            `${indent}    <end>${clip.end}</end>`,
+            `${indent}    <in>0</in>`,
+            `${indent}    <out>${length}</out>`,
+            fileElement(mediaInfo, kind, length, `${indent}    `),
+            ...sourceTrack,
+            ...markers,
+            `${indent}</clipitem>`
+        ].join('\n');
+    };
+
+    const videoItems = [];
+    const audioItems = [];
+
+    timeline.clips.forEach((clip, index) => {
+        if (clip.video) {
+            videoItems.push(clipItem(clip, clip.video, 'video', `clipitem-v${index + 1}`, true));
+
+            const next = timeline.clips[index + 1];
+            if (clip.transition && next?.video) {
+                const effect = TRANSITIONS.premiere[clip.transition.type] || { name: 'Cross Dissolve', category: 'Dissolve' };
+                const indent = '                        ';
+                videoItems.push(`${indent}<transitionitem>
+${indent}    ${rate}
+${indent}    <start>${clip.end - clip.transition.frames}</start>
+${indent}    <end>${clip.end}</end>
+${indent}    <alignment>end</alignment>
+${indent}    <effect>
+${indent}        <name>${effect.name}</name>
+${indent}        <effectid>${effect.name}</effectid>
+${indent}        <effectcategory>${effect.category}</effectcategory>
+${indent}        <effecttype>transition</effecttype>
+${indent}        <mediatype>video</mediatype>
+${indent}    </effect>
+${indent}</transitionitem>`);
+            }
+        }
+
+        if (clip.audio) {
+            // Sections without a visual keep their markers on the narration
+            audioItems.push(clipItem(clip, clip.audio, 'audio', `clipitem-a${index + 1}`, !clip.video));
+        }
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE xmeml>
+<xmeml version="4">
+    <sequence id="sequence-1">
+        <name>${xml(timeline.title)}</name>
+        <duration>${timeline.duration}</duration>
+        ${rate}
+        <timecode>
+            ${rate}
+            <string>${timecode(RECORD_START_HOURS * 3600 * fps, fps)}</string>
+            <frame>${RECORD_START_HOURS * 3600 * fps}</frame>
+            <displayformat>NDF</displayformat>
+        </timecode>
+        <media>
+            <video>
+                <format>
+                    <samplecharacteristics>
+                        ${rate}
+                        <width>${timeline.width}</width>
+                        <height>${timeline.height}</height>
+                        <pixelaspectratio>square</pixelaspectratio>
+                    </samplecharacteristics>
+                </format>
+                <track>
+${videoItems.join('\n')}
+                </track>
+            </video>
+            <audio>
+                <track>
+${audioItems.join('\n')}
+                </track>
+            </audio>
+        </media>
+    </sequence>
+</xmeml>
+`;
+}
+
+/**
+ * @private
+ */
+function media(path) {
+    return { path, name: path.split(/[?#]/)[0].split('/').pop() };
+}
+
+/**
+ * Frames to HH:MM:SS:FF (non-drop)
+ * @private
+ */
+function timecode(frames, fps) {
+    const ff = frames % fps;
+    const totalSeconds = Math.floor(frames / fps);
+    const ss = totalSeconds % 60;
+    const mm = Math.floor(totalSeconds / 60) % 60;
+    const hh = Math.floor(totalSeconds / 3600);
+    return [hh, mm, ss, ff].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * EDL lines are plain single-line ASCII-ish text
+ * @private
+ */
+function edlText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @private
+ */
+function xml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
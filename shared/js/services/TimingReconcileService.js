@@ -0,0 +1,183 @@
+/**
+ * TimingReconcileService - Section Timing From Measured Audio
+ * Lesson Builder System
+ *
+ * Section `timing` ranges are typed by hand and `estimatedDuration` comes
+ * from word counts; recordings come out longer or shorter. Reconciling:
+ * - Each section with measured audio gets its recording's length (rounded
+ *   up to whole seconds, plus optional padding); others keep their length
+ * - Sections are re-flowed back to back from the first section's start
+ * - The lesson `duration` becomes the end of the last section
+ *
+ * The result drives the drift view and exports as a JSON Patch (RFC 6902)
+ * or as config.js with the values replaced in place (comments and layout kept).
+ */
+
+import { formatTime, parseTimingRange, formatTimingRange } from '../utils/format.js';
+
+/**
+ * Reconcile section timing with measured audio
+ * @param {Object} config - Lesson configuration
+ * @param {Object<string, number>} durations - Measured audio length in seconds by section id
+ * @param {Object} [options]
+ * @param {number} [options.padding=0] - Seconds added after each measured recording
+ * @returns {{sections: Array<Object>, duration: {before: number, after: number}, changed: boolean}}
+ *   Per section: id, title, index, measured (null when unknown), estimated,
+ *   before/after `{ timing, start, duration }`, estimatedAfter (the measured
+ *   length, rounded up like the section length), drift
+ *   (measured minus planned length) and shift (change of start)
+ */
+export function reconcileTiming(config, durations, options = {}) {
+    const { padding = 0 } = options;
+    const sections = config.sections || [];
+    let cursor = sections.length ? parseTimingRange(sections[0].timing).start : 0;
+
+    const results = sections.map((section, index) => {
+        const planned = parseTimingRange(section.timing);
+        const measured = durations[section.id] > 0 ? durations[section.id] : null;
+        const estimated = section.audio?.estimatedDuration ?? null;
+
+        const length = measured !== null
+            ? Math.max(1, Math.ceil(measured + padding))
+            : Math.max(planned.duration, 0);
+
+        const start = cursor;
+        cursor += length;
+
+        return {
+            id: section.id,
+            title: section.title,
+            index,
+            measured,
+            estimated,
+            before: { timing: section.timing, start: planned.start, duration: planned.duration },
+            after: { timing: formatTimingRange(start, start + length), start, duration: length },
+            estimatedAfter: measured !== null ? Math.ceil(measured) : estimated,
+            drift: measured !== null ? measured - planned.duration : null,
+            shift: start - planned.start
+        };
+    });
+
+    const duration = { before: config.duration, after: cursor };
+    const changed = duration.before !== duration.after || results.some(result =>
+        result.before.timing !== result.after.timing || result.estimated !== result.estimatedAfter);
+
+    return { sections: results, duration, changed };
+}
+
+/**
+ * JSON Patch (RFC 6902) applying a reconciliation to the config
+ * Each replace is preceded by a test of the old value, so the patch fails
+ * instead of clobbering a config that changed since.
+ * @param {Object} result - From reconcileTiming()
+ * @returns {Array<{op: string, path: string, value: *}>}
+ */
+export function createTimingPatch(result) {
+    const patch = [];
+    const replace = (path, before, after) => {
+        if (before === after) return;
+        if (before !== undefined && before !== null) {
+            patch.push({ op: 'test', path, value: before });
+        }
+        patch.push({ op: before === undefined || before === null ? 'add' : 'replace', path, value: after });
+    };
+
+    replace('/duration', result.duration.before, result.duration.after);
+
+    result.sections.forEach(section => {
+        replace(`/sections/${section.index}/timing`, section.before.timing, section.after.timing);
+        if (section.measured !== null) {
+            replace(`/sections/${section.index}/audio/estimatedDuration`, section.estimated, section.estimatedAfter);
+        }
+    });
+
+    return patch;
+}
+
+/**
+ * Write a reconciliation into config.js source
+ * Replaces the values where they are, section by section; everything else
+ * (comments, scripts, formatting) is left alone. The comment after the root
+ * `duration` describes its value, so when the value changes a MM:SS time in
+ * it is updated, and any other comment becomes `// MM:SS`.
+ * @param {string} source - config.js contents
+ * @param {Object} result - From reconcileTiming()
+ * @returns {{source: string, missed: Array<string>}} Updated source, and what couldn't be found
+ */
+export function updateConfigSource(source, result) {
+    const missed = [];
+    let output = source;
+
+    // Root duration (the first one before `sections:`), and its comment
+    const sectionsAt = output.search(/\bsections\s*:/);
+    const rootPart = sectionsAt === -1 ? output : output.slice(0, sectionsAt);
+    const durationPattern = /(\bduration\s*:\s*)(\d+(?:\.\d+)?)(,?)([ \t]*\/\/[^\n]*)?/;
+    if (durationPattern.test(rootPart)) {
+        const updated = rootPart.replace(durationPattern, (match, prefix, value, comma, comment = '') => {
+            const { after } = result.duration;
+            let note = comment;
+            if (comment && Number(value) !== after) {
+                const time = formatTime(after);
+                const timePattern = /\b\d{1,2}:\d{2}\b/;
+                note = timePattern.test(comment)
+                    ? comment.replace(timePattern, time)
+                    : comment.replace(/\/\/.*/, `// ${time}`);
+            }
+            return `${prefix}${after}${comma}${note}`;
+        });
+        output = updated + output.slice(rootPart.length);
+    } else {
+        missed.push('duration');
+    }
+
+    // Sections, in order: each one's block runs to the next section's id
+    let cursor = output.search(/\bsections\s*:/);
+    if (cursor === -1) cursor = 0;
+
+    const locations = result.sections.map(section => {
+        const match = new RegExp(`\\bid\\s*:\\s*(['"\`])${escapeRegExp(section.id)}\\1`).exec(output.slice(cursor));
+        if (!match) return null;
+        cursor += match.index + match[0].length;
+        return cursor;
+    });
+
+    // Replace from the end so earlier offsets stay valid
+    for (let i = result.sections.length - 1; i >= 0; i--) {
+        const section = result.sections[i];
+        const start = locations[i];
+        if (start === null) {
+            missed.push(`sections.${section.id}`);
+            continue;
+        }
+
+        const end = locations.slice(i + 1).find(location => location !== null) ?? output.length;
+        let block = output.slice(start, end);
+
+        const timingPattern = /(\btiming\s*:\s*)(['"`])[^'"`\n]*\2/;
+        if (timingPattern.test(block)) {
+            block = block.replace(timingPattern, (match, prefix, quote) => `${prefix}${quote}${section.after.timing}${quote}`);
+        } else {
+            missed.push(`sections.${section.id}.timing`);
+        }
+
+        if (section.measured !== null && section.estimated !== section.estimatedAfter) {
+            const estimatePattern = /(\bestimatedDuration\s*:\s*)\d+(?:\.\d+)?/;
+            if (estimatePattern.test(block)) {
+                block = block.replace(estimatePattern, `$1${section.estimatedAfter}`);
+            } else {
+                missed.push(`sections.${section.id}.audio.estimatedDuration`);
+            }
+        }
+
+        output = output.slice(0, start) + block + output.slice(end);
+    }
+
+    return { source: output, missed };
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
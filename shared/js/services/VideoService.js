@@ -7,10 +7,18 @@
  * - webm-muxer (proper WebM container creation)
  * - Deterministic frame-by-frame rendering
  * - GUARANTEED correct video duration
+ * - Optional narration track (AudioEncoder Opus), with steps placed at sync points
  * 
  * No MediaRecorder quirks, no Duration corruption.
  */
 
+import { resolveSyncPoints } from '../utils/sync.js';
+
+/**
+ * Sample rate for the narration track (Opus only supports 48 kHz in WebM)
+ */
+const AUDIO_SAMPLE_RATE = 48000;
+
 /**
  * VideoService - Export Konva scenes to WebM video
  */
@@ -39,10 +47,14 @@ export class VideoService {
      * @param {Object} options
      * @param {Function} [options.onProgress] - Progress callback (current, total)
      * @param {number} [options.holdFrames=30] - Frames to hold on final step
+     * @param {Object} [options.narration] - Mux the section's narration into the video
+     * @param {string} options.narration.file - Audio file URL
+     * @param {string} [options.narration.script] - Voice script (for word-based sync points)
+     * @param {Array} [options.narration.syncPoints] - Sync points placing each step in the audio
      * @returns {Promise<Blob>} WebM video blob
      */
     async export(stageManager, sceneBuilder, options = {}) {
-        const { onProgress, holdFrames = 30 } = options;
+        const { onProgress, holdFrames = 30, narration } = options;
         
         console.log('=== VIDEO EXPORT START ===');
         console.log('Engine: Konva.js + VideoEncoder + webm-muxer');
@@ -54,22 +66,16 @@ export class VideoService {
         if (!window.VideoEncoder) {
             throw new Error('VideoEncoder API not supported in this browser');
         }
+        if (narration && !window.AudioEncoder) {
+            throw new Error('AudioEncoder API not supported in this browser');
+        }
         
         this.isExporting = true;
         
         try {
             const totalSteps = sceneBuilder.getTotalSteps();
             const scene = sceneBuilder.scene;
-            
-            // Calculate frames
-            const stepDuration = scene.duration ?? 1000; // ms per transition
-            const framesPerTransition = Math.ceil((stepDuration / 1000) * this.fps);
-            const animationFrames = framesPerTransition * (totalSteps - 1); // -1 because first step is instant
-            const totalFrames = animationFrames + holdFrames;
-            
-            console.log(`Steps: ${totalSteps}`);
-            console.log(`Frames: ${animationFrames} animation + ${holdFrames} hold = ${totalFrames} total`);
-            console.log(`Duration: ${(totalFrames / this.fps).toFixed(2)}s @ ${this.fps}fps`);
+            const stepDuration = scene.duration ?? 1000; // default ms per transition
             
             // Create offscreen stage for export
             const exportContainer = document.createElement('div');
@@ -83,9 +89,34 @@ export class VideoService {
                 scale: 1.0 // Full resolution
             });
             
-            const exportScene = new SceneBuilderClass(exportStage);
+            // Frames are positioned on the scene timeline, not by Konva.Animation
+            const exportScene = new SceneBuilderClass(exportStage, { autoplay: false, stepDuration });
             exportScene.build(scene);
             
+            // Narration: decode the audio and place each step at its sync point
+            let audioBuffer = null;
+            let syncTimes = null;
+            if (narration) {
+                audioBuffer = await this.decodeAudio(narration.file);
+                syncTimes = resolveSyncPoints(narration.syncPoints, {
+                    script: narration.script,
+                    duration: audioBuffer.duration
+                });
+                console.log(`Narration: ${audioBuffer.duration.toFixed(2)}s, ${syncTimes.length} sync points`);
+            }
+            
+            // Frame count from the timeline (delays, stagger, sequences included),
+            // or from the narration and the last synced transition
+            const duration = syncTimes
+                ? Math.max(audioBuffer.duration * 1000, exportScene.getSyncedEndTime(syncTimes))
+                : exportScene.getDuration();
+            const animationFrames = Math.ceil((duration / 1000) * this.fps);
+            const totalFrames = animationFrames + holdFrames;
+            
+            console.log(`Steps: ${totalSteps}`);
+            console.log(`Frames: ${animationFrames} animation + ${holdFrames} hold = ${totalFrames} total`);
+            console.log(`Duration: ${(totalFrames / this.fps).toFixed(2)}s @ ${this.fps}fps`);
+            
             // Setup webm-muxer
             const { Muxer, ArrayBufferTarget } = window.WebmMuxer;
             
@@ -97,9 +128,19 @@ export class VideoService {
                     height: this.height,
                     frameRate: this.fps
                 },
+                audio: audioBuffer ? {
+                    codec: 'A_OPUS',
+                    sampleRate: AUDIO_SAMPLE_RATE,
+                    numberOfChannels: Math.min(audioBuffer.numberOfChannels, 2)
+                } : undefined,
                 fastStart: false
             });
             
+            // Audio goes in first - it's small, and the muxer interleaves it with the video
+            if (audioBuffer) {
+                await this.encodeAudio(audioBuffer, muxer);
+            }
+            
             // Setup VideoEncoder
             const encoder = new VideoEncoder({
                 output: (chunk, meta) => {
@@ -124,36 +165,10 @@ export class VideoService {
             console.log('=== FRAME GENERATION START ===');
             const startTime = performance.now();
             
-            // MAIN EXPORT LOOP
-            let currentStepIndex = 0;
-            
-            for (let i = 0; i < totalFrames; i++) {
-                const isHoldPhase = i >= animationFrames;
-                
-                if (!isHoldPhase) {
-                    // Calculate current step and progress
-                    const stepProgress = i / framesPerTransition;
-                    const newStepIndex = Math.floor(stepProgress);
-                    const progressInStep = stepProgress - newStepIndex;
-                    
-                    // Transition to new step if needed
-                    if (newStepIndex !== currentStepIndex) {
-                        currentStepIndex = newStepIndex;
-                        exportScene.goToStep(currentStepIndex, stepDuration);
-                        console.log(`  Step ${currentStepIndex}/${totalSteps - 1} (frame ${i})`);
-                    }
-                    
-                    // Update all active tweens to current progress
-                    // Konva tweens run automatically, but we need to advance time manually
-                    // This is done by seeking to specific frame time
-                    const frameTime = progressInStep * stepDuration;
-                    this.updateTweensToTime(exportScene, frameTime);
-                    
-                } else if (i === animationFrames) {
-                    // Start hold phase - ensure on last step
-                    exportScene.goToStep(totalSteps - 1, 0);
-                    console.log(`  Hold phase: ${holdFrames} frames`);
-                }
+            // Draw the current scene state and encode it as frame i
+            let frameIndex = 0;
+            const encodeFrame = async () => {
+                const i = frameIndex++;
                 
                 // Draw current frame
                 exportStage.draw();
@@ -188,6 +203,29 @@ export class VideoService {
                     const avgFps = ((i + 1) / elapsed * 1000).toFixed(1);
                     console.log(`  Frame ${i + 1}/${totalFrames} (${avgFps} fps avg)`);
                 }
+            };
+            
+            // MAIN EXPORT LOOP - seek the timeline to each frame's time
+            let currentStep = -1;
+            for (let f = 0; f < animationFrames; f++) {
+                const time = (f * 1000) / this.fps;
+                const step = syncTimes
+                    ? exportScene.seekSynced(syncTimes, time)
+                    : exportScene.seek(time);
+                if (step !== currentStep) {
+                    currentStep = step;
+                    console.log(`  Step ${step}/${totalSteps - 1} (frame ${frameIndex})`);
+                }
+                await encodeFrame();
+            }
+            
+            // Hold phase - final state of the last step (narrated: wherever the narration ended)
+            if (!syncTimes) {
+                exportScene.seek(duration);
+            }
+            console.log(`  Hold phase: ${holdFrames} frames`);
+            for (let h = 0; h < holdFrames; h++) {
+                await encodeFrame();
             }
             
             console.log('=== ENCODING COMPLETE ===');
@@ -225,20 +263,75 @@ export class VideoService {
     }
     
     /**
-     * Update Konva tweens to specific time
-     * @param {import('../engine/SceneBuilder.js').SceneBuilder} sceneBuilder
-     * @param {number} time - Time in ms
-     * @private
+     * Decode an audio file, resampled for the narration track
+     * @param {string} url - Audio file URL
+     * @returns {Promise<AudioBuffer>}
      */
-    updateTweensToTime(sceneBuilder, time) {
-        // Get all active tweens and seek them to current time
-        for (const tween of sceneBuilder.tweens.values()) {
-            if (tween) {
-                const duration = tween.duration * 1000; // Convert to ms
-                const progress = Math.min(time / duration, 1.0);
-                tween.seek(progress);
+    async decodeAudio(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Narration not found: ${url} (${response.status})`);
+        }
+        
+        // decodeAudioData resamples to the context's sample rate
+        const context = new OfflineAudioContext(2, 1, AUDIO_SAMPLE_RATE);
+        return context.decodeAudioData(await response.arrayBuffer());
+    }
+    
+    /**
+     * Encode an AudioBuffer as Opus into the muxer's audio track
+     * @param {AudioBuffer} audioBuffer - Decoded narration
+     * @param {Object} muxer - webm-muxer Muxer with an audio track
+     * @returns {Promise<void>}
+     */
+    async encodeAudio(audioBuffer, muxer) {
+        const numberOfChannels = Math.min(audioBuffer.numberOfChannels, 2);
+        const sampleRate = audioBuffer.sampleRate;
+        
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => {
+                muxer.addAudioChunk(chunk, meta);
+            },
+            error: (e) => {
+                console.error('[AudioEncoder] Error:', e);
+                throw e;
             }
+        });
+        
+        encoder.configure({
+            codec: 'opus',
+            sampleRate,
+            numberOfChannels,
+            bitrate: 128_000
+        });
+        
+        // Feed 1 second at a time as planar float data
+        const channels = [];
+        for (let c = 0; c < numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
         }
+        
+        for (let offset = 0; offset < audioBuffer.length; offset += sampleRate) {
+            const numberOfFrames = Math.min(sampleRate, audioBuffer.length - offset);
+            const data = new Float32Array(numberOfFrames * numberOfChannels);
+            channels.forEach((channel, c) => {
+                data.set(channel.subarray(offset, offset + numberOfFrames), c * numberOfFrames);
+            });
+            
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames,
+                numberOfChannels,
+                timestamp: Math.round((offset * 1_000_000) / sampleRate),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        
+        await encoder.flush();
+        encoder.close();
     }
     
     /**
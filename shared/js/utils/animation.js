@@ -241,27 +241,68 @@ export function easeInOutBounce(t) {
 // EASING LOOKUP
 // ==========================================================================
 
+/**
+ * Easing functions by name
+ */
+const EASINGS = {
+    linear,
+    easeInQuad, easeOutQuad, easeInOutQuad,
+    easeInCubic, easeOutCubic, easeInOutCubic,
+    easeInQuart, easeOutQuart, easeInOutQuart,
+    easeInQuint, easeOutQuint, easeInOutQuint,
+    easeInSine, easeOutSine, easeInOutSine,
+    easeInExpo, easeOutExpo, easeInOutExpo,
+    easeInCirc, easeOutCirc, easeInOutCirc,
+    easeInBack, easeOutBack, easeInOutBack,
+    easeInElastic, easeOutElastic, easeInOutElastic,
+    easeInBounce, easeOutBounce, easeInOutBounce
+};
+
+/**
+ * Names accepted by getEasing()
+ */
+export const EASING_NAMES = Object.keys(EASINGS);
+
 /**
  * Get easing function by name
  * @param {string} name - Easing function name (e.g., 'easeInOutCubic')
  * @returns {Function}
  */
 export function getEasing(name) {
-    const easings = {
-        linear,
-        easeInQuad, easeOutQuad, easeInOutQuad,
-        easeInCubic, easeOutCubic, easeInOutCubic,
-        easeInQuart, easeOutQuart, easeInOutQuart,
-        easeInQuint, easeOutQuint, easeInOutQuint,
-        easeInSine, easeOutSine, easeInOutSine,
-        easeInExpo, easeOutExpo, easeInOutExpo,
-        easeInCirc, easeOutCirc, easeInOutCirc,
-        easeInBack, easeOutBack, easeInOutBack,
-        easeInElastic, easeOutElastic, easeInOutElastic,
-        easeInBounce, easeOutBounce, easeInOutBounce
-    };
+    return EASINGS[name] || linear;
+}
+
+/**
+ * Resolve an easing name from layered easing specs
+ * Each spec is either an easing name or a map of property -> easing name
+ * (with an optional `default` entry). Specs are ordered from most to least
+ * specific; the first one that covers the property wins.
+ * @param {Array<string|Object|undefined>} specs - e.g. [object.easing, step.easing, scene.easing]
+ * @param {string|string[]} properties - Property name, or name followed by aliases (e.g. ['scaleX', 'scale'])
+ * @param {string} [fallback='linear'] - Easing name used when no spec matches
+ * @returns {string} Easing name (pass to getEasing)
+ */
+export function resolveEasingName(specs, properties, fallback = 'linear') {
+    const names = Array.isArray(properties) ? properties : [properties];
+
+    for (const spec of specs) {
+        if (!spec) continue;
+
+        if (typeof spec === 'string') {
+            return spec;
+        }
+
+        const match = names.find(name => spec[name]);
+        if (match) {
+            return spec[match];
+        }
+
+        if (spec.default) {
+            return spec.default;
+        }
+    }
 
-    return easings[name] || linear;
+    return fallback;
 }
 
 // ==========================================================================
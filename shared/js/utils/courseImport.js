@@ -0,0 +1,466 @@
+/**
+ * Course Import Utilities - Markdown Course Structure to Lesson Scaffolds
+ * Lesson Builder System
+ *
+ * Reads a course plan written like docs/interview-course-structure-part-1.md:
+ *
+ *   ## Video 2: "The Framework: How to Tackle Any Business Task"
+ *   **Duration:** 25 minutes | **Type:** Foundational Methodology
+ *   ### Learning Objectives
+ *   - ...
+ *
+ * Each "###" heading of a video becomes a section. The generated files are a
+ * starting point: sections get a type, a share of the duration and a
+ * description, while visuals and audio are left for the author to add.
+ */
+
+import { slugify, formatTimingRange, formatTime, wordCount, escapeHtml } from './format.js';
+
+const VIDEO_HEADING = /^##\s+Video\s+(\d+)\s*:\s*(.+?)\s*$/i;
+const PHASE_HEADING = /^#\s+(.+?)\s*$/;
+const SECTION_HEADING = /^###\s+(.+?)\s*$/;
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const LABEL_LINE = /^\*\*([^*]+?)\*\*:?\s*$/;
+
+const DESCRIPTION_MAX_LENGTH = 240;
+
+// Every section gets at least this much of the lesson, however short its notes
+const MIN_SECTION_WEIGHT = 40;
+
+/**
+ * Lesson type by the plan's "**Type:**" (first match wins, default deep-dive)
+ */
+const LESSON_TYPE_RULES = [
+    [/introduction/i, 'introduction'],
+    [/system design/i, 'system-design'],
+    [/practical|demonstration|case study|implementation/i, 'practical']
+];
+
+/**
+ * Section type by heading (first match wins, default core-content)
+ */
+const SECTION_TYPE_RULES = [
+    [/learning objectives|^setup$/i, 'opening'],
+    [/deliverables|what's next|next steps|summary|takeaways/i, 'closing'],
+    [/^why\b|problem|pitfall|mistake|challenge|gotcha|struggle/i, 'problem-definition'],
+    [/real[- ]world|real interview|example|case study|breakdown|value proposition/i, 'credibility'],
+    [/application|implementation|solution|strategy|checklist|approach|design|practice/i, 'solution']
+];
+
+/**
+ * Parse a markdown course plan
+ * @param {string} markdown - Course structure document
+ * @returns {Array<Object>} Videos in document order, each with number, id, title,
+ *   duration (seconds), format (the plan's "Type"), phase and headings
+ *   [{title, items, labels, text}] (plus objectives, concepts, deliverables shortcuts)
+ */
+export function parseCourseStructure(markdown) {
+    const videos = [];
+    let phase = null;
+    let video = null;
+    let heading = null;
+    let inCode = false;
+
+    const closeVideo = () => {
+        if (video) videos.push(finishVideo(video));
+        video = null;
+        heading = null;
+    };
+
+    for (const rawLine of markdown.split(/\r?\n/)) {
+        const line = rawLine.trimEnd();
+
+        // Headings inside code samples are not structure
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCode = !inCode;
+            continue;
+        }
+        if (inCode) continue;
+
+        let match;
+
+        if ((match = line.match(VIDEO_HEADING))) {
+            closeVideo();
+            video = {
+                number: Number(match[1]),
+                title: stripQuotes(stripMarkdown(match[2])),
+                duration: 0,
+                format: '',
+                phase,
+                headings: []
+            };
+            continue;
+        }
+
+        if ((match = line.match(PHASE_HEADING))) {
+            closeVideo();
+            phase = stripMarkdown(match[1]);
+            continue;
+        }
+
+        // Any other level-2 heading ends the current video
+        if (/^##\s/.test(line)) {
+            closeVideo();
+            continue;
+        }
+
+        if (!video) continue;
+
+        if ((match = line.match(SECTION_HEADING))) {
+            heading = { title: stripMarkdown(match[1]), items: [], labels: [], text: [] };
+            video.headings.push(heading);
+            continue;
+        }
+
+        if (!heading) {
+            // Metadata line under the video heading
+            const duration = line.match(/\*\*Duration:\*\*\s*~?\s*(\d+(?:\.\d+)?)\s*(min|minutes?|hours?|h|sec|seconds?|s)\b/i);
+            if (duration) video.duration = toSeconds(Number(duration[1]), duration[2]);
+
+            const format = line.match(/\*\*Type:\*\*\s*([^|]+)/i);
+            if (format) video.format = stripMarkdown(format[1]).trim();
+            continue;
+        }
+
+        if (!line.trim() || /^-{3,}$/.test(line.trim())) continue;
+
+        if ((match = line.match(LIST_ITEM))) {
+            // Only top-level items summarize a heading
+            if (match[1].length < 2) heading.items.push(stripMarkdown(match[2]));
+        } else if ((match = line.match(LABEL_LINE))) {
+            heading.labels.push(stripMarkdown(match[1]));
+        } else {
+            heading.text.push(stripMarkdown(line.trim()));
+        }
+    }
+
+    closeVideo();
+    return videos;
+}
+
+/**
+ * Build a lesson config skeleton for a parsed video
+ * @param {Object} video - From parseCourseStructure()
+ * @returns {Object} Lesson config (id, title, type, duration, narration, sections);
+ *   narration is a meSpeak scratch track, so sections play before anything is recorded
+ */
+export function buildLessonConfig(video) {
+    const duration = video.duration > 0 ? video.duration : 600;
+    const headings = video.headings.length > 0
+        ? video.headings
+        : [{ title: video.title, items: [], labels: [], text: [] }];
+
+    const timings = splitDuration(duration, headings.map(heading =>
+        Math.max(MIN_SECTION_WEIGHT, wordCount([...heading.labels, ...heading.items, ...heading.text].join(' ')))));
+
+    const usedIds = new Set();
+
+    return {
+        id: getLessonId(video),
+        title: video.title,
+        type: matchRule(LESSON_TYPE_RULES, video.format, 'deep-dive'),
+        duration,
+        narration: { provider: 'mespeak' },
+        sections: headings.map((heading, index) => ({
+            id: uniqueId(slugify(heading.title) || `section-${index + 1}`, usedIds),
+            title: heading.title,
+            timing: formatTimingRange(timings[index].start, timings[index].end),
+            type: matchRule(SECTION_TYPE_RULES, heading.title, 'core-content'),
+            description: describeHeading(heading)
+        }))
+    };
+}
+
+/**
+ * Generate the scaffold files for a parsed video
+ * @param {Object} video - From parseCourseStructure()
+ * @returns {{id: string, config: Object, files: {'config.js': string, 'visuals.js': string, 'index.html': string}}}
+ */
+export function scaffoldLesson(video) {
+    const config = buildLessonConfig(video);
+    const heading = `Video ${String(video.number).padStart(2, '0')}: ${video.title}`;
+
+    return {
+        id: config.id,
+        config,
+        files: {
+            'config.js': generateConfigSource(config, heading),
+            'visuals.js': generateVisualsSource(heading),
+            'index.html': generateIndexHtml(config, video, heading)
+        }
+    };
+}
+
+/**
+ * Lesson id (and folder name) for a video
+ * @param {Object} video - From parseCourseStructure()
+ * @returns {string} e.g. "video-02"
+ */
+export function getLessonId(video) {
+    return `video-${String(video.number).padStart(2, '0')}`;
+}
+
+/**
+ * config.js source
+ * @private
+ */
+function generateConfigSource(config, heading) {
+    const { sections, ...root } = config;
+
+    const rootLines = Object.entries(root).map(([key, value]) => key === 'duration'
+        ? `    duration: ${value}, // ${formatTime(value)}`
+        : `    ${key}: ${toSource(value)},`);
+
+    const sectionBlocks = sections.map(section => [
+        '        {',
+        Object.entries(section).map(([key, value]) => `            ${key}: ${toSource(value)}`).join(',\n'),
+        '        }'
+    ].join('\n'));
+
+    return `/**
+ * Lesson Configuration - ${heading}
+ * Lesson Builder System
+ *
+ * Scaffolded from the course structure. Add visual, audio and production
+ * details to each section (see docs/lesson-creation-guide.md).
+ */
+
+export const lessonConfig = {
+${rootLines.join('\n')}
+
+    sections: [
+${sectionBlocks.join(',\n\n')}
+    ]
+};
+`;
+}
+
+/**
+ * visuals.js source
+ * @private
+ */
+function generateVisualsSource(heading) {
+    return `/**
+ * Lesson Visuals - ${heading}
+ * State-Based Animation Scenes
+ *
+ * Add a scene per section visual, keyed by the visual id used in config.js.
+ */
+
+/**
+ * Create all visual compositions for this lesson
+ * @returns {Object} Map of visual ID to scene definition
+ */
+export function createVisuals() {
+    return {};
+}
+`;
+}
+
+/**
+ * index.html source
+ * @private
+ */
+function generateIndexHtml(config, video, heading) {
+    const title = escapeHtml(config.title);
+    const meta = `Duration: ${formatTime(config.duration)}${video.format ? ` | Type: ${escapeHtml(video.format)}` : ''}`;
+    const placeholders = config.sections
+        .map(section => `        <div id="section-${section.id}"></div>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(heading)} | Lesson Builder</title>
+    <meta name="description" content="Lesson builder for ${escapeHtml(heading)}.">
+
+    <!-- Shared CSS -->
+    <link rel="stylesheet" href="../../shared/css/base.css">
+    <link rel="stylesheet" href="../../shared/css/components.css">
+    <link rel="stylesheet" href="../../shared/css/animations.css">
+</head>
+
+<body>
+    <!-- Top Navigation (populated by TopNav component) -->
+    <div id="topNav"></div>
+
+    <!-- Sidebar Overlay -->
+    <div id="sidebarOverlay" class="sidebar-overlay"></div>
+
+    <!-- Timeline Sidebar (populated by Timeline component) -->
+    <div id="timelineSidebar" class="timeline-sidebar"></div>
+
+    <!-- Main Content -->
+    <div class="container">
+        <!-- Lesson Header -->
+        <div class="lesson-header">
+            <h1>${title}</h1>
+            <div class="meta">${meta}</div>
+        </div>
+
+        <!-- Sections are rendered by LessonCore -->
+${placeholders}
+    </div>
+
+    <!-- External Libraries -->
+    <!-- Konva.js - Professional Canvas Library -->
+    <script src="https://unpkg.com/konva@9/konva.min.js"></script>
+
+    <!-- JSZip - Export Packages -->
+    <script src="https://unpkg.com/jszip@3/dist/jszip.min.js"></script>
+
+    <!-- webm-muxer - WebM Container Creation -->
+    <script type="module">
+        import { Muxer, ArrayBufferTarget, FileSystemWritableFileStreamTarget } from 'https://esm.sh/webm-muxer@5.0.2';
+
+        // Global for VideoService.js
+        window.WebmMuxer = { Muxer, ArrayBufferTarget, FileSystemWritableFileStreamTarget };
+    </script>
+
+    <!-- Initialize Lesson -->
+    <script type="module">
+        import { LessonCore } from '../../shared/js/core/LessonCore.js';
+        import { lessonConfig } from './config.js';
+        import { createVisuals } from './visuals.js';
+
+        document.addEventListener('DOMContentLoaded', async () => {
+            try {
+                await LessonCore.init(lessonConfig, createVisuals());
+            } catch (error) {
+                console.error('Failed to initialize lesson:', error);
+            }
+        });
+    </script>
+</body>
+
+</html>
+`;
+}
+
+/**
+ * Attach shortcuts and drop empty trailing data
+ * @private
+ */
+function finishVideo(video) {
+    const find = pattern => video.headings.find(heading => pattern.test(heading.title));
+
+    return {
+        ...video,
+        id: getLessonId(video),
+        objectives: find(/learning objectives/i)?.items || [],
+        concepts: find(/core concepts/i)?.items || [],
+        deliverables: find(/deliverables/i)?.items || []
+    };
+}
+
+/**
+ * One-line description of a heading's notes
+ * @private
+ */
+function describeHeading(heading) {
+    let description;
+
+    if (heading.labels.length >= 2) {
+        description = heading.labels.map(label => label.replace(/:$/, '')).join(', ');
+    } else if (heading.items.length > 0) {
+        description = heading.items.map(item => item.replace(/[.:;]$/, '')).join('. ') + '.';
+    } else if (heading.text.length > 0) {
+        description = heading.text.join(' ');
+    } else {
+        description = heading.title;
+    }
+
+    if (description.length <= DESCRIPTION_MAX_LENGTH) return description;
+
+    // Cut at a word boundary
+    const cut = description.slice(0, DESCRIPTION_MAX_LENGTH - 3);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s.,;:]+$/, '')}...`;
+}
+
+/**
+ * Split a duration into whole-second ranges proportional to weights
+ * @private
+ */
+function splitDuration(duration, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const shares = weights.map(weight => (weight / total) * duration);
+    const seconds = shares.map(share => Math.max(1, Math.floor(share)));
+
+    // Hand out the remaining seconds by largest remainder
+    let remaining = duration - seconds.reduce((sum, value) => sum + value, 0);
+    const order = shares
+        .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder);
+
+    for (let i = 0; remaining > 0; i = (i + 1) % order.length, remaining--) {
+        seconds[order[i].index]++;
+    }
+
+    let start = 0;
+    return seconds.map(length => {
+        const range = { start, end: start + length };
+        start += length;
+        return range;
+    });
+}
+
+/**
+ * @private
+ */
+function matchRule(rules, value, fallback) {
+    return rules.find(([pattern]) => pattern.test(value || ''))?.[1] ?? fallback;
+}
+
+/**
+ * @private
+ */
+function uniqueId(base, used) {
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return id;
+}
+
+/**
+ * @private
+ */
+function toSeconds(value, unit) {
+    if (/^h/i.test(unit)) return Math.round(value * 3600);
+    if (/^s/i.test(unit)) return Math.round(value);
+    return Math.round(value * 60);
+}
+
+/**
+ * Remove inline markdown (bold, italics, code, links)
+ * @private
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .trim();
+}
+
+/**
+ * @private
+ */
+function stripQuotes(text) {
+    return text.replace(/^["“](.*)["”]$/, '$1');
+}
+
+/**
+ * JavaScript literal for a string, number or flat object
+ * @private
+ */
+function toSource(value) {
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, item]) => `${key}: ${toSource(item)}`).join(', ')} }`;
+    }
+    if (typeof value !== 'string') return String(value);
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
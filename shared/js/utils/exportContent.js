@@ -0,0 +1,244 @@
+/**
+ * Export Content - Lesson Export Documents
+ * Lesson Builder System
+ *
+ * Pure generators for the files ExportManager downloads on their own and
+ * packs into the full lesson package:
+ * - Voice scripts (text)
+ * - Production guide (Markdown)
+ * - Timing data (JSON)
+ * - Package README (Markdown index of the ZIP)
+ *
+ * Each takes the lesson config (and a generation date) and returns a string.
+ */
+
+import { wordCount } from './format.js';
+
+/**
+ * Voice scripts of every section
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {string}
+ */
+export function generateScripts(config, { generatedAt = new Date() } = {}) {
+    let content = `# Voice Scripts: ${config.title}\n`;
+    content += `# Generated: ${generatedAt.toISOString()}\n`;
+    content += `# Lesson ID: ${config.id}\n`;
+    content += `${'='.repeat(60)}\n\n`;
+
+    config.sections.forEach(section => {
+        content += `[${section.timing || 'N/A'}] ${section.title}\n`;
+        content += `${'-'.repeat(40)}\n`;
+
+        if (section.audio?.script) {
+            content += `${section.audio.script}\n`;
+            content += `\nWord count: ~${section.audio.wordCount || wordCount(section.audio.script)}`;
+            content += ` | Duration: ${section.audio.estimatedDuration || 30}s\n`;
+        } else {
+            content += '(No script available)\n';
+        }
+
+        content += `\n${'='.repeat(60)}\n\n`;
+    });
+
+    return content;
+}
+
+/**
+ * Production guide: sections with purpose, pacing, music, B-roll,
+ * transitions and script, plus a deliverables checklist
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {string} Markdown
+ */
+export function generateProductionGuide(config, { generatedAt = new Date() } = {}) {
+    let content = `# Production Guide: ${config.title}\n\n`;
+    content += `**Lesson ID:** ${config.id}\n`;
+    content += `**Type:** ${config.type || 'Standard'}\n`;
+    content += `**Total Duration:** ${formatDuration(config.duration || 0)}\n`;
+    content += `**Generated:** ${generatedAt.toLocaleString()}\n\n`;
+    content += `---\n\n`;
+
+    // Table of contents
+    content += `## Table of Contents\n\n`;
+    config.sections.forEach((section, index) => {
+        content += `${index + 1}. [${section.title}](#section-${section.id})\n`;
+    });
+    content += `\n---\n\n`;
+
+    // Sections
+    config.sections.forEach(section => {
+        content += `## Section: ${section.title} (${section.timing || 'N/A'})\n\n`;
+        content += `<a name="section-${section.id}"></a>\n\n`;
+
+        if (section.description) {
+            content += `**Purpose:** ${section.description}\n\n`;
+        }
+
+        if (section.production) {
+            const p = section.production;
+
+            if (p.pacing) {
+                content += `**Pacing:** ${p.pacing}\n\n`;
+            }
+
+            if (p.music) {
+                content += `**Music:** ${p.music}\n\n`;
+            }
+
+            if (p.broll && p.broll.length > 0) {
+                content += `**B-Roll:**\n`;
+                p.broll.forEach(item => {
+                    content += `- ${item}\n`;
+                });
+                content += `\n`;
+            }
+
+            if (p.transitions) {
+                content += `**Transition:** ${p.transitions.type}`;
+                if (p.transitions.duration) {
+                    content += ` (${p.transitions.duration}s)`;
+                }
+                content += `\n\n`;
+            }
+        }
+
+        // Script preview
+        if (section.audio?.script) {
+            content += `### Script\n\n`;
+            content += `\`\`\`\n${section.audio.script}\n\`\`\`\n\n`;
+        }
+
+        content += `---\n\n`;
+    });
+
+    // Deliverables checklist
+    content += `## Deliverables Checklist\n\n`;
+    content += `- [ ] All audio files recorded\n`;
+    content += `- [ ] Visual assets exported\n`;
+    content += `- [ ] B-roll footage collected\n`;
+    content += `- [ ] Transitions applied\n`;
+    content += `- [ ] Music synced\n`;
+    content += `- [ ] Final review completed\n`;
+
+    return content;
+}
+
+/**
+ * Timing data of every section
+ * @param {Object} config - Lesson configuration
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {string} JSON
+ */
+export function generateTiming(config, { generatedAt = new Date() } = {}) {
+    const timingData = {
+        lessonId: config.id,
+        title: config.title,
+        type: config.type || 'standard',
+        totalDuration: config.duration || 0,
+        generatedAt: generatedAt.toISOString(),
+        sections: config.sections.map(section => ({
+            id: section.id,
+            title: section.title,
+            timing: section.timing || null,
+            start: parseTimingStart(section.timing),
+            end: parseTimingEnd(section.timing),
+            duration: section.audio?.estimatedDuration || 0,
+            audioFile: section.audio?.file || null,
+            hasVisual: !!section.visual,
+            visualSteps: section.visual?.steps || 0
+        }))
+    };
+
+    return JSON.stringify(timingData, null, 2);
+}
+
+/**
+ * Audio files referenced by the config, with their path in the package
+ * @param {Object} config - Lesson configuration
+ * @returns {Array<{source: string, path: string, sectionId: string, title: string}>}
+ *   One entry per distinct file, `source` as written in the config
+ */
+export function getAudioEntries(config) {
+    const entries = [];
+    const paths = new Set();
+
+    for (const section of config.sections) {
+        const source = section.audio?.file;
+        if (!source || entries.some(entry => entry.source === source)) continue;
+
+        const name = source.split(/[?#]/)[0].split('/').pop();
+        const path = paths.has(`audio/${name}`) ? `audio/${section.id}-${name}` : `audio/${name}`;
+        paths.add(path);
+
+        entries.push({ source, path, sectionId: section.id, title: section.title });
+    }
+
+    return entries;
+}
+
+/**
+ * README index of the lesson package
+ * @param {Object} config - Lesson configuration
+ * @param {Object} contents
+ * @param {Array<{path: string, description: string}>} contents.files - Files in the package
+ * @param {Array<{path: string, reason: string}>} [contents.missing] - Files that couldn't be included
+ * @param {Date} [contents.generatedAt=new Date()]
+ * @returns {string} Markdown
+ */
+export function generateReadme(config, { files, missing = [], generatedAt = new Date() }) {
+    let content = `# ${config.title} - Lesson Package\n\n`;
+    content += `**Lesson ID:** ${config.id}\n`;
+    content += `**Total Duration:** ${formatDuration(config.duration || 0)}\n`;
+    content += `**Sections:** ${config.sections.length}\n`;
+    content += `**Generated:** ${generatedAt.toISOString()}\n\n`;
+
+    content += `## Contents\n\n`;
+    content += `| File | Description |\n`;
+    content += `|------|-------------|\n`;
+    files.forEach(({ path, description }) => {
+        content += `| \`${path}\` | ${description.replace(/\|/g, '\\|')} |\n`;
+    });
+
+    if (missing.length > 0) {
+        content += `\n## Not Included\n\n`;
+        missing.forEach(({ path, reason }) => {
+            content += `- \`${path}\` - ${reason}\n`;
+        });
+    }
+
+    return content;
+}
+
+/**
+ * Format duration in seconds to M:SS
+ * @private
+ */
+function formatDuration(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Timing string start (e.g., "00:30 - 01:30" -> "00:30")
+ * @private
+ */
+function parseTimingStart(timing) {
+    if (!timing) return null;
+    const match = timing.match(/^(\d{2}:\d{2})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Timing string end (e.g., "00:30 - 01:30" -> "01:30")
+ * @private
+ */
+function parseTimingEnd(timing) {
+    if (!timing) return null;
+    const match = timing.match(/(\d{2}:\d{2})$/);
+    return match ? match[1] : null;
+}
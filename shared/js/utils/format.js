@@ -231,6 +231,20 @@ export function slugify(str) {
         .replace(/^-+|-+$/g, '');
 }
 
+/**
+ * Escape text for HTML content and quoted attribute values
+ * @param {*} text - Converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Parse timing range string
  * @param {string} timing - Timing string (e.g., "00:30 - 01:30")
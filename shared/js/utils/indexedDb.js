@@ -0,0 +1,53 @@
+/**
+ * IndexedDB Utilities - Promise Wrappers for Browser Stores
+ * Lesson Builder System
+ *
+ * Shared by the stores that keep audio in the browser (NarrationCache,
+ * TakeStore). Opening resolves null instead of failing when IndexedDB is
+ * unavailable, so each store can fall back to memory.
+ */
+
+/**
+ * Open a database, creating or upgrading it as needed
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Object} options
+ * @param {Function} options.upgrade - (db, transaction, oldVersion), on onupgradeneeded
+ * @param {string} [options.owner='IndexedDB'] - Log prefix
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB can't be used
+ */
+export function openDatabase(name, version, options) {
+    const { upgrade, owner = 'IndexedDB' } = options;
+
+    return new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn(`${owner}: IndexedDB not available, using in-memory fallback`);
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (e) => upgrade(request.result, request.transaction, e.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn(`${owner}: Could not open IndexedDB, using in-memory fallback`, request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Run one request against a store, in its own transaction
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+export function requestStore(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
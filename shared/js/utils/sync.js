@@ -0,0 +1,98 @@
+/**
+ * Sync Utilities - Narration Time to Visual Step
+ * Lesson Builder System
+ *
+ * Resolves `visual.syncPoints` to times in the narration:
+ * - `time`: seconds (or "MM:SS") into the audio
+ * - `word`: word offset into the script
+ * - neither: word offset of `highlight` in the script
+ *
+ * Word offsets are spread over the measured audio duration when it is
+ * known, otherwise over the estimated speaking time.
+ */
+
+import { parseTime, wordCount } from './format.js';
+
+/**
+ * Get the word offset of a sync point in the script
+ * @param {Object} point - Sync point
+ * @param {string} script - Voice script
+ * @returns {number|null} Words spoken before the sync point, or null if not found
+ */
+export function getSyncPointWordOffset(point, script) {
+    if (typeof point.word === 'number') return point.word;
+    if (!point.highlight || !script) return null;
+
+    const index = script.indexOf(point.highlight);
+    if (index === -1) return null;
+
+    return wordCount(script.slice(0, index));
+}
+
+/**
+ * Resolve sync points to narration times
+ * @param {Array<{step: number, time?: number|string, word?: number, highlight?: string}>} syncPoints
+ * @param {Object} [options]
+ * @param {string} [options.script] - Voice script (for word offsets)
+ * @param {number} [options.duration] - Measured audio duration in seconds
+ * @param {number} [options.wordsPerMinute=150] - Speaking rate when duration is unknown
+ * @returns {Array<{step: number, time: number}>} Sorted by time (unresolvable points dropped)
+ */
+export function resolveSyncPoints(syncPoints, options = {}) {
+    const { script = '', duration, wordsPerMinute = 150 } = options;
+    const totalWords = wordCount(script);
+
+    const resolved = [];
+
+    for (const point of syncPoints || []) {
+        let time = null;
+
+        if (typeof point.time === 'number') {
+            time = point.time;
+        } else if (typeof point.time === 'string') {
+            time = parseTime(point.time);
+        } else {
+            const offset = getSyncPointWordOffset(point, script);
+            if (offset !== null) {
+                time = duration && totalWords > 0
+                    ? (offset / totalWords) * duration
+                    : (offset / wordsPerMinute) * 60;
+            }
+        }
+
+        if (time !== null && !Number.isNaN(time)) {
+            resolved.push({ step: point.step, time });
+        }
+    }
+
+    return resolved.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Get the visual step for a point in the narration
+ * @param {Array<{step: number, time: number}>} resolved - From resolveSyncPoints()
+ * @param {number} time - Narration time in seconds
+ * @param {number} [initialStep=1] - Step shown before the first sync point
+ * @returns {number} 1-indexed step number
+ */
+export function getStepAtTime(resolved, time, initialStep = 1) {
+    return getSyncPositionAtTime(resolved, time, initialStep).step;
+}
+
+/**
+ * Get the visual step for a point in the narration and when it started
+ * @param {Array<{step: number, time: number}>} resolved - From resolveSyncPoints()
+ * @param {number} time - Narration time in seconds
+ * @param {number} [initialStep=1] - Step shown before the first sync point
+ * @returns {{step: number, start: number}} 1-indexed step number and its start time in seconds
+ */
+export function getSyncPositionAtTime(resolved, time, initialStep = 1) {
+    let position = { step: initialStep, start: 0 };
+
+    for (const point of resolved) {
+        if (point.time > time) break;
+        position = { step: point.step, start: point.time };
+    }
+
+    return position;
+}
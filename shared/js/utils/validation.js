@@ -0,0 +1,346 @@
+/**
+ * Validation Utilities - Lesson Config Checks
+ * Lesson Builder System
+ *
+ * Checks a lesson config (and its visuals) against the shape documented in
+ * docs/lesson-creation-guide.md. Every problem carries a path such as
+ * `sections[3].visual.steps` so it can be fixed without a debugger.
+ *
+ * - errors: the lesson won't load or play correctly
+ * - warnings: the lesson loads, but something is likely a mistake
+ */
+
+import { parseTime, parseTimingRange } from './format.js';
+
+/**
+ * Allowed values (see lesson-creation-guide.md)
+ */
+export const LESSON_TYPES = ['introduction', 'deep-dive', 'practical', 'system-design'];
+export const SECTION_TYPES = ['opening', 'problem-definition', 'core-content', 'solution', 'credibility', 'closing'];
+export const PACING_TYPES = ['fast', 'medium', 'medium-slow', 'sincere', 'energetic', 'inspiring'];
+export const TRANSITION_TYPES = ['fade', 'quick-fade', 'slide-left', 'zoom', 'reveal', 'fade-to-black'];
+export const NARRATION_PROVIDERS = ['speech', 'mespeak', 'remote'];
+
+const TIMING_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?\s*-\s*\d{1,2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Validate a lesson configuration
+ * @param {Object} config - Lesson configuration
+ * @param {Object|null} [visuals] - Scene definitions by visual id (skip visual checks when null)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateLessonConfig(config, visuals = null) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+
+    if (!isObject(config)) {
+        error('config', 'Lesson config must be an object');
+        return { valid: false, errors, warnings };
+    }
+
+    // Root fields
+    requireString(config, 'id', 'id', error);
+    requireString(config, 'title', 'title', error);
+    requireString(config, 'type', 'type', error);
+    checkEnum(config.type, LESSON_TYPES, 'type', warn);
+
+    if (typeof config.duration !== 'number' || !(config.duration > 0)) {
+        error('duration', 'Must be a positive number of seconds');
+    }
+
+    if (config.narration !== undefined) {
+        if (!isObject(config.narration)) {
+            error('narration', 'Must be an object like { provider: \'remote\', endpoint: \'...\' }');
+        } else if (!NARRATION_PROVIDERS.includes(config.narration.provider)) {
+            error('narration.provider', `Must be one of: ${NARRATION_PROVIDERS.join(', ')} (got ${describe(config.narration.provider)})`);
+        } else if (config.narration.provider === 'remote') {
+            requireString(config.narration, 'endpoint', 'narration.endpoint', error);
+        }
+    }
+
+    if (!Array.isArray(config.sections) || config.sections.length === 0) {
+        error('sections', 'Must be a non-empty array of sections');
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    const sectionIds = new Map();
+    const visualIds = new Map();
+
+    config.sections.forEach((section, index) => {
+        const path = `sections[${index}]`;
+
+        if (!isObject(section)) {
+            error(path, 'Section must be an object');
+            return;
+        }
+
+        // Section fields
+        requireString(section, 'id', `${path}.id`, error);
+        requireString(section, 'title', `${path}.title`, error);
+        requireString(section, 'type', `${path}.type`, error);
+        requireString(section, 'description', `${path}.description`, error);
+        checkEnum(section.type, SECTION_TYPES, `${path}.type`, warn);
+
+        if (typeof section.id === 'string') {
+            if (sectionIds.has(section.id)) {
+                error(`${path}.id`, `Duplicate section id "${section.id}" (also sections[${sectionIds.get(section.id)}])`);
+            } else {
+                sectionIds.set(section.id, index);
+            }
+        }
+
+        if (typeof section.timing !== 'string' || !TIMING_PATTERN.test(section.timing.trim())) {
+            error(`${path}.timing`, `Must be a range like '00:00 - 00:30' (got ${describe(section.timing)})`);
+        } else if (parseTimingRange(section.timing).duration <= 0) {
+            error(`${path}.timing`, `End must be after start ('${section.timing}')`);
+        }
+
+        if (section.visual !== undefined) {
+            validateVisual(section, path, visuals, visualIds, error, warn);
+        }
+
+        if (section.audio !== undefined) {
+            validateAudio(section.audio, `${path}.audio`, error);
+        }
+
+        if (section.production !== undefined) {
+            validateProduction(section.production, `${path}.production`, error, warn);
+        }
+    });
+
+    validateTimeline(config, error, warn);
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Format a validation result for the console or a text file
+ * @param {{errors: Array, warnings: Array}} result - From validateLessonConfig()
+ * @returns {string}
+ */
+export function formatValidationResult(result) {
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+        return 'No problems found';
+    }
+
+    const lines = [
+        ...result.errors.map(({ path, message }) => `✖ ${path}: ${message}`),
+        ...result.warnings.map(({ path, message }) => `⚠ ${path}: ${message}`)
+    ];
+
+    lines.push('', `${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return lines.join('\n');
+}
+
+/**
+ * Check a section's visual reference against its scene
+ * @private
+ */
+function validateVisual(section, sectionPath, visuals, visualIds, error, warn) {
+    const { visual } = section;
+    const path = `${sectionPath}.visual`;
+
+    if (!isObject(visual)) {
+        error(path, 'Must be an object');
+        return;
+    }
+
+    requireString(visual, 'id', `${path}.id`, error);
+    requireString(visual, 'title', `${path}.title`, error);
+
+    if (!Number.isInteger(visual.steps) || visual.steps < 1) {
+        error(`${path}.steps`, `Must be a positive integer (got ${describe(visual.steps)})`);
+    }
+
+    if (typeof visual.id === 'string') {
+        // Visual ids become DOM ids, so they must be unique too
+        if (visualIds.has(visual.id)) {
+            error(`${path}.id`, `Visual "${visual.id}" is already used by ${visualIds.get(visual.id)}`);
+        } else {
+            visualIds.set(visual.id, sectionPath);
+        }
+
+        if (visuals) {
+            const scene = visuals[visual.id];
+
+            if (!scene) {
+                error(`${path}.id`, `No visual "${visual.id}" in visuals.js`);
+            } else if (!Array.isArray(scene.steps) || scene.steps.length === 0) {
+                error(`${path}.id`, `Visual "${visual.id}" has no steps`);
+            } else if (Number.isInteger(visual.steps) && scene.steps.length !== visual.steps) {
+                error(`${path}.steps`, `Is ${visual.steps}, but visual "${visual.id}" has ${scene.steps.length} steps`);
+            }
+        }
+    }
+
+    if (visual.syncPoints === undefined) return;
+
+    if (!Array.isArray(visual.syncPoints)) {
+        error(`${path}.syncPoints`, 'Must be an array');
+        return;
+    }
+
+    const script = typeof section.audio?.script === 'string' ? section.audio.script : null;
+
+    visual.syncPoints.forEach((point, index) => {
+        const pointPath = `${path}.syncPoints[${index}]`;
+
+        if (!isObject(point)) {
+            error(pointPath, 'Must be an object');
+            return;
+        }
+
+        if (!Number.isInteger(point.step) || point.step < 1 ||
+            (Number.isInteger(visual.steps) && point.step > visual.steps)) {
+            error(`${pointPath}.step`, `Must be a step between 1 and ${visual.steps} (got ${describe(point.step)})`);
+        }
+
+        if (point.time !== undefined) {
+            const time = typeof point.time === 'string' ? parseTime(point.time) : point.time;
+            if (typeof time !== 'number' || Number.isNaN(time) || time < 0) {
+                error(`${pointPath}.time`, `Must be seconds or "MM:SS" (got ${describe(point.time)})`);
+            }
+        }
+
+        if (point.word !== undefined && (!Number.isInteger(point.word) || point.word < 0)) {
+            error(`${pointPath}.word`, `Must be a word offset >= 0 (got ${describe(point.word)})`);
+        }
+
+        if (point.highlight !== undefined) {
+            if (typeof point.highlight !== 'string' || !point.highlight) {
+                error(`${pointPath}.highlight`, 'Must be a non-empty string');
+            } else if (script === null) {
+                warn(`${pointPath}.highlight`, 'Section has no audio script to highlight');
+            } else if (!script.includes(point.highlight)) {
+                warn(`${pointPath}.highlight`, `"${point.highlight}" not found in audio.script`);
+            }
+        } else if (point.time === undefined && point.word === undefined) {
+            error(pointPath, 'Needs a highlight, time or word to place it in the narration');
+        }
+    });
+}
+
+/**
+ * Check a section's audio config
+ * @private
+ */
+function validateAudio(audio, path, error) {
+    if (!isObject(audio)) {
+        error(path, 'Must be an object');
+        return;
+    }
+
+    requireString(audio, 'file', `${path}.file`, error);
+    requireString(audio, 'script', `${path}.script`, error);
+
+    ['wordCount', 'estimatedDuration'].forEach(field => {
+        if (typeof audio[field] !== 'number' || !(audio[field] > 0)) {
+            error(`${path}.${field}`, `Must be a positive number (got ${describe(audio[field])})`);
+        }
+    });
+}
+
+/**
+ * Check a section's production notes
+ * @private
+ */
+function validateProduction(production, path, error, warn) {
+    if (!isObject(production)) {
+        error(path, 'Must be an object');
+        return;
+    }
+
+    checkEnum(production.pacing, PACING_TYPES, `${path}.pacing`, warn);
+
+    if (production.broll !== undefined && !Array.isArray(production.broll)) {
+        error(`${path}.broll`, 'Must be an array of strings');
+    }
+
+    const { transitions } = production;
+    if (transitions === undefined) return;
+
+    if (!isObject(transitions)) {
+        error(`${path}.transitions`, 'Must be an object with type and duration');
+        return;
+    }
+
+    if (typeof transitions.type !== 'string') {
+        error(`${path}.transitions.type`, `Must be one of: ${TRANSITION_TYPES.join(', ')}`);
+    } else {
+        checkEnum(transitions.type, TRANSITION_TYPES, `${path}.transitions.type`, warn);
+    }
+
+    if (transitions.duration !== undefined &&
+        (typeof transitions.duration !== 'number' || transitions.duration < 0)) {
+        error(`${path}.transitions.duration`, `Must be seconds >= 0 (got ${describe(transitions.duration)})`);
+    }
+}
+
+/**
+ * Check that section timings tile the lesson without overlaps or gaps
+ * @private
+ */
+function validateTimeline(config, error, warn) {
+    let previous = null;
+
+    config.sections.forEach((section, index) => {
+        if (typeof section?.timing !== 'string' || !TIMING_PATTERN.test(section.timing.trim())) return;
+
+        const path = `sections[${index}].timing`;
+        const { start, end } = parseTimingRange(section.timing);
+
+        if (previous === null) {
+            if (start !== 0) {
+                warn(path, `Lesson starts at ${section.timing.split('-')[0].trim()}, not 00:00`);
+            }
+        } else if (start < previous.end) {
+            error(path, `Overlaps sections[${previous.index}] ('${previous.timing}')`);
+        } else if (start > previous.end) {
+            warn(path, `Gap of ${start - previous.end}s after sections[${previous.index}] ('${previous.timing}')`);
+        }
+
+        previous = { index, start, end, timing: section.timing };
+    });
+
+    if (previous && typeof config.duration === 'number' && previous.end !== config.duration) {
+        const total = config.sections.reduce((sum, section) =>
+            sum + (typeof section?.timing === 'string' ? parseTimingRange(section.timing).duration : 0), 0);
+        warn('duration', `Is ${config.duration}s, but sections end at ${previous.end}s (${total}s of sections)`);
+    }
+}
+
+/**
+ * @private
+ */
+function requireString(object, field, path, error) {
+    if (typeof object[field] !== 'string' || object[field].trim() === '') {
+        error(path, `Required string (got ${describe(object[field])})`);
+    }
+}
+
+/**
+ * @private
+ */
+function checkEnum(value, allowed, path, warn) {
+    if (typeof value === 'string' && !allowed.includes(value)) {
+        warn(path, `Unknown value "${value}" (expected one of: ${allowed.join(', ')})`);
+    }
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    if (typeof value === 'string') return `"${value}"`;
+    return JSON.stringify(value);
+}
@@ -0,0 +1,481 @@
+/**
+ * CanvasRenderer - Canvas 2D Renderer for Engine State
+ * Lesson Builder System - Modular Architecture
+ *
+ * Draws StateBasedEngine state onto a 2D canvas:
+ * - Works with HTMLCanvasElement, OffscreenCanvas or node-canvas
+ * - Follows Konva's transform order (position, rotation, scale, offset)
+ *   so frames match the SceneBuilder preview
+ * - Routes connection arrows with the shared ConnectionRouter
+ */
+
+import { routeConnection } from '../engine/ConnectionRouter.js';
+import { Logger } from './modules/Telemetry.js';
+
+/**
+ * Multiply two 2D affine matrices [a, b, c, d, e, f]
+ * @param {number[]} m
+ * @param {number[]} n
+ * @returns {number[]}
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Get the local transform of a node (Konva order)
+ * @param {Object} attrs - Node attributes
+ * @returns {number[]}
+ */
+function localTransform(attrs) {
+    const angle = ((attrs.rotation ?? 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const scaleX = attrs.scaleX ?? 1;
+    const scaleY = attrs.scaleY ?? 1;
+
+    const m = [cos * scaleX, sin * scaleX, -sin * scaleY, cos * scaleY, attrs.x ?? 0, attrs.y ?? 0];
+    return multiply(m, [1, 0, 0, 1, -(attrs.offsetX ?? 0), -(attrs.offsetY ?? 0)]);
+}
+
+/**
+ * Transform a local rectangle to an axis-aligned box
+ * @param {number[]} m - Transform
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function transformBox(m, rect) {
+    const corners = [
+        [rect.x, rect.y],
+        [rect.x + rect.width, rect.y],
+        [rect.x, rect.y + rect.height],
+        [rect.x + rect.width, rect.y + rect.height]
+    ].map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]);
+
+    const xs = corners.map(c => c[0]);
+    const ys = corners.map(c => c[1]);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+/**
+ * Union of boxes
+ * @param {Array<{x: number, y: number, width: number, height: number}>} boxes
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+function unionBoxes(boxes) {
+    if (boxes.length === 0) return null;
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// ==========================================================================
+// CANVAS RENDERER
+// ==========================================================================
+
+/**
+ * CanvasRenderer - draws engine state with the Canvas 2D API
+ */
+export class CanvasRenderer {
+    /**
+     * Create a CanvasRenderer
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Target canvas
+     * @param {Object} [options]
+     * @param {number} [options.scale] - Engine pixels to canvas pixels
+     *   (defaults to canvas width / engine width once an engine is set)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.scale = options.scale ?? 1;
+        this.autoScale = options.scale === undefined;
+        this.engine = null;
+        this.warnedPath2D = false;
+    }
+
+    /**
+     * Attach the engine whose state will be rendered
+     * @param {StateBasedEngine} engine
+     */
+    setEngine(engine) {
+        this.engine = engine;
+        if (this.autoScale) {
+            this.scale = this.canvas.width / engine.width;
+        }
+    }
+
+    /**
+     * Render a state
+     * @param {Object} state - From StateBasedEngine.getCurrentState()
+     * @param {Object} [options]
+     * @param {string} [options.background] - Background color (defaults to state.background)
+     */
+    render(state, options = {}) {
+        const ctx = this.ctx;
+        const background = options.background ?? state.background ?? '#1a1a2e';
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Pass 1: world transforms and bounding boxes (arrows need their targets)
+        const root = [this.scale, 0, 0, this.scale, 0, 0];
+        const layout = new Map(); // node -> { matrix, box, text }
+        const byId = new Map();
+        for (const node of state.objects) {
+            this._layout(node, [1, 0, 0, 1, 0, 0], layout, byId);
+        }
+
+        // Pass 2: draw
+        for (const node of state.objects) {
+            this._draw(node, root, 1, layout, byId);
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Compute world transform and box for a node and its children
+     * Boxes are in unscaled engine pixels and exclude shadows, like
+     * Konva's getClientRect({ skipShadow: true }).
+     * @private
+     */
+    _layout(node, parentMatrix, layout, byId) {
+        const attrs = node.attrs;
+        // Arrows are routed between world-space boxes, so they draw untransformed
+        const matrix = node.type === 'connectionArrow'
+            ? [1, 0, 0, 1, 0, 0]
+            : multiply(parentMatrix, localTransform(attrs));
+        const entry = { matrix, box: null, text: null };
+        layout.set(node, entry);
+        if (node.id !== undefined) byId.set(node.id, node);
+
+        const strokePad = attrs.stroke && attrs.strokeWidth ? attrs.strokeWidth / 2 : 0;
+
+        switch (node.type) {
+            case 'rect':
+                entry.box = transformBox(matrix, {
+                    x: -strokePad,
+                    y: -strokePad,
+                    width: attrs.width + strokePad * 2,
+                    height: attrs.height + strokePad * 2
+                });
+                break;
+
+            case 'circle':
+                entry.box = transformBox(matrix, {
+                    x: -attrs.radius - strokePad,
+                    y: -attrs.radius - strokePad,
+                    width: (attrs.radius + strokePad) * 2,
+                    height: (attrs.radius + strokePad) * 2
+                });
+                break;
+
+            case 'text': {
+                const lines = this._layoutText(attrs);
+                const width = attrs.width ?? Math.max(0, ...lines.map(line => line.width));
+                const height = lines.length * attrs.fontSize;
+                entry.text = { lines, width, height };
+                entry.box = transformBox(matrix, { x: -width / 2, y: -height / 2, width, height });
+                break;
+            }
+
+            case 'line': {
+                const [x1, y1, x2, y2] = attrs.points;
+                entry.box = transformBox(matrix, {
+                    x: Math.min(x1, x2) - strokePad,
+                    y: Math.min(y1, y2) - strokePad,
+                    width: Math.abs(x2 - x1) + strokePad * 2,
+                    height: Math.abs(y2 - y1) + strokePad * 2
+                });
+                break;
+            }
+
+            case 'path':
+                // Path bounds need the parsed data; use the declared size
+                entry.box = transformBox(matrix, { x: 0, y: 0, width: attrs.width ?? 0, height: attrs.height ?? 0 });
+                break;
+
+            case 'group':
+                for (const child of node.children) {
+                    this._layout(child, matrix, layout, byId);
+                }
+                entry.box = unionBoxes(node.children
+                    .map(child => layout.get(child).box)
+                    .filter(Boolean));
+                break;
+        }
+    }
+
+    /**
+     * Draw a node and its children
+     * @private
+     */
+    _draw(node, root, parentOpacity, layout, byId) {
+        const ctx = this.ctx;
+        const attrs = node.attrs;
+        const entry = layout.get(node);
+        const opacity = parentOpacity * (attrs.opacity ?? 1);
+
+        if (opacity <= 0) return;
+
+        if (node.type === 'group') {
+            // Konva doesn't draw shadows for groups
+            for (const child of node.children) {
+                this._draw(child, root, opacity, layout, byId);
+            }
+            return;
+        }
+
+        const m = multiply(root, entry.matrix);
+        ctx.setTransform(m[0], m[1], m[2], m[3], m[4], m[5]);
+        ctx.globalAlpha = opacity;
+        this._applyShadow(attrs);
+
+        switch (node.type) {
+            case 'rect':
+                this._roundRect(0, 0, attrs.width, attrs.height, attrs.cornerRadius);
+                this._fillAndStroke(attrs);
+                break;
+
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(0, 0, attrs.radius, 0, Math.PI * 2);
+                ctx.closePath();
+                this._fillAndStroke(attrs);
+                break;
+
+            case 'text':
+                this._drawText(attrs, entry.text);
+                break;
+
+            case 'line':
+                ctx.beginPath();
+                ctx.moveTo(attrs.points[0], attrs.points[1]);
+                ctx.lineTo(attrs.points[2], attrs.points[3]);
+                this._fillAndStroke({ ...attrs, fill: undefined });
+                break;
+
+            case 'path':
+                this._drawPath(attrs);
+                break;
+
+            case 'connectionArrow':
+                this._drawArrow(attrs, layout, byId);
+                break;
+        }
+
+        this._clearShadow();
+    }
+
+    /**
+     * Split text into lines (wrapping at `width` when wrap isn't 'none')
+     * @private
+     */
+    _layoutText(attrs) {
+        const ctx = this.ctx;
+        ctx.font = `${attrs.fontStyle} ${attrs.fontSize}px ${attrs.fontFamily}`;
+
+        const paragraphs = String(attrs.text ?? '').split('\n');
+        const lines = [];
+
+        for (const paragraph of paragraphs) {
+            if (!attrs.width || attrs.wrap === 'none') {
+                lines.push({ text: paragraph, width: ctx.measureText(paragraph).width });
+                continue;
+            }
+
+            const separator = attrs.wrap === 'char' ? '' : ' ';
+            let current = '';
+            for (const word of paragraph.split(separator)) {
+                const candidate = current ? `${current}${separator}${word}` : word;
+                if (current && ctx.measureText(candidate).width > attrs.width) {
+                    lines.push({ text: current, width: ctx.measureText(current).width });
+                    current = word;
+                } else {
+                    current = candidate;
+                }
+            }
+            lines.push({ text: current, width: ctx.measureText(current).width });
+        }
+
+        return lines;
+    }
+
+    /**
+     * Draw laid-out text centered on the node position
+     * @private
+     */
+    _drawText(attrs, text) {
+        const ctx = this.ctx;
+        ctx.font = `${attrs.fontStyle} ${attrs.fontSize}px ${attrs.fontFamily}`;
+        ctx.fillStyle = attrs.fill;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+
+        const left = -text.width / 2;
+        const top = -text.height / 2;
+
+        text.lines.forEach((line, i) => {
+            let x = left;
+            if (attrs.align === 'center') x = left + (text.width - line.width) / 2;
+            else if (attrs.align === 'right') x = left + text.width - line.width;
+
+            ctx.fillText(line.text, x, top + attrs.fontSize * (i + 0.5));
+        });
+    }
+
+    /**
+     * Draw an SVG path
+     * @private
+     */
+    _drawPath(attrs) {
+        if (typeof Path2D === 'undefined') {
+            if (!this.warnedPath2D) {
+                Logger.warn('CanvasRenderer', 'Path2D not available, skipping path objects');
+                this.warnedPath2D = true;
+            }
+            return;
+        }
+
+        const ctx = this.ctx;
+        const path = new Path2D(attrs.data);
+        if (attrs.fill && attrs.fill !== 'transparent') {
+            ctx.fillStyle = attrs.fill;
+            ctx.fill(path);
+            this._clearShadow(); // Konva draws the shadow once
+        }
+        if (attrs.stroke && attrs.strokeWidth) {
+            ctx.strokeStyle = attrs.stroke;
+            ctx.lineWidth = attrs.strokeWidth;
+            ctx.stroke(path);
+        }
+    }
+
+    /**
+     * Draw a connection arrow between its targets
+     * @private
+     */
+    _drawArrow(attrs, layout, byId) {
+        const startNode = byId.get(attrs.startTarget);
+        const endNode = byId.get(attrs.endTarget);
+        const startBox = startNode && layout.get(startNode).box;
+        const endBox = endNode && layout.get(endNode).box;
+        if (!startBox || !endBox) return;
+
+        const ctx = this.ctx;
+        const [x1, y1, c1x, c1y, c2x, c2y, x2, y2] = routeConnection(startBox, endBox, {
+            startAnchor: attrs.startAnchor,
+            endAnchor: attrs.endAnchor,
+            curve: attrs.curve
+        });
+
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.bezierCurveTo(c1x, c1y, c2x, c2y, x2, y2);
+        ctx.lineCap = attrs.lineCap;
+        ctx.lineJoin = attrs.lineJoin;
+        ctx.setLineDash(attrs.dash || []);
+        ctx.strokeStyle = attrs.stroke;
+        ctx.lineWidth = attrs.strokeWidth;
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Arrow head along the end tangent
+        const angle = Math.atan2(y2 - c2y, x2 - c2x);
+        const length = attrs.pointerLength;
+        const halfWidth = attrs.pointerWidth / 2;
+
+        ctx.save();
+        ctx.translate(x2, y2);
+        ctx.rotate(angle);
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-length, halfWidth);
+        ctx.lineTo(-length, -halfWidth);
+        ctx.closePath();
+        ctx.restore();
+        this._fillAndStroke(attrs);
+    }
+
+    /**
+     * Build a rounded rectangle path
+     * @private
+     */
+    _roundRect(x, y, width, height, radius = 0) {
+        const ctx = this.ctx;
+        const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.lineTo(x + width - r, y);
+        ctx.arcTo(x + width, y, x + width, y + r, r);
+        ctx.lineTo(x + width, y + height - r);
+        ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
+        ctx.lineTo(x + r, y + height);
+        ctx.arcTo(x, y + height, x, y + height - r, r);
+        ctx.lineTo(x, y + r);
+        ctx.arcTo(x, y, x + r, y, r);
+        ctx.closePath();
+    }
+
+    /**
+     * Fill and stroke the current path
+     * @private
+     */
+    _fillAndStroke(attrs) {
+        const ctx = this.ctx;
+
+        if (attrs.fill && attrs.fill !== 'transparent') {
+            ctx.fillStyle = attrs.fill;
+            ctx.fill();
+            this._clearShadow(); // Konva draws the shadow once
+        }
+        if (attrs.stroke && attrs.strokeWidth) {
+            ctx.strokeStyle = attrs.stroke;
+            ctx.lineWidth = attrs.strokeWidth;
+            ctx.lineCap = attrs.lineCap ?? 'butt';
+            ctx.lineJoin = attrs.lineJoin ?? 'miter';
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Apply shadow attributes (shadow offsets aren't affected by the transform)
+     * @private
+     */
+    _applyShadow(attrs) {
+        const ctx = this.ctx;
+        if (!attrs.shadowColor) return;
+
+        ctx.shadowColor = attrs.shadowColor;
+        ctx.shadowBlur = (attrs.shadowBlur ?? 0) * this.scale;
+        ctx.shadowOffsetX = (attrs.shadowOffsetX ?? 0) * this.scale;
+        ctx.shadowOffsetY = (attrs.shadowOffsetY ?? 0) * this.scale;
+    }
+
+    /**
+     * Reset shadow state
+     * @private
+     */
+    _clearShadow() {
+        const ctx = this.ctx;
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
+    }
+}
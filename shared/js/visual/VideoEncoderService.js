@@ -107,7 +107,6 @@ export class VideoEncoderService {
 
         engine.loadScene(scene);
         renderer.setEngine(engine);
-        engine.easingFn = (t) => t; // Linear for export
 
         const animationFrames = engine.getTotalFrames();
         const totalFrames = animationFrames + holdFrames;
@@ -222,6 +221,7 @@ export class VideoEncoderService {
             }
 
             // Hold frames
+            engine.seekToFrame(animationFrames);
             const finalState = engine.getCurrentState();
             for (let h = 0; h < holdFrames; h++) {
                 if (!this.isRecording) break;
@@ -300,7 +300,6 @@ export class VideoEncoderService {
 
         engine.loadScene(scene);
         renderer.setEngine(engine);
-        engine.easingFn = (t) => t;
 
         const animationFrames = engine.getTotalFrames();
         const totalFrames = animationFrames + holdFrames;
@@ -355,6 +354,7 @@ export class VideoEncoderService {
             }
 
             // Hold frames
+            engine.seekToFrame(animationFrames);
             const finalState = engine.getCurrentState();
             for (let h = 0; h < holdFrames; h++) {
                 if (!this.isRecording) break;
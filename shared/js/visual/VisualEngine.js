@@ -0,0 +1,456 @@
+/**
+ * VisualEngine - Headless State-Based Animation Engine
+ * Lesson Builder System - Modular Architecture
+ *
+ * Pure state interpolation over the same scene JSON SceneBuilder reads:
+ * - No Konva, no DOM - runs in workers and Node
+ * - Deterministic: object state is a function of the frame number
+ * - Same timing (StepSchedule), attributes (ObjectProps) and easings
+ *   as the Konva preview
+ *
+ * The engine only computes state; CanvasRenderer draws it.
+ */
+
+import { getEasing, resolveEasingName, lerp, clamp } from '../utils/animation.js';
+import { scheduleStep, getScheduleEndTime, collectScheduleIds } from '../engine/StepSchedule.js';
+import {
+    getCreateAttrs,
+    getUpdateAttrs,
+    DEFAULT_EASING,
+    EASING_PROP_ALIASES
+} from '../engine/ObjectProps.js';
+import { Logger } from './modules/Telemetry.js';
+
+/**
+ * Common positions in scene percent coordinates (safe area is 10-90%)
+ */
+export const Position = Object.freeze({
+    LEFT: 10,
+    CENTER: 50,
+    RIGHT: 90,
+    TOP: 10,
+    MIDDLE: 50,
+    BOTTOM: 90
+});
+
+/**
+ * Attributes Konva interpolates as colors
+ */
+const COLOR_ATTRS = new Set(['fill', 'stroke', 'shadowColor']);
+
+/**
+ * Parse a CSS color into RGBA components
+ * Supports #rgb, #rrggbb, #rrggbbaa, rgb(), rgba() and 'transparent'.
+ * @param {string} color
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+function parseColor(color) {
+    if (typeof color !== 'string') return null;
+    const value = color.trim().toLowerCase();
+
+    if (value === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    if (value.startsWith('#')) {
+        let hex = value.slice(1);
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        if (hex.length !== 6 && hex.length !== 8) return null;
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+        return { r, g, b, a };
+    }
+
+    return null;
+}
+
+/**
+ * Interpolate between two attribute values
+ * Numbers and equal-length number arrays interpolate; colors interpolate
+ * per channel; anything else switches at the end.
+ * @param {string} attr - Attribute name
+ * @param {*} from
+ * @param {*} to
+ * @param {number} t - Eased progress
+ * @returns {*}
+ */
+function interpolate(attr, from, to, t) {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return lerp(from, to, t);
+    }
+
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+        return from.map((value, i) => lerp(value, to[i], t));
+    }
+
+    if (COLOR_ATTRS.has(attr)) {
+        const a = parseColor(from);
+        const b = parseColor(to);
+        if (a && b) {
+            const channel = (x, y) => Math.round(clamp(lerp(x, y, t), 0, 255));
+            const alpha = clamp(lerp(a.a, b.a, t), 0, 1);
+            return `rgba(${channel(a.r, b.r)}, ${channel(a.g, b.g)}, ${channel(a.b, b.b)}, ${alpha})`;
+        }
+    }
+
+    return t >= 1 ? to : from;
+}
+
+// ==========================================================================
+// STATE-BASED ENGINE
+// ==========================================================================
+
+/**
+ * StateBasedEngine - computes object state for any frame of a scene
+ */
+export class StateBasedEngine {
+    /**
+     * Create a StateBasedEngine
+     * @param {Object} [options]
+     * @param {number} [options.width=3840] - Output width in pixels
+     * @param {number} [options.height=2400] - Output height in pixels
+     * @param {number} [options.fps=60] - Frames per second
+     * @param {number} [options.stepDuration] - Default transition duration for every step
+     *   (as VisualBlock/VideoService pass to goToStep); per-step durations if omitted
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 3840;
+        this.height = options.height ?? 2400;
+        this.fps = options.fps ?? 60;
+        this.stepDuration = options.stepDuration;
+
+        this.scene = null;
+        this.records = []; // Every object ever created, in creation order
+        this.steps = []; // { index, start, end } in ms
+        this.buildingStep = 0; // Step being laid out by loadScene()
+        this.totalFrames = 0;
+        this.currentFrame = 0;
+
+        this.units = {
+            toPixels: (percent, axis) => (percent / 100) * (axis === 'x' ? this.width : this.height),
+            scale: this.width / 3840
+        };
+    }
+
+    /**
+     * Load a scene and precompute its timeline
+     * @param {Object} scene - Scene definition (same JSON as SceneBuilder)
+     */
+    loadScene(scene) {
+        this.scene = scene;
+        this.records = [];
+        this.steps = [];
+        this.currentFrame = 0;
+
+        const live = new Map(); // id -> record
+        let time = 0;
+
+        (scene.steps || []).forEach((step, index) => {
+            this.buildingStep = index;
+
+            // First step is an instant jump, like SceneBuilder.build()
+            const duration = index === 0
+                ? 0
+                : this.stepDuration ?? step.duration ?? scene.duration ?? 1000;
+
+            const schedule = scheduleStep(step, duration);
+            const processedIds = collectScheduleIds(schedule);
+
+            for (const entry of schedule) {
+                if (duration > 0) {
+                    this._applyEntry(live, entry.objDef, step, time + entry.delay, entry.duration);
+                } else {
+                    this._applyEntry(live, entry.objDef, step, time, 0);
+                }
+            }
+
+            // Fade out top-level objects not in this step
+            for (const [id, record] of live) {
+                if (processedIds.has(id) || record.parent) continue;
+
+                if (duration > 0) {
+                    const easing = resolveEasingName(
+                        [step.easing, scene.easing],
+                        'opacity',
+                        DEFAULT_EASING.fadeOut
+                    );
+                    this._addSegment(record, 'opacity', time, duration, 0, easing);
+                }
+                record.removedAt = time + duration;
+                this._forget(live, record);
+            }
+
+            const end = duration > 0 ? getScheduleEndTime(schedule, duration) : 0;
+            this.steps.push({ index, start: time, end: time + end });
+            time += end;
+        });
+
+        // Same clock as SceneBuilder.seek(): frame n is at n / fps seconds
+        this.totalFrames = Math.ceil((time / 1000) * this.fps);
+
+        Logger.info('StateBasedEngine', 'Scene loaded', {
+            sceneId: scene.id,
+            steps: this.steps.length,
+            objects: this.records.length,
+            totalFrames: this.totalFrames
+        });
+    }
+
+    /**
+     * Get the number of animation frames (transitions after the first step)
+     * @returns {number}
+     */
+    getTotalFrames() {
+        return this.totalFrames;
+    }
+
+    /**
+     * Get total animation duration in ms
+     * @returns {number}
+     */
+    getDuration() {
+        return this.steps.length > 0 ? this.steps[this.steps.length - 1].end : 0;
+    }
+
+    /**
+     * Set the current frame
+     * @param {number} frame - Frame number (clamped to the animation)
+     */
+    seekToFrame(frame) {
+        this.currentFrame = clamp(Math.floor(frame), 0, this.totalFrames);
+    }
+
+    /**
+     * Get state at the current frame
+     * @returns {Object} See getStateAtTime()
+     */
+    getCurrentState() {
+        return this.getStateAtFrame(this.currentFrame);
+    }
+
+    /**
+     * Get state at a frame number
+     * @param {number} frame
+     * @returns {Object} See getStateAtTime()
+     */
+    getStateAtFrame(frame) {
+        return this.getStateAtTime(Math.min((frame * 1000) / this.fps, this.getDuration()));
+    }
+
+    /**
+     * Get the number of steps in the loaded scene
+     * @returns {number}
+     */
+    getStepCount() {
+        return this.steps.length;
+    }
+
+    /**
+     * Get the settled state at the end of a step (every transition finished)
+     * @param {number} stepIndex - 0-indexed step
+     * @returns {Object} See getStateAtTime()
+     */
+    getStateAtStep(stepIndex) {
+        const step = this.steps[clamp(stepIndex, 0, this.steps.length - 1)];
+        if (!step) return this.getStateAtTime(0);
+
+        // The next step starts at this one's end, so leave out anything it changes
+        return this._getState(step.end, step.index);
+    }
+
+    /**
+     * Get state at a point in time
+     * @param {number} time - Time in ms from the start of the scene
+     * @returns {{time: number, stepIndex: number, width: number, height: number, background: string, objects: Array}}
+     *   objects is a tree of { id, type, attrs, children } in draw order
+     */
+    getStateAtTime(time) {
+        const step = [...this.steps].reverse().find(s => time >= s.start) ?? this.steps[0];
+        return this._getState(time, step?.index ?? 0);
+    }
+
+    /**
+     * Build the state tree, ignoring changes made by steps after lastStep
+     * @private
+     */
+    _getState(time, lastStep) {
+        const objects = this.records
+            .filter(record => !record.parent && this._isAlive(record, time, lastStep))
+            .map(record => this._evaluate(record, time, lastStep));
+
+        return {
+            time,
+            stepIndex: lastStep,
+            width: this.width,
+            height: this.height,
+            background: this.scene?.background,
+            objects
+        };
+    }
+
+    /**
+     * Create or update an object at a point in time
+     * @private
+     */
+    _applyEntry(live, objDef, step, start, duration) {
+        const existing = live.get(objDef.id);
+        const specs = [objDef.easing, step.easing, this.scene.easing];
+
+        if (existing) {
+            const { tween, instant } = getUpdateAttrs({ ...objDef, type: objDef.type || existing.type }, this.units);
+
+            for (const [attr, value] of Object.entries(instant)) {
+                this._addSegment(existing, attr, start, 0, value, 'linear');
+            }
+            for (const [attr, value] of Object.entries(tween)) {
+                const easing = resolveEasingName(specs, EASING_PROP_ALIASES[attr] ?? attr, DEFAULT_EASING.update);
+                this._addSegment(existing, attr, start, duration, value, easing);
+            }
+            return;
+        }
+
+        const record = this._createRecord(live, objDef, null, start);
+        if (record && duration > 0) {
+            // Fade in to the object's own opacity
+            const opacity = record.base.opacity;
+            record.base.opacity = 0;
+            const easing = resolveEasingName(specs, 'opacity', DEFAULT_EASING.fadeIn);
+            this._addSegment(record, 'opacity', start, duration, opacity, easing);
+        }
+    }
+
+    /**
+     * Create a record (and its children) for an object definition
+     * @private
+     */
+    _createRecord(live, objDef, parent, start) {
+        const attrs = getCreateAttrs(objDef, this.units);
+        if (!attrs) {
+            Logger.warn('StateBasedEngine', `Unknown object type: ${objDef.type}`, { id: objDef.id });
+            return null;
+        }
+
+        const record = {
+            id: objDef.id,
+            type: objDef.type,
+            parent,
+            base: attrs,
+            tracks: new Map(), // attr -> segments in start order
+            children: [],
+            createdAt: start,
+            createdStep: this.buildingStep,
+            removedAt: Infinity
+        };
+
+        this.records.push(record);
+        if (objDef.id !== undefined) {
+            live.set(objDef.id, record);
+        }
+
+        if (objDef.type === 'group' && objDef.children) {
+            for (const childDef of objDef.children) {
+                const child = this._createRecord(live, childDef, record, start);
+                if (child) {
+                    record.children.push(child);
+                }
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Remove a record and its descendants from the live map
+     * @private
+     */
+    _forget(live, record) {
+        if (live.get(record.id) === record) {
+            live.delete(record.id);
+        }
+        for (const child of record.children) {
+            this._forget(live, child);
+        }
+    }
+
+    /**
+     * Add an animation segment to an attribute
+     * The segment starts from the attribute's value at its start time, so
+     * chained or overlapping animations continue from where they are.
+     * @private
+     */
+    _addSegment(record, attr, start, duration, to, easing) {
+        if (!record.tracks.has(attr)) {
+            record.tracks.set(attr, []);
+        }
+
+        const from = this._valueAt(record, attr, start);
+        record.tracks.get(attr).push({
+            start,
+            end: start + duration,
+            from,
+            to,
+            easing: getEasing(easing),
+            step: this.buildingStep
+        });
+    }
+
+    /**
+     * Get an attribute value at a point in time
+     * The latest segment that has started wins (like a newer Konva.Tween
+     * taking over an attribute).
+     * @private
+     */
+    _valueAt(record, attr, time, lastStep = Infinity) {
+        const segments = record.tracks.get(attr);
+        let segment = null;
+
+        if (segments) {
+            for (const candidate of segments) {
+                if (candidate.start <= time && candidate.step <= lastStep) segment = candidate;
+            }
+        }
+
+        if (!segment) return record.base[attr];
+        if (time >= segment.end) return segment.to;
+
+        const progress = (time - segment.start) / (segment.end - segment.start);
+        return interpolate(attr, segment.from, segment.to, segment.easing(progress));
+    }
+
+    /**
+     * Check whether a record exists at a point in time
+     * @private
+     */
+    _isAlive(record, time, lastStep = Infinity) {
+        return record.createdStep <= lastStep && time >= record.createdAt && time < record.removedAt;
+    }
+
+    /**
+     * Evaluate a record (and children) into a state node
+     * @private
+     */
+    _evaluate(record, time, lastStep) {
+        const attrs = { ...record.base };
+        for (const attr of record.tracks.keys()) {
+            attrs[attr] = this._valueAt(record, attr, time, lastStep);
+        }
+
+        return {
+            id: record.id,
+            type: record.type,
+            attrs,
+            children: record.children.map(child => this._evaluate(child, time, lastStep))
+        };
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Telemetry - Structured Logging and Metrics
+ * Lesson Builder System - Modular Architecture
+ *
+ * Small logger for the headless render pipeline (no DOM required):
+ * - Leveled console output with a [Module] prefix
+ * - Named metrics (e.g. per-frame render time)
+ * - In-memory ring buffer of recent entries for diagnostics
+ */
+
+/**
+ * Log level order
+ */
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+/**
+ * Maximum number of entries kept in memory
+ */
+const MAX_ENTRIES = 500;
+
+class LoggerClass {
+    constructor() {
+        this.level = 'info';
+        this.entries = [];
+        this.metrics = new Map(); // name -> Array<Object>
+    }
+
+    /**
+     * Set minimum level written to the console
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error' | 'silent'
+     */
+    setLevel(level) {
+        if (LEVELS[level] === undefined) {
+            console.warn(`[Telemetry] Unknown log level: ${level}`);
+            return;
+        }
+        this.level = level;
+    }
+
+    /**
+     * Log a debug message
+     * @param {string} module - Module name
+     * @param {string} message - Message
+     * @param {Object} [data] - Structured data
+     */
+    debug(module, message, data) {
+        this._log('debug', module, message, data);
+    }
+
+    /**
+     * Log an info message
+     * @param {string} module - Module name
+     * @param {string} message - Message
+     * @param {Object} [data] - Structured data
+     */
+    info(module, message, data) {
+        this._log('info', module, message, data);
+    }
+
+    /**
+     * Log a warning
+     * @param {string} module - Module name
+     * @param {string} message - Message
+     * @param {Object} [data] - Structured data
+     */
+    warn(module, message, data) {
+        this._log('warn', module, message, data);
+    }
+
+    /**
+     * Log an error
+     * @param {string} module - Module name
+     * @param {string} message - Message
+     * @param {Object} [data] - Structured data
+     */
+    error(module, message, data) {
+        this._log('error', module, message, data);
+    }
+
+    /**
+     * Record a metric sample (logged at debug level)
+     * @param {string} name - Metric name (e.g. 'RenderFrame')
+     * @param {Object} data - Sample values
+     */
+    metric(name, data) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, []);
+        }
+
+        const samples = this.metrics.get(name);
+        samples.push({ time: Date.now(), ...data });
+        if (samples.length > MAX_ENTRIES) {
+            samples.shift();
+        }
+
+        this._log('debug', 'Metric', name, data);
+    }
+
+    /**
+     * Get recorded samples for a metric
+     * @param {string} name - Metric name
+     * @returns {Array<Object>}
+     */
+    getMetrics(name) {
+        return [...(this.metrics.get(name) || [])];
+    }
+
+    /**
+     * Get recent log entries
+     * @param {string} [level] - Only entries at or above this level
+     * @returns {Array<{time: number, level: string, module: string, message: string, data: *}>}
+     */
+    getEntries(level) {
+        if (!level) return [...this.entries];
+        return this.entries.filter(entry => LEVELS[entry.level] >= LEVELS[level]);
+    }
+
+    /**
+     * Clear entries and metrics
+     */
+    clear() {
+        this.entries = [];
+        this.metrics.clear();
+    }
+
+    /**
+     * Store an entry and write it to the console
+     * @private
+     */
+    _log(level, module, message, data) {
+        this.entries.push({ time: Date.now(), level, module, message, data });
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+
+        if (LEVELS[level] < LEVELS[this.level]) return;
+
+        const method = level === 'debug' ? 'log' : level;
+        if (data !== undefined) {
+            console[method](`[${module}] ${message}`, data);
+        } else {
+            console[method](`[${module}] ${message}`);
+        }
+    }
+}
+
+// Create singleton instance
+export const Logger = new LoggerClass();
+
+// Also export the class
+export { LoggerClass };
@@ -0,0 +1,101 @@
+/**
+ * LessonCore narration sync - run with `npm test`
+ * Lesson Builder System
+ *
+ * Components are driven through minimal DOM stand-ins (no browser needed).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.document = { addEventListener() {}, createElement: () => createElement() };
+globalThis.window = { addEventListener() {}, location: { search: '', hash: '' } };
+
+const { LessonCoreClass } = await import('../shared/js/core/LessonCore.js');
+const { AudioPlayer } = await import('../shared/js/components/AudioPlayer.js');
+const { CommandHistory } = await import('../shared/js/core/CommandHistory.js');
+
+/**
+ * Element stand-in that keeps its listeners, so events can be fired
+ */
+function createElement(props = {}) {
+    const listeners = new Map();
+    return {
+        dataset: {},
+        classList: { toggle() {}, add() {}, remove() {} },
+        addEventListener(type, listener) {
+            listeners.set(type, [...(listeners.get(type) || []), listener]);
+        },
+        removeEventListener() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        append() {},
+        pause() {},
+        load() {},
+        fire(type) {
+            (listeners.get(type) || []).forEach(listener => listener({ target: this }));
+        },
+        ...props
+    };
+}
+
+/**
+ * Audio player for a section whose recording is `duration` seconds long
+ */
+function initAudioPlayer(sectionId, duration) {
+    const audio = createElement({ duration, currentTime: 0, querySelector: () => createElement() });
+    const container = createElement({
+        querySelector: (selector) => {
+            if (selector === '.audio-header') return createElement();
+            if (selector === '.audio-player') return audio;
+            return null;
+        }
+    });
+
+    AudioPlayer.init({ container, sectionId, scriptText: 'unused', audioFile: `audio/${sectionId}.mp3` });
+    return audio;
+}
+
+/**
+ * Sync point times of a section, or null when its narration doesn't drive the visual
+ */
+function syncTimes(core, sectionId) {
+    return core.audioSync.get(sectionId)?.points.map(point => point.time) ?? null;
+}
+
+test('edits after the audio metadata loaded keep sync points on the measured duration', () => {
+    const sectionId = 'hook';
+    const script = 'one two three four five six seven eight nine ten';
+
+    const core = new LessonCoreClass();
+    core.config = {
+        sections: [{ id: sectionId, visual: { id: 'hook-visual' }, audio: { script } }]
+    };
+    CommandHistory.clear();
+
+    // 10 words recorded in 20 seconds: word 5 is at 10s (4s at the estimated 150 wpm)
+    initAudioPlayer(sectionId, 20).fire('loadedmetadata');
+    assert.equal(AudioPlayer.getMeasuredDuration(sectionId), 20);
+    assert.equal(syncTimes(core, sectionId), null);
+
+    // Gaining sync points starts the narration sync
+    core.updateSectionConfig(sectionId, ['visual', 'syncPoints'], [{ step: 2, word: 5 }]);
+    assert.deepEqual(syncTimes(core, sectionId), [10]);
+
+    // A longer script is spread over the same recording
+    core.updateSectionConfig(sectionId, ['audio', 'script'], `${script} ${script}`);
+    assert.deepEqual(syncTimes(core, sectionId), [5]);
+
+    CommandHistory.undo();
+    assert.deepEqual(syncTimes(core, sectionId), [10]);
+
+    CommandHistory.undo();
+    assert.equal(syncTimes(core, sectionId), null);
+
+    CommandHistory.redo();
+    CommandHistory.redo();
+    assert.deepEqual(syncTimes(core, sectionId), [5]);
+
+    AudioPlayer.destroy(sectionId);
+    CommandHistory.clear();
+});
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * import-course - Scaffold lessons from a markdown course structure
+ * Lesson Builder System
+ *
+ * Usage:
+ *   node tools/import-course.mjs docs/interview-course-structure-part-1.md [options]
+ *
+ * Options:
+ *   --out <dir>        Lessons directory (default: lessons)
+ *   --only <videos>    Video numbers to import, e.g. "2,3" or "2-6"
+ *   --force            Overwrite existing lesson folders
+ *   --dry-run          Print what would be written without writing
+ *
+ * Writes <out>/video-NN/config.js, visuals.js and index.html for every
+ * "## Video N: title" in the document. Existing folders are skipped unless
+ * --force is given. Prints manifest entries for lessons/manifest.js.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseCourseStructure, scaffoldLesson } from '../shared/js/utils/courseImport.js';
+import { validateLessonConfig, formatValidationResult } from '../shared/js/utils/validation.js';
+
+const USAGE = 'Usage: node tools/import-course.mjs <course.md> [--out dir] [--only videos] [--force] [--dry-run]';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { out: 'lessons', force: false, dryRun: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': options.out = value(); break;
+            case '--only': options.only = parseNumbers(value()); break;
+            case '--force': options.force = true; break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    if (positional.length !== 1) throw new Error(USAGE);
+
+    options.source = path.resolve(positional[0]);
+    options.out = path.resolve(options.out);
+    return options;
+}
+
+/**
+ * Parse "2,3,5-7" into a set of numbers
+ */
+function parseNumbers(value) {
+    const numbers = new Set();
+
+    for (const part of value.split(',')) {
+        const [from, to = from] = part.trim().split('-').map(Number);
+        if (!Number.isInteger(from) || !Number.isInteger(to) || to < from) {
+            throw new Error(`--only: invalid video range "${part}"`);
+        }
+        for (let n = from; n <= to; n++) numbers.add(n);
+    }
+
+    return numbers;
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const markdown = await fs.readFile(options.source, 'utf8');
+
+    const videos = parseCourseStructure(markdown)
+        .filter(video => !options.only || options.only.has(video.number));
+
+    if (videos.length === 0) {
+        console.error(`No "## Video N: title" headings found${options.only ? ' for --only' : ''} in ${options.source}`);
+        process.exit(1);
+    }
+
+    const created = [];
+
+    for (const video of videos) {
+        const lesson = scaffoldLesson(video);
+        const dir = path.join(options.out, lesson.id);
+        const relativeDir = path.relative(process.cwd(), dir);
+
+        if (!options.force && await exists(dir)) {
+            console.log(`  skip ${relativeDir} (exists, use --force to overwrite)`);
+            continue;
+        }
+
+        // The scaffold has no visuals or audio yet, so only structure is checked
+        const validation = validateLessonConfig(lesson.config, {});
+        if (!validation.valid) {
+            console.error(`  ${lesson.id}: generated config is invalid\n${formatValidationResult(validation)}`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        if (!options.dryRun) {
+            await fs.mkdir(dir, { recursive: true });
+            for (const [name, content] of Object.entries(lesson.files)) {
+                await fs.writeFile(path.join(dir, name), content);
+            }
+        }
+
+        console.log(`  ${options.dryRun ? 'would write' : 'wrote'} ${relativeDir}/ (${lesson.config.sections.length} sections, ${lesson.config.type})`);
+        created.push({ video, lesson });
+    }
+
+    if (created.length === 0) return;
+
+    console.log('\nManifest entries (lessons/manifest.js):');
+    for (const { video, lesson } of created) {
+        console.log(`                {
+                    id: '${lesson.id}',
+                    label: 'Video ${String(video.number).padStart(2, '0')}',
+                    path: '${lesson.id}',
+                    status: 'draft',
+                    description: '${(video.objectives[0] || video.title).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'
+                },`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
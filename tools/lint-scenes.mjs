@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * lint-scenes - Lint lesson visuals from the command line
+ * Lesson Builder System
+ *
+ * Usage:
+ *   node tools/lint-scenes.mjs lessons/video-01/visuals.js [more visuals files...]
+ *
+ * Lints every scene returned by the file's createVisuals() (or, failing that,
+ * every exported object with a steps array). Exits with 1 if any scene has
+ * errors.
+ */
+
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { lintVisuals } from '../shared/js/engine/SceneLinter.js';
+import { formatValidationResult } from '../shared/js/utils/validation.js';
+
+const files = process.argv.slice(2);
+
+if (files.length === 0) {
+    console.error('Usage: node tools/lint-scenes.mjs <visuals.js> [...]');
+    process.exit(2);
+}
+
+let failed = false;
+
+for (const file of files) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+
+    const visuals = typeof module.createVisuals === 'function'
+        ? module.createVisuals()
+        : Object.fromEntries(Object.entries(module).filter(([, value]) => Array.isArray(value?.steps)));
+
+    const result = lintVisuals(visuals);
+    failed ||= !result.valid;
+
+    console.log(`\n${file} (${Object.keys(visuals).length} scenes)`);
+    console.log(formatValidationResult(result));
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * mock-tts-server - Stand-in text-to-speech endpoint for scratch narration
+ * Lesson Builder System
+ *
+ * Usage:
+ *   node tools/mock-tts-server.mjs [--port 5005] [--wpm 150]
+ *
+ * Answers `POST /tts` ({ text, voice, sectionId }) the way a real TTS service
+ * would, with a WAV as long as the script takes to read at --wpm: a short
+ * tone per word, a longer pause at sentence ends. Point a lesson at it with
+ *   narration: { provider: 'remote', endpoint: 'http://localhost:5005/tts' }
+ * to exercise the remote provider, the cache and audio sync without an account.
+ */
+
+import http from 'node:http';
+
+const SAMPLE_RATE = 22050;
+
+const USAGE = 'Usage: node tools/mock-tts-server.mjs [--port n] [--wpm n]';
+
+const options = { port: 5005, wpm: 150 };
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--port': options.port = Number(args[++i]); break;
+        case '--wpm': options.wpm = Number(args[++i]); break;
+        default:
+            console.error(USAGE);
+            process.exit(2);
+    }
+}
+
+if (!(options.port > 0) || !(options.wpm > 0)) {
+    console.error(USAGE);
+    process.exit(2);
+}
+
+const server = http.createServer((req, res) => {
+    // Lesson pages are served from another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/tts') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('POST /tts');
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let text;
+        try {
+            ({ text } = JSON.parse(body));
+        } catch {
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Body must be JSON');
+            return;
+        }
+
+        if (typeof text !== 'string' || !text.trim()) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('"text" is required');
+            return;
+        }
+
+        const wav = renderWav(text, options.wpm);
+        console.log(`mock-tts: ${text.trim().split(/\s+/).length} words -> ${(wav.length / 2 / SAMPLE_RATE).toFixed(1)}s`);
+        res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': wav.length }).end(wav);
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`mock-tts: Listening on http://localhost:${options.port}/tts (${options.wpm} wpm)`);
+});
+
+/**
+ * Beeps at reading pace (16-bit mono PCM WAV)
+ */
+function renderWav(text, wpm) {
+    const words = text.trim().split(/\s+/);
+    const wordSamples = Math.round((60 / wpm) * SAMPLE_RATE);
+    const pauseSamples = Math.round(0.4 * SAMPLE_RATE);
+
+    const sentenceEnds = words.filter(word => /[.!?]["')\]]?$/.test(word)).length;
+    const totalSamples = words.length * wordSamples + sentenceEnds * pauseSamples;
+    const buffer = Buffer.alloc(44 + totalSamples * 2);
+
+    // RIFF header
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + totalSamples * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(totalSamples * 2, 40);
+
+    let offset = 44;
+    for (const word of words) {
+        // Tone for ~70% of the word, pitch varying with its length
+        const frequency = 180 + (word.length % 8) * 25;
+        const toneSamples = Math.round(wordSamples * 0.7);
+        for (let i = 0; i < wordSamples; i++) {
+            const envelope = i < toneSamples ? Math.sin((Math.PI * i) / toneSamples) : 0;
+            const sample = envelope * 0.3 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+            buffer.writeInt16LE(Math.round(sample * 32767), offset);
+            offset += 2;
+        }
+
+        if (/[.!?]["')\]]?$/.test(word)) {
+            offset += pauseSamples * 2; // silence (buffer is zero-filled)
+        }
+    }
+
+    return buffer;
+}
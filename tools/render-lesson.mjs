@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * render-lesson - Render lesson visuals without a browser
+ * Lesson Builder System
+ *
+ * Setup (once, in the repo root): npm install
+ *   Installs @napi-rs/canvas (declared in package.json). node-canvas
+ *   (`npm install canvas`) works too.
+ *
+ * Usage:
+ *   node tools/render-lesson.mjs lessons/video-01 [options]
+ *
+ * Options:
+ *   --out <dir>        Output directory (default: <lesson>/renders)
+ *   --scale <n>        Output scale, 1 = 3840x2400 (default: 1)
+ *   --only <ids>       Comma-separated visual ids to render
+ *   --video            Also encode each visual to WebM (needs ffmpeg on PATH)
+ *   --fps <n>          Video frame rate (default: 60)
+ *   --hold <n>         Frames to hold the final step in videos (default: 30)
+ *   --font <file>      Register a font file, as "file.ttf" or "file.ttf:Family"
+ *                      (repeatable; scenes use Inter by default)
+ *   --verbose          Log engine details
+ *
+ * Writes <out>/<visual-id>/step-NN.png for the settled end of every step,
+ * and <out>/<visual-id>.webm with --video. Rendering uses StateBasedEngine +
+ * CanvasRenderer on node-canvas (`canvas`) or `@napi-rs/canvas`, whichever
+ * is installed. Nothing is fetched from the network while rendering.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { once } from 'node:events';
+import { spawn } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import { StateBasedEngine } from '../shared/js/visual/VisualEngine.js';
+import { CanvasRenderer } from '../shared/js/visual/CanvasRenderer.js';
+import { Logger } from '../shared/js/visual/modules/Telemetry.js';
+import { validateLessonConfig, formatValidationResult } from '../shared/js/utils/validation.js';
+
+const BASE_WIDTH = 3840;
+const BASE_HEIGHT = 2400;
+
+const USAGE = 'Usage: node tools/render-lesson.mjs <lesson-dir> [--out dir] [--scale n] [--only ids] [--video] [--fps n] [--hold n] [--font file[:Family]] [--verbose]';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { fonts: [], scale: 1, fps: 60, hold: 30, video: false, verbose: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': options.out = value(); break;
+            case '--scale': options.scale = Number(value()); break;
+            case '--only': options.only = value().split(',').map(id => id.trim()); break;
+            case '--video': options.video = true; break;
+            case '--fps': options.fps = Number(value()); break;
+            case '--hold': options.hold = Number(value()); break;
+            case '--font': options.fonts.push(value()); break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    if (positional.length !== 1) throw new Error(USAGE);
+    if (!(options.scale > 0)) throw new Error('--scale must be a positive number');
+    if (!(options.fps > 0)) throw new Error('--fps must be a positive number');
+
+    options.lessonDir = path.resolve(positional[0]);
+    options.out = path.resolve(options.out ?? path.join(options.lessonDir, 'renders'));
+    return options;
+}
+
+/**
+ * Load a canvas implementation (node-canvas or @napi-rs/canvas)
+ */
+async function loadCanvas() {
+    for (const name of ['canvas', '@napi-rs/canvas']) {
+        try {
+            const module = await import(name);
+            const lib = module.createCanvas ? module : module.default;
+
+            // CanvasRenderer draws path objects through the global Path2D
+            if (lib.Path2D && typeof globalThis.Path2D === 'undefined') {
+                globalThis.Path2D = lib.Path2D;
+            }
+
+            return {
+                name,
+                createCanvas: lib.createCanvas,
+                registerFont: (file, family) => lib.registerFont
+                    ? lib.registerFont(file, { family })
+                    : lib.GlobalFonts.registerFromPath(file, family)
+            };
+        } catch (error) {
+            if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+        }
+    }
+
+    throw new Error('No canvas library found. Run npm install in the repo root (or npm install canvas)');
+}
+
+/**
+ * Start ffmpeg reading raw RGBA frames from stdin
+ */
+function startEncoder(file, width, height, fps) {
+    const ffmpeg = spawn('ffmpeg', [
+        '-y', '-loglevel', 'error',
+        '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps), '-i', '-',
+        '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-b:v', '0', '-crf', '24', '-row-mt', '1',
+        file
+    ], { stdio: ['pipe', 'inherit', 'inherit'] });
+
+    const done = new Promise((resolve, reject) => {
+        ffmpeg.on('error', error => reject(error.code === 'ENOENT'
+            ? new Error('ffmpeg not found on PATH (needed for --video)')
+            : error));
+        ffmpeg.on('close', code => code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}`)));
+    });
+
+    return {
+        async write(pixels) {
+            if (!ffmpeg.stdin.write(pixels)) {
+                await Promise.race([once(ffmpeg.stdin, 'drain'), done]);
+            }
+        },
+        async finish() {
+            ffmpeg.stdin.end();
+            await done;
+        }
+    };
+}
+
+/**
+ * Render one scene's steps (and video)
+ */
+async function renderScene(visualId, scene, canvasLib, options) {
+    const width = Math.round(BASE_WIDTH * options.scale);
+    const height = Math.round(BASE_HEIGHT * options.scale);
+
+    // Same per-step duration as the preview and browser export
+    const engine = new StateBasedEngine({ width, height, fps: options.fps, stepDuration: scene.duration ?? 1000 });
+    engine.loadScene(scene);
+
+    const canvas = canvasLib.createCanvas(width, height);
+    const renderer = new CanvasRenderer(canvas);
+    renderer.setEngine(engine);
+
+    const dir = path.join(options.out, visualId);
+    await fs.mkdir(dir, { recursive: true });
+
+    for (let step = 0; step < engine.getStepCount(); step++) {
+        renderer.render(engine.getStateAtStep(step));
+        const file = path.join(dir, `step-${String(step + 1).padStart(2, '0')}.png`);
+        await fs.writeFile(file, canvas.toBuffer('image/png'));
+    }
+
+    console.log(`  ${visualId}: ${engine.getStepCount()} steps -> ${path.relative(process.cwd(), dir)}/`);
+
+    if (!options.video) return;
+
+    const ctx = canvas.getContext('2d');
+    const file = path.join(options.out, `${visualId}.webm`);
+    const encoder = startEncoder(file, width, height, options.fps);
+    const totalFrames = engine.getTotalFrames();
+
+    try {
+        for (let frame = 0; frame <= totalFrames + options.hold; frame++) {
+            engine.seekToFrame(frame);
+            renderer.render(engine.getCurrentState());
+            await encoder.write(Buffer.from(ctx.getImageData(0, 0, width, height).data.buffer));
+        }
+    } finally {
+        await encoder.finish();
+    }
+
+    console.log(`  ${visualId}: ${totalFrames + options.hold + 1} frames -> ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    Logger.setLevel(options.verbose ? 'info' : 'warn');
+
+    const canvasLib = await loadCanvas();
+    for (const font of options.fonts) {
+        const [file, family = 'Inter'] = font.split(':');
+        canvasLib.registerFont(path.resolve(file), family);
+    }
+
+    const { lessonConfig } = await import(pathToFileURL(path.join(options.lessonDir, 'config.js')).href);
+    const { createVisuals } = await import(pathToFileURL(path.join(options.lessonDir, 'visuals.js')).href);
+    const visuals = createVisuals();
+
+    const validation = validateLessonConfig(lessonConfig, visuals);
+    if (!validation.valid) {
+        console.error(`Invalid lesson config:\n${formatValidationResult(validation)}`);
+        process.exit(1);
+    }
+
+    // Render in section order, then any visuals no section uses
+    const ids = [...new Set([
+        ...lessonConfig.sections.filter(section => section.visual).map(section => section.visual.id),
+        ...Object.keys(visuals)
+    ])].filter(id => !options.only || options.only.includes(id));
+
+    const unknown = (options.only || []).filter(id => !visuals[id]);
+    if (unknown.length > 0) {
+        console.error(`Unknown visual id(s): ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(`Rendering ${lessonConfig.id} (${ids.length} visuals, ${canvasLib.name}) -> ${path.relative(process.cwd(), options.out) || '.'}`);
+    const start = Date.now();
+
+    for (const id of ids) {
+        await renderScene(id, visuals[id], canvasLib, options);
+    }
+
+    console.log(`Done in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});